@@ -0,0 +1,146 @@
+/**
+ * achievements.js — Badges for the game's big moments, kept across sessions.
+ *
+ * Each achievement is a row in ACHIEVEMENTS: the progress counter it watches
+ * and the value that unlocks it. Callers report what happened with
+ * noteProgress({ counter: amount }); counters in PEAK_COUNTERS keep their
+ * highest value, every other one adds up. Whatever crosses its goal unlocks,
+ * with a toast.
+ *
+ * Stored in Arcade.state ('achievements'):
+ *
+ *   { counters: { <counter>: number }, unlocked: { <achievementId>: timestamp } }
+ */
+
+import { COMBO_THRESHOLDS, COMBO_LABELS } from './constants.js';
+import { tallyEvents } from './lifetime-stats.js';
+
+const ACHIEVEMENTS_KEY = 'achievements';
+
+// The top combo tier the overlay shows (renderer.js), "HECKN SIC!".
+const HECKN_SIC = {
+  combo: COMBO_THRESHOLDS[COMBO_THRESHOLDS.length - 1],
+  label: COMBO_LABELS[COMBO_LABELS.length - 1],
+};
+
+export const ACHIEVEMENTS = [
+  { id: 'first-starflower', icon: '✿', name: 'Flower Power',
+    description: 'Form a starflower', counter: 'starflowers', goal: 1 },
+  { id: 'starflowers-50', icon: '💐', name: 'Florist',
+    description: 'Form 50 starflowers', counter: 'starflowers', goal: 50 },
+  { id: 'first-pearl', icon: '⚫', name: 'Pearl Diver',
+    description: 'Form a black pearl', counter: 'blackpearls', goal: 1 },
+  { id: 'first-poobah', icon: '👑', name: 'Grand Poobah',
+    description: 'Form a Grand Poobah', counter: 'grandpoobahs', goal: 1 },
+  { id: 'over-achiever', icon: '🏆', name: 'Over-Achiever',
+    description: 'Close a ring of Grand Poobahs', counter: 'overAchievers', goal: 1 },
+  { id: 'heckn-sic', icon: '⚡', name: HECKN_SIC.label,
+    description: `Chain ${HECKN_SIC.combo} matches in one cascade`, counter: 'bestCombo', goal: HECKN_SIC.combo },
+  { id: 'defuser', icon: '✂️', name: 'Bomb Squad',
+    description: 'Defuse 25 bombs', counter: 'bombsDefused', goal: 25 },
+  { id: 'tiles-10k', icon: '🧱', name: 'Demolition',
+    description: 'Clear 10,000 tiles', counter: 'tilesCleared', goal: 10_000 },
+  { id: 'puzzles-10', icon: '🧩', name: 'Puzzler',
+    description: 'Solve 10 puzzles', counter: 'puzzlesSolved', goal: 10 },
+  { id: 'three-stars', icon: '⭐', name: 'Under Par',
+    description: 'Solve a puzzle for three stars', counter: 'threeStarSolves', goal: 1 },
+  { id: 'streak-7', icon: '🔥', name: 'Week of Dailies',
+    description: 'Keep a 7-day daily streak', counter: 'longestStreak', goal: 7 },
+];
+
+/** Counters that keep their best value instead of adding up. */
+const PEAK_COUNTERS = new Set(['bestCombo', 'longestStreak']);
+
+// ─── Progress ───────────────────────────────────────────────────
+
+function loadAchievements() {
+  const saved = Arcade.state.get(ACHIEVEMENTS_KEY);
+  return { counters: { ...saved?.counters }, unlocked: { ...saved?.unlocked } };
+}
+
+/**
+ * Count what just happened and unlock whatever it completes, toasting each.
+ * @param {Object<string, number>} amounts — counter → how much (or, for a
+ *   peak counter, the value reached)
+ * @returns {object[]} the achievements unlocked by this call
+ */
+export function noteProgress(amounts) {
+  const saved = loadAchievements();
+  for (const [counter, amount] of Object.entries(amounts)) {
+    if (!amount) continue;
+    const before = saved.counters[counter] ?? 0;
+    saved.counters[counter] = PEAK_COUNTERS.has(counter) ? Math.max(before, amount) : before + amount;
+  }
+  const unlockedNow = ACHIEVEMENTS.filter(a =>
+    !saved.unlocked[a.id] && (saved.counters[a.counter] ?? 0) >= a.goal);
+  for (const a of unlockedNow) saved.unlocked[a.id] = Date.now();
+  Arcade.state.set(ACHIEVEMENTS_KEY, saved);
+
+  for (const a of unlockedNow) {
+    Arcade.ui.toast(`🏅 Achievement: ${a.icon} ${a.name}`, { kind: 'success' });
+  }
+  return unlockedNow;
+}
+
+/**
+ * What one played move counts towards (main.js, after the move resolves).
+ * An Over-Achiever ends the game mid-turn, so main.js counts that one itself.
+ */
+export function turnProgress(events, maxCombo) {
+  const { specialsFormed, bombsDefused, tilesCleared } = tallyEvents(events);
+  return {
+    starflowers:   specialsFormed.starflower,
+    blackpearls:   specialsFormed.blackpearl,
+    grandpoobahs:  specialsFormed.grandpoobah,
+    bombsDefused,
+    tilesCleared:  tilesCleared.reduce((a, b) => a + b, 0),
+    bestCombo:     maxCombo,
+  };
+}
+
+/**
+ * Every achievement with where the player stands on it, for the gallery.
+ * @returns {Array<object & {unlockedAt: number|null, value: number, progress: number}>}
+ */
+export function getAchievementList() {
+  const { counters, unlocked } = loadAchievements();
+  return ACHIEVEMENTS.map(a => {
+    const value = Math.min(counters[a.counter] ?? 0, a.goal);
+    return { ...a, unlockedAt: unlocked[a.id] ?? null, value, progress: value / a.goal };
+  });
+}
+
+// ─── Gallery modal ──────────────────────────────────────────────
+
+export function showAchievementGallery() {
+  const list = getAchievementList();
+  const count = document.getElementById('achievements-count');
+  if (count) count.textContent = `${list.filter(a => a.unlockedAt).length} / ${list.length} unlocked`;
+
+  const grid = document.getElementById('achievements-grid');
+  if (grid) {
+    grid.innerHTML = '';
+    for (const a of list) {
+      const badge = document.createElement('div');
+      badge.className = a.unlockedAt ? 'achievement' : 'achievement locked';
+      const icon = document.createElement('div');
+      icon.className = 'achievement-icon';
+      icon.textContent = a.unlockedAt ? a.icon : '🔒';
+      const name = document.createElement('div');
+      name.className = 'achievement-name';
+      name.textContent = a.name;
+      const desc = document.createElement('div');
+      desc.className = 'achievement-desc';
+      desc.textContent = a.description;
+      const bar = document.createElement('div');
+      bar.className = 'achievement-bar';
+      const fill = document.createElement('div');
+      fill.style.width = `${Math.round(a.progress * 100)}%`;
+      bar.appendChild(fill);
+      bar.title = `${a.value.toLocaleString()} / ${a.goal.toLocaleString()}`;
+      badge.append(icon, name, desc, bar);
+      grid.appendChild(badge);
+    }
+  }
+  document.getElementById('modal-achievements').classList.remove('hidden');
+}
@@ -1,24 +1,24 @@
+/**
+ * animations.js — Tweened playback of the board: rotations, and replay of the
+ * events game-engine.js produces for a turn.
+ */
+
+import { MATCH_FLASH_MS, GRAVITY_MS, ROTATION_POP_MS, ROTATION_SETTLE_MS, RESHUFFLE_MS } from './constants.js';
+import { rotateCluster, rotateRing } from './board.js';
+import { copyGridInto } from './game-engine.js';
 import {
-  MATCH_FLASH_MS, GRAVITY_MS,
-  ROTATION_POP_MS, ROTATION_SETTLE_MS
-} from './constants.js';
-import { rotateCluster, rotateRing, applyGravity, fillEmpty } from './board.js';
-import {
-  setCellOverride, clearCellOverride, clearAllOverrides,
+  setCellOverride, clearAllOverrides,
   addFloatingPiece, removeFloatingPiece,
   spawnCreationParticles, spawnRingShockwave, requestRedraw,
   spawnColorNukeParticles, spawnExplosionParticles, spawnScorePopup, flashScreenOverlay,
   getOrigin
 } from './renderer.js';
-import { getActiveGameMode } from './modes.js';
 import { hexToPixel, getNeighbors } from './hex-math.js';
-import { tween, easeOutCubic, easeOutBounce, linear } from './tween.js';
-import { awardMatch, advanceChain, getDisplayScore, getChainLevel, getScore, getComboCount, getMaxCombo } from './score.js';
-import {
-  detectStarflowersAtCleared, detectBlackPearls, detectMultiplierClusters
-} from './specials.js';
-import { onStarflowerCreated } from './puzzle-mode.js';
+import { isVoid } from './board-shapes.js';
+import { tween, easeOutCubic, easeOutBounce, linear, getTimeScale } from './tween.js';
+import { awardMatch, getChainLevel, getScore, getMaxCombo } from './score.js';
 import { getPlayerName, recordGameEnd } from './storage.js';
+import { getActiveGameModeId } from './modes.js';
 import { playGameOver, playOverAchiever, stopBed } from './audio.js';
 
 function prepopulateNameInputs() {
@@ -40,12 +40,13 @@ export async function animateClusterRotation(ctx, clockwise, originX, originY) {
   if (cells.some(c => !c)) { ctx.setState('idle'); return; }
   const colors = cells.map(c => c.colorIndex);
   const specials = cells.map(c => c.special);
+  const ice = cells.map(c => c.ice);
 
   const floaters = cluster.map((h, i) => {
     setCellOverride(h.col, h.row, { hidden: true });
     return addFloatingPiece({
       x: pixelPos[i].x, y: pixelPos[i].y,
-      colorIndex: colors[i], special: specials[i],
+      colorIndex: colors[i], special: specials[i], ice: ice[i],
       scale: 1, alpha: 1, shadow: false,
     });
   });
@@ -105,13 +106,14 @@ export async function animateRingRotation(ctx, clockwise, originX, originY) {
   if (ringCells.some(c => !c)) { ctx.setState('idle'); return; }
   const colors = ringCells.map(c => c.colorIndex);
   const specials = ringCells.map(c => c.special);
+  const ice = ringCells.map(c => c.ice);
 
   // Hide ring cells, create floating pieces
   const floaters = ring.map((h, i) => {
     setCellOverride(h.col, h.row, { hidden: true });
     return addFloatingPiece({
       x: pixelPos[i].x, y: pixelPos[i].y,
-      colorIndex: colors[i], special: specials[i],
+      colorIndex: colors[i], special: specials[i], ice: ice[i],
       scale: 1, alpha: 1, shadow: false,
     });
   });
@@ -174,13 +176,14 @@ export async function animateYRotation(ctx, clockwise, originX, originY) {
   if (yCells.some(c => !c)) { ctx.setState('idle'); return; }
   const colors = yCells.map(c => c.colorIndex);
   const specials = yCells.map(c => c.special);
+  const ice = yCells.map(c => c.ice);
 
   // Hide Y-ring cells, create floating pieces
   const floaters = yRing.map((h, i) => {
     setCellOverride(h.col, h.row, { hidden: true });
     return addFloatingPiece({
       x: pixelPos[i].x, y: pixelPos[i].y,
-      colorIndex: colors[i], special: specials[i],
+      colorIndex: colors[i], special: specials[i], ice: ice[i],
       scale: 1, alpha: 1, shadow: false,
     });
   });
@@ -240,215 +243,93 @@ export async function animateYRotation(ctx, clockwise, originX, originY) {
   }
 }
 
+/** Make the live board match an engine snapshot. */
+export function adoptSnapshot(ctx, event) {
+  copyGridInto(ctx.grid, event.grid);
+  requestRedraw();
+}
+
+// Particle count and center pulse for each kind of formation; rarer pieces
+// get a bigger burst and a longer, taller pulse.
+const FORMATION_STYLE = {
+  starflower:  { particles: 20, pulseMs: 500, peak: 1.5, rise: 0.25 },
+  blackpearl:  { particles: 24, pulseMs: 600, peak: 1.6, rise: 0.2 },
+  grandpoobah: { particles: 40, pulseMs: 800, peak: 1.8, rise: 0.2 },
+};
+
 /**
- * Animate black pearl creation: starflower ring implodes into center,
- * dramatic particle burst, pearl scale-pulse.
+ * Replay a `formed` event. A starflower's ring flashes then shrinks away;
+ * black pearl and Grand Poobah rings implode into their centers. Then the
+ * engine's snapshot lands (ring gone, center converted), particles burst from
+ * each center and the new piece pulses.
  */
-export async function animateBlackPearlCreation(ctx, bpResults) {
-  const gen = ctx.boardGeneration;
+export async function animateFormation(ctx, event, gen = ctx.boardGeneration) {
   const { originX, originY } = getOrigin();
+  const style = FORMATION_STYLE[event.special];
+  const centers = event.formations.map(f => f.center);
 
-  let queuedBlackpearls = 0;
-  for (const bp of bpResults) {
-    const centerPx = hexToPixel(bp.center.col, bp.center.row, originX, originY);
-
-    if (bp.centerAlreadySpecial) {
-      queuedBlackpearls++;
-    } else {
-      const centerCell = ctx.grid[bp.center.col]?.[bp.center.row];
-      if (centerCell) {
-        centerCell.colorIndex = -2;
-        centerCell.special = 'blackpearl';
-        delete centerCell.bombTimer;
-      }
-    }
+  if (event.special === 'starflower') {
+    const ring = event.formations.flatMap(f => f.ring);
 
-    // Phase 1: Ring implodes — starflower pieces shrink toward center (400ms)
-    await tween(400, t => {
-      for (const pos of bp.ring) {
+    // Phase 1: Flash ring tiles bright (200ms)
+    await tween(200, t => {
+      for (const pos of ring) {
         if (ctx.grid[pos.col]?.[pos.row]) {
-          const px = hexToPixel(pos.col, pos.row, originX, originY);
-          const dx = (centerPx.x - px.x) * t * 0.4;
-          const dy = (centerPx.y - px.y) * t * 0.4;
-          setCellOverride(pos.col, pos.row, {
-            scale: 1 - t * 0.6,
-            alpha: 1 - t * 0.7,
-            offsetX: dx,
-            offsetY: dy,
-          });
+          setCellOverride(pos.col, pos.row, { scale: 1 + 0.15 * t });
         }
       }
     }, easeOutCubic).promise;
     if (ctx.boardGeneration !== gen) return;
 
-    // Clear the absorbed starflowers
-    for (const pos of bp.ring) {
-      if (ctx.grid[pos.col]?.[pos.row] && ctx.grid[pos.col][pos.row].special !== 'grandpoobah') {
-        ctx.grid[pos.col][pos.row] = null;
-      }
-    }
-    clearAllOverrides();
-
-    // Phase 2: Particle burst with deep purple hues
-    spawnCreationParticles(centerPx.x, centerPx.y, 24);
-
-    // Phase 3: Pearl scale-pulse (600ms)
-    await tween(600, t => {
-      let scale;
-      if (t < 0.2) {
-        scale = 1 + 0.6 * (t / 0.2);
-      } else {
-        const settleT = (t - 0.2) / 0.8;
-        scale = 1.6 - 0.6 * settleT;
+    // Phase 2: Shrink and fade ring tiles (300ms)
+    await tween(300, t => {
+      for (const pos of ring) {
+        if (ctx.grid[pos.col]?.[pos.row]) {
+          setCellOverride(pos.col, pos.row, {
+            scale: (1.15) * (1 - t * 0.9),
+            alpha: 1 - t,
+          });
+        }
       }
-      setCellOverride(bp.center.col, bp.center.row, { scale });
     }, easeOutCubic).promise;
-    if (ctx.boardGeneration !== gen) return;
-
-    clearAllOverrides();
-  }
-
-  // Gravity and refill
-  const fallMap = computeFallDistances(ctx);
-  if (fallMap.length > 0) {
-    const maxDist = Math.max(...fallMap.map(f => f.dist));
-    const fallDuration = GRAVITY_MS * maxDist;
-
-    const fallers = fallMap.map(f => {
-      const startPx = hexToPixel(f.col, f.fromRow, originX, originY);
-      const endPx = hexToPixel(f.col, f.toRow, originX, originY);
-      setCellOverride(f.col, f.fromRow, { hidden: true });
-      return {
-        fp: addFloatingPiece({
-          x: startPx.x, y: startPx.y,
-          colorIndex: f.colorIndex,
-          special: f.special,
-          bombTimer: f.bombTimer,
-          scale: 1, alpha: 1, shadow: false,
-        }),
-        startY: startPx.y,
-        endY: endPx.y,
-      };
-    });
-
-    await tween(fallDuration, t => {
-      for (const f of fallers) {
-        f.fp.y = f.startY + (f.endY - f.startY) * t;
-      }
-    }, easeOutBounce).promise;
-    if (ctx.boardGeneration !== gen) { for (const f of fallers) removeFloatingPiece(f.fp); return; }
-
-    for (const f of fallers) removeFloatingPiece(f.fp);
-    clearAllOverrides();
-  }
-
-  applyGravity(ctx.grid, ctx.activeCols, ctx.activeRows);
-  const mode = getActiveGameMode();
-  const filled = fillEmpty(ctx.grid, ctx.activeCols, ctx.activeRows, undefined, mode.hasBombs && ctx.bombQueued, { starflowers: 0, blackpearls: queuedBlackpearls }, mode.isPuzzle);
-  if (mode.hasBombs && ctx.bombQueued && filled.length > 0) ctx.setBombQueued(false);
-}
-
-export async function animateGrandPoobahCreation(ctx, gpResults) {
-  const gen = ctx.boardGeneration;
-  const { originX, originY } = getOrigin();
-  let queuedGrandPoobahs = 0;
-
-  for (const gp of gpResults) {
-    const centerPx = hexToPixel(gp.center.col, gp.center.row, originX, originY);
-
-    if (gp.centerAlreadySpecial) {
-      queuedGrandPoobahs++;
-    } else {
-      const centerCell = ctx.grid[gp.center.col]?.[gp.center.row];
-      if (centerCell) {
-        centerCell.colorIndex = -3;
-        centerCell.special = 'grandpoobah';
-        delete centerCell.bombTimer;
-      }
-    }
-
-    // Phase 1: Ring implodes
+  } else {
+    // Ring implodes — pieces shrink toward their center (400ms)
     await tween(400, t => {
-      for (const pos of gp.ring) {
-        if (ctx.grid[pos.col]?.[pos.row]) {
+      for (const f of event.formations) {
+        const centerPx = hexToPixel(f.center.col, f.center.row, originX, originY);
+        for (const pos of f.ring) {
+          if (!ctx.grid[pos.col]?.[pos.row]) continue;
           const px = hexToPixel(pos.col, pos.row, originX, originY);
-          const dx = (centerPx.x - px.x) * t * 0.4;
-          const dy = (centerPx.y - px.y) * t * 0.4;
           setCellOverride(pos.col, pos.row, {
             scale: 1 - t * 0.6,
             alpha: 1 - t * 0.7,
-            offsetX: dx,
-            offsetY: dy,
+            offsetX: (centerPx.x - px.x) * t * 0.4,
+            offsetY: (centerPx.y - px.y) * t * 0.4,
           });
         }
       }
     }, easeOutCubic).promise;
-    if (ctx.boardGeneration !== gen) return;
-
-    for (const pos of gp.ring) {
-      if (ctx.grid[pos.col]?.[pos.row] && ctx.grid[pos.col][pos.row].special !== 'grandpoobah') {
-        ctx.grid[pos.col][pos.row] = null;
-      }
-    }
-    clearAllOverrides();
-
-    // Phase 2: Majestic particle burst
-    spawnCreationParticles(centerPx.x, centerPx.y, 40);
-
-    // Phase 3: Pulse
-    await tween(800, t => {
-      let scale;
-      if (t < 0.2) {
-        scale = 1 + 0.8 * (t / 0.2);
-      } else {
-        const settleT = (t - 0.2) / 0.8;
-        scale = 1.8 - 0.8 * settleT;
-      }
-      setCellOverride(gp.center.col, gp.center.row, { scale });
-    }, easeOutCubic).promise;
-    if (ctx.boardGeneration !== gen) return;
-
-    clearAllOverrides();
   }
+  if (ctx.boardGeneration !== gen) return;
 
-  // Gravity and refill
-  const fallMap = computeFallDistances(ctx);
-  if (fallMap.length > 0) {
-    const maxDist = Math.max(...fallMap.map(f => f.dist));
-    const fallDuration = GRAVITY_MS * maxDist;
-
-    const fallers = fallMap.map(f => {
-      const startPx = hexToPixel(f.col, f.fromRow, originX, originY);
-      const endPx = hexToPixel(f.col, f.toRow, originX, originY);
-      setCellOverride(f.col, f.fromRow, { hidden: true });
-      return {
-        fp: addFloatingPiece({
-          x: startPx.x, y: startPx.y,
-          colorIndex: f.colorIndex,
-          special: f.special,
-          bombTimer: f.bombTimer,
-          scale: 1, alpha: 1, shadow: false,
-        }),
-        startY: startPx.y,
-        endY: endPx.y,
-      };
-    });
-
-    await tween(fallDuration, t => {
-      for (const f of fallers) f.fp.y = f.startY + (f.endY - f.startY) * t;
-    }, easeOutBounce).promise;
-    if (ctx.boardGeneration !== gen) { for (const f of fallers) removeFloatingPiece(f.fp); return; }
+  clearAllOverrides();
+  adoptSnapshot(ctx, event);
 
-    for (const f of fallers) removeFloatingPiece(f.fp);
-    clearAllOverrides();
+  // Celebration: particle burst, then the new piece scales up and settles
+  for (const center of centers) {
+    const px = hexToPixel(center.col, center.row, originX, originY);
+    spawnCreationParticles(px.x, px.y, style.particles);
   }
 
-  applyGravity(ctx.grid, ctx.activeCols, ctx.activeRows);
-  const mode = getActiveGameMode();
-  const filled = fillEmpty(ctx.grid, ctx.activeCols, ctx.activeRows, undefined, mode.hasBombs && ctx.bombQueued, { starflowers: 0, blackpearls: 0, grandpoobahs: queuedGrandPoobahs }, mode.isPuzzle);
-  if (mode.hasBombs && ctx.bombQueued && filled.length > 0) ctx.setBombQueued(false);
+  await tween(style.pulseMs, t => {
+    const scale = t < style.rise
+      ? 1 + (style.peak - 1) * (t / style.rise)
+      : style.peak - (style.peak - 1) * ((t - style.rise) / (1 - style.rise));
+    for (const center of centers) setCellOverride(center.col, center.row, { scale });
+  }, easeOutCubic).promise;
+  if (ctx.boardGeneration !== gen) return;
 
-  ctx.handleGameWin();
+  clearAllOverrides();
 }
 
 export async function handleOverAchiever(ctx) {
@@ -470,7 +351,7 @@ export async function handleOverAchiever(ctx) {
 
   for (let c = 0; c < ctx.activeCols; c++) {
     for (let r = 0; r < ctx.activeRows; r++) {
-      if (ctx.grid[c][r]) {
+      if (ctx.grid[c][r] && !isVoid(ctx.grid[c][r])) {
         const px = hexToPixel(c, r, originX, originY);
         const dx = px.x - (originX + (ctx.activeCols * 30));
         const dy = px.y - (originY + (ctx.activeRows * 30));
@@ -510,11 +391,16 @@ export async function handleOverAchiever(ctx) {
   }
 }
 
-export async function handleGameOver(ctx, isSessionEnd = false) {
+/**
+ * End the run: clear its save, show the game-over modal (unless this is a
+ * peaceful chill-session end) and blow the board apart.
+ * @param {string} [message] — what ended it, shown in the modal
+ */
+export async function handleGameOver(ctx, isSessionEnd = false, message = '💣 A bomb exploded!') {
   ctx.setState('gameover');
   const combinedId = ctx.getCombinedModeId();
   ctx.clearGameState(combinedId);
-  recordGameEnd(getMaxCombo());
+  recordGameEnd(getMaxCombo(), getActiveGameModeId());
   // A real game over is two events: the detonation, then the aftermath tolls a
   // beat behind it. A peaceful chill-session end is the tolls alone — nothing
   // exploded. The floor drops away under both.
@@ -531,11 +417,16 @@ export async function handleGameOver(ctx, isSessionEnd = false) {
     document.querySelector('#modal-gameover h2').style.borderColor = '#ff4444';
     if (gameOverMsgEl) {
       gameOverMsgEl.style.display = 'block';
-      gameOverMsgEl.textContent = '💣 A bomb exploded!';
+      gameOverMsgEl.textContent = message;
     }
 
     document.getElementById('go-score').textContent = getScore().toLocaleString();
     document.getElementById('go-combo').textContent = `x${getMaxCombo()}`;
+    document.getElementById('go-seed').textContent = ctx.seed ?? '—';
+    document.getElementById('go-replay-code').textContent = '';
+    for (const id of ['btn-gameover-replay', 'btn-gameover-share-replay']) {
+      document.getElementById(id).disabled = !ctx.canReplay;
+    }
     prepopulateNameInputs();
     document.getElementById('modal-gameover').classList.remove('hidden');
   }
@@ -546,7 +437,7 @@ export async function handleGameOver(ctx, isSessionEnd = false) {
 
   for (let c = 0; c < ctx.activeCols; c++) {
     for (let r = 0; r < ctx.activeRows; r++) {
-      if (ctx.grid[c][r]) {
+      if (ctx.grid[c][r] && !isVoid(ctx.grid[c][r])) {
         const px = hexToPixel(c, r, originX, originY);
         
         // Create a floater that flies away from center
@@ -601,260 +492,36 @@ export async function handleGameOver(ctx, isSessionEnd = false) {
 }
 
 /**
- * Animate a starflower being created: flash ring tiles, shrink/fade them,
- * clear them, gravity, refill.
- * @param {Array<{center, ring, ringColor}>} sfResults
+ * Replay a `matched` event: multiplier and bomb effects first, then the
+ * matched cells flash, the points land and the snapshot (cells cleared) is
+ * adopted.
+ * @returns {Promise<number>} points awarded (0 if the board was replaced)
  */
-export async function animateStarflowerCreation(ctx, sfResults) {
-  const gen = ctx.boardGeneration;
-  // Track for puzzle goals
-  for (const _ of sfResults) onStarflowerCreated();
-
-  // Collect all ring positions across all starflowers
-  const allRing = [];
-  const centers = [];
-  for (const sf of sfResults) {
-    centers.push(sf.center);
-    for (const pos of sf.ring) {
-      allRing.push(pos);
-    }
-  }
-  if (allRing.length === 0) return;
-
-  const { originX, originY } = getOrigin();
-
-  // Phase 1: Flash ring tiles bright (200ms)
-  await tween(200, t => {
-    for (const pos of allRing) {
-      if (ctx.grid[pos.col]?.[pos.row]) {
-        setCellOverride(pos.col, pos.row, {
-          scale: 1 + 0.15 * t,
-        });
-      }
-    }
-  }, easeOutCubic).promise;
-  if (ctx.boardGeneration !== gen) return;
-
-  // Phase 2: Shrink and fade ring tiles (300ms)
-  await tween(300, t => {
-    for (const pos of allRing) {
-      if (ctx.grid[pos.col]?.[pos.row]) {
-        setCellOverride(pos.col, pos.row, {
-          scale: (1.15) * (1 - t * 0.9),
-          alpha: 1 - t,
-        });
-      }
-    }
-  }, easeOutCubic).promise;
-  if (ctx.boardGeneration !== gen) return;
-
-  // Clear ring tiles
-  for (const pos of allRing) {
-    if (ctx.grid[pos.col]?.[pos.row] && ctx.grid[pos.col][pos.row].special !== 'grandpoobah') {
-      ctx.grid[pos.col][pos.row] = null;
-    }
-  }
-  clearAllOverrides();
-
-  // ── Phase 3: CELEBRATION — star piece appears with flair ──────
-
-  // Spawn particle bursts from each star center
-  for (const center of centers) {
-    const px = hexToPixel(center.col, center.row, originX, originY);
-    spawnCreationParticles(px.x, px.y, 20);
-  }
-
-  let queuedStarflowers = 0;
-  // Mutate center to be a Starflower
-  for (const sf of sfResults) {
-    if (sf.centerAlreadySpecial) {
-      queuedStarflowers++;
-    } else {
-      const center = sf.center;
-      if (ctx.grid[center.col] && ctx.grid[center.col][center.row]) {
-        ctx.grid[center.col][center.row].colorIndex = -1;
-        ctx.grid[center.col][center.row].special = 'starflower';
-        delete ctx.grid[center.col][center.row].bombTimer;
-      }
-    }
-  }
-
-  // Star piece pulse: scale up big then settle
-  await tween(500, t => {
-    for (const center of centers) {
-      let scale;
-      if (t < 0.25) {
-        scale = 1 + 0.5 * (t / 0.25);
-      } else {
-        const settleT = (t - 0.25) / 0.75;
-        scale = 1.5 - 0.5 * settleT;
-      }
-      setCellOverride(center.col, center.row, { scale });
-    }
-  }, easeOutCubic).promise;
-  if (ctx.boardGeneration !== gen) return;
-
-  clearAllOverrides();
-
-  // Animated gravity
-  const fallMap = computeFallDistances(ctx);
-  if (fallMap.length > 0) {
-    const maxDist = Math.max(...fallMap.map(f => f.dist));
-    const fallDuration = GRAVITY_MS * maxDist;
-
-    const fallers = fallMap.map(f => {
-      const startPx = hexToPixel(f.col, f.fromRow, originX, originY);
-      const endPx = hexToPixel(f.col, f.toRow, originX, originY);
-      setCellOverride(f.col, f.fromRow, { hidden: true });
-      return {
-        fp: addFloatingPiece({
-          x: startPx.x, y: startPx.y,
-          colorIndex: f.colorIndex,
-          special: f.special,
-          bombTimer: f.bombTimer,
-          scale: 1, alpha: 1, shadow: false,
-        }),
-        startY: startPx.y,
-        endY: endPx.y,
-      };
-    });
-
-    await tween(fallDuration, t => {
-      for (const f of fallers) {
-        f.fp.y = f.startY + (f.endY - f.startY) * t;
-      }
-    }, easeOutBounce).promise;
-    if (ctx.boardGeneration !== gen) { for (const f of fallers) removeFloatingPiece(f.fp); return; }
-
-    for (const f of fallers) removeFloatingPiece(f.fp);
-    clearAllOverrides();
-  }
-
-  applyGravity(ctx.grid, ctx.activeCols, ctx.activeRows);
-  {
-    const mode = getActiveGameMode();
-    const filled = fillEmpty(ctx.grid, ctx.activeCols, ctx.activeRows, undefined, mode.hasBombs && ctx.bombQueued, { starflowers: queuedStarflowers, blackpearls: 0 }, mode.isPuzzle);
-    if (mode.hasBombs && ctx.bombQueued && filled.length > 0) ctx.setBombQueued(false);
-  }
-}
-
-export async function runCascade(ctx, initialMatches, gen = ctx.boardGeneration) {
-  const pendingMatches = new Set(initialMatches);
-  const multiplierClusters = detectMultiplierClusters(ctx.grid);
-
-  // 1. Merge multiplier clusters into pendingMatches
-  const explosionSources = [];
-  const colorNukeColors = new Set();
-  let scoreBonus = 1;
-
-  for (const cluster of multiplierClusters) {
-    const clusterArr = Array.from(cluster);
-    for (const key of cluster) pendingMatches.add(key);
-
-    const colors = new Set(clusterArr.map(k => {
-      const [c,r] = k.split(',').map(Number);
-      return ctx.grid[c]?.[r]?.colorIndex;
-    }));
-
-    if (colors.size === 1) {
-      colorNukeColors.add(colors.values().next().value);
-    } else {
-      for (const k of cluster) explosionSources.push(k);
-    }
-    scoreBonus += 0.5 * cluster.size;
-  }
-
-  // 2. Check for Bomb + Multiplier (Same Color) in pendingMatches
-  const colorPresence = {};
-  for (const key of pendingMatches) {
-    const [c,r] = key.split(',').map(Number);
-    const cell = ctx.grid[c]?.[r];
-    if (!cell) continue;
-    const color = cell.colorIndex;
-    if (!colorPresence[color]) colorPresence[color] = { hasBomb: false, hasMultiplier: false };
-
-    if (cell.special === 'bomb') colorPresence[color].hasBomb = true;
-    if (cell.special === 'multiplier') {
-      colorPresence[color].hasMultiplier = true;
-      scoreBonus += 0.5;
-    }
-  }
-
-  for (const color in colorPresence) {
-    if (colorPresence[color].hasBomb && colorPresence[color].hasMultiplier) {
-      colorNukeColors.add(Number(color));
-    }
-  }
-
-  // 3. Apply Actions (expand pendingMatches)
-
-  // Color Nuke
-  if (colorNukeColors.size > 0) {
-    for (let c = 0; c < ctx.activeCols; c++) {
-      for (let r = 0; r < ctx.activeRows; r++) {
-        if (ctx.grid[c][r] && colorNukeColors.has(ctx.grid[c][r].colorIndex)) {
-            if (ctx.grid[c][r].colorIndex >= 0) {
-              pendingMatches.add(`${c},${r}`);
-            }
-        }
-      }
-    }
-  }
-
-  // Explosion
-  for (const srcKey of explosionSources) {
-    const [c, r] = srcKey.split(',').map(Number);
-    const nbrs = getNeighbors(c, r);
-    for (const n of nbrs) {
-      if (n.col >= 0 && n.col < ctx.activeCols && n.row >= 0 && n.row < ctx.activeRows) {
-        if (ctx.grid[n.col]?.[n.row] &&
-            ctx.grid[n.col][n.row].special !== 'blackpearl' &&
-            ctx.grid[n.col][n.row].special !== 'starflower' &&
-            ctx.grid[n.col][n.row].special !== 'grandpoobah') {
-             pendingMatches.add(`${n.col},${n.row}`);
-        }
-      }
-    }
-  }
-
-  const matches = pendingMatches;
-
-  // ── Star match special effects (play BEFORE the flash-and-clear) ─
+export async function animateMatch(ctx, event, gen = ctx.boardGeneration) {
   const { originX, originY } = getOrigin();
-
-  if (colorNukeColors.size > 0 && multiplierClusters.length > 0) {
-    const nukeColor = colorNukeColors.values().next().value;
-    const nukeCluster = multiplierClusters.find(cluster => {
-      const arr = Array.from(cluster);
-      const colors = new Set(arr.map(k => { const [c,r] = k.split(',').map(Number); return ctx.grid[c][r]?.colorIndex; }));
-      return colors.size === 1 && colors.has(nukeColor);
-    });
-    if (nukeCluster) {
-      const arr = Array.from(nukeCluster);
-      let sumX = 0, sumY = 0;
-      for (const k of arr) {
-        const [c,r] = k.split(',').map(Number);
-        const px = hexToPixel(c, r, originX, originY);
-        sumX += px.x; sumY += px.y;
-      }
-      const cx = sumX / arr.length, cy = sumY / arr.length;
-      spawnColorNukeParticles(cx, cy, nukeColor, 50);
-      const colorRGBs = [[224,48,48],[232,128,32],[32,128,224],[48,168,64],[128,64,192],[32,176,176]];
-      const [rr,gg,bb] = colorRGBs[nukeColor] || [255,255,255];
-      flashScreenOverlay(rr, gg, bb, 0.18, 35);
-      spawnRingShockwave(cx, cy, 200, rr, gg, bb);
-      spawnRingShockwave(cx, cy, 140, rr, gg, bb);
-      await new Promise(res => setTimeout(res, 250));
-      if (ctx.boardGeneration !== gen) return;
-    }
-  } else if (explosionSources.length > 0) {
+  const centroid = cells => {
     let sumX = 0, sumY = 0;
-    for (const k of explosionSources) {
-      const [c,r] = k.split(',').map(Number);
-      const px = hexToPixel(c, r, originX, originY);
+    for (const pos of cells) {
+      const px = hexToPixel(pos.col, pos.row, originX, originY);
       sumX += px.x; sumY += px.y;
     }
-    const cx = sumX / explosionSources.length, cy = sumY / explosionSources.length;
+    return { x: sumX / cells.length, y: sumY / cells.length };
+  };
+
+  // ── Star match special effects (play BEFORE the flash-and-clear) ─
+  if (event.nuke) {
+    const { x: cx, y: cy } = centroid(event.nuke.cells);
+    const nukeColor = event.nuke.color;
+    spawnColorNukeParticles(cx, cy, nukeColor, 50);
+    const colorRGBs = [[224,48,48],[232,128,32],[32,128,224],[48,168,64],[128,64,192],[32,176,176]];
+    const [rr,gg,bb] = colorRGBs[nukeColor] || [255,255,255];
+    flashScreenOverlay(rr, gg, bb, 0.18, 35);
+    spawnRingShockwave(cx, cy, 200, rr, gg, bb);
+    spawnRingShockwave(cx, cy, 140, rr, gg, bb);
+    await delay(250);
+    if (ctx.boardGeneration !== gen) return 0;
+  } else if (event.explosion) {
+    const { x: cx, y: cy } = centroid(event.explosion.sources);
 
     spawnExplosionParticles(cx, cy, 70);
     flashScreenOverlay(255, 200, 80, 0.20, 30);
@@ -867,51 +534,35 @@ export async function runCascade(ctx, initialMatches, gen = ctx.boardGeneration)
           if (!ctx.grid[c]?.[r]) continue;
           const px = hexToPixel(c, r, originX, originY);
           const dist = Math.hypot(px.x - cx, px.y - cy);
-          const delay = dist / 400;
-          const localT = Math.max(0, Math.min(1, (t - delay) / (1 - delay)));
+          const lag = dist / 400;
+          const localT = Math.max(0, Math.min(1, (t - lag) / (1 - lag)));
           const shake = Math.sin(localT * Math.PI * 3) * 5 * (1 - t);
           setCellOverride(c, r, { offsetX: shake, offsetY: shake * 0.5 });
         }
       }
       requestRedraw();
     }, linear).promise;
-    if (ctx.boardGeneration !== gen) return;
+    if (ctx.boardGeneration !== gen) return 0;
     clearAllOverrides();
   }
 
-  // ── Scenario 3: Bomb + Star nuke — detect and add extra effect ─
-  {
-    let bombNukeColor = -1;
-    for (const color in colorPresence) {
-      if (colorPresence[color].hasBomb && colorPresence[color].hasMultiplier) {
-        bombNukeColor = Number(color);
-        break;
-      }
-    }
-    if (bombNukeColor >= 0) {
-      let bombPx = null;
-      for (const key of matches) {
-        const [c,r] = key.split(',').map(Number);
-        if (ctx.grid[c]?.[r]?.special === 'bomb' && ctx.grid[c]?.[r]?.colorIndex === bombNukeColor) {
-          bombPx = hexToPixel(c, r, originX, originY);
-          break;
-        }
-      }
-      if (bombPx) {
-        flashScreenOverlay(255, 30, 30, 0.28, 40);
-        spawnExplosionParticles(bombPx.x, bombPx.y, 50);
-        spawnRingShockwave(bombPx.x, bombPx.y, 220, 255, 60, 30);
-        spawnRingShockwave(bombPx.x, bombPx.y, 130, 255, 120, 60);
-        await new Promise(res => setTimeout(res, 200));
-        if (ctx.boardGeneration !== gen) return;
-      }
-    }
+  // ── Scenario 3: Bomb + Star nuke — extra effect on the bomb ─────
+  if (event.bombNuke) {
+    const bombPx = hexToPixel(event.bombNuke.cell.col, event.bombNuke.cell.row, originX, originY);
+    flashScreenOverlay(255, 30, 30, 0.28, 40);
+    spawnExplosionParticles(bombPx.x, bombPx.y, 50);
+    spawnRingShockwave(bombPx.x, bombPx.y, 220, 255, 60, 30);
+    spawnRingShockwave(bombPx.x, bombPx.y, 130, 255, 120, 60);
+    await delay(200);
+    if (ctx.boardGeneration !== gen) return 0;
   }
 
-  // ── Flash matched cells ────────────────────────────────────
+  // ── Flash matched cells; thawed ones just shudder ──────────
   await tween(MATCH_FLASH_MS, t => {
-    for (const key of matches) {
-      const [c, r] = key.split(',').map(Number);
+    for (const { col: c, row: r } of event.thawed ?? []) {
+      setCellOverride(c, r, { scale: 1 + 0.08 * Math.sin(Math.PI * t) });
+    }
+    for (const { col: c, row: r } of event.cells) {
       if (ctx.grid[c]?.[r]) {
         if (t < 0.3) {
           setCellOverride(c, r, { scale: 1 + 0.1 * (t / 0.3) });
@@ -925,124 +576,102 @@ export async function runCascade(ctx, initialMatches, gen = ctx.boardGeneration)
       }
     }
   }, easeOutCubic).promise;
-  if (ctx.boardGeneration !== gen) return;
+  if (ctx.boardGeneration !== gen) return 0;
 
   // ── Remove matched cells ───────────────────────────────────
-  const points = awardMatch(matches.size, scoreBonus);
+  const points = awardMatch(event.size, event.bonus, event.points);
 
   // Floating score popup at centroid of cleared cells
-  {
-    const { originX, originY } = getOrigin();
-    let sumX = 0, sumY = 0;
-    for (const key of matches) {
-      const [c, r] = key.split(',').map(Number);
-      const px = hexToPixel(c, r, originX, originY);
-      sumX += px.x;
-      sumY += px.y;
-    }
-    spawnScorePopup(sumX / matches.size, sumY / matches.size, points, getChainLevel());
+  if (event.cells.length > 0) {
+    const { x, y } = centroid(event.cells);
+    spawnScorePopup(x, y, points, getChainLevel());
   }
 
-  for (const key of matches) {
-    const [c, r] = key.split(',').map(Number);
-    if (ctx.grid[c]) ctx.grid[c][r] = null;
-  }
   clearAllOverrides();
-  requestRedraw();
+  adoptSnapshot(ctx, event);
+  return points;
+}
 
-  // ── Starflower detection at cleared positions ──────────────
-  const sfMid = detectStarflowersAtCleared(ctx.grid, matches);
-  if (sfMid.length > 0) {
-    await animateStarflowerCreation(ctx, sfMid);
-    if (ctx.boardGeneration !== gen) return;
+/**
+ * Replay a `gravity` event: every faller drops from its old row to its new
+ * one with a bounce, then the settled snapshot is adopted.
+ */
+export async function animateGravity(ctx, event, gen = ctx.boardGeneration) {
+  const { originX, originY } = getOrigin();
+  const maxDist = Math.max(...event.falls.map(f => f.dist));
+  const fallDuration = GRAVITY_MS * maxDist;
+
+  const fallers = event.falls.map(f => {
+    const startPx = hexToPixel(f.col, f.fromRow, originX, originY);
+    const endPx = hexToPixel(f.col, f.toRow, originX, originY);
+    setCellOverride(f.col, f.fromRow, { hidden: true });
+    return {
+      fp: addFloatingPiece({
+        x: startPx.x, y: startPx.y,
+        colorIndex: f.colorIndex,
+        special: f.special,
+        bombTimer: f.bombTimer,
+        ice: f.ice,
+        chained: f.chained,
+        scale: 1, alpha: 1, shadow: false,
+      }),
+      startY: startPx.y,
+      endY: endPx.y,
+    };
+  });
 
-    const bpMid = detectBlackPearls(ctx.grid);
-    if (bpMid.length > 0) {
-      await animateBlackPearlCreation(ctx, bpMid);
-      if (ctx.boardGeneration !== gen) return;
+  await tween(fallDuration, t => {
+    for (const f of fallers) {
+      f.fp.y = f.startY + (f.endY - f.startY) * t;
     }
-  }
-
-  // ── Gravity: animate pieces falling ────────────────────────
-  const fallMap = computeFallDistances(ctx);
-
-  if (fallMap.length > 0) {
-    const maxDist = Math.max(...fallMap.map(f => f.dist));
-    const fallDuration = GRAVITY_MS * maxDist;
-    const { originX, originY } = getOrigin();
-
-    const fallers = fallMap.map(f => {
-      const startPx = hexToPixel(f.col, f.fromRow, originX, originY);
-      const endPx = hexToPixel(f.col, f.toRow, originX, originY);
-      setCellOverride(f.col, f.fromRow, { hidden: true });
-      return {
-        fp: addFloatingPiece({
-          x: startPx.x,
-          y: startPx.y,
-          colorIndex: f.colorIndex,
-          special: f.special,
-          bombTimer: f.bombTimer,
-          scale: 1,
-          alpha: 1,
-          shadow: false,
-        }),
-        startY: startPx.y,
-        endY: endPx.y,
-        x: startPx.x,
-      };
-    });
-
-    await tween(fallDuration, t => {
-      for (const f of fallers) {
-        f.fp.y = f.startY + (f.endY - f.startY) * t;
-      }
-    }, easeOutBounce).promise;
-    if (ctx.boardGeneration !== gen) return;
-
-    for (const f of fallers) removeFloatingPiece(f.fp);
-    clearAllOverrides();
-  }
-
-  // Commit gravity and fill
-  applyGravity(ctx.grid, ctx.activeCols, ctx.activeRows);
-  {
-    const mode = getActiveGameMode();
-    const filled = fillEmpty(ctx.grid, ctx.activeCols, ctx.activeRows, undefined, mode.hasBombs && ctx.bombQueued, undefined, mode.isPuzzle);
-    if (mode.hasBombs && ctx.bombQueued && filled.length > 0) ctx.setBombQueued(false);
-  }
-  requestRedraw();
+  }, easeOutBounce).promise;
 
+  for (const f of fallers) removeFloatingPiece(f.fp);
+  clearAllOverrides();
+  if (ctx.boardGeneration !== gen) return;
+  adoptSnapshot(ctx, event);
 }
 
 /**
- * Compute how far each non-null cell needs to fall.
- * Returns [{ col, fromRow, toRow, dist, colorIndex }]
+ * Replay a `reshuffled` event: every plain tile lifts off, arcs to its new
+ * cell and lands; specials hold still. A repainted tile (from === to) just
+ * dips and comes back in its new color.
  */
-export function computeFallDistances(ctx) {
-  const result = [];
-  for (let c = 0; c < ctx.activeCols; c++) {
-    if (!ctx.grid[c]) continue;
-    let writeRow = ctx.activeRows - 1;
-    for (let r = ctx.activeRows - 1; r >= 0; r--) {
-      if (ctx.grid[c][r] !== null) {
-        if (r !== writeRow) {
-          result.push({
-            col: c,
-            fromRow: r,
-            toRow: writeRow,
-            dist: writeRow - r,
-            colorIndex: ctx.grid[c][r].colorIndex,
-            special: ctx.grid[c][r].special,
-            bombTimer: ctx.grid[c][r].bombTimer,
-          });
-        }
-        writeRow--;
-      }
+export async function animateReshuffle(ctx, event, gen = ctx.boardGeneration) {
+  const { originX, originY } = getOrigin();
+
+  const flyers = event.moves.map(({ from, to }) => {
+    const cell = event.grid[to.col][to.row];
+    const start = hexToPixel(from.col, from.row, originX, originY);
+    const end = hexToPixel(to.col, to.row, originX, originY);
+    setCellOverride(from.col, from.row, { hidden: true });
+    setCellOverride(to.col, to.row, { hidden: true });
+    return {
+      fp: addFloatingPiece({
+        x: start.x, y: start.y,
+        colorIndex: cell.colorIndex,
+        special: cell.special,
+        scale: 1, alpha: 1, shadow: true,
+      }),
+      start, end,
+    };
+  });
+
+  await tween(RESHUFFLE_MS, t => {
+    const lift = Math.sin(Math.PI * t);
+    for (const f of flyers) {
+      f.fp.x = f.start.x + (f.end.x - f.start.x) * t;
+      f.fp.y = f.start.y + (f.end.y - f.start.y) * t - 12 * lift;
+      f.fp.scale = 1 - 0.35 * lift;
     }
-  }
-  return result;
+  }, easeOutCubic).promise;
+
+  for (const f of flyers) removeFloatingPiece(f.fp);
+  clearAllOverrides();
+  if (ctx.boardGeneration !== gen) return;
+  adoptSnapshot(ctx, event);
 }
 
 export function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+  return new Promise(resolve => setTimeout(resolve, ms / getTimeScale()));
 }
\ No newline at end of file
@@ -67,8 +67,9 @@ const TENSION_SEND = 0.35;
 // session; the beds are stopped at game over long before it matters.
 const BED_SECONDS = 420;
 
-// How busy the floor is per mode. Chill is nearly still; arcade leans in.
-const MODE_INTENSITY = { arcade: 0.6, chill: 0.25, puzzle: 0.4 };
+// How busy the floor is per mode. Chill is nearly still; arcade leans in and
+// blitz, on the clock, leans in hardest.
+const MODE_INTENSITY = { arcade: 0.6, chill: 0.25, blitz: 0.7, puzzle: 0.4 };
 
 // Urgency, quantised. The tension layer can only change by being re-scheduled,
 // so this has to be a handful of steps rather than a continuous value — and the
@@ -0,0 +1,95 @@
+/**
+ * blitz.js — The Blitz clock: two minutes on the board, topped up by chains
+ * and special formations.
+ *
+ * The clock is a setTimeout chain, not a frame-loop callback: the frame loop
+ * parks on a settled board (frame.js), and a countdown has to keep going while
+ * the player stares at one. It steps every BLITZ_TICK_MS and counts only the
+ * real time since its previous step. Whenever `isHeld()` says the game is
+ * paused (a modal, a suspended iframe, no move made yet) the chain stops
+ * outright instead of counting, and runBlitzClock() picks it up again from
+ * a fresh timestamp — so time spent paused is never charged.
+ *
+ * Nothing here touches the DOM; main.js owns the HUD and the game-over flow.
+ */
+
+/** A fresh Blitz game. */
+export const BLITZ_DURATION_MS = 120_000;
+
+/** How often the clock steps (and the HUD can update). */
+export const BLITZ_TICK_MS = 250;
+
+/** Time a turn earns back: per cascade step after the first, and per special formed. */
+const CHAIN_BONUS_MS = 1000;
+const FORMATION_BONUS_MS = { starflower: 2000, blackpearl: 3000, grandpoobah: 5000 };
+
+let remainingMs = BLITZ_DURATION_MS;
+let timer = null;
+let lastStep = 0;
+let hooks = null;
+
+/**
+ * Seconds a resolved turn adds to the clock, from its engine events.
+ * @param {Array<{type: string}>} events — a resolveMove() event list
+ * @returns {number} ms
+ */
+export function blitzTimeBonus(events) {
+  let bonus = 0;
+  for (const e of events) {
+    if (e.type === 'chain') bonus += CHAIN_BONUS_MS;
+    if (e.type === 'formed') bonus += (FORMATION_BONUS_MS[e.special] ?? 0) * e.formations.length;
+  }
+  return bonus;
+}
+
+/** `m:ss`, rounding up so the clock reads 0:00 only when time is really out. */
+export function formatBlitzClock(ms) {
+  const seconds = Math.ceil(Math.max(0, ms) / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+export function getBlitzRemaining() { return remainingMs; }
+
+/** Set the clock (a new game, or a saved one coming back) and stop it. */
+export function resetBlitzClock(ms = BLITZ_DURATION_MS) {
+  stopBlitzClock();
+  remainingMs = ms;
+}
+
+export function addBlitzTime(ms) {
+  remainingMs += ms;
+}
+
+/**
+ * Start (or keep) the clock running. Idempotent, so call it from anywhere the
+ * game might have just become unpaused.
+ * @param {object} h
+ * @param {() => boolean} h.isHeld — true while time must not pass
+ * @param {(remainingMs: number) => void} h.onTick — after every step
+ * @param {() => void} h.onExpire — once, when the clock reaches zero
+ */
+export function runBlitzClock(h) {
+  hooks = h;
+  if (timer !== null || remainingMs <= 0 || h.isHeld()) return;
+  lastStep = Date.now();
+  timer = setTimeout(step, BLITZ_TICK_MS);
+}
+
+export function stopBlitzClock() {
+  if (timer !== null) clearTimeout(timer);
+  timer = null;
+}
+
+function step() {
+  timer = null;
+  if (hooks.isHeld()) return;
+  const now = Date.now();
+  remainingMs = Math.max(0, remainingMs - (now - lastStep));
+  lastStep = now;
+  hooks.onTick(remainingMs);
+  if (remainingMs === 0) {
+    hooks.onExpire();
+    return;
+  }
+  timer = setTimeout(step, BLITZ_TICK_MS);
+}
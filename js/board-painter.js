@@ -0,0 +1,173 @@
+/**
+ * board-painter.js — What the puzzle editor's paint brushes do to a grid.
+ *
+ * The canvas paint mode (puzzle-editor.js) keeps a grid of its own and runs
+ * every stroke through paintCell() or floodFill(); the board string it shows
+ * is encodePuzzleBoard() of that grid after each change. Nothing here touches
+ * the DOM, so the rules are testable on their own.
+ *
+ * Brush kinds:
+ *   color        a tile of `colorIndex`; a bomb or multiplier keeps what it
+ *                is and takes the new color
+ *   bomb / multiplier  the cell's color (red on anything colorless) with that
+ *                special; a bomb takes the brush's fuse, so repainting a bomb
+ *                just resets its timer
+ *   whole        a starflower, black pearl or Grand Poobah
+ *   stone / void the obstacle, or a cell cut out of the board
+ *   ice          one more layer of ice, up to MAX_ICE, then none again
+ *   chain        chained on / off
+ *   erase        an empty cell
+ * Ice and chains ride on pieces only; the other brushes keep them when the
+ * cell stays a piece.
+ */
+
+import { TILE_COLORS, BOMB_INITIAL_TIMER } from './constants.js';
+import { getNeighbors } from './hex-math.js';
+import { voidCell, isVoid } from './board-shapes.js';
+import { stoneCell, isStone } from './obstacles.js';
+
+/** Thickest ice a brush lays down before it cycles back to none. */
+export const MAX_ICE = 3;
+
+/** Smallest and largest board the painter can resize to. */
+export const MIN_PAINT_SIZE = 3;
+export const MAX_PAINT_SIZE = 9;
+
+export const PAINT_BRUSHES = [
+  ...TILE_COLORS.map((color, i) => ({ id: color.name, kind: 'color', colorIndex: i, label: color.name, swatch: color.base })),
+  { id: 'bomb',        kind: 'bomb',       label: 'Bomb',         icon: '💣' },
+  { id: 'multiplier',  kind: 'multiplier', label: 'Multiplier',   icon: '✴️' },
+  { id: 'starflower',  kind: 'whole',      label: 'Starflower',   icon: '✿', cell: { colorIndex: -1, special: 'starflower' } },
+  { id: 'blackpearl',  kind: 'whole',      label: 'Black Pearl',  icon: '⚫', cell: { colorIndex: -2, special: 'blackpearl' } },
+  { id: 'grandpoobah', kind: 'whole',      label: 'Grand Poobah', icon: '👑', cell: { colorIndex: -3, special: 'grandpoobah' } },
+  { id: 'stone',       kind: 'stone',      label: 'Stone',        icon: '🪨' },
+  { id: 'void',        kind: 'void',       label: 'Cut out',      icon: '⬡' },
+  { id: 'ice',         kind: 'ice',        label: 'Ice',          icon: '🧊' },
+  { id: 'chain',       kind: 'chain',      label: 'Chain',        icon: '⛓️' },
+  { id: 'erase',       kind: 'erase',      label: 'Erase',        icon: '🧽' },
+];
+
+export function getPaintBrush(id) {
+  return PAINT_BRUSHES.find(b => b.id === id) ?? PAINT_BRUSHES[0];
+}
+
+/** A piece that can carry ice and chains: anything but a void or a stone. */
+function isPiece(cell) {
+  return !!cell && !isVoid(cell) && !isStone(cell);
+}
+
+/** The ice and chain flags of `from`, copied onto `to`. */
+function keepModifiers(to, from) {
+  if (isPiece(from)) {
+    if (from.ice > 0) to.ice = from.ice;
+    if (from.chained) to.chained = true;
+  }
+  return to;
+}
+
+/**
+ * What `cell` becomes under `brush`. Returns a new cell (or null); `cell`
+ * itself is not changed.
+ * @param {object} [opts]
+ * @param {number} [opts.bombTimer=BOMB_INITIAL_TIMER] — fuse for the bomb brush
+ */
+export function paintedCell(cell, brush, { bombTimer = BOMB_INITIAL_TIMER } = {}) {
+  const colored = isPiece(cell) && cell.colorIndex >= 0;
+  switch (brush.kind) {
+    case 'color': {
+      const keep = colored && (cell.special === 'bomb' || cell.special === 'multiplier');
+      const next = keep ? { ...cell } : keepModifiers({ colorIndex: brush.colorIndex, special: null }, cell);
+      next.colorIndex = brush.colorIndex;
+      return next;
+    }
+    case 'bomb':
+    case 'multiplier': {
+      const next = keepModifiers({ colorIndex: colored ? cell.colorIndex : 0, special: brush.kind }, cell);
+      if (brush.kind === 'bomb') next.bombTimer = Math.max(1, bombTimer);
+      return next;
+    }
+    case 'whole':  return keepModifiers({ ...brush.cell }, cell);
+    case 'stone':  return stoneCell();
+    case 'void':   return voidCell();
+    case 'ice': {
+      if (!isPiece(cell)) return cell;
+      const next = { ...cell };
+      const layers = ((cell.ice ?? 0) + 1) % (MAX_ICE + 1);
+      if (layers > 0) next.ice = layers;
+      else delete next.ice;
+      return next;
+    }
+    case 'chain': {
+      if (!isPiece(cell)) return cell;
+      const next = { ...cell };
+      if (cell.chained) delete next.chained;
+      else next.chained = true;
+      return next;
+    }
+    case 'erase':  return null;
+    default:       return cell;
+  }
+}
+
+/**
+ * Paint one cell in place. Returns true when the cell changed (a click off
+ * the board, or a brush that leaves the cell as it was, does nothing).
+ */
+export function paintCell(grid, col, row, brush, opts) {
+  if (!grid[col] || row < 0 || row >= grid[col].length) return false;
+  const before = grid[col][row];
+  const after = paintedCell(before, brush, opts);
+  if (sameCell(before, after)) return false;
+  grid[col][row] = after;
+  return true;
+}
+
+/**
+ * Paint the region around (col, row) that looks like it: every cell joined
+ * to it through neighbors of the same color and kind — or, from an empty
+ * cell, through empty cells. Returns how many cells changed.
+ */
+export function floodFill(grid, col, row, brush, opts) {
+  const cols = grid.length;
+  const rows = grid[0]?.length ?? 0;
+  if (col < 0 || col >= cols || row < 0 || row >= rows) return 0;
+  const target = lookOf(grid[col][row]);
+  const region = [{ col, row }];
+  const seen = new Set([`${col},${row}`]);
+  for (let i = 0; i < region.length; i++) {
+    for (const n of getNeighbors(region[i].col, region[i].row)) {
+      const key = `${n.col},${n.row}`;
+      if (seen.has(key) || n.col < 0 || n.col >= cols || n.row < 0 || n.row >= rows) continue;
+      seen.add(key);
+      if (lookOf(grid[n.col][n.row]) === target) region.push(n);
+    }
+  }
+  let changed = 0;
+  for (const p of region) if (paintCell(grid, p.col, p.row, brush, opts)) changed++;
+  return changed;
+}
+
+/** A copy of `grid` at `cols` × `rows`: what overlaps is kept, new cells are empty. */
+export function resizeGrid(grid, cols, rows) {
+  const next = [];
+  for (let c = 0; c < cols; c++) {
+    next[c] = [];
+    for (let r = 0; r < rows; r++) {
+      const cell = grid[c]?.[r];
+      next[c][r] = cell ? { ...cell } : null;
+    }
+  }
+  return next;
+}
+
+/** Color and kind, without the fuse or modifiers: what a fill matches on. */
+function lookOf(cell) {
+  return cell ? `${cell.colorIndex}/${cell.special ?? ''}` : 'empty';
+}
+
+const CELL_FIELDS = ['colorIndex', 'special', 'bombTimer', 'ice', 'chained'];
+
+function sameCell(a, b) {
+  if (!a || !b) return a === b;
+  return CELL_FIELDS.every(f => a[f] === b[f]);
+}
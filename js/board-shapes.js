@@ -0,0 +1,149 @@
+/**
+ * board-shapes.js — Board masks: hexagon, diamond and donut layouts cut out
+ * of the cols × rows box.
+ *
+ * A masked-out position holds a void cell rather than null, so the shape
+ * travels with the grid itself — through cloneGrid(), saves, replays and
+ * puzzle codes — with no side channel to keep in step. A void never moves,
+ * matches, rotates, fills or clears: pieces fall past it to the open cells
+ * below, or stack on it when those are full.
+ */
+
+import { hexToPixel, offsetToAxial, getNeighbors } from './hex-math.js';
+
+/** colorIndex of a void cell, after the specials' -1 / -2 / -3. */
+export const VOID_COLOR = -4;
+
+export const BOARD_SHAPES = {
+  rectangle: { id: 'rectangle', label: 'Rectangle', icon: '▬' },
+  hexagon:   { id: 'hexagon',   label: 'Hexagon',   icon: '⬢' },
+  diamond:   { id: 'diamond',   label: 'Diamond',   icon: '◆' },
+  donut:     { id: 'donut',     label: 'Donut',     icon: '🍩' },
+};
+
+// The shape new endless games start on. A game in progress keeps the one it
+// was dealt: its voids are part of its saved grid.
+let activeShapeId = 'rectangle';
+
+export function loadActiveBoardShape() {
+  const saved = Arcade.state.get('boardShape');
+  if (saved && BOARD_SHAPES[saved]) activeShapeId = saved;
+}
+
+export function getActiveBoardShapeId() { return activeShapeId; }
+export function getBoardShape(id)        { return BOARD_SHAPES[id] || BOARD_SHAPES.rectangle; }
+export function getAllBoardShapes()      { return Object.values(BOARD_SHAPES); }
+
+export function setActiveBoardShape(id) {
+  activeShapeId = id;
+  Arcade.state.set('boardShape', id);
+}
+
+/** A fresh void cell. */
+export function voidCell() {
+  return { colorIndex: VOID_COLOR, special: 'void' };
+}
+
+export function isVoid(cell) {
+  return cell?.special === 'void';
+}
+
+/** On the board and not a void. An empty (null) cell mid-cascade is open. */
+export function isOpenCell(grid, col, row) {
+  return col >= 0 && col < grid.length && row >= 0 && row < (grid[0]?.length ?? 0)
+    && !isVoid(grid[col][row]);
+}
+
+// ─── Masks ──────────────────────────────────────────────────────
+
+/** Hex distance from the middle cell of the box. */
+function centerDistance(cols, rows) {
+  const center = offsetToAxial(Math.floor(cols / 2), Math.floor(rows / 2));
+  return (col, row) => {
+    const { q, r } = offsetToAxial(col, row);
+    const dq = q - center.q;
+    const dr = r - center.r;
+    return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+  };
+}
+
+const SHAPE_TESTS = {
+  hexagon(cols, rows) {
+    const radius = Math.floor((Math.min(cols, rows) - 1) / 2);
+    const dist = centerDistance(cols, rows);
+    return (col, row) => dist(col, row) <= radius;
+  },
+  donut(cols, rows) {
+    const radius = Math.floor((Math.min(cols, rows) - 1) / 2);
+    const dist = centerDistance(cols, rows);
+    return (col, row) => dist(col, row) <= radius && dist(col, row) > 1;
+  },
+  // |x| + |y| <= 1 in pixel space, scaled to the box.
+  diamond(cols, rows) {
+    const mid = hexToPixel(Math.floor(cols / 2), Math.floor(rows / 2), 0, 0);
+    const halfW = hexToPixel(cols - 1, 0, 0, 0).x / 2;
+    const halfH = hexToPixel(0, rows - 1, 0, 0).y / 2;
+    return (col, row) => {
+      const p = hexToPixel(col, row, 0, 0);
+      return Math.abs(p.x - mid.x) / halfW + Math.abs(p.y - mid.y) / halfH <= 1;
+    };
+  },
+};
+
+/**
+ * Which cells of a `cols` × `rows` box a shape plays on: mask[col][row] is
+ * true for a real cell. Null for the rectangle, where every cell is real.
+ *
+ * Cells that belong to no triangle of open cells are dropped as well — a
+ * lone tip could never be turned or matched, so a tile there would sit out
+ * the whole game.
+ * @returns {boolean[][]|null}
+ */
+export function shapeMask(shapeId, cols, rows) {
+  const makeTest = SHAPE_TESTS[shapeId];
+  if (!makeTest) return null;
+  const test = makeTest(cols, rows);
+  const mask = [];
+  for (let c = 0; c < cols; c++) {
+    mask[c] = [];
+    for (let r = 0; r < rows; r++) mask[c][r] = test(c, r);
+  }
+
+  const open = p => p.col >= 0 && p.col < cols && p.row >= 0 && p.row < rows && mask[p.col][p.row];
+  let pruned = true;
+  while (pruned) {
+    pruned = false;
+    for (let c = 0; c < cols; c++) {
+      for (let r = 0; r < rows; r++) {
+        if (!mask[c][r]) continue;
+        const nbrs = getNeighbors(c, r);
+        if (!nbrs.some((n, i) => open(n) && open(nbrs[(i + 1) % 6]))) {
+          mask[c][r] = false;
+          pruned = true;
+        }
+      }
+    }
+  }
+  return mask;
+}
+
+/**
+ * The shape a grid was built with, read back from its voids: the id of the
+ * built-in shape whose mask matches, or null for a layout none of them
+ * produce (a hand-drawn puzzle board).
+ */
+export function detectBoardShape(grid) {
+  const cols = grid.length;
+  const rows = grid[0]?.length ?? 0;
+  for (const { id } of getAllBoardShapes()) {
+    const mask = shapeMask(id, cols, rows);
+    let same = true;
+    for (let c = 0; c < cols && same; c++) {
+      for (let r = 0; r < rows && same; r++) {
+        same = isVoid(grid[c][r]) === (mask ? !mask[c][r] : false);
+      }
+    }
+    if (same) return id;
+  }
+  return null;
+}
@@ -4,38 +4,69 @@
 
 import { GRID_COLS, GRID_ROWS, PIECE_COLORS, BOMB_INITIAL_TIMER } from './constants.js';
 import { getNeighbors } from './hex-math.js';
-import { getActiveMatchMode } from './modes.js';
+import { voidCell, isVoid } from './board-shapes.js';
+import { isPinned, isInert } from './obstacles.js';
 
 /**
- * A cell in the grid.
- * @typedef {{ colorIndex: number, special: string|null }} Cell
+ * A cell in the grid. A shaped board's masked-out cells are voids
+ * (special 'void', see board-shapes.js); null is an empty cell waiting to fill.
+ * `ice` and `chained` mark obstacles (see obstacles.js).
+ * @typedef {{ colorIndex: number, special: string|null, bombTimer?: number,
+ *             ice?: number, chained?: boolean }} Cell
  */
 
 /**
  * Create a fresh grid filled with random colors.
  * grid[col][row]
+ * @param {() => number} [rng] — random source in [0, 1). Seeded games pass
+ *   their makeRng() stream so the board can be reproduced; defaults to Math.random.
+ * @param {boolean[][]|null} [mask] — shapeMask() of a shaped board; false
+ *   cells become voids and draw nothing from `rng`.
+ * @param {object|null} [rule] — a match rule with `quietDeal` (modes.js):
+ *   tiles it would clear are re-rolled until the deal has no match.
  * @returns {Cell[][]}
  */
-export function createGrid(cols = GRID_COLS, rows = GRID_ROWS, numColors = PIECE_COLORS.length) {
+export function createGrid(cols = GRID_COLS, rows = GRID_ROWS, numColors = PIECE_COLORS.length, rng = Math.random, mask = null, rule = null) {
   const grid = [];
   for (let c = 0; c < cols; c++) {
     grid[c] = [];
     for (let r = 0; r < rows; r++) {
+      if (mask && !mask[c][r]) {
+        grid[c][r] = voidCell();
+        continue;
+      }
       grid[c][r] = {
-        colorIndex: Math.floor(Math.random() * numColors),
+        colorIndex: Math.floor(rng() * numColors),
         special: null,
       };
     }
   }
   // Break up any initial 3-in-a-row matches so the player starts clean
-  eliminateInitialMatches(grid, cols, rows, numColors);
+  eliminateInitialMatches(grid, cols, rows, numColors, rng);
+  if (rule?.quietDeal) quietenDeal(grid, cols, rows, numColors, rng, rule);
   return grid;
 }
 
+/**
+ * Re-roll whatever `rule` would clear on a fresh deal, pass after pass, until
+ * nothing does (or the passes run out on a board too small to settle).
+ */
+function quietenDeal(grid, cols, rows, numColors, rng, rule) {
+  for (let pass = 0; pass < 100; pass++) {
+    const matched = rule.findMatches(grid, cols, rows);
+    if (matched.size === 0) return;
+    for (const key of matched) {
+      const [c, r] = key.split(',').map(Number);
+      const color = grid[c][r].colorIndex;
+      grid[c][r].colorIndex = (color + 1 + Math.floor(rng() * (numColors - 1))) % numColors;
+    }
+  }
+}
+
 /**
  * Brute-force re-roll cells that participate in initial matches.
  */
-function eliminateInitialMatches(grid, cols, rows, numColors) {
+function eliminateInitialMatches(grid, cols, rows, numColors, rng) {
   let changed = true;
   let safety = 0;
   while (changed && safety++ < 100) {
@@ -43,10 +74,11 @@ function eliminateInitialMatches(grid, cols, rows, numColors) {
     // Check all three axes
     for (let c = 0; c < cols; c++) {
       for (let r = 0; r < rows; r++) {
+        if (isVoid(grid[c][r]) || isInert(grid[c][r])) continue;
         const color = grid[c][r].colorIndex;
         for (const dir of axialDirections) {
           if (countRun(grid, c, r, dir, cols, rows) >= 3) {
-            grid[c][r].colorIndex = (color + 1 + Math.floor(Math.random() * (numColors - 1))) % numColors;
+            grid[c][r].colorIndex = (color + 1 + Math.floor(rng() * (numColors - 1))) % numColors;
             changed = true;
           }
         }
@@ -99,36 +131,35 @@ export function getCell(grid, col, row) {
   return grid[col][row];
 }
 
+/** What a rotation carries from cell to cell. Chains never move, so they stay behind. */
+const PIECE_FIELDS = ['colorIndex', 'special', 'bombTimer', 'ice'];
+
+function copyPiece(to, from) {
+  for (const field of PIECE_FIELDS) {
+    if (from[field] === undefined) delete to[field];
+    else to[field] = from[field];
+  }
+}
+
 /**
  * Swap color values of cells at positions within a cluster (rotation).
  * CW:  [0,1,2] → colors shift: 2→0, 0→1, 1→2
  * CCW: [0,1,2] → colors shift: 1→0, 2→1, 0→2
+ * Refuses (does nothing) when a cell is missing or pinned — a void, a stone
+ * or a chained piece.
  */
 export function rotateCluster(grid, cluster, clockwise) {
   const cells = cluster.map(h => grid[h.col]?.[h.row]);
-  if (cells.some(c => !c)) return;
+  if (cells.some(c => !c || isPinned(c))) return;
+  const saved = { ...cells[0] };
   if (clockwise) {
-    const saved = { ...cells[0] };
-    cells[0].colorIndex = cells[2].colorIndex;
-    cells[0].special = cells[2].special;
-    cells[0].bombTimer = cells[2].bombTimer;
-    cells[2].colorIndex = cells[1].colorIndex;
-    cells[2].special = cells[1].special;
-    cells[2].bombTimer = cells[1].bombTimer;
-    cells[1].colorIndex = saved.colorIndex;
-    cells[1].special = saved.special;
-    cells[1].bombTimer = saved.bombTimer;
+    copyPiece(cells[0], cells[2]);
+    copyPiece(cells[2], cells[1]);
+    copyPiece(cells[1], saved);
   } else {
-    const saved = { ...cells[0] };
-    cells[0].colorIndex = cells[1].colorIndex;
-    cells[0].special = cells[1].special;
-    cells[0].bombTimer = cells[1].bombTimer;
-    cells[1].colorIndex = cells[2].colorIndex;
-    cells[1].special = cells[2].special;
-    cells[1].bombTimer = cells[2].bombTimer;
-    cells[2].colorIndex = saved.colorIndex;
-    cells[2].special = saved.special;
-    cells[2].bombTimer = saved.bombTimer;
+    copyPiece(cells[0], cells[1]);
+    copyPiece(cells[1], cells[2]);
+    copyPiece(cells[2], saved);
   }
 }
 
@@ -136,38 +167,27 @@ export function rotateCluster(grid, cluster, clockwise) {
  * Rotate the 6 hex ring around a flower center.
  * CW:  each cell's data shifts one position forward in the ring.
  * CCW: each cell's data shifts one position backward.
+ * Refuses, like rotateCluster(), when a ring cell is missing or pinned.
  * @param {Array<{col, row}>} ring - 6 neighbor positions in clockwise order
  */
 export function rotateRing(grid, ring, clockwise) {
   const cells = ring.map(h => grid[h.col]?.[h.row]);
-  if (cells.some(c => !c)) return;
+  if (cells.some(c => !c || isPinned(c))) return;
   if (clockwise) {
-    const saved = { colorIndex: cells[5].colorIndex, special: cells[5].special, bombTimer: cells[5].bombTimer };
-    for (let i = 5; i > 0; i--) {
-      cells[i].colorIndex = cells[i - 1].colorIndex;
-      cells[i].special = cells[i - 1].special;
-      cells[i].bombTimer = cells[i - 1].bombTimer;
-    }
-    cells[0].colorIndex = saved.colorIndex;
-    cells[0].special = saved.special;
-    cells[0].bombTimer = saved.bombTimer;
+    const saved = { ...cells[5] };
+    for (let i = 5; i > 0; i--) copyPiece(cells[i], cells[i - 1]);
+    copyPiece(cells[0], saved);
   } else {
-    const saved = { colorIndex: cells[0].colorIndex, special: cells[0].special, bombTimer: cells[0].bombTimer };
-    for (let i = 0; i < 5; i++) {
-      cells[i].colorIndex = cells[i + 1].colorIndex;
-      cells[i].special = cells[i + 1].special;
-      cells[i].bombTimer = cells[i + 1].bombTimer;
-    }
-    cells[5].colorIndex = saved.colorIndex;
-    cells[5].special = saved.special;
-    cells[5].bombTimer = saved.bombTimer;
+    const saved = { ...cells[0] };
+    for (let i = 0; i < 5; i++) copyPiece(cells[i], cells[i + 1]);
+    copyPiece(cells[5], saved);
   }
 }
 
 /**
- * Find all matches on the board.
- * Returns an array of Sets, each containing {col, row} keys ("col,row") of matched cells.
- * Also returns a flat Set of all matched cell keys.
+ * Find all straight-line matches on the board: runs of 3+ along any of the
+ * three axes (the lines match rule, match-lines.js).
+ * @returns {Set<string>} flat Set of "col,row" keys of all matched cells
  */
 export function findMatches(grid, cols = GRID_COLS, rows = GRID_ROWS) {
   const allMatched = new Set();
@@ -179,6 +199,7 @@ export function findMatches(grid, cols = GRID_COLS, rows = GRID_ROWS) {
       if (grid[c][r].special === 'starflower') continue; // starflowers can't match
       if (grid[c][r].special === 'blackpearl') continue; // black pearls can't match in rows
       if (grid[c][r].special === 'grandpoobah') continue; // grandpoobahs don't start matches
+      if (isVoid(grid[c][r]) || isInert(grid[c][r])) continue; // nor do voids, stones or iced pieces
       const color = grid[c][r].colorIndex;
 
       for (const dir of axialDirections) {
@@ -194,7 +215,7 @@ export function findMatches(grid, cols = GRID_COLS, rows = GRID_ROWS) {
           const nrow = nr + (nq - (nq & 1)) / 2;
           if (nc < 0 || nc >= cols || nrow < 0 || nrow >= rows) break;
           const nCell = grid[nc]?.[nrow];
-          if (!nCell || (nCell.colorIndex !== color && nCell.special !== 'grandpoobah')) break;
+          if (!nCell || isInert(nCell) || (nCell.colorIndex !== color && nCell.special !== 'grandpoobah')) break;
           run.push({ col: nc, row: nrow });
         }
 
@@ -242,6 +263,7 @@ export function findTriangleMatches(grid, cols = GRID_COLS, rows = GRID_ROWS) {
       if (grid[c][r].special === 'starflower') continue;
       if (grid[c][r].special === 'blackpearl') continue;
       if (grid[c][r].special === 'grandpoobah') continue;
+      if (isVoid(grid[c][r]) || isInert(grid[c][r])) continue;
       const color = grid[c][r].colorIndex;
 
       const nbrs = getNeighbors(c, r);
@@ -257,6 +279,7 @@ export function findTriangleMatches(grid, cols = GRID_COLS, rows = GRID_ROWS) {
         const cellD = grid[D.col]?.[D.row];
 
         if (!cellB || !cellD) continue;
+        if (isVoid(cellB) || isVoid(cellD) || isInert(cellB) || isInert(cellD)) continue;
         if (cellB.special === 'starflower' || cellB.special === 'blackpearl') continue;
         if (cellD.special === 'starflower' || cellD.special === 'blackpearl') continue;
 
@@ -280,45 +303,49 @@ export function findTriangleMatches(grid, cols = GRID_COLS, rows = GRID_ROWS) {
 }
 
 /**
- * Find matches using the matching mode specified by the active match mode.
- */
-export function findMatchesForMode(grid, cols = GRID_COLS, rows = GRID_ROWS) {
-  return getActiveMatchMode().matchMode === 'classic'
-    ? findTriangleMatches(grid, cols, rows)
-    : findMatches(grid, cols, rows);
-}
-
-/**
- * Apply gravity — move pieces down to fill gaps.
+ * Apply gravity — move pieces down to fill gaps. Voids stay where they are:
+ * a piece falls past one into an empty cell below it, or rests on it when
+ * everything below is full.
  * Returns true if any pieces moved.
  */
 export function applyGravity(grid, cols = GRID_COLS, rows = GRID_ROWS) {
   let moved = false;
   for (let c = 0; c < cols; c++) {
     if (!grid[c]) continue;
-    // Walk from bottom up, shift non-null cells down
-    let writeRow = rows - 1;
+    // Walk from bottom up, shift non-null cells down into the next open row
+    let writeRow = openRowAtOrAbove(grid[c], rows - 1);
     for (let r = rows - 1; r >= 0; r--) {
-      if (grid[c][r]) {
-        if (r !== writeRow) {
-          grid[c][writeRow] = grid[c][r];
-          grid[c][r] = null;
-          moved = true;
-        }
-        writeRow--;
+      const cell = grid[c][r];
+      if (!cell || isVoid(cell)) continue;
+      if (r !== writeRow) {
+        grid[c][writeRow] = cell;
+        grid[c][r] = null;
+        moved = true;
       }
+      writeRow = openRowAtOrAbove(grid[c], writeRow - 1);
     }
   }
   return moved;
 }
 
+/**
+ * The lowest row at or above `row` in a column that is not a void, or -1.
+ * Gravity's landing slots; computeFalls() walks them the same way.
+ */
+export function openRowAtOrAbove(column, row) {
+  while (row >= 0 && isVoid(column[row])) row--;
+  return row;
+}
+
 /**
  * Fill null cells at the top of each column with new random pieces.
  * Returns array of {col, row} that were filled.
  * @param {boolean} spawnBomb - If true, one of the new pieces will be a bomb.
  * @param {object} spawnOptions - Options for spawning specific specials { starflowers: number, blackpearls: number }
+ * @param {() => number} [rng] - Random source; seeded games pass their session stream.
+ * @param {number} [bombTimer] - Fuse for a spawned bomb (arcade levels shorten it).
  */
-export function fillEmpty(grid, cols = GRID_COLS, rows = GRID_ROWS, numColors = PIECE_COLORS.length, spawnBomb = false, spawnOptions = { starflowers: 0, blackpearls: 0, grandpoobahs: 0 }, noRefill = false) {
+export function fillEmpty(grid, cols = GRID_COLS, rows = GRID_ROWS, numColors = PIECE_COLORS.length, spawnBomb = false, spawnOptions = { starflowers: 0, blackpearls: 0, grandpoobahs: 0 }, noRefill = false, rng = Math.random, bombTimer = BOMB_INITIAL_TIMER) {
   // noRefill: puzzle mode uses fixed boards — no new tiles spawn from the top.
   // Callers pass noRefill explicitly so board.js stays game-mode-agnostic.
   if (noRefill) return [];
@@ -327,8 +354,8 @@ export function fillEmpty(grid, cols = GRID_COLS, rows = GRID_ROWS, numColors =
   for (let c = 0; c < cols; c++) {
     for (let r = 0; r < rows; r++) {
       if (grid[c][r] === null) {
-        let special = Math.random() < 0.05 ? 'multiplier' : null;
-        let colorIndex = Math.floor(Math.random() * numColors);
+        let special = rng() < 0.05 ? 'multiplier' : null;
+        let colorIndex = Math.floor(rng() * numColors);
 
         if (spawnOptions.grandpoobahs > 0) {
           special = 'grandpoobah';
@@ -354,7 +381,7 @@ export function fillEmpty(grid, cols = GRID_COLS, rows = GRID_ROWS, numColors =
   }
 
   if (spawnBomb && filled.length > 0) {
-    const pick = filled[Math.floor(Math.random() * filled.length)];
+    const pick = filled[Math.floor(rng() * filled.length)];
     const cell = grid[pick.col][pick.row];
 
     // If the chosen cell was a queued special (grandpoobah, blackpearl, starflower),
@@ -368,11 +395,11 @@ export function fillEmpty(grid, cols = GRID_COLS, rows = GRID_ROWS, numColors =
     }
 
     cell.special = 'bomb';
-    cell.bombTimer = BOMB_INITIAL_TIMER;
+    cell.bombTimer = bombTimer;
 
     // Ensure the bomb has a valid color so it can be matched.
     if (cell.colorIndex < 0 || cell.colorIndex >= numColors) {
-      cell.colorIndex = Math.floor(Math.random() * numColors);
+      cell.colorIndex = Math.floor(rng() * numColors);
     }
   }
 
@@ -23,6 +23,9 @@ export const EXTRA_COLORS = [
   { name: 'teal', base: '#20B0B0', light: '#50E0E0', dark: '#106060' },
 ];
 
+// Every tile color by colorIndex: the five base colors, then teal (index 5)
+export const TILE_COLORS = [...PIECE_COLORS, ...EXTRA_COLORS];
+
 // Bright silver chrome for starflower pieces (colorIndex = -1, unmatchable)
 export const STARFLOWER_COLOR = {
   name: 'starflower', base: '#A0ADB8', light: '#D4DEE6', dark: '#4A5560',
@@ -38,6 +41,11 @@ export const GRAND_POOBAH_COLOR = {
   name: 'grandpoobah', base: '#FFD700', light: '#FFFFE0', dark: '#DAA520',
 };
 
+// Weathered granite for stone obstacles (colorIndex = -5, never matches)
+export const STONE_TILE_COLOR = {
+  name: 'stone', base: '#6B6560', light: '#9A938C', dark: '#3A3632',
+};
+
 // ─── UI ─────────────────────────────────────────────────────────
 export const FRAME_COLOR     = '#2A2D35';
 export const BOARD_BG_COLOR  = '#1A1D25';
@@ -49,6 +57,11 @@ export const CLUSTER_HIGHLIGHT = 'rgba(255, 255, 200, 0.55)';
 export const SCORE_BASE = { 3: 5, 4: 10, 5: 20 };
 export const CHAIN_MULTIPLIER_BASE = 1.5;
 
+// Combo overlay tiers, by matches in one cascade (renderer.js); the top one,
+// HECKN SIC!, is also an achievement (achievements.js)
+export const COMBO_THRESHOLDS = [2,  5,   7,  10,  12,  15];
+export const COMBO_LABELS     = ['COMBO', 'NICE!', 'SWEET!', 'AMAZING!', 'SICK!', 'HECKN SIC!'];
+
 // ─── Timing ─────────────────────────────────────────────────────
 export const FALL_SPEED = 0.008;       // cells per ms
 export const MATCH_FLASH_MS  = 500;    // flash + shrink before removal
@@ -56,6 +69,7 @@ export const GRAVITY_MS      = 120;    // per row of falling
 export const ROTATION_POP_MS = 100;    // scale-up "pop"
 export const ROTATION_SETTLE_MS = 200; // settle back "thunk"
 export const SPAWN_DROP_MS   = 200;    // new pieces drop in
+export const RESHUFFLE_MS    = 600;    // a dead board's tiles fly to their new cells
 
 // ─── Bombs ──────────────────────────────────────────────────────
 export const BOMB_INITIAL_TIMER  = 15; // moves before bomb explodes
@@ -0,0 +1,399 @@
+/**
+ * daily-generator.js — The daily puzzle for a date, built so it is known to
+ * be beatable.
+ *
+ * A random board is a poor bet: with nothing refilling, most goals can't be
+ * met on it at all, and the ones that can are seldom settled by a search
+ * small enough to finish on a phone. So a daily is planted backwards. Its
+ * last position is laid out first — an empty board for clear_all, a few
+ * leftover tiles for the rest — and each earlier one is made from the one
+ * after it: a triangle of one color is slid into the columns, then a cluster
+ * holding part of it is turned back a step. Played forwards, each of those
+ * turns forms the triangle, clears it and lets the columns fall to exactly
+ * the next position; resolveMove() checks every step. The planted line is a
+ * solution, and solver.js then searches the finished board for the shortest
+ * one, which par sits on.
+ *
+ * Everything is drawn from the date's seed, and the search budget counts
+ * positions rather than time, so every device builds the same daily.
+ * Building one takes a second or more — daily-puzzle.js runs this in a worker
+ * (daily-worker.js) and keeps what it gets.
+ */
+
+import { makeRng } from './arcade-rng.js';
+import { PIECE_COLORS } from './constants.js';
+import { encodePuzzleBoard, decodePuzzleBoard, evaluateGoal, freshGoalStats, tallyTurn } from './puzzles.js';
+import { resolveMove, enumerateMoves, stepMove, cloneGrid, isProductive } from './game-engine.js';
+import { getGameMode, matchRuleFor } from './modes.js';
+import { getNeighbors } from './hex-math.js';
+import { solvePuzzle, parForOptimal } from './solver.js';
+
+// ─── Seeded RNG ─────────────────────────────────────────────────
+// The generator rides the fleet's shared rng companion (js/arcade-rng.js,
+// vendored byte-identical copy of the launcher's /arcade-rng.js) — streams
+// are bit-identical to the old inline mulberry32 for the u32 seeds
+// hashString produces.
+
+// DELIBERATELY NOT the companion's hashU32: this multiply is a plain float
+// multiply (lossy above 2^53), so for multi-character strings it diverges
+// from true FNV-1a — and its outputs ARE the daily-puzzle contract across
+// every shipped version of this game. Stale service-worker caches keep old
+// versions live for a while after any deploy; "fixing" this to hashU32 would
+// hand players on different versions different puzzles for the same date.
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = (h * 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+// ─── Settings ───────────────────────────────────────────────────
+
+// Board, palette and planted line by day-of-month thirds: the month gets
+// harder as it goes.
+const DAILY_TIERS = [
+  { cols: 5, rows: 5, numColors: 4, steps: 4 },
+  { cols: 6, rows: 6, numColors: 4, steps: 5 },
+  { cols: 6, rows: 6, numColors: 4, steps: 6 },
+];
+
+const WEEKLY_GOAL_CYCLE = [
+  'clear_color',     // Sun
+  'defuse_bomb',     // Mon
+  'make_starflower', // Tue
+  'score',           // Wed
+  'clear_color',     // Thu
+  'clear_all',       // Fri
+  'score',           // Sat
+];
+
+/** Positions the solver may expand per candidate — the same on every device. */
+export const DAILY_SOLVE_BUDGET = 2000;
+/** Fewest moves a daily may be solved in; anything shorter is no puzzle. */
+export const DAILY_MIN_OPTIMAL = 3;
+/** Planted candidates the search may try before it takes the planted line's length. */
+export const DAILY_MAX_ATTEMPTS = 30;
+
+/** Placements tried for each planted triangle (or starflower) before a candidate is dropped. */
+const PLANT_TRIES = 30;
+/** Moves to spare on the bomb's fuse beyond the planted line. */
+const BOMB_SLACK = 2;
+
+const puzzleMode = getGameMode('puzzle');
+const puzzleRule = matchRuleFor(puzzleMode);
+
+// ─── Daily puzzle ───────────────────────────────────────────────
+
+/**
+ * Build the daily for a date: the first planted candidate whose shortest
+ * solution is at least DAILY_MIN_OPTIMAL moves, with par one over it. Past
+ * DAILY_MAX_ATTEMPTS the longest one found is taken instead — a planted line
+ * the search could not shorten counts as its own optimum.
+ *
+ * @param {string} dateStr — "YYYY-MM-DD"
+ * @returns puzzle object (same shape as PUZZLE_SECTORS entries), plus
+ *   `optimal` — the fewest moves that solve it, as far as the search could
+ *   tell — and `solution`, the moves of a line that does
+ */
+export function generateDailyPuzzle(dateStr) {
+  let best = null;
+  // Planting fails now and then; keep going until something is planted.
+  for (let attempt = 0; attempt < DAILY_MAX_ATTEMPTS || !best; attempt++) {
+    const candidate = plantDailyCandidate(dateStr, attempt);
+    if (!candidate) continue;
+    const result = solvePuzzle(candidate, { maxDepth: candidate.solution.length, maxNodes: DAILY_SOLVE_BUDGET });
+    const solution = result.solvable ? result.line : candidate.solution;
+    if (!best || solution.length > best.solution.length) best = { ...candidate, solution };
+    if (solution.length >= DAILY_MIN_OPTIMAL) break;
+  }
+  const { par, moveLimit } = parForOptimal(best.solution.length);
+  return { ...best, par, moveLimit, optimal: best.solution.length };
+}
+
+/**
+ * Candidate `attempt` for a date (seeds "<date>", "<date>#1", …), or null
+ * when no planting worked out.
+ */
+function plantDailyCandidate(dateStr, attempt) {
+  const rng = makeRng(hashString(attempt === 0 ? dateStr : `${dateStr}#${attempt}`));
+
+  const dayOfMonth = parseInt(dateStr.slice(8));
+  const { cols, rows, numColors, steps } = DAILY_TIERS[dayOfMonth <= 10 ? 0 : dayOfMonth <= 20 ? 1 : 2];
+  const dayOfWeek = new Date(dateStr + 'T12:00:00Z').getUTCDay(); // 0=Sun
+  const goalType  = WEEKLY_GOAL_CYCLE[dayOfWeek];
+  const pick = n => Math.floor(rng() * n);
+
+  // The position the planted line ends on, and the goal it meets there.
+  // Each turn of the line clears the triangles of the colors it lists.
+  let turns = Array.from({ length: steps }, () => [pick(numColors)]);
+  let grid;
+  let goal;
+  let bombAt = -1;
+  let cascade = false;
+  const line = [];
+  const otherThan = color => (color + 1 + pick(numColors - 1)) % numColors;
+  const withAnother = ([color]) => [color, otherThan(color)];
+  switch (goalType) {
+    case 'clear_all':
+      // The last turn has nothing else to swing against: it forms two
+      // triangles of different colors at once.
+      turns[0] = withAnother(turns[0]);
+      grid = emptyGrid(cols, rows);
+      goal = { type: 'clear_all' };
+      break;
+    case 'clear_color': {
+      // Only planted tiles carry the color, so the line clears every one.
+      const colorIndex = turns[0][0];
+      grid = leftoverGrid(cols, rows, numColors, rng, { avoid: colorIndex });
+      goal = { type: 'clear_color', colorIndex };
+      break;
+    }
+    case 'defuse_bomb': {
+      // One tile of the line's last triangle is the bomb, and no other tile
+      // shares its color: the line is the way to a triangle that clears it.
+      const bombColor = turns[0][0];
+      turns = turns.map((turn, i) => (i === 0 || turn[0] !== bombColor ? turn : [otherThan(bombColor)]));
+      grid = leftoverGrid(cols, rows, numColors, rng, { avoid: bombColor });
+      bombAt = pick(3);
+      goal = { type: 'defuse_bomb' };
+      break;
+    }
+    case 'make_starflower': {
+      // Only the ring carries its color, so it has to be put back together.
+      const ringColor = turns[0][0];
+      turns = turns.slice(1).map(turn => (turn[0] !== ringColor ? turn : [otherThan(ringColor)]));
+      const base = leftoverGrid(cols, rows, numColors, rng, { avoid: ringColor, low: 2, high: 3 });
+      const flower = plantStarflower(base, cols, rows, ringColor, rng);
+      if (!flower) return null;
+      grid = flower.grid;
+      line.unshift(flower.move);
+      goal = { type: 'make_starflower', count: 1 };
+      break;
+    }
+    default:
+      // Score: whatever the line scores. Every other turn sets off a
+      // cascade — one triangle drops into place as the other clears — so
+      // the target is out of reach of a lucky one.
+      turns = turns.slice(0, 3).map((turn, i) => (i % 2 ? turn : withAnother(turn)));
+      cascade = true;
+      grid = leftoverGrid(cols, rows, numColors, rng, { high: 1 });
+      goal = null;
+  }
+  if (!grid) return null;
+
+  for (let i = 0; i < turns.length; i++) {
+    const planted = plantTurn(grid, cols, rows, turns[i], rng, {
+      bombAt:  i === 0 ? bombAt : -1,
+      cascade: cascade && turns[i].length > 1,
+    });
+    if (!planted) return null;
+    grid = planted.grid;
+    line.unshift(planted.move);
+  }
+
+  const played = playLine(grid, cols, rows, line, goal);
+  if (!played) return null;
+  goal ??= { type: 'score', target: played.score };
+
+  return {
+    id:          `daily:${dateStr}`,
+    name:        `Daily — ${dateStr}`,
+    description: describeDaily(dayOfWeek, goal),
+    cols,
+    rows,
+    moveLimit:   line.length,
+    noRefill:    true,
+    goal,
+    board:       encodePuzzleBoard(grid, cols, rows),
+    solution:    line,
+    isDaily:     true,
+    dateStr,
+  };
+}
+
+function describeDaily(dayOfWeek, goal) {
+  const dayNames = ['Sun','Mon','Tue','Wed','Thu','Fri','Sat'];
+  const goalLabels = {
+    clear_color:     `Clear all ${PIECE_COLORS[goal.colorIndex]?.name ?? 'colored'} tiles`,
+    defuse_bomb:     'Defuse the bomb',
+    make_starflower: 'Form a starflower',
+    score:           `Score ${goal.target} points`,
+    clear_all:       'Clear the board',
+  };
+  return `${dayNames[dayOfWeek]}'s challenge: ${goalLabels[goal.type]}`;
+}
+
+// ─── Planting ───────────────────────────────────────────────────
+
+const emptyGrid = (cols, rows) => Array.from({ length: cols }, () => Array(rows).fill(null));
+
+/** Bottom-up stack of the tiles in column `c` (pieces rest at the bottom). */
+const stackOf = (grid, c, rows) => {
+  const stack = [];
+  for (let r = rows - 1; r >= 0 && grid[c][r]; r--) stack.push(grid[c][r]);
+  return stack;
+};
+
+/**
+ * A few tiles already resting at the bottom, with nothing on them that would
+ * resolve: what the line leaves behind. Each column is `low` to `high`
+ * tiles tall; `avoid` is a color none of them takes.
+ * @returns {Cell[][]|null}
+ */
+function leftoverGrid(cols, rows, numColors, rng, { avoid = -1, low = 0, high = 2 } = {}) {
+  const grid = emptyGrid(cols, rows);
+  const roll = () => {
+    const color = Math.floor(rng() * (avoid < 0 ? numColors : numColors - 1));
+    return avoid >= 0 && color >= avoid ? color + 1 : color;
+  };
+  for (let c = 0; c < cols; c++) {
+    const h = low + Math.floor(rng() * (high - low + 1));
+    for (let r = rows - h; r < rows; r++) grid[c][r] = { colorIndex: roll(), special: null };
+  }
+  for (let pass = 0; pass < PLANT_TRIES; pass++) {
+    const matched = puzzleRule.findMatches(grid, cols, rows);
+    if (matched.size === 0) break;
+    for (const key of matched) {
+      const [c, r] = key.split(',').map(Number);
+      grid[c][r].colorIndex = roll();
+    }
+  }
+  return isProductive(grid, cols, rows, puzzleRule) ? null : grid;
+}
+
+/**
+ * The position before `after`: a triangle of each of `colors` slid into the
+ * columns (everything above raised), then a cluster holding part of them and
+ * a tile of another color turned back one step. `bombAt` (0-2) makes that
+ * tile of the first triangle a bomb.
+ * @returns {{grid: Cell[][], move: Move}|null}
+ */
+function plantTurn(after, cols, rows, colors, rng, { bombAt = -1, cascade = false } = {}) {
+  const expected = encodePuzzleBoard(after, cols, rows);
+  for (let t = 0; t < PLANT_TRIES; t++) {
+    // The board the turn forms: the triangles in, every bomb a tick fresher.
+    let formed = cloneGrid(after);
+    for (const cell of formed.flat()) if (cell?.special === 'bomb') cell.bombTimer++;
+    const planted = [];
+    for (const colorIndex of colors) {
+      const slots = triangleSlots(formed, cols, rows);
+      if (slots.length === 0) return null;
+      const triangle = [0, 1, 2].map(() => ({ colorIndex, special: null }));
+      formed = slideIn(formed, cols, rows, slots[Math.floor(rng() * slots.length)], triangle);
+      planted.push(...triangle);
+    }
+    if (bombAt >= 0) Object.assign(planted[bombAt], { special: 'bomb', bombTimer: 1 + BOMB_SLACK });
+
+    const isPlanted = p => planted.includes(formed[p.col][p.row]);
+    const turns = enumerateMoves(formed, cols, rows).filter(m => m.kind === 'cluster'
+      && m.cells.some(isPlanted)
+      && new Set(m.cells.map(p => formed[p.col][p.row].colorIndex)).size > 1);
+    while (turns.length > 0) {
+      const [move] = turns.splice(Math.floor(rng() * turns.length), 1);
+      const before = cloneGrid(formed);
+      stepMove(before, move, !move.clockwise);
+      if (isProductive(before, cols, rows, puzzleRule)) continue;
+      const turn = resolveMove(before, move, { cols, rows, mode: puzzleMode });
+      if (turn.outcome === null && encodePuzzleBoard(turn.grid, cols, rows) === expected
+        && (!cascade || turn.events.some(e => e.type === 'chain'))) {
+        return { grid: before, move };
+      }
+    }
+  }
+  return null;
+}
+
+/** `grid` with `cells` slid into the columns at `slot`'s places. */
+function slideIn(grid, cols, rows, slot, cells) {
+  const next = emptyGrid(cols, rows);
+  for (let c = 0; c < cols; c++) {
+    const stack = stackOf(grid, c, rows);
+    slot.forEach(({ col, index }, i) => { if (col === c) stack.splice(index, 0, cells[i]); });
+    stack.forEach((cell, i) => { next[c][rows - 1 - i] = cell; });
+  }
+  return next;
+}
+
+/**
+ * Where a triangle can be slid in: two stacked tiles in one column and one in
+ * the next, each `index` counted from the bottom of its column, mutually
+ * touching once they are in.
+ */
+function triangleSlots(grid, cols, rows) {
+  const heights = Array.from({ length: cols }, (_, c) => stackOf(grid, c, rows).length);
+  const slots = [];
+  for (let c = 0; c < cols; c++) {
+    if (heights[c] + 2 > rows) continue;
+    for (const side of [c - 1, c + 1]) {
+      if (side < 0 || side >= cols || heights[side] + 1 > rows) continue;
+      for (let i = 0; i <= heights[c]; i++) {
+        for (let j = 0; j <= heights[side]; j++) {
+          const pair = [{ col: c, row: rows - 1 - i }, { col: c, row: rows - 2 - i }];
+          const third = { col: side, row: rows - 1 - j };
+          if (pair.every(p => getNeighbors(p.col, p.row).some(n => n.col === third.col && n.row === third.row))) {
+            slots.push([{ col: c, index: i }, { col: c, index: i + 1 }, { col: side, index: j }]);
+          }
+        }
+      }
+    }
+  }
+  return slots;
+}
+
+/**
+ * The last position of a starflower line: a ring of `color` around a
+ * different-colored center, with a cluster holding part of the ring turned
+ * back a step so the line's last move closes it.
+ * @returns {{grid: Cell[][], move: Move}|null}
+ */
+function plantStarflower(base, cols, rows, color, rng) {
+  if (!base) return null;
+  const centers = [];
+  for (let c = 1; c < cols - 1; c++) {
+    for (let r = 0; r < rows; r++) {
+      if (base[c][r] && getNeighbors(c, r).every(n => base[n.col]?.[n.row])) centers.push({ col: c, row: r });
+    }
+  }
+  for (let t = 0; t < PLANT_TRIES && centers.length > 0; t++) {
+    const [center] = centers.splice(Math.floor(rng() * centers.length), 1);
+    const ring = getNeighbors(center.col, center.row);
+    const formed = cloneGrid(base);
+    for (const { col, row } of ring) formed[col][row] = { colorIndex: color, special: null };
+    if (formed[center.col][center.row].colorIndex === color) continue;
+
+    const inRing = p => ring.some(q => q.col === p.col && q.row === p.row);
+    const turns = enumerateMoves(formed, cols, rows).filter(m => m.kind === 'cluster' && m.cells.some(inRing));
+    while (turns.length > 0) {
+      const [move] = turns.splice(Math.floor(rng() * turns.length), 1);
+      const before = cloneGrid(formed);
+      stepMove(before, move, !move.clockwise);
+      if (isProductive(before, cols, rows, puzzleRule)) continue;
+      const turn = resolveMove(before, move, { cols, rows, mode: puzzleMode });
+      if (turn.events.some(e => e.type === 'formed' && e.special === 'starflower')) return { grid: before, move };
+    }
+  }
+  return null;
+}
+
+/**
+ * Play `line` from `grid` the way the player would. Null if a move fails or
+ * the line ends short of `goal` (no goal: any line that plays through).
+ * @returns {{score: number}|null}
+ */
+function playLine(grid, cols, rows, line, goal) {
+  const board = decodePuzzleBoard(encodePuzzleBoard(grid, cols, rows), cols, rows);
+  let stats = freshGoalStats();
+  let current = board;
+  for (const move of line) {
+    const turn = resolveMove(current, move, {
+      cols, rows, mode: puzzleMode, moveCount: stats.totalMoves, score: stats.score,
+    });
+    if (!turn.acted || turn.outcome === 'gameOver') return null;
+    stats = tallyTurn(stats, turn.events, turn.score, goal ?? { type: 'score', target: Infinity });
+    current = turn.grid;
+  }
+  if (goal && !evaluateGoal(goal, current, stats, cols, rows).met) return null;
+  return { score: stats.score };
+}
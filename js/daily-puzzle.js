@@ -1,42 +1,26 @@
 /**
- * daily-puzzle.js — Date-seeded daily puzzle generation.
+ * daily-puzzle.js — The daily puzzle: dates, progress, streaks and archive.
  *
  * Every day everyone gets the same board. No server needed.
- * Board is deterministically generated from the date string as a seed.
+ * Board is deterministically generated from the date string as a seed
+ * (daily-generator.js), built so it is known to be beatable.
  *
  * Goals rotate on a weekly cycle so each day has a different challenge type.
  */
 
-import { PIECE_COLORS, GRID_COLS, GRID_ROWS } from './constants.js';
-import { getPuzzleProgress, savePuzzleProgress } from './storage.js';
-import { makeRng } from './arcade-rng.js';
-
-// ─── Seeded RNG ─────────────────────────────────────────────────
-// The generator rides the fleet's shared rng companion (js/arcade-rng.js,
-// vendored byte-identical copy of the launcher's /arcade-rng.js) — streams
-// are bit-identical to the old inline mulberry32 for the u32 seeds
-// hashString produces, so every already-shipped daily reproduces exactly.
-
-// DELIBERATELY NOT the companion's hashU32: this multiply is a plain float
-// multiply (lossy above 2^53), so for multi-character strings it diverges
-// from true FNV-1a — and its outputs ARE the daily-puzzle contract across
-// every shipped version of this game. Stale service-worker caches keep old
-// versions live for a while after any deploy; "fixing" this to hashU32 would
-// hand players on different versions different puzzles for the same date.
-function hashString(str) {
-  let h = 0x811c9dc5;
-  for (let i = 0; i < str.length; i++) {
-    h ^= str.charCodeAt(i);
-    h = (h * 0x01000193) >>> 0;
-  }
-  return h;
-}
+import { getPuzzleProgress, savePuzzleProgress, recordLongestStreak } from './storage.js';
+import { generateDailyPuzzle } from './daily-generator.js';
 
 // ─── Daily puzzle ID ────────────────────────────────────────────
 
 export function getDailyDateString(offsetDays = 0) {
   const d = new Date();
   d.setDate(d.getDate() + offsetDays);
+  return localDateString(d);
+}
+
+/** "YYYY-MM-DD" of a Date, read in local time. */
+function localDateString(d) {
   // The platform rule (Arcade.daily): dailies roll at the DEVICE-LOCAL
   // midnight, never UTC. Fall back to the same local-date format when the
   // SDK isn't loaded (node tests, standalone without the script tag).
@@ -45,169 +29,83 @@ export function getDailyDateString(offsetDays = 0) {
   return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())}`;
 }
 
+/** Whether `str` is a real calendar date written "YYYY-MM-DD". */
+export function isDailyDateString(str) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(str));
+  if (!match) return false;
+  const [, y, m, d] = match.map(Number);
+  const date = new Date(y, m - 1, d);
+  return date.getMonth() === m - 1 && date.getDate() === d;
+}
+
 export function getDailyPuzzleId(dateStr) {
   return `daily:${dateStr}`;
 }
 
 // ─── Board generation ───────────────────────────────────────────
+// Building a daily plants its board and searches it for par — a second or
+// more on a phone — so it runs in a worker (daily-worker.js), once per date
+// per device: the result is kept in Arcade.state.
 
-const DAILY_SIZES = [
-  { cols: 7, rows: 7 },
-  { cols: 7, rows: 7 },
-  { cols: 9, rows: 9 },
-];
-
-const WEEKLY_GOAL_CYCLE = [
-  'clear_color',     // Mon
-  'defuse_bomb',     // Tue
-  'make_starflower', // Wed
-  'score',           // Thu
-  'clear_color',     // Fri
-  'clear_all',       // Sat
-  'score',           // Sun
-];
+const DAILY_KEY_PREFIX = 'dailyPuzzle.';
+const dailyCache = new Map();
+const dailyBuilds = new Map();  // dateStr → Promise of the puzzle being built
+let dailyWorker = null;
 
 /**
- * Generate a daily puzzle definition from a date string.
+ * The daily for a date if it has been built already — this session or an
+ * earlier one — else null.
  * @param {string} dateStr — "YYYY-MM-DD"
- * @returns puzzle object (same shape as PUZZLE_SECTORS entries)
  */
-export function generateDailyPuzzle(dateStr) {
-  const seed = hashString(dateStr);
-  const rng  = makeRng(seed);
-
-  // Board size based on day-of-month thirds
-  const dayOfMonth = parseInt(dateStr.slice(8));
-  const sizeIdx    = dayOfMonth <= 10 ? 0 : dayOfMonth <= 20 ? 1 : 2;
-  const { cols, rows } = DAILY_SIZES[sizeIdx];
-
-  // Goal from weekly cycle
-  const dayOfWeek = new Date(dateStr + 'T12:00:00Z').getUTCDay(); // 0=Sun
-  const goalType  = WEEKLY_GOAL_CYCLE[dayOfWeek];
-
-  // Move limit: scales with board size — generous enough to be solvable
-  const cellCount  = cols * rows;
-  const moveLimit  = Math.round(cellCount * 0.35 + 5);
-  const par        = Math.round(moveLimit * 0.65);
-
-  // Number of colors: 3 early month, 4 mid, 5 late
-  const numColors  = sizeIdx === 0 ? 3 : sizeIdx === 1 ? 4 : 5;
-
-  // Generate board with seeded RNG.
-  // Use a Map keyed by "c,r" for O(1) neighbour lookup instead of O(n) Array.find.
-  const gridData = [];
-  const gridMap  = new Map();
-  for (let c = 0; c < cols; c++) {
-    for (let r = 0; r < rows; r++) {
-      const cell = { c, r, colorIndex: Math.floor(rng() * numColors), special: null };
-      gridData.push(cell);
-      gridMap.set(`${c},${r}`, cell);
-    }
-  }
-
-  // Break obvious 3-in-a-row (simple pass — won't be perfect but avoids instant clears)
-  for (let pass = 0; pass < 3; pass++) {
-    for (const cell of gridData) {
-      const { c, r } = cell;
-      const neighbors = [
-        gridMap.get(`${c+1},${r}`),
-        gridMap.get(`${c},${r+1}`),
-        gridMap.get(`${c+1},${r-1}`),
-      ];
-      for (const n of neighbors) {
-        if (n && n.colorIndex === cell.colorIndex) {
-          n.colorIndex = (n.colorIndex + 1 + Math.floor(rng() * (numColors - 1))) % numColors;
-        }
-      }
-    }
-  }
+export function peekDailyPuzzle(dateStr) {
+  const puzzle = dailyCache.get(dateStr) ?? Arcade.state.get(`${DAILY_KEY_PREFIX}${dateStr}`);
+  if (!puzzle) return null;
+  dailyCache.set(dateStr, puzzle);
+  return structuredClone(puzzle);
+}
 
-  // Build goal
-  let goal;
-  let targetColorIndex = null;
-  switch (goalType) {
-    case 'clear_color': {
-      // Pick the color with the most tiles
-      const counts = Array(numColors).fill(0);
-      gridData.forEach(c => counts[c.colorIndex]++);
-      targetColorIndex = counts.indexOf(Math.max(...counts));
-      goal = { type: 'clear_color', colorIndex: targetColorIndex };
-      break;
-    }
-    case 'defuse_bomb': {
-      // Place a bomb on a random cell
-      const idx = Math.floor(rng() * gridData.length);
-      gridData[idx].special = 'bomb';
-      gridData[idx].bombTimer = Math.round(moveLimit * 0.6);
-      goal = { type: 'defuse_bomb' };
-      break;
-    }
-    case 'make_starflower': {
-      goal = { type: 'make_starflower', count: 1 };
-      break;
-    }
-    case 'score': {
-      goal = { type: 'score', target: Math.round(cellCount * 3.5) };
-      break;
-    }
-    case 'clear_all': {
-      // clear_all on a 9×9 board is not reliably solvable.
-      // Constrain to a 5×5 sub-region of the generated board so the goal is achievable.
-      // gridData is already generated — just truncate to the top-left 5×5 cells.
-      const clearCols = 5, clearRows = 5;
-      gridData.splice(0, gridData.length,
-        ...gridData.filter(({ c, r }) => c < clearCols && r < clearRows)
-      );
-      goal = { type: 'clear_all', _boardCols: clearCols, _boardRows: clearRows };
-      break;
-    }
-    default:
-      goal = { type: 'score', target: 100 };
+/**
+ * The daily for a date, built the first time it is asked for. Every caller
+ * gets its own copy.
+ * @param {string} dateStr — "YYYY-MM-DD"
+ * @returns {Promise<object>} puzzle object (daily-generator.js
+ *   generateDailyPuzzle)
+ */
+export async function loadDailyPuzzle(dateStr) {
+  const built = peekDailyPuzzle(dateStr);
+  if (built) return built;
+  if (!dailyBuilds.has(dateStr)) {
+    dailyBuilds.set(dateStr, buildDailyPuzzle(dateStr).then(puzzle => {
+      dailyBuilds.delete(dateStr);
+      dailyCache.set(dateStr, puzzle);
+      Arcade.state.set(`${DAILY_KEY_PREFIX}${dateStr}`, puzzle);
+      return puzzle;
+    }));
   }
+  return structuredClone(await dailyBuilds.get(dateStr));
+}
 
-  // Encode board string
-  const board = gridData.map(({ c, r, colorIndex, special, bombTimer }) => {
-    let token = `${c}:${r}:${colorIndex}`;
-    if (special === 'bomb') token += `b${bombTimer}`;
-    else if (special === 'starflower') token += 's';
-    else if (special === 'blackpearl') token += 'p';
-    return token;
-  }).join(' ');
-
-  const dayNames = ['Sun','Mon','Tue','Wed','Thu','Fri','Sat'];
-  const goalLabels = {
-    clear_color:     `Clear all ${PIECE_COLORS[targetColorIndex]?.name ?? 'colored'} tiles`,
-    defuse_bomb:     'Defuse the bomb',
-    make_starflower: 'Form a starflower',
-    score:           `Score ${goal.target} points`,
-    clear_all:       'Clear the board',
-  };
-
-  // clear_all goal uses a smaller board — use overrides if present
-  const finalCols = goal._boardCols ?? cols;
-  const finalRows = goal._boardRows ?? rows;
-  // Strip internal _board* hints from the goal before returning
-  const { _boardCols, _boardRows, ...cleanGoal } = goal;
-  // Recalculate move limit for smaller clear_all boards
-  const finalMoveLimit = (finalCols !== cols)
-    ? Math.round(finalCols * finalRows * 0.5 + 4)
-    : moveLimit;
-  const finalPar = Math.round(finalMoveLimit * 0.65);
-
-  return {
-    id:          getDailyPuzzleId(dateStr),
-    name:        `Daily — ${dateStr}`,
-    description: `${dayNames[dayOfWeek]}'s challenge: ${goalLabels[goalType]}`,
-    cols:        finalCols,
-    rows:        finalRows,
-    moveLimit:   finalMoveLimit,
-    par:         finalPar,
-    noRefill: true,
-    goal:        cleanGoal,
-    board,
-    isDaily: true,
-    dateStr,
-  };
+/** Run the generator in the worker, or right here where there is none. */
+function buildDailyPuzzle(dateStr) {
+  if (typeof Worker === 'undefined') return Promise.resolve(generateDailyPuzzle(dateStr));
+  dailyWorker ??= new Worker(new URL('./daily-worker.js', import.meta.url), { type: 'module' });
+  const worker = dailyWorker;
+  return new Promise((resolve) => {
+    const done = (puzzle) => {
+      worker.removeEventListener('message', onMessage);
+      worker.removeEventListener('error', onError);
+      resolve(puzzle);
+    };
+    const onMessage = ({ data }) => { if (data.dateStr === dateStr) done(data.puzzle); };
+    // A worker that won't start (no module workers) costs a pause, not the daily.
+    const onError = () => {
+      if (dailyWorker === worker) dailyWorker = null;
+      done(generateDailyPuzzle(dateStr));
+    };
+    worker.addEventListener('message', onMessage);
+    worker.addEventListener('error', onError);
+    worker.postMessage({ dateStr });
+  });
 }
 
 // ─── Daily progress helpers ─────────────────────────────────────
@@ -220,6 +118,103 @@ export function saveDailyProgress(dateStr, result) {
   savePuzzleProgress(getDailyPuzzleId(dateStr), result);
 }
 
+/** Today's daily, as loadDailyPuzzle. */
 export function getTodaysPuzzle() {
-  return generateDailyPuzzle(getDailyDateString());
+  return loadDailyPuzzle(getDailyDateString());
+}
+
+// ─── Streaks ────────────────────────────────────────────────────
+// A streak counts consecutive local dates whose daily was solved on the day;
+// archive solves never extend one. Only the last such date is stored
+// (Arcade.state 'dailyStreak'), so a missed day shows as a broken streak the
+// next time it's read, however long the app was closed.
+
+const STREAK_KEY = 'dailyStreak';
+
+/** The local date before `dateStr`. */
+function previousDate(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return localDateString(new Date(y, m - 1, d - 1));
+}
+
+/**
+ * Count a same-day solve of `dateStr`'s daily towards the streak, and
+ * publish a new longest streak as a record.
+ * @returns {{current: number, longest: number}}
+ */
+export function recordDailySolve(dateStr) {
+  const saved = Arcade.state.get(STREAK_KEY) ?? { current: 0, longest: 0, lastDate: null };
+  if (saved.lastDate && saved.lastDate >= dateStr) return getDailyStreak();
+  const current = saved.lastDate === previousDate(dateStr) ? saved.current + 1 : 1;
+  const longest = Math.max(saved.longest, current);
+  Arcade.state.set(STREAK_KEY, { current, longest, lastDate: dateStr });
+  if (longest > saved.longest) recordLongestStreak(longest);
+  return { current, longest };
+}
+
+/**
+ * The streak as of today: still running when its last solve was today or
+ * yesterday, otherwise 0.
+ * @returns {{current: number, longest: number}}
+ */
+export function getDailyStreak() {
+  const saved = Arcade.state.get(STREAK_KEY);
+  if (!saved) return { current: 0, longest: 0 };
+  const today = getDailyDateString();
+  const alive = saved.lastDate === today || saved.lastDate === previousDate(today);
+  return { current: alive ? saved.current : 0, longest: saved.longest };
+}
+
+// ─── Archive ────────────────────────────────────────────────────
+// Any past day's daily can still be played from the calendar. Its stars land
+// on the same daily:<date> progress, but only a solve on the day itself sets
+// `solvedOnDay` (storage.js savePuzzleProgress) — the mark streaks and the
+// dailies-solved stat go by.
+
+/** Whether `dateStr` is a day before today (local). */
+export function isArchiveDate(dateStr) {
+  return dateStr < getDailyDateString();
+}
+
+/**
+ * The daily for any date up to today, as loadDailyPuzzle; past ones are
+ * flagged `isArchive`.
+ */
+export async function getDailyPuzzle(dateStr) {
+  const puzzle = await loadDailyPuzzle(dateStr);
+  if (isArchiveDate(dateStr)) puzzle.isArchive = true;
+  return puzzle;
+}
+
+/**
+ * One month of dailies for the archive calendar, Monday first. Days outside
+ * the month are null. Nothing is generated: a day is only its date and
+ * progress.
+ * @param {number} year
+ * @param {number} month — 0-11
+ * @returns {Array<Array<null|{dateStr: string, day: number, stars: number,
+ *   solved: boolean, solvedOnDay: boolean, isToday: boolean, isFuture: boolean}>>} weeks
+ */
+export function getDailyCalendar(year, month) {
+  const today = getDailyDateString();
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  const lead = (new Date(year, month, 1).getDay() + 6) % 7;  // Mon=0
+  const cells = Array(lead).fill(null);
+  for (let day = 1; day <= daysInMonth; day++) {
+    const dateStr = localDateString(new Date(year, month, day));
+    const progress = getDailyProgress(dateStr);
+    cells.push({
+      dateStr,
+      day,
+      stars:       progress?.stars ?? 0,
+      solved:      !!progress?.solved,
+      solvedOnDay: !!progress?.solvedOnDay,
+      isToday:     dateStr === today,
+      isFuture:    dateStr > today,
+    });
+  }
+  while (cells.length % 7) cells.push(null);
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) weeks.push(cells.slice(i, i + 7));
+  return weeks;
 }
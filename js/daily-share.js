@@ -0,0 +1,59 @@
+/**
+ * daily-share.js — Spoiler-free result text for a solved daily.
+ *
+ * The text says how the solve went — date, stars, moves against par and one
+ * emoji per move — but nothing about the board, so it can be posted before
+ * everyone has played. It ends with a link that opens the same day's daily
+ * (main.js reads ?daily=YYYY-MM-DD).
+ */
+
+/** What one move did, best first: a special beats a chain beats a match. */
+export const MOVE_OUTCOMES = {
+  special: '🌟',
+  chain:   '🟪',
+  match:   '🟦',
+  none:    '⬛',
+};
+
+/**
+ * Classify one move from the events its turn produced (game-engine.js
+ * resolveMove): forming or setting off a special, a cascade, a plain
+ * match, or nothing.
+ * @param {object[]} events
+ * @returns {keyof MOVE_OUTCOMES}
+ */
+export function moveOutcome(events) {
+  if (events.some(e => e.type === 'formed' || (e.type === 'matched' && e.detonated > 0))) return 'special';
+  if (events.some(e => e.type === 'chain')) return 'chain';
+  if (events.some(e => e.type === 'matched')) return 'match';
+  return 'none';
+}
+
+/** The link that opens `dateStr`'s daily, from the page's own address. */
+export function dailyLink(dateStr, baseUrl) {
+  return `${baseUrl}?daily=${dateStr}`;
+}
+
+/**
+ * The text to share.
+ * @param {object} result
+ * @param {string} result.dateStr
+ * @param {number} result.stars
+ * @param {number} result.movesUsed
+ * @param {number} result.par
+ * @param {Array<keyof MOVE_OUTCOMES>} result.outcomes — one per move, in order
+ * @param {boolean} [result.isArchive] — played from the archive, not on the day
+ * @param {boolean} [result.assisted] — undo or a hint was used
+ * @param {string} result.link
+ */
+export function dailyShareText({ dateStr, stars, movesUsed, par, outcomes, isArchive = false, assisted = false, link }) {
+  const diff = movesUsed - par;
+  const vsPar = diff === 0 ? 'par' : diff < 0 ? `${-diff} under par` : `${diff} over par`;
+  const notes = [isArchive && 'archive', assisted && 'assisted'].filter(Boolean);
+  return [
+    `Hecknsic Daily ${dateStr}${notes.length ? ` (${notes.join(', ')})` : ''}`,
+    `${'⭐'.repeat(stars)}${'☆'.repeat(3 - stars)} ${movesUsed} moves · ${vsPar}`,
+    outcomes.map(o => MOVE_OUTCOMES[o] ?? MOVE_OUTCOMES.none).join(''),
+    link,
+  ].join('\n');
+}
@@ -0,0 +1,10 @@
+/**
+ * daily-worker.js — Builds daily puzzles off the main thread for
+ * daily-puzzle.js: post `{ dateStr }`, get back `{ dateStr, puzzle }`.
+ */
+
+import { generateDailyPuzzle } from './daily-generator.js';
+
+self.addEventListener('message', ({ data: { dateStr } }) => {
+  self.postMessage({ dateStr, puzzle: generateDailyPuzzle(dateStr) });
+});
@@ -0,0 +1,754 @@
+/**
+ * game-engine.js — Headless move resolution.
+ *
+ * The rules of a turn live here and nowhere else: rotate, tick bombs, queue a
+ * bomb, form Grand Poobahs / Black Pearls / Starflowers, match, detonate
+ * multiplier clusters, score, gravity and refill. Nothing in this module
+ * touches the canvas, tweens, the DOM or audio, so a whole turn can run under
+ * `node --test`.
+ *
+ * resolveMove() works on a copy of the grid and returns the resulting grid
+ * plus an ordered list of events. main.js and animations.js replay those
+ * events; they never re-derive a rule. Every event that changes the board
+ * carries `grid`, a snapshot taken right after that step, so the replayer can
+ * animate the transition and then adopt the snapshot verbatim — which is also
+ * why random refills can't drift between the engine and what the player sees.
+ *
+ * Event types, in the order they can appear:
+ *   rotated       { move, steps, grid }
+ *   bombsTicked   { bombs: [{col,row,bombTimer}], grid }
+ *   bombQueued    {}
+ *   chain         { level }                      — a cascade step after the first
+ *   overAchiever  { center, ring }               — ends resolution
+ *   formed        { special, formations: [{center, ring, queued}], incidental, grid }
+ *   gameWon       {}                             — after a Grand Poobah forms
+ *   matched       { cells, thawed, size, bonus, points, chainLevel, detonated, nuke, explosion, bombNuke, grid }
+ *                                                — `cells` includes the stones the
+ *                                                  match broke; `thawed` the iced
+ *                                                  pieces that only lost their ice
+ *                                                  and `detonated` how many
+ *                                                  multiplier clusters went off
+ *   gravity       { falls: [{col,fromRow,toRow,dist,colorIndex,special,bombTimer,ice,chained}], grid }
+ *   refilled      { cells: [{col,row}], grid }
+ *   levelUp       { level }                      — arcade: the score passed the next threshold
+ *   bombExpired   { cells: [{col,row}] }         — game over
+ *   reshuffled    { moves: [{from,to}], penalty, grid } — the turn left the
+ *                                                  board without a productive move
+ */
+
+import { PIECE_COLORS, BOMB_INITIAL_TIMER } from './constants.js';
+import { rotateCluster, rotateRing, applyGravity, fillEmpty, openRowAtOrAbove } from './board.js';
+import { isVoid } from './board-shapes.js';
+import { isPinned, isStone, cellsNextTo } from './obstacles.js';
+import {
+  detectMultiplierClusters, detectStarflowers, detectStarflowersAtCleared,
+  detectBlackPearls, detectGrandPoobahs, detectGrandPoobahRing, tickBombs,
+} from './specials.js';
+import { getNeighbors } from './hex-math.js';
+import { getActiveGameMode, getActiveMatchMode, matchRuleFor } from './modes.js';
+import { levelThreshold, colorsForLevel, bombTimerForLevel } from './levels.js';
+
+/**
+ * A player move. `cells` are the positions that turn, in the order
+ * rotateCluster / rotateRing expect; `center` is the starflower or black
+ * pearl a ring or Y turns around.
+ * @typedef {{ kind: 'cluster'|'ring'|'y', cells: Array<{col:number,row:number}>,
+ *             center?: {col:number,row:number}, clockwise: boolean }} Move
+ */
+
+/** Rotation steps a move may take before it gives up. A cluster keeps turning
+ *  until something happens or it is back where it started; a ring or Y turns
+ *  exactly once. */
+export const MOVE_STEPS = { cluster: 3, ring: 1, y: 1 };
+
+// ─── Grid helpers ───────────────────────────────────────────────
+
+/** Deep copy of a grid (cells are plain objects). */
+export function cloneGrid(grid) {
+  return grid.map(col => col.map(cell => (cell ? { ...cell } : null)));
+}
+
+/**
+ * Overwrite `target` with a copy of `source`, keeping the outer array's
+ * identity so anything holding a reference to the live grid stays valid.
+ */
+export function copyGridInto(target, source) {
+  target.length = source.length;
+  for (let c = 0; c < source.length; c++) {
+    target[c] = source[c].map(cell => (cell ? { ...cell } : null));
+  }
+}
+
+function gridCols(grid) { return grid.length; }
+function gridRows(grid) { return grid[0]?.length ?? 0; }
+
+function inBounds(p, cols, rows) {
+  return p.col >= 0 && p.col < cols && p.row >= 0 && p.row < rows;
+}
+
+/**
+ * How far each piece falls when gravity is applied. Computed before
+ * applyGravity so the replayer knows where every faller started. A piece
+ * that drops past a void counts the void's row in its `dist`.
+ * @returns {Array<{col, fromRow, toRow, dist, colorIndex, special, bombTimer, ice, chained}>}
+ */
+export function computeFalls(grid, cols = gridCols(grid), rows = gridRows(grid)) {
+  const result = [];
+  for (let c = 0; c < cols; c++) {
+    if (!grid[c]) continue;
+    let writeRow = openRowAtOrAbove(grid[c], rows - 1);
+    for (let r = rows - 1; r >= 0; r--) {
+      const cell = grid[c][r];
+      if (cell === null || cell === undefined || isVoid(cell)) continue;
+      if (r !== writeRow) {
+        result.push({
+          col: c,
+          fromRow: r,
+          toRow: writeRow,
+          dist: writeRow - r,
+          colorIndex: cell.colorIndex,
+          special: cell.special,
+          bombTimer: cell.bombTimer,
+          ice: cell.ice,
+          chained: cell.chained,
+        });
+      }
+      writeRow = openRowAtOrAbove(grid[c], writeRow - 1);
+    }
+  }
+  return result;
+}
+
+// ─── Moves ──────────────────────────────────────────────────────
+
+/** Ring move around a starflower: its 6 neighbors, clockwise. */
+export function ringMove(center, clockwise) {
+  return { kind: 'ring', center, cells: getNeighbors(center.col, center.row), clockwise };
+}
+
+/** Y move around a black pearl: neighbors 0, 2 and 4. */
+export function yMove(center, clockwise) {
+  const nbrs = getNeighbors(center.col, center.row);
+  return { kind: 'y', center, cells: [nbrs[0], nbrs[2], nbrs[4]], clockwise };
+}
+
+/** Plain 3-hex cluster move. */
+export function clusterMove(cells, clockwise) {
+  return { kind: 'cluster', cells, clockwise };
+}
+
+/** Apply one rotation step of `move` to `grid` in place. */
+export function stepMove(grid, move, clockwise = move.clockwise) {
+  if (move.kind === 'ring') rotateRing(grid, move.cells, clockwise);
+  else rotateCluster(grid, move.cells, clockwise);
+}
+
+/**
+ * Would resolution do anything on this board right now? The same test the
+ * rotation animation uses to stop turning early. `rule` is the match rule
+ * (modes.js) — the one in play by default.
+ */
+export function isProductive(grid, cols = gridCols(grid), rows = gridRows(grid), rule = getActiveMatchMode()) {
+  return rule.findMatches(grid, cols, rows).size > 0
+    || detectStarflowers(grid).length > 0
+    || detectBlackPearls(grid).length > 0
+    || detectGrandPoobahs(grid).length > 0;
+}
+
+/**
+ * Every move a player could make: each starflower ring, each black pearl Y
+ * and each 3-hex triangle, in both directions. Triangles are listed once,
+ * from their top-left-most vertex. Nothing that would move a void, a stone
+ * or a chained piece is listed.
+ * @returns {Move[]}
+ */
+export function enumerateMoves(grid, cols = gridCols(grid), rows = gridRows(grid)) {
+  const moves = [];
+  const present = p => inBounds(p, cols, rows) && !!grid[p.col]?.[p.row] && !isPinned(grid[p.col][p.row]);
+
+  for (let c = 0; c < cols; c++) {
+    if (!grid[c]) continue;
+    for (let r = 0; r < rows; r++) {
+      const cell = grid[c][r];
+      if (!cell || isPinned(cell)) continue;
+      const center = { col: c, row: r };
+      const nbrs = getNeighbors(c, r);
+
+      if (cell.special === 'starflower' && nbrs.every(present)) {
+        moves.push(ringMove(center, true), ringMove(center, false));
+      }
+
+      if (cell.special === 'blackpearl' && [nbrs[0], nbrs[2], nbrs[4]].every(present)) {
+        moves.push(yMove(center, true), yMove(center, false));
+      }
+
+      for (let i = 0; i < 6; i++) {
+        const b = nbrs[i];
+        const d = nbrs[(i + 1) % 6];
+        if (!present(b) || !present(d)) continue;
+        if (b.col < c || (b.col === c && b.row < r)) continue;
+        if (d.col < c || (d.col === c && d.row < r)) continue;
+        const cells = [center, { col: b.col, row: b.row }, { col: d.col, row: d.row }];
+        moves.push(clusterMove(cells, true), clusterMove(cells, false));
+      }
+    }
+  }
+  return moves;
+}
+
+/**
+ * Does a single step of `move` make the board productive? Rotates the live
+ * grid and rotates it back; try/finally guarantees the undo runs even if a
+ * detector throws, so the grid is never left half-turned.
+ */
+export function isProductiveStep(grid, move, cols = gridCols(grid), rows = gridRows(grid), rule = getActiveMatchMode()) {
+  stepMove(grid, move, move.clockwise);
+  try {
+    return isProductive(grid, cols, rows, rule);
+  } finally {
+    stepMove(grid, move, !move.clockwise);
+  }
+}
+
+/**
+ * Is there any move that would produce a match or a special formation?
+ * Only a single step in each direction needs testing: a cluster's second step
+ * one way is its first step the other way.
+ */
+export function hasValidMoves(grid, cols = gridCols(grid), rows = gridRows(grid), rule = getActiveMatchMode()) {
+  return enumerateMoves(grid, cols, rows).some(move => isProductiveStep(grid, move, cols, rows, rule));
+}
+
+// ─── Deadlock ───────────────────────────────────────────────────
+
+/** Shuffles tried before reshuffleBoard() starts repainting instead. */
+export const RESHUFFLE_ATTEMPTS = 50;
+
+/**
+ * A dead board rearranged so it has a productive move and nothing that would
+ * resolve on its own. Specials (bombs with their timers, multipliers,
+ * starflowers, pearls, poobahs) stay where they are, as do iced and chained
+ * pieces; only plain tiles move.
+ * Their colors are shuffled first, and tiles a shuffle leaves in a match
+ * are moved again; if no shuffle of them works (a tiny board, or one almost
+ * all one color) they are repainted from `numColors`.
+ *
+ * Every draw comes from `rng`, so a seeded run reshuffles the same way on
+ * replay.
+ *
+ * @param {Cell[][]} grid — not mutated
+ * @returns {{ grid: Cell[][], moves: Array<{from:{col,row}, to:{col,row}}> }|null}
+ *   `moves` says where each plain tile came from (a repainted tile stays
+ *   put); null when neither shuffling nor repainting found a playable board.
+ */
+export function reshuffleBoard(grid, {
+  cols = gridCols(grid), rows = gridRows(grid), numColors = PIECE_COLORS.length, rng = Math.random,
+  matchRule = getActiveMatchMode(),
+} = {}) {
+  const slots = [];
+  for (let c = 0; c < cols; c++) {
+    for (let r = 0; r < rows; r++) {
+      const cell = grid[c]?.[r];
+      if (cell && !cell.special && !cell.ice && !cell.chained) slots.push({ col: c, row: r });
+    }
+  }
+  if (slots.length < 3) return null;
+
+  const playable = g => !isProductive(g, cols, rows, matchRule) && hasValidMoves(g, cols, rows, matchRule);
+  const slotIndex = new Map(slots.map(({ col, row }, i) => [`${col},${row}`, i]));
+  const matchedSlots = g => [...matchRule.findMatches(g, cols, rows)]
+    .map(key => slotIndex.get(key)).filter(i => i !== undefined);
+
+  for (let attempt = 0; attempt < RESHUFFLE_ATTEMPTS; attempt++) {
+    const order = slots.map((_, i) => i);
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    const next = cloneGrid(grid);
+    const place = i => {
+      const to = slots[i], from = slots[order[i]];
+      next[to.col][to.row] = { ...grid[from.col][from.row] };
+    };
+    slots.forEach((_, i) => place(i));
+    // A big board almost never shuffles clean outright: trade each tile
+    // caught in a match with one from anywhere, pass after pass.
+    for (let pass = 0; pass < RESHUFFLE_ATTEMPTS; pass++) {
+      const caught = matchedSlots(next);
+      if (!caught.length) break;
+      for (const i of caught) {
+        const j = Math.floor(rng() * slots.length);
+        [order[i], order[j]] = [order[j], order[i]];
+        place(i);
+        place(j);
+      }
+    }
+    if (playable(next)) {
+      return { grid: next, moves: slots.map((to, i) => ({ from: slots[order[i]], to })) };
+    }
+  }
+
+  for (let attempt = 0; attempt < RESHUFFLE_ATTEMPTS; attempt++) {
+    const next = cloneGrid(grid);
+    for (const { col, row } of slots) next[col][row].colorIndex = Math.floor(rng() * numColors);
+    for (let pass = 0; pass < RESHUFFLE_ATTEMPTS; pass++) {
+      const caught = matchedSlots(next);
+      if (!caught.length) break;
+      for (const i of caught) next[slots[i].col][slots[i].row].colorIndex = Math.floor(rng() * numColors);
+    }
+    if (playable(next)) return { grid: next, moves: slots.map(to => ({ from: to, to })) };
+  }
+  return null;
+}
+
+/**
+ * `grid` as it should reach the player: as it is when it has a productive
+ * move, otherwise reshuffled (no penalty). For a board just dealt or
+ * resumed — resolveMove() only looks after a turn.
+ * @param {Cell[][]} grid — not mutated
+ * @returns {{ grid: Cell[][], reshuffled: boolean }}
+ */
+export function ensurePlayable(grid, {
+  cols = gridCols(grid), rows = gridRows(grid), numColors = PIECE_COLORS.length, rng = Math.random,
+  matchRule = getActiveMatchMode(),
+} = {}) {
+  if (hasValidMoves(grid, cols, rows, matchRule)) return { grid, reshuffled: false };
+  const shuffled = reshuffleBoard(grid, { cols, rows, numColors, rng, matchRule });
+  return shuffled ? { grid: shuffled.grid, reshuffled: true } : { grid, reshuffled: false };
+}
+
+// ─── Resolution ─────────────────────────────────────────────────
+
+/** Moves between arcade bomb drops; shrinks as the score climbs. */
+export function bombSpawnInterval(score) {
+  return Math.max(4, 15 - Math.floor(score / 5000));
+}
+
+function makeContext(grid, opts) {
+  const mode = opts.mode ?? getActiveGameMode();
+  return {
+    grid,
+    cols: opts.cols ?? gridCols(grid),
+    rows: opts.rows ?? gridRows(grid),
+    mode,
+    matchRule: opts.matchRule ?? matchRuleFor(mode),
+    numColors: opts.numColors ?? null,
+    rng: opts.rng ?? Math.random,
+    moveCount: opts.moveCount ?? 0,
+    score: opts.score ?? 0,
+    bombQueued: !!opts.bombQueued,
+    level: opts.level ?? 1,
+    chainLevel: 0,
+    acted: false,
+    outcome: null,
+    events: [],
+  };
+}
+
+function snapshot(ctx) { return cloneGrid(ctx.grid); }
+
+/**
+ * Colors new tiles draw from: the caller's override, else the mode's level.
+ * @param {{ mode: object, level?: number, numColors?: number }} ctx
+ */
+export function refillColors(ctx) {
+  return ctx.numColors ?? (ctx.mode.levels ? colorsForLevel(ctx.level) : PIECE_COLORS.length);
+}
+
+/** Climb every level threshold the score has just passed. */
+function checkLevel(ctx) {
+  if (!ctx.mode.levels) return;
+  while (ctx.score >= levelThreshold(ctx.level + 1)) {
+    ctx.level++;
+    ctx.events.push({ type: 'levelUp', level: ctx.level });
+  }
+}
+
+/** Gravity then refill, recording whichever of the two actually happened. */
+function settle(ctx, spawnOptions) {
+  const falls = computeFalls(ctx.grid, ctx.cols, ctx.rows);
+  applyGravity(ctx.grid, ctx.cols, ctx.rows);
+  if (falls.length > 0) ctx.events.push({ type: 'gravity', falls, grid: snapshot(ctx) });
+
+  const spawnBomb = ctx.mode.hasBombs && ctx.bombQueued;
+  const bombTimer = ctx.mode.levels ? bombTimerForLevel(ctx.level) : BOMB_INITIAL_TIMER;
+  const filled = fillEmpty(ctx.grid, ctx.cols, ctx.rows, refillColors(ctx), spawnBomb, spawnOptions, ctx.mode.isPuzzle, ctx.rng, bombTimer);
+  if (spawnBomb && filled.length > 0) ctx.bombQueued = false;
+  if (filled.length > 0) ctx.events.push({ type: 'refilled', cells: filled, grid: snapshot(ctx) });
+}
+
+const FORMED_COLOR = { starflower: -1, blackpearl: -2, grandpoobah: -3 };
+const QUEUE_KEY = { starflower: 'starflowers', blackpearl: 'blackpearls', grandpoobah: 'grandpoobahs' };
+
+/**
+ * Turn detector results into specials: each center becomes `special` (or is
+ * queued for the next refill when it already is one) and its ring is absorbed.
+ * Grand Poobahs in a ring survive the absorption.
+ * @returns {number} how many formations were queued
+ */
+function form(ctx, special, results, incidental) {
+  let queued = 0;
+  for (const f of results) {
+    if (f.centerAlreadySpecial) {
+      queued++;
+    } else {
+      const center = ctx.grid[f.center.col]?.[f.center.row];
+      if (center) {
+        center.colorIndex = FORMED_COLOR[special];
+        center.special = special;
+        delete center.bombTimer;
+        delete center.ice;
+        delete center.chained;
+      }
+    }
+    for (const pos of f.ring) {
+      const cell = ctx.grid[pos.col]?.[pos.row];
+      if (cell && cell.special !== 'grandpoobah') ctx.grid[pos.col][pos.row] = null;
+    }
+  }
+  ctx.events.push({
+    type: 'formed',
+    special,
+    formations: results.map(f => ({ center: f.center, ring: f.ring, queued: !!f.centerAlreadySpecial })),
+    incidental,
+    grid: snapshot(ctx),
+  });
+  return queued;
+}
+
+function formAndSettle(ctx, special, results, incidental = false) {
+  const queued = form(ctx, special, results, incidental);
+  settle(ctx, { starflowers: 0, blackpearls: 0, grandpoobahs: 0, [QUEUE_KEY[special]]: queued });
+}
+
+/**
+ * Clear one set of matches: fold in multiplier clusters (same color → color
+ * nuke, mixed → explosion of the neighbors), a bomb matched with a same-color
+ * multiplier nukes that color, then score, clear, and let any ring left around
+ * a cleared hole become a starflower.
+ *
+ * A stone next to a cleared cell breaks, and the ice on a piece next to one
+ * cracks; so does the ice on a piece a nuke or explosion reaches, which
+ * stays put. Broken stones and thawed pieces neither count toward the
+ * match size nor score.
+ */
+function clearMatches(ctx, initialMatches) {
+  const { grid, cols, rows } = ctx;
+  const cellAt = key => { const [c, r] = key.split(',').map(Number); return grid[c]?.[r]; };
+  const pending = new Set(initialMatches);
+  const multiplierClusters = detectMultiplierClusters(grid);
+
+  const explosionSources = [];
+  const nukeColors = new Set();
+  let bonus = 1;
+
+  for (const cluster of multiplierClusters) {
+    for (const key of cluster) pending.add(key);
+    const colors = new Set(Array.from(cluster, key => cellAt(key)?.colorIndex));
+    if (colors.size === 1) {
+      nukeColors.add(colors.values().next().value);
+    } else {
+      explosionSources.push(...cluster);
+    }
+    bonus += 0.5 * cluster.size;
+  }
+
+  const colorPresence = {};
+  for (const key of pending) {
+    const cell = cellAt(key);
+    if (!cell) continue;
+    const presence = colorPresence[cell.colorIndex] ??= { hasBomb: false, hasMultiplier: false };
+    if (cell.special === 'bomb') presence.hasBomb = true;
+    if (cell.special === 'multiplier') {
+      presence.hasMultiplier = true;
+      bonus += 0.5;
+    }
+  }
+
+  let bombNukeColor = -1;
+  for (const color in colorPresence) {
+    if (colorPresence[color].hasBomb && colorPresence[color].hasMultiplier) {
+      nukeColors.add(Number(color));
+      if (bombNukeColor < 0) bombNukeColor = Number(color);
+    }
+  }
+
+  if (nukeColors.size > 0) {
+    for (let c = 0; c < cols; c++) {
+      for (let r = 0; r < rows; r++) {
+        const cell = grid[c]?.[r];
+        if (cell && cell.colorIndex >= 0 && nukeColors.has(cell.colorIndex)) pending.add(`${c},${r}`);
+      }
+    }
+  }
+
+  for (const key of explosionSources) {
+    const [c, r] = key.split(',').map(Number);
+    for (const n of getNeighbors(c, r)) {
+      if (!inBounds(n, cols, rows)) continue;
+      const cell = grid[n.col]?.[n.row];
+      if (cell && cell.special !== 'blackpearl' && cell.special !== 'starflower' && cell.special !== 'grandpoobah' && !isVoid(cell) && !isStone(cell)) {
+        pending.add(`${n.col},${n.row}`);
+      }
+    }
+  }
+
+  // What the replayer needs to stage the effects that play before the flash.
+  let nuke = null;
+  let explosion = null;
+  if (nukeColors.size > 0 && multiplierClusters.length > 0) {
+    const color = nukeColors.values().next().value;
+    const cluster = multiplierClusters.find(cl => {
+      const colors = new Set(Array.from(cl, key => cellAt(key)?.colorIndex));
+      return colors.size === 1 && colors.has(color);
+    });
+    if (cluster) nuke = { color, cells: Array.from(cluster, keyToPos) };
+  } else if (explosionSources.length > 0) {
+    explosion = { sources: explosionSources.map(keyToPos) };
+  }
+  let bombNuke = null;
+  if (bombNukeColor >= 0) {
+    for (const key of pending) {
+      const cell = cellAt(key);
+      if (cell?.special === 'bomb' && cell.colorIndex === bombNukeColor) {
+        bombNuke = { color: bombNukeColor, cell: keyToPos(key) };
+        break;
+      }
+    }
+  }
+
+  const thawed = [];
+  const thaw = pos => {
+    const cell = grid[pos.col][pos.row];
+    if (--cell.ice === 0) delete cell.ice;
+    thawed.push(pos);
+  };
+  for (const key of pending) {
+    if (cellAt(key)?.ice > 0) {
+      thaw(keyToPos(key));
+      pending.delete(key);
+    }
+  }
+
+  const points = ctx.matchRule.score(pending.size, ctx.chainLevel, bonus);
+  ctx.score += points;
+
+  const cells = [];
+  for (const key of pending) {
+    const pos = keyToPos(key);
+    const cell = grid[pos.col]?.[pos.row];
+    if (cell) cells.push({ ...pos, colorIndex: cell.colorIndex, special: cell.special });
+    if (grid[pos.col]) grid[pos.col][pos.row] = null;
+  }
+  for (const pos of cellsNextTo(grid, pending, isStone)) {
+    cells.push({ ...pos, colorIndex: grid[pos.col][pos.row].colorIndex, special: 'stone' });
+    grid[pos.col][pos.row] = null;
+  }
+  for (const pos of cellsNextTo(grid, pending, cell => cell?.ice > 0)) thaw(pos);
+  ctx.events.push({
+    type: 'matched',
+    cells,
+    thawed,
+    size: pending.size,
+    bonus,
+    points,
+    chainLevel: ctx.chainLevel,
+    detonated: multiplierClusters.length,
+    nuke,
+    explosion,
+    bombNuke,
+    grid: snapshot(ctx),
+  });
+  // Before the refill, so the holes this match left fill at the new level.
+  checkLevel(ctx);
+
+  // A ring of one color left standing around a cleared hole is a starflower;
+  // six of those around one hex is a black pearl.
+  const sfMid = detectStarflowersAtCleared(grid, pending);
+  if (sfMid.length > 0) {
+    formAndSettle(ctx, 'starflower', sfMid, true);
+    const bpMid = detectBlackPearls(grid);
+    if (bpMid.length > 0) formAndSettle(ctx, 'blackpearl', bpMid, true);
+  }
+
+  settle(ctx, undefined);
+}
+
+function keyToPos(key) {
+  const [col, row] = key.split(',').map(Number);
+  return { col, row };
+}
+
+/**
+ * Resolve the board until nothing more happens. Priority per step: a ring of
+ * Grand Poobahs ends the game outright; then Grand Poobah, Black Pearl and
+ * Starflower formations; then matches. Every step after the first is a chain.
+ */
+function resolveBoardInPlace(ctx) {
+  let firstStep = true;
+  const beginStep = () => {
+    if (!firstStep) {
+      ctx.chainLevel++;
+      ctx.events.push({ type: 'chain', level: ctx.chainLevel });
+    }
+    firstStep = false;
+    ctx.acted = true;
+  };
+
+  for (;;) {
+    const gpRing = detectGrandPoobahRing(ctx.grid);
+    if (gpRing.length > 0) {
+      ctx.events.push({ type: 'overAchiever', center: gpRing[0].center, ring: gpRing[0].ring });
+      ctx.outcome = 'overAchiever';
+      return;
+    }
+
+    const gpResults = detectGrandPoobahs(ctx.grid);
+    if (gpResults.length > 0) {
+      beginStep();
+      formAndSettle(ctx, 'grandpoobah', gpResults);
+      ctx.events.push({ type: 'gameWon' });
+      ctx.outcome = 'won';
+      continue;
+    }
+
+    const bpResults = detectBlackPearls(ctx.grid);
+    if (bpResults.length > 0) {
+      beginStep();
+      formAndSettle(ctx, 'blackpearl', bpResults);
+      continue;
+    }
+
+    const sfResults = detectStarflowers(ctx.grid);
+    if (sfResults.length > 0) {
+      beginStep();
+      formAndSettle(ctx, 'starflower', sfResults);
+      continue;
+    }
+
+    const matches = ctx.matchRule.findMatches(ctx.grid, ctx.cols, ctx.rows);
+    if (matches.size > 0) {
+      beginStep();
+      clearMatches(ctx, matches);
+      continue;
+    }
+    return;
+  }
+}
+
+function result(ctx) {
+  return {
+    grid: ctx.grid,
+    events: ctx.events,
+    moveCount: ctx.moveCount,
+    score: ctx.score,
+    bombQueued: ctx.bombQueued,
+    level: ctx.level,
+    chainLevel: ctx.chainLevel,
+    acted: ctx.acted,
+    outcome: ctx.outcome,
+  };
+}
+
+/**
+ * Resolve one player move.
+ *
+ * @param {Cell[][]} grid — not mutated
+ * @param {Move} move
+ * @param {object} [opts]
+ * @param {number} [opts.cols] / [opts.rows] — active board size (default: grid size)
+ * @param {object} [opts.mode] — a GAME_MODES entry (default: the active mode)
+ * @param {object} [opts.matchRule] — a match rule (default: the one `mode`
+ *   plays by, see matchRuleFor)
+ * @param {number} [opts.numColors] — colors refills draw from (default: five,
+ *   or the level's palette in a mode with levels)
+ * @param {() => number} [opts.rng] — random source for refills. Pass the
+ *   session's makeRng() stream for the real move only: every draw advances it,
+ *   so probing a hypothetical move with it would fork the run.
+ * @param {number} [opts.moveCount=0] — moves already played this game
+ * @param {number} [opts.score=0] — score before the move (drives bomb pacing)
+ * @param {boolean} [opts.bombQueued=false] — a bomb is waiting for the next refill
+ * @param {number} [opts.level=1] — the run's level (modes with `levels`)
+ * @returns {{ grid, events, moveCount, score, bombQueued, level, chainLevel, acted, outcome }}
+ *   `acted` is true when anything cleared, formed or was reshuffled (the
+ *   selection drops);
+ *   `outcome` is null, 'won', 'overAchiever' or 'gameOver'.
+ */
+export function resolveMove(grid, move, opts = {}) {
+  const ctx = makeContext(cloneGrid(grid), opts);
+
+  // A cluster keeps turning until something happens; a full turn is a no-op
+  // that still counts as a move.
+  let steps = 0;
+  const maxSteps = MOVE_STEPS[move.kind] ?? 1;
+  while (steps < maxSteps) {
+    stepMove(ctx.grid, move);
+    steps++;
+    if (isProductive(ctx.grid, ctx.cols, ctx.rows, ctx.matchRule)) break;
+  }
+  ctx.events.push({ type: 'rotated', move, steps, grid: snapshot(ctx) });
+
+  ctx.moveCount++;
+
+  // Existing bombs tick in every mode that has them (arcade, and puzzle's
+  // pre-placed ones); only arcade drops new ones.
+  if (ctx.mode.ticksBombs) {
+    tickBombs(ctx.grid);
+    const bombs = [];
+    for (let c = 0; c < ctx.cols; c++) {
+      for (let r = 0; r < ctx.rows; r++) {
+        const cell = ctx.grid[c]?.[r];
+        if (cell?.special === 'bomb') bombs.push({ col: c, row: r, bombTimer: cell.bombTimer });
+      }
+    }
+    if (bombs.length > 0) ctx.events.push({ type: 'bombsTicked', bombs, grid: snapshot(ctx) });
+
+    if (ctx.mode.hasBombs && ctx.moveCount % bombSpawnInterval(ctx.score) === 0 && !ctx.bombQueued) {
+      ctx.bombQueued = true;
+      ctx.events.push({ type: 'bombQueued' });
+    }
+  }
+
+  resolveBoardInPlace(ctx);
+  if (ctx.outcome === 'overAchiever') return result(ctx);
+
+  // Anything the cascade didn't defuse in time ends the game.
+  if (ctx.mode.ticksBombs && ctx.mode.hasGameOver) {
+    const expired = [];
+    for (let c = 0; c < ctx.cols; c++) {
+      for (let r = 0; r < ctx.rows; r++) {
+        const cell = ctx.grid[c]?.[r];
+        if (cell?.special === 'bomb' && cell.bombTimer <= 0) expired.push({ col: c, row: r });
+      }
+    }
+    if (expired.length > 0) {
+      ctx.events.push({ type: 'bombExpired', cells: expired });
+      ctx.outcome = 'gameOver';
+    }
+  }
+
+  // Endless modes never leave the player stuck: a dead board is reshuffled
+  // (puzzle mode fails the puzzle instead — see puzzle-mode.js).
+  if (ctx.mode.reshuffles && ctx.outcome === null && !hasValidMoves(ctx.grid, ctx.cols, ctx.rows, ctx.matchRule)) {
+    const shuffled = reshuffleBoard(ctx.grid, { ...ctx, numColors: refillColors(ctx) });
+    if (shuffled) {
+      const penalty = Math.min(ctx.score, ctx.mode.reshufflePenalty ?? 0);
+      ctx.grid = shuffled.grid;
+      ctx.score -= penalty;
+      ctx.acted = true;
+      ctx.events.push({ type: 'reshuffled', moves: shuffled.moves, penalty, grid: snapshot(ctx) });
+    }
+  }
+
+  return result(ctx);
+}
+
+/**
+ * Resolve whatever is already on the board, with no move and no bomb tick.
+ * Same options and return shape as resolveMove().
+ */
+export function resolveBoard(grid, opts = {}) {
+  const ctx = makeContext(cloneGrid(grid), opts);
+  resolveBoardInPlace(ctx);
+  return result(ctx);
+}
@@ -102,8 +102,10 @@ export function getNeighbors(col, row) {
  * the vertex closest to the cursor.
  *
  * Returns an array of 3 {col, row} objects, or null if not on the board.
+ * @param {(col: number, row: number) => boolean} [isOpen] — false for the
+ *   void cells of a shaped board; a cluster touching one is skipped.
  */
-export function findClusterAtPixel(px, py, originX, originY, gridCols, gridRows) {
+export function findClusterAtPixel(px, py, originX, originY, gridCols, gridRows, isOpen = () => true) {
   // Find the hex the cursor is inside
   const center = pixelToHex(px, py, originX, originY);
 
@@ -123,6 +125,7 @@ export function findClusterAtPixel(px, py, originX, originY, gridCols, gridRows)
     if (!inBounds(a, gridCols, gridRows) ||
         !inBounds(b, gridCols, gridRows) ||
         !inBounds(c, gridCols, gridRows)) continue;
+    if (!isOpen(a.col, a.row) || !isOpen(b.col, b.row) || !isOpen(c.col, c.row)) continue;
 
     // Compute the centroid of the three hexes in pixel space
     const pA = hexToPixel(a.col, a.row, originX, originY);
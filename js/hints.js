@@ -0,0 +1,140 @@
+/**
+ * hints.js — Pick the move worth pointing the player at.
+ *
+ * The candidates are the moves hasValidMoves() looks at (enumerateMoves),
+ * kept to those whose first step does something. Each is tried on a
+ * no-refill copy of the board, so the ranking sees what the move itself does:
+ * refills are random in arcade and chill, and drawing them would fork a
+ * seeded run.
+ *
+ * Ranking, most important first:
+ *   1. a move that ends the game (a bomb left to expire) is never suggested
+ *   2. the puzzle goal — met, then how much of it is left
+ *   3. specials formed (Grand Poobah over Black Pearl over Starflower)
+ *   4. points scored
+ * In puzzle mode a short solver.js search goes first: when it finds the way
+ * to the goal within the moves left, its first move is the hint.
+ */
+
+import { resolveMove, enumerateMoves, isProductiveStep } from './game-engine.js';
+import { evaluateGoal, tallyTurn } from './puzzles.js';
+import { getGameMode, getActiveMatchMode } from './modes.js';
+import { solvePosition } from './solver.js';
+
+/** Positions a puzzle hint may search before falling back to ranking. */
+export const HINT_SOLVE_BUDGET = 150;
+
+const SPECIAL_RANK = { starflower: 1, blackpearl: 2, grandpoobah: 3 };
+const SPECIAL_NAMES = { starflower: 'Starflower', blackpearl: 'Black Pearl', grandpoobah: 'Grand Poobah' };
+
+/**
+ * @typedef {object} Hint
+ * @property {import('./game-engine.js').Move} move
+ * @property {'solution'|'special'|'score'} reason — why this move
+ * @property {number} [movesToGoal] — 'solution': length of the line it starts
+ * @property {string} [special] — 'special': the best one it forms
+ * @property {number} points — what the move scores before any refill
+ */
+
+/**
+ * Best move on `grid`, or null when no move does anything (or every one
+ * loses).
+ *
+ * @param {Cell[][]} grid — not mutated
+ * @param {object} [opts]
+ * @param {number} [opts.cols] / [opts.rows] — active board size (default: grid size)
+ * @param {number} [opts.score=0] — score before the move
+ * @param {number} [opts.moveCount=0] — moves already played
+ * @param {object} [opts.puzzle] — the active puzzle ({ cols, rows, goal, moveLimit })
+ * @param {object} [opts.stats] — its evaluateGoal stats so far
+ * @param {object} [opts.matchRule] — the rule the player is matching by
+ *   (default: the active mode's, see modes.js matchRuleFor)
+ * @returns {Hint|null}
+ */
+export function findHint(grid, {
+  cols = grid.length, rows = grid[0]?.length ?? 0,
+  score = 0, moveCount = 0, puzzle = null, stats = null,
+  matchRule = getActiveMatchMode(),
+} = {}) {
+  if (puzzle) {
+    const result = solvePosition(grid, puzzle, { stats, maxNodes: HINT_SOLVE_BUDGET });
+    if (result.solvable) {
+      const move = result.line[0];
+      const turn = resolveMove(grid, move, probeOptions(cols, rows, stats.totalMoves, stats.score, matchRule));
+      return { move, reason: 'solution', movesToGoal: result.optimal, points: turn.score - stats.score };
+    }
+    moveCount = stats.totalMoves;
+    score = stats.score;
+  }
+
+  let best = null;
+  for (const move of enumerateMoves(grid, cols, rows)) {
+    if (!isProductiveStep(grid, move, cols, rows, matchRule)) continue;
+    const turn = resolveMove(grid, move, probeOptions(cols, rows, moveCount, score, matchRule));
+    if (turn.outcome === 'gameOver' || turn.outcome === 'overAchiever') continue;
+    const rating = rateTurn(turn, score, puzzle, stats, cols, rows);
+    if (!best || compareRatings(rating, best.rating) > 0) best = { move, rating };
+  }
+  if (!best) return null;
+
+  const { special, points } = best.rating;
+  return special
+    ? { move: best.move, reason: 'special', special, points }
+    : { move: best.move, reason: 'score', points };
+}
+
+/** One-line toast text for a hint. */
+export function describeHint(hint) {
+  const turn = `Turn it ${hint.move.clockwise ? 'clockwise' : 'counter-clockwise'}`;
+  switch (hint.reason) {
+    case 'solution':
+      return hint.movesToGoal === 1
+        ? `💡 ${turn} to finish the puzzle`
+        : `💡 ${turn} — ${hint.movesToGoal} moves from the goal`;
+    case 'special':
+      return `💡 ${turn} to form a ${SPECIAL_NAMES[hint.special]}`;
+    default:
+      return `💡 ${turn} for ${hint.points} points`;
+  }
+}
+
+/** Cells to pulse for a move: the center too, for rings and Ys. */
+export function hintCells(move) {
+  return move.center ? [move.center, ...move.cells] : move.cells;
+}
+
+// ─── Ranking ────────────────────────────────────────────────────
+
+/**
+ * Puzzle mode for the probe — no refill, no reshuffle — but matching by the
+ * player's rule, not the classic one puzzles are built for.
+ */
+function probeOptions(cols, rows, moveCount, score, matchRule) {
+  return { cols, rows, mode: getGameMode('puzzle'), matchRule, moveCount, score };
+}
+
+function rateTurn(turn, scoreBefore, puzzle, stats, cols, rows) {
+  let specials = 0;
+  let special = null;
+  for (const e of turn.events) {
+    if (e.type !== 'formed') continue;
+    specials += SPECIAL_RANK[e.special] * e.formations.length;
+    if (!special || SPECIAL_RANK[e.special] > SPECIAL_RANK[special]) special = e.special;
+  }
+
+  let goalMet = false;
+  let goalLeft = 0;
+  if (puzzle) {
+    const after = tallyTurn(stats, turn.events, turn.score, puzzle.goal);
+    ({ met: goalMet, remaining: goalLeft } = evaluateGoal(puzzle.goal, turn.grid, after, cols, rows));
+  }
+  return { goalMet, goalLeft, specials, special, points: turn.score - scoreBefore };
+}
+
+/** > 0 when `a` is the better move. */
+function compareRatings(a, b) {
+  return (a.goalMet - b.goalMet)
+    || (b.goalLeft - a.goalLeft)
+    || (a.specials - b.specials)
+    || (a.points - b.points);
+}
@@ -11,6 +11,9 @@ let lastClickPos = null;     // {x, y} of last click for flower detection
 let hoverCluster = null;
 let pendingAction = null;  // { type: 'select'|'rotateCW'|'rotateCCW' }
 let clusterCenterPx = null; // {x, y} pixel center of selected cluster (canvas-scaled coords)
+let canPick = () => true;   // (col, row) → may a hovered cluster include this cell?
+let paintHandler = null;    // (col, row, phase) while the editor's paint mode is on
+let painting = false;       // a paint stroke is under way (button or finger down)
 
 export function getHoverCluster() { return hoverCluster; }
 export function getLastClickPos() { return lastClickPos; }
@@ -56,6 +59,28 @@ export function clearPendingAction() {
   lastClickPos = null;
 }
 
+/**
+ * Hand the canvas to the puzzle editor's paint mode, or (null) give it back.
+ * While a handler is set, presses paint instead of selecting: it is called
+ * with the hex under the pointer and 'start' on press, 'move' for each new
+ * hex while held, and 'end' on release. Rotation keys still queue actions;
+ * main.js drains them while painting.
+ * @param {((col: number, row: number, phase: 'start'|'move'|'end') => void)|null} fn
+ */
+export function setPaintHandler(fn) {
+  paintHandler = fn;
+  painting = false;
+  pendingAction = null;
+  hoverCluster = null;
+}
+
+/** Report the hex at canvas-scaled (x, y) to the paint handler. */
+function paintAt(x, y, phase) {
+  const { originX, originY } = getOrigin();
+  const hex = pixelToHex(x, y, originX, originY);
+  paintHandler(hex.col, hex.row, phase);
+}
+
 /**
  * Bind event listeners on the canvas.
  */
@@ -69,18 +94,46 @@ export function setKeyBindings(bindings) {
   if (bindings.rotateCCW) keyBindings.rotateCCW = bindings.rotateCCW;
 }
 
-export function initInput(canvas) {
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {(col: number, row: number) => boolean} [pickable] — cells the hover
+ *   cluster may cover (main.js leaves out voids, stones and chained pieces)
+ */
+export function initInput(canvas, pickable) {
+  if (pickable) canPick = pickable;
   canvas.addEventListener('mousemove', e => {
     const rect = canvas.getBoundingClientRect();
     const s = getBoardScale();
     mouseX = (e.clientX - rect.left) / s;
     mouseY = (e.clientY - rect.top) / s;
+    if (paintHandler) {
+      if (painting) paintAt(mouseX, mouseY, 'move');
+      return;
+    }
     updateHover();
     requestRedraw();
   });
 
+  canvas.addEventListener('mousedown', e => {
+    if (!paintHandler || e.button !== 0) return;
+    e.preventDefault();
+    const rect = canvas.getBoundingClientRect();
+    const s = getBoardScale();
+    painting = true;
+    paintAt((e.clientX - rect.left) / s, (e.clientY - rect.top) / s, 'start');
+  });
+
+  const endStroke = () => {
+    if (!paintHandler || !painting) return;
+    painting = false;
+    paintHandler(-1, -1, 'end');
+  };
+  canvas.addEventListener('mouseup', endStroke);
+  canvas.addEventListener('mouseleave', endStroke);
+
   canvas.addEventListener('click', e => {
     e.preventDefault();
+    if (paintHandler) return;
     const rect = canvas.getBoundingClientRect();
     const s = getBoardScale();
     lastClickPos = { x: (e.clientX - rect.left) / s, y: (e.clientY - rect.top) / s };
@@ -90,6 +143,7 @@ export function initInput(canvas) {
 
   canvas.addEventListener('contextmenu', e => {
     e.preventDefault();
+    if (paintHandler) return;
     pendingAction = { type: 'rotateCCW' };
     requestRedraw();
   });
@@ -107,6 +161,11 @@ export function initInput(canvas) {
     const s = getBoardScale();
     mouseX = (touch.clientX - rect.left) / s;
     mouseY = (touch.clientY - rect.top) / s;
+    if (paintHandler) {
+      painting = true;
+      paintAt(mouseX, mouseY, 'start');
+      return;
+    }
     lastClickPos = { x: mouseX, y: mouseY };
     updateHover();
     requestRedraw();
@@ -119,12 +178,17 @@ export function initInput(canvas) {
     const s = getBoardScale();
     mouseX = (touch.clientX - rect.left) / s;
     mouseY = (touch.clientY - rect.top) / s;
+    if (paintHandler) {
+      if (painting) paintAt(mouseX, mouseY, 'move');
+      return;
+    }
     updateHover();
     requestRedraw();
   }, { passive: false });
 
   canvas.addEventListener('touchend', e => {
     e.preventDefault();
+    if (paintHandler) { endStroke(); return; }
     const touch = e.changedTouches[0];
     const dx = touch.clientX - touchStartX;
     const dy = touch.clientY - touchStartY;
@@ -198,5 +262,5 @@ export function initInput(canvas) {
 function updateHover() {
   const { originX, originY } = getOrigin();
   const { cols, rows } = getActiveGridSize();
-  hoverCluster = findClusterAtPixel(mouseX, mouseY, originX, originY, cols, rows);
+  hoverCluster = findClusterAtPixel(mouseX, mouseY, originX, originY, cols, rows, canPick);
 }
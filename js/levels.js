@@ -0,0 +1,40 @@
+/**
+ * levels.js — Arcade level progression.
+ *
+ * A run climbs a level each time its score passes the next threshold, and
+ * never drops one (a reshuffle penalty can take points away, not levels).
+ * Higher levels bring teal onto the board as a sixth color and put bombs on
+ * shorter fuses, down to BOMB_MIN_TIMER. The engine threads the level through
+ * resolveMove() the way it threads bombQueued, so a saved or replayed run
+ * sees the same refills.
+ */
+
+import { PIECE_COLORS, EXTRA_COLORS, BOMB_INITIAL_TIMER, BOMB_MIN_TIMER } from './constants.js';
+
+/** First level whose refills draw teal. */
+export const TEAL_LEVEL = 4;
+
+/**
+ * Score needed to reach `level`: 1000, 2500, 4500, 7000, … — each step
+ * 500 points longer than the one before.
+ */
+export function levelThreshold(level) {
+  return level <= 1 ? 0 : 250 * (level - 1) * (level + 2);
+}
+
+/** The level a score is worth on its own (saves from before levels existed). */
+export function levelForScore(score) {
+  let level = 1;
+  while (score >= levelThreshold(level + 1)) level++;
+  return level;
+}
+
+/** Colors refills draw from at `level`. */
+export function colorsForLevel(level) {
+  return PIECE_COLORS.length + (level >= TEAL_LEVEL ? EXTRA_COLORS.length : 0);
+}
+
+/** Fuse a freshly dropped bomb gets at `level`: one move shorter per level. */
+export function bombTimerForLevel(level) {
+  return Math.max(BOMB_MIN_TIMER, BOMB_INITIAL_TIMER - (level - 1));
+}
@@ -0,0 +1,211 @@
+/**
+ * lifetime-stats.js — The counters a move adds to the lifetime stats, and
+ * the Stats modal that shows them.
+ *
+ * Everything lives in Arcade.stats 'lifetime', next to what storage.js
+ * recordGameEnd / recordPuzzleSolved write there:
+ *
+ *   specialsFormed: { starflower, blackpearl, grandpoobah }
+ *   bombsDefused, bombsDetonated
+ *   tilesCleared: [count per TILE_COLORS index]
+ *   playTimeMs
+ *
+ * Each counter is kept twice: as a total and under modes.<modeId>, which
+ * also holds that mode's gamesPlayed and bestCombo.
+ */
+
+import { TILE_COLORS } from './constants.js';
+import { getAllGameModes } from './modes.js';
+
+export const SPECIAL_TYPES = {
+  starflower:  'Starflower',
+  blackpearl:  'Black Pearl',
+  grandpoobah: 'Grand Poobah',
+};
+
+/** A pause longer than this between moves is the player away, not playing. */
+export const IDLE_CAP_MS = 30_000;
+
+let lastMoveAt = null;  // when the previous move was recorded
+
+// ─── Counting ───────────────────────────────────────────────────
+
+/** Counters with nothing counted yet. */
+export function emptyCounters() {
+  return {
+    specialsFormed: Object.fromEntries(Object.keys(SPECIAL_TYPES).map(k => [k, 0])),
+    bombsDefused:   0,
+    bombsDetonated: 0,
+    tilesCleared:   TILE_COLORS.map(() => 0),
+    playTimeMs:     0,
+  };
+}
+
+/**
+ * What one move's events (game-engine.js resolveMove) add: specials
+ * formed, bombs cleared by a match or run out, plain tiles cleared by color.
+ */
+export function tallyEvents(events) {
+  const counted = emptyCounters();
+  for (const e of events) {
+    if (e.type === 'formed' && e.special in counted.specialsFormed) {
+      counted.specialsFormed[e.special] += e.formations.length;
+    }
+    if (e.type === 'bombExpired') counted.bombsDetonated += e.cells.length;
+    if (e.type !== 'matched') continue;
+    for (const cell of e.cells) {
+      if (cell.special === 'bomb') counted.bombsDefused++;
+      if (cell.colorIndex >= 0 && cell.colorIndex < TILE_COLORS.length) counted.tilesCleared[cell.colorIndex]++;
+    }
+  }
+  return counted;
+}
+
+/** `base` with `more` added on, field by field. Missing fields count as 0. */
+export function addCounters(base = {}, more) {
+  const sum = { ...base };
+  for (const [key, value] of Object.entries(more)) {
+    if (Array.isArray(value)) {
+      sum[key] = value.map((n, i) => (base[key]?.[i] ?? 0) + n);
+    } else if (typeof value === 'object') {
+      sum[key] = addCounters(base[key], value);
+    } else {
+      sum[key] = (base[key] ?? 0) + value;
+    }
+  }
+  return sum;
+}
+
+/**
+ * Add one move to the lifetime stats, for the total and for `modeId`. The
+ * time since the previous move counts as play time, up to IDLE_CAP_MS.
+ */
+export function recordTurnStats(modeId, events, now = Date.now()) {
+  const counted = tallyEvents(events);
+  if (lastMoveAt !== null && now > lastMoveAt) counted.playTimeMs = Math.min(now - lastMoveAt, IDLE_CAP_MS);
+  lastMoveAt = now;
+  Arcade.stats.update('lifetime', (s) => ({
+    ...addCounters(s, counted),
+    modes: { ...s.modes, [modeId]: addCounters(s.modes?.[modeId], counted) },
+  }));
+}
+
+// ─── Reading ────────────────────────────────────────────────────
+
+/**
+ * The stats the modal shows, for every mode together (`modeId` null) or
+ * one mode, with anything never counted read as 0.
+ */
+export function statsView(lifetime = {}, modeId = null) {
+  const source = modeId ? lifetime.modes?.[modeId] ?? {} : lifetime;
+  const { specialsFormed, bombsDefused, bombsDetonated, tilesCleared, playTimeMs } =
+    addCounters(source, emptyCounters());
+  // Solves are only counted overall; they belong to puzzle mode alone.
+  const solves = modeId === null || modeId === 'puzzle';
+  return {
+    specialsFormed, bombsDefused, bombsDetonated, tilesCleared, playTimeMs,
+    gamesPlayed:          source.gamesPlayed ?? 0,
+    bestCombo:            source.bestCombo ?? 0,
+    puzzlesSolved:        solves ? lifetime.puzzlesSolved ?? 0 : null,
+    dailiesSolved:        solves ? lifetime.dailiesSolved ?? 0 : null,
+    archiveDailiesSolved: solves ? lifetime.archiveDailiesSolved ?? 0 : null,
+  };
+}
+
+/** 3725000 → "1h 02m"; 65000 → "1m 05s"; 9000 → "9s". */
+export function formatPlayTime(ms) {
+  const total = Math.floor(ms / 1000);
+  const h = Math.floor(total / 3600), m = Math.floor(total / 60) % 60, s = total % 60;
+  const pad = n => String(n).padStart(2, '0');
+  if (h > 0) return `${h}h ${pad(m)}m`;
+  if (m > 0) return `${m}m ${pad(s)}s`;
+  return `${s}s`;
+}
+
+// ─── Stats modal ────────────────────────────────────────────────
+
+let statsModeId = null;      // the breakdown shown; null = every mode
+let modeSelectBuilt = false;
+
+export function showStatsModal() {
+  const select = document.getElementById('stats-mode-select');
+  if (select && !modeSelectBuilt) {
+    modeSelectBuilt = true;
+    for (const mode of getAllGameModes()) {
+      const option = document.createElement('option');
+      option.value = mode.id;
+      option.textContent = mode.label;
+      select.appendChild(option);
+    }
+    select.addEventListener('change', () => {
+      statsModeId = select.value || null;
+      renderStats();
+    });
+  }
+  renderStats();
+  document.getElementById('modal-stats').classList.remove('hidden');
+}
+
+function renderStats() {
+  const view = statsView(Arcade.stats.get?.('lifetime') ?? {}, statsModeId);
+  const rows = [
+    ['Games played', view.gamesPlayed],
+    ['Best combo', view.bestCombo],
+    ['Puzzles solved', view.puzzlesSolved],
+    ['Dailies solved', view.dailiesSolved],
+    ['Archive dailies solved', view.archiveDailiesSolved],
+    ['Bombs defused', view.bombsDefused],
+    ['Bombs detonated', view.bombsDetonated],
+    ['Tiles cleared', view.tilesCleared.reduce((a, b) => a + b, 0)],
+    ['Play time', formatPlayTime(view.playTimeMs)],
+  ];
+  const summary = document.getElementById('stats-summary');
+  if (summary) {
+    summary.innerHTML = '';
+    for (const [label, value] of rows) {
+      if (value === null) continue;
+      const row = document.createElement('div');
+      row.className = 'score-row';
+      const labelSpan = document.createElement('span');
+      labelSpan.textContent = label;
+      const valSpan = document.createElement('span');
+      valSpan.className = 'val';
+      valSpan.textContent = typeof value === 'number' ? value.toLocaleString() : value;
+      row.append(labelSpan, valSpan);
+      summary.appendChild(row);
+    }
+  }
+
+  drawBarChart(document.getElementById('stats-chart-colors'), view.tilesCleared.map((n, i) => ({
+    label: TILE_COLORS[i].name, value: n, color: TILE_COLORS[i].base,
+  })));
+  drawBarChart(document.getElementById('stats-chart-specials'), Object.entries(SPECIAL_TYPES).map(([id, label]) => ({
+    label, value: view.specialsFormed[id], color: SPECIAL_BAR_COLORS[id],
+  })));
+}
+
+const SPECIAL_BAR_COLORS = { starflower: '#D4DEE6', blackpearl: '#7A5890', grandpoobah: '#FFD700' };
+const CHART_TEXT = '#a0a0b0';
+
+/** Vertical bars with the value above and the label below each. */
+function drawBarChart(canvas, bars) {
+  const ctx = canvas?.getContext?.('2d');
+  if (!ctx) return;
+  const { width, height } = canvas;
+  ctx.clearRect(0, 0, width, height);
+  const max = Math.max(1, ...bars.map(b => b.value));
+  const slot = width / bars.length;
+  const top = 14, bottom = height - 14;
+  ctx.font = '10px sans-serif';
+  ctx.textAlign = 'center';
+  bars.forEach((bar, i) => {
+    const x = i * slot + slot * 0.2;
+    const w = slot * 0.6;
+    const h = (bottom - top) * (bar.value / max);
+    ctx.fillStyle = bar.color;
+    ctx.fillRect(x, bottom - h, w, h);
+    ctx.fillStyle = CHART_TEXT;
+    ctx.fillText(bar.value.toLocaleString(), x + w / 2, bottom - h - 3);
+    ctx.fillText(bar.label, x + w / 2, height - 2);
+  });
+}
@@ -15,8 +15,8 @@ import {
   BOMB_SPAWN_INTERVAL, BOMB_INITIAL_TIMER,
 } from './constants.js';
 import {
-  createGrid, rotateCluster, rotateRing,
-  findMatches, findMatchesForMode,
+  rotateCluster, rotateRing,
+  findMatches,
   applyGravity, fillEmpty,
 } from './board.js';
 import {
@@ -28,13 +28,19 @@ import {
   spawnRingShockwave, flashScreenOverlay,
   requestRedraw, clearDirty, getIsDirty, hasActiveRendererAnimations,
   setActiveGridSize, setFontScale,
+  showHintPulse, clearHintPulse, setPaintGuides,
 } from './renderer.js';
 import {
-  loadActiveMode, getActiveGameMode, getActiveMatchMode,
-  getActiveGameModeId, getCombinedModeId,
-  setActiveGameMode, getAllGameModes
+  loadActiveMode, getActiveGameMode, matchRuleFor,
+  getActiveGameModeId, getActiveMatchModeId, getCombinedModeId, getLeaderboardId,
+  setActiveGameMode, setActiveMatchMode, getAllGameModes, getAllMatchModes, getGameMode, getMatchMode,
 } from './modes.js';
 import { hexToPixel, getNeighbors, pixelToHex, findClusterAtPixel } from './hex-math.js';
+import {
+  BOARD_SHAPES, isOpenCell, detectBoardShape,
+  loadActiveBoardShape, getActiveBoardShapeId, setActiveBoardShape, getBoardShape,
+} from './board-shapes.js';
+import { isPinned } from './obstacles.js';
 import {
   initInput, getHoverCluster, consumeAction, getLastClickPos, triggerAction,
   setKeyBindings, clearPendingAction, setClusterCenterPx, hasPendingAction,
@@ -43,26 +49,24 @@ import { registerFrameLoop, wakeFrameLoop } from './frame.js';
 
 import {
   animateClusterRotation, animateRingRotation, animateYRotation,
-  animateBlackPearlCreation, animateGrandPoobahCreation, animateStarflowerCreation,
-  handleOverAchiever, handleGameOver, runCascade, computeFallDistances, delay
+  animateFormation, animateMatch, animateGravity, animateReshuffle, adoptSnapshot,
+  handleOverAchiever, handleGameOver, delay
 } from './animations.js';
-import { tween, updateTweens, easeOutCubic, easeOutBounce, hasActiveTweens, linear } from './tween.js';
+import { resolveMove, resolveBoard, clusterMove, ringMove, yMove, ensurePlayable, refillColors } from './game-engine.js';
+import { makeRng } from './arcade-rng.js';
+import { encodeMove, decodeMove, encodeReplay, decodeReplay, startSeededRun, dealBoard } from './replay.js';
+import { tween, updateTweens, easeOutCubic, easeOutBounce, hasActiveTweens, linear, setTimeScale } from './tween.js';
 import {
-  resetScore, awardMatch, advanceChain, resetChain,
+  resetScore, awardMatch, advanceChain, resetChain, deductPoints,
   updateDisplayScore, restoreScore,
   getScore, getDisplayScore, getChainLevel, getComboCount, getMaxCombo, isScoreAnimating
 } from './score.js';
-import {
-  detectStarflowers, detectStarflowersAtCleared,
-  detectBlackPearls, detectMultiplierClusters, detectGrandPoobahs,
-  detectGrandPoobahRing, tickBombs, countBombs,
-} from './specials.js';
 import {
   saveGameState, loadGameState, clearGameState,
   addHighScore, getHighScores,
   getPlayerName, setPlayerName,
   loadSettings, saveSettings,
-  recordModeScore, seedRecordsFromScores,
+  recordModeScore, seedRecordsFromScores, takeQuarantinedKeys,
 } from './storage.js';
 import {
   wireUiClicks,
@@ -71,10 +75,22 @@ import {
   startBed, stopBed, setBedUrgency,
 } from './audio.js';
 import {
-  initPuzzleModeUI, showPuzzleSelector, registerPuzzleCallbacks,
+  initPuzzleModeUI, showPuzzleSelector, registerPuzzleCallbacks, playDaily,
   clearActivePuzzle, getActivePuzzle, getPuzzleMovesLeft,
-  onPuzzleMove, onStarflowerCreated,
+  onPuzzleMoveStart, onPuzzleMove,
+  getPuzzleStats, recordPuzzleHint,
 } from './puzzle-mode.js';
+import { registerPaintCallbacks } from './puzzle-editor.js';
+import { getDailyDateString, isDailyDateString } from './daily-puzzle.js';
+import { recordTurnStats, showStatsModal } from './lifetime-stats.js';
+import { noteProgress, turnProgress, showAchievementGallery } from './achievements.js';
+import { solvePuzzle } from './solver.js';
+import { findHint, describeHint, hintCells } from './hints.js';
+import { levelForScore, bombTimerForLevel, TEAL_LEVEL } from './levels.js';
+import {
+  blitzTimeBonus, formatBlitzClock, getBlitzRemaining, resetBlitzClock, addBlitzTime,
+  runBlitzClock, stopBlitzClock,
+} from './blitz.js';
 
 
 // ─── Animation Context ───
@@ -90,8 +106,8 @@ export const getAnimationContext = () => ({
   get flowerCenter() { return flowerCenter; },
   get pearlCenter() { return pearlCenter; },
   get moveCount() { return moveCount; },
-  get bombQueued() { return bombQueued; },
-  setBombQueued(q) { bombQueued = q; },
+  get seed() { return runSeed; },
+  get canReplay() { return moveLog !== null; },
   resetGame: () => resetGame(),
   handleGameWin: () => handleGameWin(),
   getCombinedModeId,
@@ -109,7 +125,15 @@ let pearlCenter = null;      // {col,row} if a black pearl Y-shape is selected
 let lastTime = 0;
 let moveCount = 0;           // total player moves (for bomb spawn timing)
 let bombQueued = false;
+let level = 1;               // arcade level (levels.js); threaded through the engine like bombQueued
+let runSeed = null;          // seed of the current arcade/chill run, shown on game over
+let rng = Math.random;       // the run's makeRng() stream; every board draw comes from it
+let moveLog = [];            // encoded moves since the seed (replay.js); null if the run can't be replayed
+let replay = null;           // the replay being watched, see startReplay()
+let paintGrid = null;        // the puzzle editor's painted board, drawn instead of `grid` while set
 let boardGeneration = 0;  // incremented on grid replacement; stale async chains bail out
+let blitzLive = false;    // a move has been made since the Blitz clock was (re)loaded
+let blitzTimeUp = false;  // the Blitz clock ran out mid-turn; the turn's end ends the game
 
 // ─── Bootstrap ──────────────────────────────────────────────────
 
@@ -132,31 +156,37 @@ function resumeFromPause() {
   isPaused = false;
   lastTime = 0;
   wakeFrameLoop();
+  runClock();
 }
 
 // DEBUG: Expose internals
 window.debug = {
   getGrid: () => grid,
   getState: () => state,
-  runPostRotation: () => postRotationCheck(boardGeneration),
+  getSeed: () => runSeed,
+  solvePuzzle: (opts) => getActivePuzzle() && solvePuzzle(getActivePuzzle(), opts),
+  runPostRotation: () => postRotationCheck(boardGeneration, resolveBoard(grid, engineOptions())),
 };
 
 const canvas = document.getElementById('game');
 initRenderer(canvas);
-initInput(canvas);
+initInput(canvas, canTurn);
 
 // Pause the game loop while the launcher hides the iframe — the existing
 // isPaused flag already short-circuits gameLoop. Reset lastTime on resume so
 // dt doesn't jump after a long suspension.
 if (typeof window !== 'undefined' && window.Arcade) {
   Arcade.onSuspend(() => {
-    // Arcade.loop parks itself on suspend; this only records intent.
+    // Arcade.loop parks itself on suspend; this only records intent. The
+    // Blitz clock is stopped outright: a hidden frame's timers run late.
     isPaused = true;
+    stopBlitzClock();
   });
   Arcade.onResume(() => {
     isPaused = false;
     lastTime = performance.now();
     gameFrameLoop.start();
+    runClock();
   });
 
   // After the launcher imports a save, every persisted key the game reads at
@@ -172,8 +202,12 @@ registerPuzzleCallbacks(
   // onLoad: replace the board with the puzzle's fixed grid
   (puzzleGrid, cols, rows, puzzle) => {
     boardGeneration++;
+    closeReplayViewer();
+    moveLog = null;
+    stopBlitzClock();
     setActiveGameMode('puzzle');
     clearAllOverrides();
+    clearHintPulse();
     bombQueued = false;
     selectedCluster = flowerCenter = pearlCenter = null;
     moveCount = 0;
@@ -181,13 +215,47 @@ registerPuzzleCallbacks(
     grid = puzzleGrid;
     activeCols = cols;
     activeRows = rows;
-    setActiveGridSize(cols, rows);
+    setActiveGridSize(cols, rows, puzzleGrid);
     state = 'idle';
     requestRedraw();
   },
   // onEnd: freeze input when puzzle ends
   (reason) => {
     state = 'gameover';
+  },
+  // onRestore: undo/redo put an earlier (or later) position back
+  (restoredGrid) => {
+    boardGeneration++;
+    clearAllOverrides();
+    clearHintPulse();
+    selectedCluster = flowerCenter = pearlCenter = null;
+    grid = restoredGrid;
+    state = 'idle';
+    requestRedraw();
+  }
+);
+
+// The editor's paint mode borrows the canvas. The live game stays as it was
+// underneath — input is drained and the Blitz clock held — and is drawn again
+// when painting ends.
+registerPaintCallbacks(
+  // onShow: the painted board changed (or paint mode just opened)
+  (painted, cols, rows) => {
+    if (!paintGrid) {
+      if (replay) stopReplay();
+      selectedCluster = flowerCenter = pearlCenter = null;
+      if (state === 'selected') state = 'idle';
+      setPaintGuides(true);
+    }
+    paintGrid = painted;
+    setActiveGridSize(cols, rows, painted);
+  },
+  // onEnd: back to the live board
+  () => {
+    paintGrid = null;
+    setPaintGuides(false);
+    setActiveGridSize(activeCols, activeRows, grid);
+    runClock();
   }
 );
 
@@ -279,6 +347,32 @@ document.getElementById('btn-close-scores').addEventListener('click', (e) => {
   resumeFromPause();
 });
 
+// Hint buttons — the HUD icon (arcade/chill) and the puzzle group's own
+function showHint() {
+  if (replay || isPaused || (state !== 'idle' && state !== 'selected')) return;
+  const puzzle = getActivePuzzle();
+  const hint = findHint(grid, {
+    cols: activeCols, rows: activeRows, score: getScore(), moveCount,
+    puzzle, stats: puzzle ? getPuzzleStats() : null,
+  });
+  if (!hint) {
+    Arcade.ui.toast('🤷 No move left to suggest', { kind: 'info' });
+    return;
+  }
+  // Puzzle hints are paid for: they cap the stars (computeStars).
+  if (puzzle && !recordPuzzleHint()) return;
+  selectedCluster = flowerCenter = pearlCenter = null;
+  state = 'idle';
+  showHintPulse(hintCells(hint.move));
+  Arcade.ui.toast(describeHint(hint), { kind: 'info' });
+}
+for (const id of ['btn-hint', 'btn-puzzle-hint']) {
+  document.getElementById(id).addEventListener('click', (e) => {
+    e.stopPropagation();
+    showHint();
+  });
+}
+
 // Shared guard: shake a button and bail if board is mid-animation.
 // Prevents restart clicks during cascade/rotation feeling like they're ignored.
 function guardedAction(btn, action) {
@@ -309,7 +403,8 @@ function toggleModeDropdown() {
     document.querySelectorAll('[data-mode]').forEach(btn => {
       btn.classList.toggle('active', btn.dataset.mode === getActiveGameModeId());
     });
-    // match mode selector removed (classic-only)
+    syncShapeButtons();
+    syncMatchButtons();
   } else {
     logoDropdown.classList.add('hidden');
   }
@@ -336,6 +431,21 @@ document.querySelectorAll('[data-mode]').forEach(btn => {
   });
 });
 
+document.querySelectorAll('[data-shape]').forEach(btn => {
+  btn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    switchBoardShape(btn.dataset.shape);
+  });
+});
+
+document.querySelectorAll('[data-match]').forEach(btn => {
+  btn.title = getMatchMode(btn.dataset.match).help;
+  btn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    switchMatchMode(btn.dataset.match);
+  });
+});
+
 // Settings Modal bindings
 document.getElementById('dropdown-btn-settings').addEventListener('click', (e) => {
   e.stopPropagation();
@@ -343,6 +453,28 @@ document.getElementById('dropdown-btn-settings').addEventListener('click', (e) =
   logoDropdown.classList.add('hidden'); // Close the menu
   document.getElementById('modal-settings').classList.remove('hidden');
 });
+document.getElementById('dropdown-btn-stats').addEventListener('click', (e) => {
+  e.stopPropagation();
+  isPaused = true;
+  logoDropdown.classList.add('hidden');
+  showStatsModal();
+});
+document.getElementById('dropdown-btn-achievements').addEventListener('click', (e) => {
+  e.stopPropagation();
+  isPaused = true;
+  logoDropdown.classList.add('hidden');
+  showAchievementGallery();
+});
+document.getElementById('btn-close-achievements').addEventListener('click', (e) => {
+  e.stopPropagation();
+  document.getElementById('modal-achievements').classList.add('hidden');
+  resumeFromPause();
+});
+document.getElementById('btn-close-stats').addEventListener('click', (e) => {
+  e.stopPropagation();
+  document.getElementById('modal-stats').classList.add('hidden');
+  resumeFromPause();
+});
 document.getElementById('btn-close-settings').addEventListener('click', (e) => {
   e.stopPropagation();
   document.getElementById('modal-settings').classList.add('hidden');
@@ -440,10 +572,13 @@ document.getElementById('btn-confirm-end').addEventListener('click', (e) => {
 
 function showHighScores() {
   const list = document.getElementById('high-scores-list');
-  const scores = getHighScores(getActiveGameModeId());
+  const scores = getHighScores(getLeaderboardId());
   const modeLabelEl = document.getElementById('hs-mode-label');
   if (modeLabelEl) {
-    modeLabelEl.textContent = `${getActiveGameMode().label}`;
+    const rule = getMatchMode(getActiveMatchModeId());
+    modeLabelEl.textContent = rule.id === 'classic'
+      ? getActiveGameMode().label
+      : `${getActiveGameMode().label} · ${rule.label}`;
   }
   
   list.innerHTML = '';
@@ -505,16 +640,304 @@ function showHighScores() {
 }
 
 function updateControlsVisibility() {
-  if (state === 'selected' && !isPaused) {
+  if (state === 'selected' && !isPaused && !replay && !paintGrid) {
     controlsEl.classList.remove('hidden');
   } else {
     controlsEl.classList.add('hidden');
   }
 }
 
+// ─── Replays ────────────────────────────────────────────────────
+//
+// A seeded run plus its move log (replay.js) is the whole game. The viewer
+// rebuilds the opening board from the seed and feeds each logged move through
+// animateRotation / postRotationCheck — the same pipeline live play uses — so
+// what you watch is exactly what happened. While `replay` is set the board is
+// on loan: player input is dropped, saveGame() is a no-op, and the end of the
+// game ends the replay rather than the run that was displaced.
+
+/** Pause on the highlighted selection before each replayed move turns. */
+const REPLAY_SELECT_MS = 350;
+/** Breather between replayed moves. */
+const REPLAY_GAP_MS = 250;
+const REPLAY_SPEEDS = [1, 2, 4];
+
+const replayBar = document.getElementById('replay-bar');
+const replayModal = document.getElementById('modal-replay');
+
+/**
+ * The run in progress (or just finished) as a replay log — everything
+ * startReplay needs to deal the same board and play it by the same rule — or
+ * null if it can't be replayed.
+ */
+function currentReplayLog() {
+  if (!moveLog || replay || getActiveGameMode().isPuzzle) return null;
+  return {
+    seed: runSeed, mode: getActiveGameModeId(), shape: detectBoardShape(grid), rule: getActiveMatchModeId(), moves: [...moveLog],
+  };
+}
+
+/** Replay code for the run in progress, or null if it can't be replayed. */
+function currentReplayCode() {
+  const log = currentReplayLog();
+  return log && encodeReplay(log);
+}
+
+/**
+ * Watch a logged run. The game it interrupts is saved first (a finished one
+ * has nothing to keep) and comes back when the viewer closes. The replay's
+ * mode and rule are only borrowed — never saved as the player's — and
+ * closeReplayViewer puts the player's back.
+ * @param {{seed: string, mode: string, shape?: string, rule?: string, moves: string[]}} log
+ */
+function startReplay(log) {
+  if (!replay && !getActiveGameMode().isPuzzle && state !== 'gameover') saveGame();
+  closeReplayViewer();
+  clearActivePuzzle();
+  // A puzzle can't be resumed; like a reload, leaving the replay lands on arcade.
+  const resume = {
+    mode: getActiveGameMode().isPuzzle ? 'arcade' : getActiveGameModeId(),
+    rule: getActiveMatchModeId(),
+  };
+  setActiveGameMode(log.mode, { persist: false });
+  setActiveMatchMode(log.rule ?? 'classic', { persist: false });
+  syncModeChrome(log.mode);
+  syncMatchButtons();
+
+  boardGeneration++;
+  clearAllOverrides();
+  clearHintPulse();
+  logoDropdown.classList.add('hidden');
+  document.getElementById('modal-gameover').classList.add('hidden');
+  const run = startSeededRun(log.seed, GRID_COLS, GRID_ROWS, log.shape, log.rule);
+  grid = run.grid;
+  rng = run.rng;
+  runSeed = log.seed;
+  activeCols = GRID_COLS;
+  activeRows = GRID_ROWS;
+  setActiveGridSize(GRID_COLS, GRID_ROWS, grid);
+  moveCount = 0;
+  bombQueued = false;
+  level = 1;
+  selectedCluster = flowerCenter = pearlCenter = null;
+  resetScore();
+  resetChain();
+  restoreClock(null);
+  state = 'idle';
+
+  replay = { log, resume, index: 0, playing: true, busy: false, speed: 1, ended: false };
+  setTimeScale(1);
+  document.getElementById('game-hud-subtitle').textContent = `Replay · seed ${log.seed}`;
+  replayBar.classList.remove('hidden');
+  updateReplayBar();
+  resumeFromPause();
+  requestRedraw();
+  pumpReplay(replay, boardGeneration);
+}
+
+/**
+ * Drop the viewer's own state and give the player back their mode and rule.
+ * The board is left for the caller to replace.
+ */
+function closeReplayViewer() {
+  if (!replay) return;
+  const { resume } = replay;
+  replay = null;
+  setActiveGameMode(resume.mode, { persist: false });
+  setActiveMatchMode(resume.rule, { persist: false });
+  syncModeChrome(resume.mode);
+  syncMatchButtons();
+  setTimeScale(1);
+  replayBar.classList.add('hidden');
+  document.getElementById('game-hud-subtitle').textContent = '';
+}
+
+/** Leave the viewer and go back to the mode's saved game (or a fresh one). */
+function stopReplay() {
+  closeReplayViewer();
+  resetBoardForNewMode();
+}
+
+/** The logged game ended here; hold the final board until the viewer closes. */
+function finishReplay(message) {
+  replay.ended = true;
+  replay.playing = false;
+  state = 'gameover';
+  Arcade.ui.toast(message, { kind: 'info' });
+  updateReplayBar();
+}
+
+/**
+ * The single driver of replay playback: play moves while `r.playing`, or just
+ * one when stepping. Play and step only flip flags and call in here; a call
+ * that arrives mid-move finds `busy` set and leaves the running loop to pick
+ * the new flags up.
+ */
+async function pumpReplay(r, gen) {
+  if (r.busy) return;
+  r.busy = true;
+  try {
+    do {
+      if (!(await replayNextMove(r, gen))) break;
+      if (r.playing) await delay(REPLAY_GAP_MS);
+    } while (r.playing && replay === r && boardGeneration === gen);
+  } finally {
+    r.busy = false;
+  }
+  if (replay === r) {
+    if (r.index >= r.log.moves.length) r.playing = false;
+    updateReplayBar();
+  }
+}
+
+/** Highlight and animate the next logged move. False when nothing was played. */
+async function replayNextMove(r, gen) {
+  if (r.ended || r.index >= r.log.moves.length) return false;
+  const move = decodeMove(r.log.moves[r.index++]);
+  showReplaySelection(move);
+  updateReplayBar();
+  await delay(REPLAY_SELECT_MS);
+  if (replay !== r || boardGeneration !== gen) return false;
+  await animateRotation(move.clockwise);
+  return replay === r && boardGeneration === gen;
+}
+
+/** Select a logged move the way trySelect() would have for the player. */
+function showReplaySelection(move) {
+  const { originX, originY } = getOrigin();
+  flowerCenter = move.kind === 'ring' ? move.center : null;
+  pearlCenter = move.kind === 'y' ? move.center : null;
+  selectedCluster = move.center ? [move.center, ...move.cells] : move.cells;
+  const px = (move.center ? [move.center] : move.cells).map(h => hexToPixel(h.col, h.row, originX, originY));
+  setClusterCenterPx(
+    px.reduce((sum, p) => sum + p.x, 0) / px.length,
+    px.reduce((sum, p) => sum + p.y, 0) / px.length
+  );
+  state = 'selected';
+  requestRedraw();
+}
+
+function updateReplayBar() {
+  if (!replay) return;
+  const total = replay.log.moves.length;
+  document.getElementById('replay-progress').textContent =
+    replay.ended ? `Game over · ${replay.index}/${total}` : `Move ${replay.index}/${total}`;
+  const playBtn = document.getElementById('btn-replay-play');
+  playBtn.textContent = replay.playing ? '⏸' : '▶';
+  playBtn.setAttribute('aria-label', replay.playing ? 'Pause' : 'Play');
+  document.getElementById('btn-replay-speed').textContent = `${replay.speed}x`;
+}
+
+document.getElementById('btn-replay-play').addEventListener('click', (e) => {
+  e.stopPropagation();
+  if (!replay) return;
+  if (replay.playing) {
+    replay.playing = false;  // the current move finishes, then the loop stops
+  } else if (!replay.ended && replay.index < replay.log.moves.length) {
+    replay.playing = true;
+    pumpReplay(replay, boardGeneration);
+  }
+  updateReplayBar();
+});
+
+document.getElementById('btn-replay-step').addEventListener('click', (e) => {
+  e.stopPropagation();
+  if (!replay) return;
+  replay.playing = false;
+  pumpReplay(replay, boardGeneration);
+  updateReplayBar();
+});
+
+document.getElementById('btn-replay-speed').addEventListener('click', (e) => {
+  e.stopPropagation();
+  if (!replay) return;
+  replay.speed = REPLAY_SPEEDS[(REPLAY_SPEEDS.indexOf(replay.speed) + 1) % REPLAY_SPEEDS.length];
+  setTimeScale(replay.speed);
+  updateReplayBar();
+});
+
+document.getElementById('btn-replay-exit').addEventListener('click', (e) => {
+  e.stopPropagation();
+  stopReplay();
+});
+
+/** Copy a replay code, showing it as well in case the clipboard is blocked. */
+function shareReplayCode(code, boxId) {
+  const box = document.getElementById(boxId);
+  if (box) box.textContent = code;
+  navigator.clipboard?.writeText(code).then(
+    () => Arcade.ui.toast('📋 Replay code copied', { kind: 'success' }),
+    () => {}
+  );
+}
+
+// Replay modal (dropdown): share this run, or watch one from a code.
+document.getElementById('dropdown-btn-replay').addEventListener('click', (e) => {
+  e.stopPropagation();
+  isPaused = true;
+  logoDropdown.classList.add('hidden');
+  const code = currentReplayCode();
+  document.getElementById('replay-current-info').textContent = code
+    ? `Seed ${runSeed} · ${moveLog.length} moves`
+    : 'This game can’t be replayed.';
+  document.getElementById('btn-replay-watch-current').disabled = !code;
+  document.getElementById('btn-replay-copy-current').disabled = !code;
+  document.getElementById('replay-code-output').textContent = '';
+  document.getElementById('replay-code-input').value = '';
+  replayModal.classList.remove('hidden');
+});
+
+document.getElementById('btn-replay-watch-current').addEventListener('click', (e) => {
+  e.stopPropagation();
+  const log = currentReplayLog();
+  if (!log || isProcessing()) return;
+  replayModal.classList.add('hidden');
+  startReplay(log);
+});
+
+document.getElementById('btn-replay-copy-current').addEventListener('click', (e) => {
+  e.stopPropagation();
+  const code = currentReplayCode();
+  if (code) shareReplayCode(code, 'replay-code-output');
+});
+
+document.getElementById('btn-replay-load').addEventListener('click', (e) => {
+  e.stopPropagation();
+  const log = decodeReplay(document.getElementById('replay-code-input').value.trim());
+  if (!log) {
+    Arcade.ui.toast('❌ Invalid replay code', { kind: 'error' });
+    return;
+  }
+  guardedAction(e.currentTarget, () => {
+    replayModal.classList.add('hidden');
+    startReplay(log);
+  });
+});
+
+document.getElementById('btn-close-replay').addEventListener('click', (e) => {
+  e.stopPropagation();
+  replayModal.classList.add('hidden');
+  resumeFromPause();
+});
+
+// Game Over: the finished run is still in moveLog until the next game starts.
+document.getElementById('btn-gameover-replay').addEventListener('click', (e) => {
+  e.stopPropagation();
+  const log = currentReplayLog();
+  if (!log) return;
+  commitScoreFromInput('go-name');
+  guardedAction(e.currentTarget, () => startReplay(log));
+});
+
+document.getElementById('btn-gameover-share-replay').addEventListener('click', (e) => {
+  e.stopPropagation();
+  const code = currentReplayCode();
+  if (code) shareReplayCode(code, 'go-replay-code');
+});
+
 // ─── Unified HTML HUD ──────────────────────────────────────────
 
-const MODE_LABELS = { arcade: '💣 Arcade', chill: '✨ Chill', puzzle: '🧩 Puzzle' };
+const MODE_LABELS = { arcade: '💣 Arcade', chill: '✨ Chill', blitz: '⏱️ Blitz', puzzle: '🧩 Puzzle' };
 
 /** Sync the HTML game-hud to the current mode and score. */
 function updateGameHUD() {
@@ -528,9 +951,11 @@ function updateGameHUD() {
   hud.dataset.mode = mode.id;
   const modeEl    = document.getElementById('game-hud-mode');
   const scoreEl   = document.getElementById('hud-score-value');
+  const levelEl   = document.getElementById('hud-level-value');
 
   if (modeEl)  modeEl.textContent  = MODE_LABELS[mode.id] || mode.label;
   if (scoreEl) scoreEl.textContent = getDisplayScore().toLocaleString();
+  if (levelEl) levelEl.textContent = String(level);
 }
 
 /** Called when switching modes to reconfigure the HUD layout. */
@@ -542,9 +967,14 @@ function syncHUDForMode(modeId) {
   const subtitleEl   = document.getElementById('game-hud-subtitle');
   const scoreGroup  = document.getElementById('hud-score-group');
   const puzzleGroup = document.getElementById('hud-puzzle-group');
+  const blitzGroup  = document.getElementById('hud-blitz-group');
+  const levelGroup  = document.getElementById('hud-level-group');
 
   if (modeEl) modeEl.textContent = MODE_LABELS[modeId] || modeId;
   if (subtitleEl) subtitleEl.textContent = '';
+  if (blitzGroup) blitzGroup.style.display = modeId === 'blitz' ? '' : 'none';
+  if (levelGroup) levelGroup.style.display = getGameMode(modeId).levels ? '' : 'none';
+  updateBlitzHUD(getBlitzRemaining());
 
   if (modeId === 'puzzle') {
     if (scoreGroup)  scoreGroup.style.display = 'none';
@@ -555,6 +985,95 @@ function syncHUDForMode(modeId) {
   }
 }
 
+// ─── Arcade levels ──────────────────────────────────────────────
+
+/** A save's level; saves from before levels existed get the one their score is worth. */
+function restoredLevel(saved) {
+  return Number.isInteger(saved.level) ? saved.level : levelForScore(saved.score ?? 0);
+}
+
+/** A levelUp event: toast it and bump the HUD counter. */
+function announceLevel(newLevel) {
+  level = newLevel;
+  const news = newLevel === TEAL_LEVEL ? ' — teal joins the board!'
+    : bombTimerForLevel(newLevel) < bombTimerForLevel(newLevel - 1) ? ' — bombs burn faster'
+    : '';
+  Arcade.ui.toast(`⬆️ Level ${newLevel}${news}`, { kind: 'success' });
+  const el = document.getElementById('hud-level-value');
+  if (!el) return;
+  el.textContent = String(newLevel);
+  el.classList.remove('level-up');
+  void el.offsetWidth; // restart the pulse
+  el.classList.add('level-up');
+}
+
+// ─── Blitz clock ────────────────────────────────────────────────
+// blitz.js keeps the time; this is the game around it. The clock waits for a
+// move (the first of a game, or the first after a saved one comes back) and
+// holds whenever the game is paused, over or a replay.
+
+const BLITZ_LOW_MS = 10_000;
+
+const blitzHooks = {
+  isHeld: () => !blitzLive || isPaused || !!replay || !!paintGrid || state === 'gameover'
+    || !getActiveGameMode().isTimed,
+  onTick: updateBlitzHUD,
+  // A turn already under way finishes first (postRotationCheck ends the game).
+  onExpire: () => {
+    if (isProcessing()) blitzTimeUp = true;
+    else endBlitz();
+  },
+};
+
+/** Keep the Blitz clock running if the game allows it. Safe to call anywhere. */
+function runClock() {
+  if (getActiveGameMode().isTimed) runBlitzClock(blitzHooks);
+}
+
+/** Load a timed mode's clock from its save (or a fresh two minutes). */
+function restoreClock(saved) {
+  blitzLive = false;
+  blitzTimeUp = false;
+  resetBlitzClock(saved?.blitzRemainingMs);
+  updateBlitzHUD(getBlitzRemaining());
+}
+
+/**
+ * A save that couldn't be loaded (storage.js quarantines it) means the
+ * player starts over where they expected to carry on — say so, once.
+ */
+function reportQuarantinedSaves() {
+  if (takeQuarantinedKeys().length === 0) return;
+  Arcade.ui.toast('A save couldn\'t be read and was set aside — starting fresh', { kind: 'error' });
+}
+
+function updateBlitzHUD(ms) {
+  const el = document.getElementById('hud-blitz-value');
+  if (!el) return;
+  el.textContent = formatBlitzClock(ms);
+  el.classList.toggle('low', ms < BLITZ_LOW_MS);
+}
+
+/** Credit a turn's chains and formations to the clock, with a "+Ns" flash. */
+function awardBlitzTime(events) {
+  const bonus = blitzTimeBonus(events);
+  if (bonus <= 0) return;
+  addBlitzTime(bonus);
+  updateBlitzHUD(getBlitzRemaining());
+  const el = document.getElementById('hud-blitz-bonus');
+  if (!el) return;
+  el.textContent = `+${bonus / 1000}s`;
+  el.classList.remove('show');
+  void el.offsetWidth; // restart the fade
+  el.classList.add('show');
+}
+
+function endBlitz() {
+  blitzTimeUp = false;
+  selectedCluster = flowerCenter = pearlCenter = null;
+  handleGameOver(getAnimationContext(), false, "⏱️ Time's up!");
+}
+
 let resizeTimer;
 window.addEventListener('resize', () => {
   clearTimeout(resizeTimer);
@@ -563,6 +1082,7 @@ window.addEventListener('resize', () => {
 
 // Restore active mode then load per-mode saved state
 loadActiveMode();
+loadActiveBoardShape();
 
 // One-shot: seed the per-mode best-score records from existing leaderboards so
 // long-time players keep their history (idempotent). Then wire the soft
@@ -586,7 +1106,33 @@ if (urlGameMode && getAllGameModes().some(m => m.id === urlGameMode)) {
   hasUrlConfig = true;
 }
 
-// line match mode URL param removed (classic-only)
+// ?seed= starts a fresh run on that seed, so two players (or a bug report)
+// get the identical board and refills.
+const urlSeed = urlParams.get('seed');
+if (urlSeed) {
+  hasUrlConfig = true;
+}
+
+// ?shape= picks the board a new run is dealt on (pair it with ?seed= to
+// share an identical shaped board).
+const urlShape = urlParams.get('shape');
+if (urlShape && Object.hasOwn(BOARD_SHAPES, urlShape)) {
+  setActiveBoardShape(urlShape);
+  hasUrlConfig = true;
+}
+
+// ?match= picks the match rule (classic, lines, groups).
+const urlMatch = urlParams.get('match');
+if (urlMatch && getAllMatchModes().some(m => m.id === urlMatch)) {
+  setActiveMatchMode(urlMatch);
+  hasUrlConfig = true;
+}
+
+// ?daily=YYYY-MM-DD opens that day's daily puzzle — the link a shared
+// result ends with. Days still to come aren't handed out early.
+const urlDaily = urlParams.get('daily');
+const linkedDaily = isDailyDateString(urlDaily) && urlDaily <= getDailyDateString() ? urlDaily : null;
+if (urlDaily) hasUrlConfig = true;
 
 // Strip URL params so refreshing doesn't lock the user into the linked config
 if (hasUrlConfig) {
@@ -594,7 +1140,6 @@ if (hasUrlConfig) {
   window.history.replaceState({ path: cleanUrl }, '', cleanUrl);
 }
 const activeGameMode = getActiveGameMode();
-const activeMatchMode = getActiveMatchMode();
 
 if (activeGameMode.id === 'chill') {
   document.getElementById('dropdown-btn-end-session').classList.remove('hidden');
@@ -603,21 +1148,29 @@ if (activeGameMode.id === 'chill') {
 // Initialize the unified HTML HUD for the active mode
 syncHUDForMode(activeGameMode.id);
 
-const savedState = loadGameState(getCombinedModeId());
+// A seeded link replaces whatever run was saved for this mode.
+const savedState = urlSeed ? null : loadGameState(getCombinedModeId());
+restoreClock(savedState);
 if (savedState) {
+  seedRun(savedState.seed, savedState.rngState, savedState.moves);
   grid = savedState.grid;
   restoreScore(savedState);
   moveCount = savedState.moveCount || 0;
+  level = restoredLevel(savedState);
+  unstickResumedBoard();
   state = 'idle';
   console.log('Game state loaded.');
 } else {
   resetScore();
-  grid = createGrid();
-  activeCols = GRID_COLS;
-  activeRows = GRID_ROWS;
-  setActiveGridSize(GRID_COLS, GRID_ROWS);
+  level = 1;
+  seedRun(urlSeed);
+  grid = dealGrid();
   state = 'idle';
 }
+reportQuarantinedSaves();
+activeCols = GRID_COLS;
+activeRows = GRID_ROWS;
+setActiveGridSize(GRID_COLS, GRID_ROWS, grid);
 
 // The SDK owns the frame loop. Arcade.loop cancels on suspend and re-arms on
 // resume, and start() is idempotent — it can never stack a second concurrent
@@ -629,6 +1182,8 @@ const gameFrameLoop = Arcade.loop(gameLoop);
 registerFrameLoop(gameFrameLoop, () => !isPaused);
 gameFrameLoop.start();
 
+if (linkedDaily) playDaily(linkedDaily);
+
 // ─── Game loop ──────────────────────────────────────────────────
 
 /**
@@ -706,7 +1261,11 @@ function gameLoop(_deltaMs, timestamp) {
   // AudioContext under the browser's autoplay policy — so the ambient floor is
   // started from here rather than at load, where it would be blocked. Both
   // calls are idempotent and early-return once the bed is running.
-  if (state === 'idle') {
+  if (replay || paintGrid) {
+    // The viewer drives the board, or the editor is painting one; the player
+    // only has the replay bar or the paint toolbar.
+    clearPendingAction();
+  } else if (state === 'idle') {
     const action = consumeAction();
     if (action && action.type === 'select') {
       startBed(getActiveGameModeId());
@@ -741,8 +1300,12 @@ function gameLoop(_deltaMs, timestamp) {
   // Draw
   const needsDraw = getIsDirty() || hasActiveTweens() || hasActiveRendererAnimations() || isScoreAnimating();
   if (needsDraw) {
-    const hover = (state === 'idle') ? getHoverCluster() : null;
-    drawFrame(grid, hover, (state === 'selected' ? selectedCluster : null));
+    if (paintGrid) {
+      drawFrame(paintGrid, null, null);
+    } else {
+      const hover = (state === 'idle') ? getHoverCluster() : null;
+      drawFrame(grid, hover, (state === 'selected' ? selectedCluster : null));
+    }
     clearDirty();
   }
 
@@ -754,6 +1317,11 @@ function gameLoop(_deltaMs, timestamp) {
   if (nothingLeftToDo()) parkFrameLoop();
 }
 
+/** In bounds and free to turn: not a void, a stone or a chained piece. */
+function canTurn(col, row) {
+  return isOpenCell(grid, col, row) && !isPinned(grid[col][row]);
+}
+
 /**
  * Try to select whatever is under the cursor.
  * Prioritizes flower rings over normal 3-hex clusters.
@@ -776,21 +1344,18 @@ function trySelect() {
 
   const hex = pixelToHex(clickPos.x, clickPos.y, originX, originY);
 
+  const isOpen = n => canTurn(n.col, n.row);
+
   // Check if the clicked hex is a black pearl → Y-shape selection
-  if (hex.col >= 0 && hex.col < activeCols &&
-      hex.row >= 0 && hex.row < activeRows &&
+  if (isOpen(hex) &&
       grid[hex.col]?.[hex.row]?.special === 'blackpearl') {
     // Select a Y-shape: pearl center + 3 alternating neighbors
     const nbrs = getNeighbors(hex.col, hex.row);
-    const inBoundsNbrs = nbrs.filter(n =>
-      n.col >= 0 && n.col < activeCols && n.row >= 0 && n.row < activeRows
-    );
+    const inBoundsNbrs = nbrs.filter(isOpen);
     if (inBoundsNbrs.length >= 3) {
       // Pick alternating neighbors (every other one) for Y-shape
       // Use even-indexed neighbors: 0, 2, 4 for one Y, 1, 3, 5 for inverted
-      const yHexes = [nbrs[0], nbrs[2], nbrs[4]].filter(n =>
-        n.col >= 0 && n.col < activeCols && n.row >= 0 && n.row < activeRows
-      );
+      const yHexes = [nbrs[0], nbrs[2], nbrs[4]].filter(isOpen);
       if (yHexes.length === 3) {
         pearlCenter = { col: hex.col, row: hex.row };
         flowerCenter = null;
@@ -806,13 +1371,10 @@ function trySelect() {
   }
 
   // Check if the clicked hex is a starflower → ring selection
-  if (hex.col >= 0 && hex.col < activeCols &&
-      hex.row >= 0 && hex.row < activeRows &&
+  if (isOpen(hex) &&
       grid[hex.col]?.[hex.row]?.special === 'starflower') {
     const nbrs = getNeighbors(hex.col, hex.row);
-    const allInBounds = nbrs.every(n =>
-      n.col >= 0 && n.col < activeCols && n.row >= 0 && n.row < activeRows
-    );
+    const allInBounds = nbrs.every(isOpen);
     if (allInBounds) {
       flowerCenter = { col: hex.col, row: hex.row };
       pearlCenter = null;
@@ -830,7 +1392,8 @@ function trySelect() {
   const cluster = findClusterAtPixel(
     clickPos.x, clickPos.y,
     originX, originY,
-    activeCols, activeRows
+    activeCols, activeRows,
+    canTurn
   );
   if (cluster) {
     flowerCenter = null;
@@ -862,11 +1425,18 @@ async function switchGameMode(newModeId) {
     return;
   }
 
+  if (replay) stopReplay();
   if (newModeId === getActiveGameModeId()) return;
   saveGame();
   clearActivePuzzle();
   setActiveGameMode(newModeId);
-  if (newModeId === 'chill') {
+  syncModeChrome(newModeId);
+  resetBoardForNewMode();
+}
+
+/** Dropdown highlight, End Session button and HUD layout for a mode. */
+function syncModeChrome(modeId) {
+  if (modeId === 'chill') {
     document.getElementById('dropdown-btn-end-session').classList.remove('hidden');
   } else {
     document.getElementById('dropdown-btn-end-session').classList.add('hidden');
@@ -874,35 +1444,87 @@ async function switchGameMode(newModeId) {
 
   // Update UI active states
   document.querySelectorAll('[data-mode]').forEach(btn => {
-    btn.classList.toggle('active', btn.dataset.mode === newModeId);
+    btn.classList.toggle('active', btn.dataset.mode === modeId);
   });
 
-  syncHUDForMode(newModeId);
-  resetBoardForNewMode();
+  syncHUDForMode(modeId);
 }
 
-// switchMatchMode removed — line variant deprecated, see tag feature/line-match-mode
+/**
+ * Change what counts as a match. Each rule keeps its own saved game per mode
+ * (getCombinedModeId), so the current run is saved and the rule's own one —
+ * or a fresh deal — takes its place. Puzzles always play classic.
+ */
+function switchMatchMode(ruleId) {
+  if (replay) stopReplay();
+  if (ruleId === getActiveMatchModeId()) return;
+  const isPuzzle = getActiveGameMode().isPuzzle;
+  if (!isPuzzle) saveGame();
+  setActiveMatchMode(ruleId);
+  syncMatchButtons();
+  const rule = getMatchMode(ruleId);
+  Arcade.ui.toast(`${rule.icon} ${rule.label}: ${rule.help}`, { kind: 'info' });
+  if (!isPuzzle) resetBoardForNewMode();
+}
+
+function syncMatchButtons() {
+  document.querySelectorAll('[data-match]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.match === getActiveMatchModeId());
+  });
+}
+
+/**
+ * Pick the shape new endless runs are dealt on. A run nobody has moved in yet
+ * is re-dealt on the spot; one in progress keeps its board (its voids are in
+ * its save) and the shape starts with the next game.
+ */
+function switchBoardShape(shapeId) {
+  if (shapeId === getActiveBoardShapeId()) return;
+  setActiveBoardShape(shapeId);
+  syncShapeButtons();
+  if (moveCount === 0 && !replay && !getActiveGameMode().isPuzzle && state !== 'gameover' && !isProcessing()) {
+    logoDropdown.classList.add('hidden');
+    resetGame();
+    return;
+  }
+  const shape = getBoardShape(shapeId);
+  Arcade.ui.toast(`${shape.icon} ${shape.label} board from your next game`, { kind: 'info' });
+}
+
+function syncShapeButtons() {
+  document.querySelectorAll('[data-shape]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.shape === getActiveBoardShapeId());
+  });
+}
 
 function resetBoardForNewMode() {
   boardGeneration++;
   clearAllOverrides();
+  clearHintPulse();
   bombQueued = false;
   selectedCluster = flowerCenter = pearlCenter = null;
   const combinedId = getCombinedModeId();
   const saved = loadGameState(combinedId);
+  restoreClock(saved);
   if (saved) {
+    seedRun(saved.seed, saved.rngState, saved.moves);
     grid = saved.grid;
     restoreScore(saved);
     moveCount = saved.moveCount || 0;
+    level = restoredLevel(saved);
+    unstickResumedBoard();
   } else {
     resetScore();
     resetChain();
-    grid = createGrid();
+    seedRun();
+    grid = dealGrid();
     moveCount = 0;
+    level = 1;
   }
+  reportQuarantinedSaves();
   activeCols = GRID_COLS;
   activeRows = GRID_ROWS;
-  setActiveGridSize(GRID_COLS, GRID_ROWS);
+  setActiveGridSize(GRID_COLS, GRID_ROWS, grid);
   state = 'idle';
   document.getElementById('modal-gameover').classList.add('hidden');
   requestRedraw();
@@ -913,6 +1535,7 @@ function resetBoardForNewMode() {
 async function animateRotation(clockwise) {
   if (state !== 'selected') return;
   state = 'rotating';
+  clearHintPulse();
   // One ratchet per player rotation press, not per internal step. The
   // mechanism's size follows what is actually turning: a starflower spins its
   // six-tile ring, a black pearl its Y, everything else the plain 3-cluster.
@@ -922,14 +1545,17 @@ async function animateRotation(clockwise) {
 
   const { originX, originY } = getOrigin();
 
-  // Determine max steps based on selection type
-  // Starflower ring = 6 steps for full rotation
-  // Cluster / Black Pearl (Y) = 3 steps for full rotation
-  let maxSteps = 3;
-  if (flowerCenter || pearlCenter) maxSteps = 1;
-
-  for (let step = 0; step < maxSteps; step++) {
-    // 1. Animate one step
+  // The engine resolves the whole turn up front — how many steps the
+  // selection turns (a cluster stops early on a match or special, a ring or Y
+  // turns once), the bomb tick, the cascade. Everything from here on replays
+  // its events.
+  const move = selectedMove(clockwise);
+  if (moveLog && !replay) moveLog.push(encodeMove(move));
+  if (getActivePuzzle()) onPuzzleMoveStart(grid);
+  const turn = resolveMove(grid, move, engineOptions());
+  const rotated = turn.events[0];
+
+  for (let step = 0; step < rotated.steps; step++) {
     if (flowerCenter) {
       await animateRingRotation(ctx, clockwise, originX, originY);
     } else if (pearlCenter) {
@@ -938,24 +1564,31 @@ async function animateRotation(clockwise) {
       await animateClusterRotation(ctx, clockwise, originX, originY);
     }
     if (boardGeneration !== gen) return; // board was replaced (e.g. restart)
+  }
+  adoptSnapshot(ctx, rotated);
 
-    // 2. Check for matches or specials
-    const matches = findMatchesForMode(grid, activeCols, activeRows);
-    const sfResults = detectStarflowers(grid);
-    const bpResults = detectBlackPearls(grid);
-    const gpResults = detectGrandPoobahs(grid);
+  await postRotationCheck(gen, turn);
+}
 
-    // If we found anything significant, proceed to post-rotation logic (cascade/etc)
-    // and STOP rotating.
-    if (matches.size > 0 || sfResults.length > 0 || bpResults.length > 0 || gpResults.length > 0) {
-      await postRotationCheck(gen);
-      return;
-    }
-  }
+/** What the engine needs to know about the game in progress. */
+function engineOptions() {
+  return {
+    cols: activeCols,
+    rows: activeRows,
+    mode: getActiveGameMode(),
+    moveCount,
+    score: getScore(),
+    bombQueued,
+    level,
+    rng,
+  };
+}
 
-  // If we loop through all steps without a match, we are back at the start.
-  // Count as a move, tick bombs, etc.
-  await postRotationCheck(gen);
+/** The current selection as an engine move. */
+function selectedMove(clockwise) {
+  if (flowerCenter) return ringMove(flowerCenter, clockwise);
+  if (pearlCenter) return yMove(pearlCenter, clockwise);
+  return clusterMove(selectedCluster, clockwise);
 }
 
 function handleGameWin() {
@@ -988,130 +1621,81 @@ function bombUrgency() {
   return Math.max(0, Math.min(1, u));
 }
 
-/** Shared post-rotation logic: tick bombs, cascade or detect specials.
+/** Replay the rest of a resolved turn: bomb tick, formations, cascade.
  *  @param {number} gen — boardGeneration at call time; bail out if it changes.
- *                        Always pass explicitly — do not rely on a default capture. */
-async function postRotationCheck(gen) {
+ *                        Always pass explicitly — do not rely on a default capture.
+ *  @param {object} turn — the resolveMove() result for the move just animated. */
+async function postRotationCheck(gen, turn) {
   // Guard: callers must pass gen so stale async chains bail correctly.
   if (gen === undefined) gen = boardGeneration;
-  moveCount++;
+  moveCount = turn.moveCount;
+  bombQueued = turn.bombQueued;
+  level = turn.level;
   const ctx = getAnimationContext();
 
-  const mode = getActiveGameMode();
-
-  // Tick bomb timers in any mode that has them (arcade + puzzle pre-placed bombs)
-  // Only spawn new bombs in arcade (hasBombs). Puzzle uses pre-placed bombs only.
-  if (mode.ticksBombs) {
-    tickBombs(grid);
-
-    // Animate bomb shake on tick
-    const bombCells = [];
-    for (let c = 0; c < activeCols; c++) {
-      for (let r = 0; r < activeRows; r++) {
-        if (grid[c][r]?.special === 'bomb') bombCells.push({ c, r });
-      }
-    }
-    if (bombCells.length > 0) {
-      // The fuse clock, with the shake. Urgency tracks the SHORTEST live fuse,
-      // since that is the one about to end the game.
-      playBombTick(bombUrgency());
-      await tween(250, t => {
-        const shakeX = Math.sin(t * Math.PI * 6) * 4 * (1 - t);
-        for (const b of bombCells) {
-          setCellOverride(b.c, b.r, { offsetX: shakeX });
-        }
-        requestRedraw();
-      }, linear).promise;
-      if (boardGeneration !== gen) return;
-      for (const b of bombCells) clearCellOverride(b.c, b.r);
-      requestRedraw();
-    }
-
-    // Spawn new bombs only in arcade mode
-    if (mode.hasBombs) {
-      const currentScore = getScore();
-      let dynamicInterval = 15 - Math.floor(currentScore / 5000);
-      if (dynamicInterval < 4) dynamicInterval = 4;
-      if (moveCount % dynamicInterval === 0 && !bombQueued) {
-        bombQueued = true;
+  for (const event of turn.events) {
+    if (boardGeneration !== gen) return;
+    switch (event.type) {
+      case 'bombsTicked':
+        await animateBombTick(ctx, event, gen);
+        break;
+      case 'bombQueued':
         playBombArrive(); // a bomb is about to appear on the board
-      }
+        break;
+      case 'chain':
+        advanceChain();
+        await delay(100);
+        break;
+      case 'overAchiever':
+        if (replay) finishReplay('🏆 Over-Achiever!');
+        else {
+          noteProgress({ overAchievers: 1 });
+          await handleOverAchiever(ctx);
+        }
+        return;
+      case 'formed':
+        state = 'cascading';
+        // Formations that fall out of a match ride on the match's sound.
+        if (!event.incidental) playSpecial(event.special);
+        await animateFormation(ctx, event, gen);
+        break;
+      case 'gameWon':
+        if (replay) Arcade.ui.toast('👑 Grand Poobah Perl!', { kind: 'success' });
+        else handleGameWin();
+        break;
+      case 'matched':
+        state = 'cascading';
+        // First clear = plain match, sized by how much glass broke; chained
+        // cascade steps = combo, climbing the ladder with chain depth.
+        if (event.chainLevel > 0) playCombo(event.chainLevel);
+        else playMatch(event.size);
+        await animateMatch(ctx, event, gen);
+        break;
+      case 'gravity':
+        await animateGravity(ctx, event, gen);
+        break;
+      case 'refilled':
+        adoptSnapshot(ctx, event);
+        break;
+      case 'levelUp':
+        announceLevel(event.level);
+        break;
+      case 'reshuffled':
+        // The engine found the settled board dead and rearranged it.
+        state = 'cascading';
+        Arcade.ui.toast(event.penalty > 0
+          ? `🔀 No moves left — reshuffled (−${event.penalty})`
+          : '🔀 No moves left — reshuffled', { kind: 'info' });
+        deductPoints(event.penalty);
+        await animateReshuffle(ctx, event, gen);
+        break;
     }
   }
+  if (boardGeneration !== gen) return;
 
-  // Centralized Board State Resolution Logic
-  let boardStable = false;
-  let isFirstStep = true;
-
-  while (!boardStable) {
-    if (boardGeneration !== gen) return;
-    boardStable = true;
-
-    // Check for Grand Poobah Ring (Over-Achiever) before anything else
-    const gpRing = detectGrandPoobahRing(grid);
-    if (gpRing.length > 0) {
-      await handleOverAchiever(ctx);
-      return;
-    }
-
-    const gpResults = detectGrandPoobahs(grid);
-    if (gpResults.length > 0) {
-      if (!isFirstStep) { advanceChain(); await delay(100); }
-      if (boardGeneration !== gen) return;
-      isFirstStep = false;
-      state = 'cascading';
-      playSpecial('grandpoobah');
-      await animateGrandPoobahCreation(ctx, gpResults);
-      if (boardGeneration !== gen) return;
-      boardStable = false;
-      continue;
-    }
-
-    const bpResults = detectBlackPearls(grid);
-    if (bpResults.length > 0) {
-      if (!isFirstStep) { advanceChain(); await delay(100); }
-      if (boardGeneration !== gen) return;
-      isFirstStep = false;
-      state = 'cascading';
-      playSpecial('blackpearl');
-      await animateBlackPearlCreation(ctx, bpResults);
-      if (boardGeneration !== gen) return;
-      boardStable = false;
-      continue;
-    }
-
-    const sfResults = detectStarflowers(grid);
-    if (sfResults.length > 0) {
-      if (!isFirstStep) { advanceChain(); await delay(100); }
-      if (boardGeneration !== gen) return;
-      isFirstStep = false;
-      state = 'cascading';
-      playSpecial('starflower');
-      await animateStarflowerCreation(ctx, sfResults);
-      if (boardGeneration !== gen) return;
-      boardStable = false;
-      continue;
-    }
+  if (getActiveGameMode().isTimed && !replay && !blitzTimeUp) awardBlitzTime(turn.events);
 
-    const matches = findMatchesForMode(grid, activeCols, activeRows);
-    if (matches.size > 0) {
-      const chained = !isFirstStep;
-      if (chained) { advanceChain(); await delay(100); }
-      if (boardGeneration !== gen) return;
-      isFirstStep = false;
-      state = 'cascading';
-      // First clear = plain match, sized by how much glass broke; chained
-      // cascade steps = combo, climbing the ladder with chain depth.
-      if (chained) playCombo(getChainLevel());
-      else playMatch(matches.size);
-      await runCascade(ctx, matches, gen);
-      if (boardGeneration !== gen) return;
-      boardStable = false;
-      continue;
-    }
-  }
-
-  if (!isFirstStep) {
+  if (turn.acted) {
     // Only deselect if a cascade or special formation occurred
     selectedCluster = null;
     flowerCenter = null;
@@ -1124,6 +1708,12 @@ async function postRotationCheck(gen) {
 
   resetChain();
 
+  // A replay is someone's run being watched, not played.
+  if (!replay) {
+    recordTurnStats(getActiveGameModeId(), turn.events);
+    noteProgress(turnProgress(turn.events, getMaxCombo()));
+  }
+
   // The floor answers the board: the tension layer tracks the shortest live
   // fuse and goes silent when there are none. Quantised + hysteresis inside,
   // so calling it every move costs a retune only a handful of times a session.
@@ -1132,7 +1722,7 @@ async function postRotationCheck(gen) {
   // Puzzle move tracking
   const activePuzzle = getActivePuzzle();
   if (activePuzzle) {
-    onPuzzleMove(grid, getScore(), getChainLevel());
+    onPuzzleMove(grid, getScore(), turn.events);
     // Don't saveGame for puzzles — fixed board, no persistence needed
   } else {
     saveGame();
@@ -1140,34 +1730,51 @@ async function postRotationCheck(gen) {
 
   // Final check: did any un-cleared bombs expire?
   // ticksBombs covers both arcade (hasBombs) and puzzle (pre-placed bombs)
-  if (mode.ticksBombs && mode.hasGameOver) {
-    let exploded = false;
-    for (let c = 0; c < activeCols; c++) {
-      for (let r = 0; r < activeRows; r++) {
-         if (grid[c]?.[r]?.special === 'bomb' && grid[c][r].bombTimer <= 0) {
-             exploded = true;
-             break;
-         }
-      }
-    }
-    if (exploded) {
-       handleGameOver(ctx, false);
-       return;
-    }
+  if (turn.outcome === 'gameOver') {
+    if (replay) finishReplay('💣 A bomb exploded!');
+    else handleGameOver(ctx, false);
+  } else if (blitzTimeUp) {
+    endBlitz();
+  } else if (!replay) {
+    blitzLive = true;
+    runClock();
   }
 }
 
+/** Land a bomb tick: the new timers appear and every bomb shakes. */
+async function animateBombTick(ctx, event, gen) {
+  adoptSnapshot(ctx, event);
+  // The fuse clock, with the shake. Urgency tracks the SHORTEST live fuse,
+  // since that is the one about to end the game.
+  playBombTick(bombUrgency());
+  await tween(250, t => {
+    const shakeX = Math.sin(t * Math.PI * 6) * 4 * (1 - t);
+    for (const b of event.bombs) {
+      setCellOverride(b.col, b.row, { offsetX: shakeX });
+    }
+    requestRedraw();
+  }, linear).promise;
+  if (boardGeneration !== gen) return;
+  for (const b of event.bombs) clearCellOverride(b.col, b.row);
+  requestRedraw();
+}
+
 function resetGame() {
   boardGeneration++;
+  closeReplayViewer();
+  clearHintPulse();
   resetScore();
   resetChain();
-  grid = createGrid();
+  restoreClock(null);
+  seedRun();
+  grid = dealGrid();
   activeCols = GRID_COLS;
   activeRows = GRID_ROWS;
-  setActiveGridSize(GRID_COLS, GRID_ROWS);
+  setActiveGridSize(GRID_COLS, GRID_ROWS, grid);
   state = 'idle';
   moveCount = 0;
   bombQueued = false;
+  level = 1;
   selectedCluster = null;
   flowerCenter = null;
   pearlCenter = null;
@@ -1191,6 +1798,8 @@ function resetGame() {
 }
 
 function saveGame() {
+  // The replay viewer borrows the board; the run it displaced is already saved.
+  if (replay) return;
   saveGameState(getCombinedModeId(), {
     grid,
     moveCount,
@@ -1199,28 +1808,51 @@ function saveGame() {
     chainLevel: getChainLevel(),
     comboCount: getComboCount(),
     maxCombo: getMaxCombo(),
+    seed: runSeed,
+    rngState: rng.getState(),
+    moves: moveLog,
+    level,
+    ...(getActiveGameMode().isTimed && { blitzRemainingMs: getBlitzRemaining() }),
   });
 }
 
-// ─── Cascade logic ──────────────────────────────────────────────
-
-async function startCascade() {
-  state = 'cascading';
-
-  const matches = findMatchesForMode(grid, activeCols, activeRows);
-  if (matches.size === 0) {
-    // No match — just deselect
-    selectedCluster = null;
-    state = 'idle';
-    resetChain();
-    return;
-  }
+/**
+ * Point `rng` at the stream for a run. With no seed a fresh one is drawn; a
+ * saved `state` resumes the stream exactly where the save left it. Saves from
+ * before seeding have neither and simply continue on a new seed.
+ *
+ * A move log only replays from the seed's first draw, so a resumed stream
+ * keeps its log only if the save carried one; otherwise the run is simply not
+ * replayable.
+ */
+function seedRun(seed, state, moves) {
+  runSeed = seed ?? Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+  rng = makeRng(runSeed);
+  if (state != null) rng.setState(state);
+  moveLog = state == null ? [] : (seed != null && Array.isArray(moves) ? moves : null);
+}
 
-  await runCascade(getAnimationContext(), matches);
+/** Opening board of a new run on the player's board shape and match rule,
+ *  from the fresh `rng` — the same deal startSeededRun() gives a replay of it. */
+function dealGrid() {
+  return dealBoard(rng, GRID_COLS, GRID_ROWS, getActiveBoardShapeId(), getActiveMatchModeId());
+}
 
-  selectedCluster = null;
-  state = 'idle';
-  resetChain();
+/**
+ * A resumed board with no move left is reshuffled before the player has to
+ * waste a turn (and, in arcade, a bomb tick) finding out. The shuffle draws
+ * from the run's stream where no logged move can account for it, so the run
+ * is no longer replayable.
+ */
+function unstickResumedBoard() {
+  const mode = getActiveGameMode();
+  if (!mode.reshuffles) return;
+  // The colors and rule the engine's own after-move reshuffle uses.
+  const playable = ensurePlayable(grid, { rng, numColors: refillColors({ mode, level }), matchRule: matchRuleFor(mode) });
+  if (!playable.reshuffled) return;
+  grid = playable.grid;
+  moveLog = null;
+  Arcade.ui.toast('🔀 No moves left — reshuffled', { kind: 'info' });
 }
 
 // ─── Helpers ────────────────────────────────────────────────────
@@ -1245,10 +1877,9 @@ function setNameFromInput(inputId) {
  *  for the active game mode. Call once per game-over flow before resetGame. */
 function commitScoreFromInput(inputId, achievement) {
   setNameFromInput(inputId);
-  const modeId = getActiveGameModeId();
-  addHighScore(modeId, getScore(), achievement, getMaxCombo());
+  addHighScore(getLeaderboardId(), getScore(), achievement, getMaxCombo());
   // Records: single best-ever score per mode, alongside the leaderboard (R4).
-  recordModeScore(modeId, getScore());
+  recordModeScore(getActiveGameModeId(), getScore(), getMatchMode(getActiveMatchModeId()));
 }
 
 function clustersMatch(a, b) {
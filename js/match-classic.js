@@ -0,0 +1,16 @@
+/**
+ * match-classic.js — The original rule: three mutually touching tiles of one
+ * color clear (board.js findTriangleMatches).
+ */
+
+import { findTriangleMatches } from './board.js';
+import { matchPoints } from './score.js';
+
+export const classicRule = {
+  id: 'classic',
+  label: 'Classic',
+  icon: '🔺',
+  help: 'Turn three tiles of one color into a triangle — each touching the other two.',
+  findMatches: (grid, cols, rows) => findTriangleMatches(grid, cols, rows),
+  score: matchPoints,
+};
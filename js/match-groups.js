@@ -0,0 +1,63 @@
+/**
+ * match-groups.js — Flood fill: any connected group of GROUP_MIN_SIZE or
+ * more tiles of one color clears, whatever its shape.
+ */
+
+import { getNeighbors } from './hex-math.js';
+import { isVoid } from './board-shapes.js';
+import { isInert } from './obstacles.js';
+import { matchPoints } from './score.js';
+
+// Any smaller and random refills alone keep forming groups: a single move can
+// cascade for dozens of chain steps.
+export const GROUP_MIN_SIZE = 6;
+
+// Every group is at least six tiles, where the score table has already
+// climbed steeply; take the edge off.
+const GROUP_DISCOUNT = 0.5;
+
+/** Pieces that can join a group: colored tiles, bombs and multipliers. */
+function groupable(cell) {
+  return !!cell && cell.colorIndex >= 0 && !isVoid(cell) && !isInert(cell);
+}
+
+/**
+ * Every tile in a same-color connected group of at least `minSize`.
+ * @returns {Set<string>} flat Set of "col,row" keys
+ */
+export function findGroupMatches(grid, cols, rows, minSize = GROUP_MIN_SIZE) {
+  const matched = new Set();
+  const seen = new Set();
+  for (let c = 0; c < cols; c++) {
+    for (let r = 0; r < rows; r++) {
+      const start = `${c},${r}`;
+      if (seen.has(start) || !groupable(grid[c]?.[r])) continue;
+      const color = grid[c][r].colorIndex;
+      const group = [start];
+      seen.add(start);
+      for (let i = 0; i < group.length; i++) {
+        const [gc, gr] = group[i].split(',').map(Number);
+        for (const n of getNeighbors(gc, gr)) {
+          const key = `${n.col},${n.row}`;
+          if (n.col < 0 || n.col >= cols || n.row < 0 || n.row >= rows || seen.has(key)) continue;
+          const cell = grid[n.col]?.[n.row];
+          if (!groupable(cell) || cell.colorIndex !== color) continue;
+          seen.add(key);
+          group.push(key);
+        }
+      }
+      if (group.length >= minSize) for (const key of group) matched.add(key);
+    }
+  }
+  return matched;
+}
+
+export const groupsRule = {
+  id: 'groups',
+  label: 'Groups',
+  icon: '🫧',
+  help: `Gather ${GROUP_MIN_SIZE} or more touching tiles of one color, in any shape.`,
+  quietDeal: true,
+  findMatches: (grid, cols, rows) => findGroupMatches(grid, cols, rows),
+  score: (size, chainLevel, bonus) => Math.round(matchPoints(size, chainLevel, bonus) * GROUP_DISCOUNT),
+};
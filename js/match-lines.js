@@ -0,0 +1,20 @@
+/**
+ * match-lines.js — Straight lines: three or more tiles of one color in a row
+ * along any of the three hex axes (board.js findMatches).
+ */
+
+import { findMatches } from './board.js';
+import { matchPoints } from './score.js';
+
+// A line takes more setting up than a triangle, so it pays more.
+const LINE_BONUS = 1.5;
+
+export const linesRule = {
+  id: 'lines',
+  label: 'Lines',
+  icon: '➖',
+  help: 'Line up three or more tiles of one color along any of the three directions.',
+  quietDeal: true,
+  findMatches: (grid, cols, rows) => findMatches(grid, cols, rows),
+  score: (size, chainLevel, bonus) => Math.round(matchPoints(size, chainLevel, bonus) * LINE_BONUS),
+};
@@ -2,17 +2,35 @@
  * modes.js — Game mode definitions and active-mode state.
  */
 
+import { classicRule } from './match-classic.js';
+import { linesRule } from './match-lines.js';
+import { groupsRule } from './match-groups.js';
+
 const GAME_MODES = {
   // hasBombs: spawns new bombs during play and ticks existing ones
   // ticksBombs: ticks existing bombs each move (puzzle mode uses pre-placed bombs, no spawning)
-  arcade: { id: 'arcade', label: 'Arcade', hasBombs: true,  ticksBombs: true,  hasGameOver: true,  isPuzzle: false },
-  chill:  { id: 'chill',  label: 'Chill',  hasBombs: false, ticksBombs: false, hasGameOver: false, isPuzzle: false },
-  puzzle: { id: 'puzzle', label: 'Puzzle', hasBombs: false, ticksBombs: true,  hasGameOver: true,  isPuzzle: true  },
+  // reshuffles: a board left with no productive move is reshuffled, costing reshufflePenalty points
+  // isTimed: the game ends when the Blitz clock runs out (blitz.js)
+  // levels: the run climbs levels with its score — teal, shorter fuses (levels.js)
+  arcade: { id: 'arcade', label: 'Arcade', hasBombs: true,  ticksBombs: true,  hasGameOver: true,  isPuzzle: false, isTimed: false, reshuffles: true, reshufflePenalty: 50, levels: true },
+  chill:  { id: 'chill',  label: 'Chill',  hasBombs: false, ticksBombs: false, hasGameOver: false, isPuzzle: false, isTimed: false, reshuffles: true, reshufflePenalty: 0 },
+  blitz:  { id: 'blitz',  label: 'Blitz',  hasBombs: false, ticksBombs: false, hasGameOver: true,  isPuzzle: false, isTimed: true,  reshuffles: true, reshufflePenalty: 0 },
+  puzzle: { id: 'puzzle', label: 'Puzzle', hasBombs: false, ticksBombs: true,  hasGameOver: true,  isPuzzle: true,  isTimed: false, reshuffles: false },
 };
 
-// Line match mode removed — preserved at git tag feature/line-match-mode
+// Match rules: one module each, supplying
+//   findMatches(grid, cols, rows) → Set of "col,row" keys that clear
+//   score(size, chainLevel, bonus) → points for one clear
+//   help — one line for the mode menu
+//   quietDeal — re-roll a new run's deal until nothing on it matches. Classic
+//     leaves it off: its deals have always kept their stray triangles, and
+//     replays of classic seeds depend on the exact deal.
+// Every rule keeps the same specials (starflowers, pearls, bombs,
+// multipliers); only what counts as a match changes.
 const MATCH_MODES = {
-  classic: { id: 'classic', label: 'Classic', matchMode: 'classic' },
+  classic: classicRule,
+  lines:   linesRule,
+  groups:  groupsRule,
 };
 
 let activeGameModeId = 'arcade';
@@ -26,21 +44,48 @@ export function loadActiveMode() {
 }
 
 export function getActiveGameMode()   { return GAME_MODES[activeGameModeId] || GAME_MODES.arcade; }
-export function getActiveMatchMode()  { return MATCH_MODES[activeMatchModeId] || MATCH_MODES.classic; }
+export function getActiveMatchMode()  { return matchRuleFor(getActiveGameMode()); }
 export function getActiveGameModeId() { return activeGameModeId; }
 export function getActiveMatchModeId() { return activeMatchModeId; }
-// Used for high score storage keys:
+// Used for saved-game keys:
 export function getCombinedModeId() { return `${activeGameModeId}_${activeMatchModeId}`; }
 
+/**
+ * Leaderboard and record id for the active modes. Classic keeps the bare game
+ * mode id its boards have always had; every other rule gets boards of its own
+ * under the combined id.
+ */
+export function getLeaderboardId() {
+  return activeMatchModeId === 'classic' ? activeGameModeId : getCombinedModeId();
+}
+
+/**
+ * The match rule a game mode plays by: the chosen one, except in puzzles,
+ * whose boards are all built for classic triangles.
+ */
+export function matchRuleFor(mode) {
+  return mode?.isPuzzle ? MATCH_MODES.classic : (MATCH_MODES[activeMatchModeId] || MATCH_MODES.classic);
+}
+
+export function getMatchMode(id)      { return MATCH_MODES[id] || MATCH_MODES.classic; }
+
+/** A game mode by id (falls back to arcade, like getActiveGameMode). */
+export function getGameMode(id)       { return GAME_MODES[id] || GAME_MODES.arcade; }
+
 export function getAllGameModes()      { return Object.values(GAME_MODES); }
 export function getAllMatchModes()     { return Object.values(MATCH_MODES); }
 
-export function setActiveGameMode(id) {
+/**
+ * Make `id` the active game mode. `persist: false` only borrows it (the
+ * replay viewer does): the player's saved choice is left as it was.
+ */
+export function setActiveGameMode(id, { persist = true } = {}) {
   activeGameModeId = id;
-  Arcade.state.set('activeGameMode', id);
+  if (persist) Arcade.state.set('activeGameMode', id);
 }
 
-export function setActiveMatchMode(id) {
+/** Make `id` the active match rule; `persist` as for setActiveGameMode. */
+export function setActiveMatchMode(id, { persist = true } = {}) {
   activeMatchModeId = id;
-  Arcade.state.set('activeMatchMode', id);
+  if (persist) Arcade.state.set('activeMatchMode', id);
 }
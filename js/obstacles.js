@@ -0,0 +1,69 @@
+/**
+ * obstacles.js — Blockers a board can be built with.
+ *
+ *   Stone    { colorIndex: -5, special: 'stone' } — never turns and never
+ *            matches. It falls with gravity like any piece, and breaks when
+ *            a match clears a cell next to it.
+ *   Ice      `ice: 1` on any piece — frozen out of matches and formations
+ *            until a clear next to it (or a blast that reaches it) breaks
+ *            the ice; a second clear takes the piece itself. An iced piece
+ *            still turns.
+ *   Chained  `chained: true` on any piece — matches as usual, but no
+ *            rotation may move it.
+ *
+ * Ice and chains are flags on the cell, so they travel with it through
+ * gravity, cloneGrid() and saves. The engine applies the clearing rules
+ * (game-engine.js clearMatches); rotateCluster / rotateRing refuse to move a
+ * pinned cell.
+ */
+
+import { getNeighbors } from './hex-math.js';
+import { isVoid } from './board-shapes.js';
+
+/** colorIndex of a stone, after the void's -4. */
+export const STONE_COLOR = -5;
+
+export function stoneCell() {
+  return { colorIndex: STONE_COLOR, special: 'stone' };
+}
+
+export function isStone(cell) {
+  return cell?.special === 'stone';
+}
+
+/** A cell no match or formation can use: a stone or an iced piece. */
+export function isInert(cell) {
+  return isStone(cell) || cell?.ice > 0;
+}
+
+/** A cell no rotation may move: a void, a stone or a chained piece. */
+export function isPinned(cell) {
+  return isVoid(cell) || isStone(cell) || !!cell?.chained;
+}
+
+/**
+ * Cells passing `test` next to any of `keys` ("col,row" of the cells a match
+ * just cleared), not counting cells that are themselves in `keys`.
+ * @returns {Array<{col: number, row: number}>}
+ */
+export function cellsNextTo(grid, keys, test) {
+  const found = new Map();
+  for (const key of keys) {
+    const [c, r] = key.split(',').map(Number);
+    for (const n of getNeighbors(c, r)) {
+      const nKey = `${n.col},${n.row}`;
+      if (keys.has(nKey) || found.has(nKey)) continue;
+      if (test(grid[n.col]?.[n.row])) found.set(nKey, n);
+    }
+  }
+  return [...found.values()];
+}
+
+/** Pieces still under ice. */
+export function countIce(grid) {
+  let count = 0;
+  for (const col of grid) {
+    for (const cell of col) if (cell?.ice > 0) count++;
+  }
+  return count;
+}
@@ -3,16 +3,36 @@
  *
  * Lets you:
  *   1. Capture the current live board state as a puzzle definition
- *   2. Set goal type, move limit, par
+ *   2. Set goal type (or two joined with AND / OR), move limit, par
  *   3. Get a shareable code (base64-encoded JSON)
  *   4. Load a puzzle from a share code
+ *   5. Solve the board to find its optimal par (solver.js)
+ *   6. Paint the board on the game canvas (board-painter.js): a palette of
+ *      pieces and obstacles, flood fill, resize and undo; the board string
+ *      follows every stroke
+ *   7. Lint the puzzle before it is shared or played (puzzle-lint.js): the
+ *      report lists what is wrong and can mark the cells on the canvas
+ *   8. Save the puzzle to My Puzzles (puzzle-library.js), or edit one
+ *      from there
  *
  * Share codes are URL-safe base64 of a compact JSON blob.
  * No server required.
  */
 
-import { encodePuzzleBoard, decodePuzzleBoard, describeGoal } from './puzzles.js';
-import { GRID_COLS, GRID_ROWS, PIECE_COLORS } from './constants.js';
+import { encodePuzzleBoard, readPuzzleBoard, isValidGoal } from './puzzles.js';
+import { GRID_COLS, GRID_ROWS, PIECE_COLORS, BOMB_INITIAL_TIMER } from './constants.js';
+import { solvePuzzle, parForOptimal } from './solver.js';
+import {
+  PAINT_BRUSHES, MIN_PAINT_SIZE, MAX_PAINT_SIZE,
+  getPaintBrush, paintCell, floodFill, resizeGrid,
+} from './board-painter.js';
+import { setPaintHandler } from './input.js';
+import { setLintMarks } from './renderer.js';
+import { lintPuzzle } from './puzzle-lint.js';
+import {
+  addToLibrary, updateLibraryEntry, getLibraryEntry, findLibraryEntry, libraryPuzzle, parseTags,
+} from './puzzle-library.js';
+import { getPlayerName } from './storage.js';
 
 // ─── Share code encode/decode ───────────────────────────────────
 
@@ -25,6 +45,7 @@ export function encodePuzzleShareCode(puzzle) {
     id:  puzzle.id   ?? 'custom',
     n:   puzzle.name ?? 'Custom Puzzle',
     d:   puzzle.description ?? '',
+    a:   puzzle.author || undefined,
     c:   puzzle.cols,
     r:   puzzle.rows,
     m:   puzzle.moveLimit,
@@ -41,9 +62,19 @@ export function encodePuzzleShareCode(puzzle) {
 
 /**
  * Decode a share code back to a puzzle definition.
- * Returns null on failure.
+ * Returns null on failure, including a goal this build can't play or a
+ * malformed board.
  */
 export function decodePuzzleShareCode(code) {
+  return readPuzzleShareCode(code).puzzle;
+}
+
+/**
+ * Decode a share code, saying what is wrong with it when it can't be played.
+ * @returns {{puzzle: object|null, error: string|null}}
+ */
+export function readPuzzleShareCode(code) {
+  let c;
   try {
     const padded = code.replace(/-/g, '+').replace(/_/g, '/');
     const pad    = padded.length % 4;
@@ -51,30 +82,37 @@ export function decodePuzzleShareCode(code) {
     // Use TextDecoder for full Unicode support (emoji, CJK safe)
     const bytes  = Uint8Array.from(atob(b64), ch => ch.charCodeAt(0));
     const json   = new TextDecoder().decode(bytes);
-    const c      = JSON.parse(json);
-    if (!c.v || !c.b || !c.g) return null;
-    return {
-      id:          c.id   ?? 'custom',
-      name:        c.n    ?? 'Custom Puzzle',
-      description: c.d    ?? '',
-      cols:        c.c    ?? GRID_COLS,
-      rows:        c.r    ?? GRID_ROWS,
-      moveLimit:   c.m    ?? 20,
-      par:         c.p    ?? 12,
-      noRefill:    true,
-      goal:        c.g,
-      board:       c.b,
-      isCustom:    true,
-    };
+    c            = JSON.parse(json);
   } catch (e) {
-    return null;
+    return { puzzle: null, error: 'Not a puzzle code' };
   }
+  if (!c?.v || !c.b) return { puzzle: null, error: 'Not a puzzle code' };
+  if (!isValidGoal(c.g)) return { puzzle: null, error: 'This code has a goal this version can\'t play' };
+
+  const puzzle = {
+    id:          c.id   ?? 'custom',
+    name:        c.n    ?? 'Custom Puzzle',
+    description: c.d    ?? '',
+    author:      c.a    ?? '',
+    cols:        c.c    ?? GRID_COLS,
+    rows:        c.r    ?? GRID_ROWS,
+    moveLimit:   c.m    ?? 20,
+    par:         c.p    ?? 12,
+    noRefill:    true,
+    goal:        c.g,
+    board:       c.b,
+    isCustom:    true,
+  };
+  const { error } = readPuzzleBoard(puzzle.board, puzzle.cols, puzzle.rows);
+  return error ? { puzzle: null, error } : { puzzle, error: null };
 }
 
 // ─── Editor UI ─────────────────────────────────────────────────
 
 let _getGrid       = null;   // () => grid — injected by main.js
 let _startPuzzleFn = null;   // (puzzle) => void — from puzzle-mode.js
+let editingEntryId = null;   // the My Puzzles entry the fields came from, if any
+let keptGoal       = null;   // its goal, when the goal fields can't show all of it
 
 export function registerEditorCallbacks(getGrid, startPuzzle) {
   _getGrid       = getGrid;
@@ -86,13 +124,15 @@ export function initPuzzleEditorUI() {
   document.getElementById('btn-load-share-code')?.addEventListener('click', () => {
     const input = document.getElementById('share-code-input');
     if (!input) return;
-    const puzzle = decodePuzzleShareCode(input.value.trim());
+    const { puzzle, error } = readPuzzleShareCode(input.value.trim());
     if (!puzzle) {
-      showEditorStatus('❌ Invalid code', 'error');
+      showEditorStatus(`❌ ${error}`, 'error');
       return;
     }
+    // Imported puzzles are kept, so a code only has to be pasted once.
+    const entry = addToLibrary(puzzle, { author: puzzle.author });
     document.getElementById('modal-puzzle-editor').classList.add('hidden');
-    if (_startPuzzleFn) _startPuzzleFn(puzzle);
+    if (_startPuzzleFn) _startPuzzleFn(libraryPuzzle(entry));
   });
 
   // Capture board button
@@ -116,12 +156,12 @@ export function initPuzzleEditorUI() {
     const rows      = parseInt(document.getElementById('editor-rows')?.value) || GRID_ROWS;
     const moveLimit = parseInt(document.getElementById('editor-moves')?.value) || 20;
     const par       = parseInt(document.getElementById('editor-par')?.value) || 12;
-    const goalType  = document.getElementById('editor-goal-type')?.value || 'clear_color';
-    const goalParam = document.getElementById('editor-goal-param')?.value;
-
-    const goal = buildGoalFromEditor(goalType, goalParam);
+    const goal      = readEditorGoal();
+    if (!goal) return;
 
-    const puzzle = { id: 'custom', name, description: desc, cols, rows, moveLimit, par, noRefill: true, goal, board };
+    const author    = document.getElementById('editor-author')?.value?.trim() ?? '';
+    const puzzle = { id: 'custom', name, description: desc, author, cols, rows, moveLimit, par, noRefill: true, goal, board };
+    if (!lintEditorPuzzle(puzzle)) return;
     const code = encodePuzzleShareCode(puzzle);
 
     const codeBox = document.getElementById('share-code-output');
@@ -146,19 +186,91 @@ export function initPuzzleEditorUI() {
     const rows      = parseInt(document.getElementById('editor-rows')?.value) || GRID_ROWS;
     const moveLimit = parseInt(document.getElementById('editor-moves')?.value) || 20;
     const par       = parseInt(document.getElementById('editor-par')?.value) || 12;
-    const goalType  = document.getElementById('editor-goal-type')?.value || 'clear_color';
-    const goalParam = document.getElementById('editor-goal-param')?.value;
-    const goal      = buildGoalFromEditor(goalType, goalParam);
+    const goal      = readEditorGoal();
+    if (!goal) return;
 
     const puzzle = { id: 'custom', name, description: '', cols, rows, moveLimit, par, noRefill: true, goal, board };
+    if (!lintEditorPuzzle(puzzle)) return;
     document.getElementById('modal-puzzle-editor').classList.add('hidden');
     if (_startPuzzleFn) _startPuzzleFn(puzzle);
   });
 
-  // Goal type selector — show/hide param field
-  document.getElementById('editor-goal-type')?.addEventListener('change', (e) => {
+  // Save to My Puzzles — a new entry, or the one being edited
+  document.getElementById('btn-save-to-library')?.addEventListener('click', () => {
+    const board = document.getElementById('editor-board-string')?.value?.trim();
+    if (!board) { showEditorStatus('❌ Capture a board first', 'error'); return; }
+
+    const field     = id => document.getElementById(id)?.value ?? '';
+    const name      = field('editor-name') || 'Custom Puzzle';
+    const cols      = parseInt(field('editor-cols')) || GRID_COLS;
+    const rows      = parseInt(field('editor-rows')) || GRID_ROWS;
+    const moveLimit = parseInt(field('editor-moves')) || 20;
+    const par       = parseInt(field('editor-par')) || 12;
+    const goal      = readEditorGoal();
+    if (!goal) return;
+
+    const puzzle = { name, description: field('editor-desc'), cols, rows, moveLimit, par, goal, board };
+    if (!lintEditorPuzzle(puzzle)) return;
+    const listing = { name, tags: parseTags(field('editor-tags')), author: field('editor-author') };
+    // The same board and goal may be listed already (a pasted share code is
+    // kept as soon as it loads): then saving updates that entry.
+    const existing = (editingEntryId && getLibraryEntry(editingEntryId)) || findLibraryEntry(puzzle);
+    const entry = existing
+      ? updateLibraryEntry(existing.id, { puzzle, ...listing })
+      : addToLibrary(puzzle, listing);
+    editingEntryId = entry.id;
+    updateSaveButton();
+    showEditorStatus(`✅ ${existing ? 'Updated' : 'Saved'} "${entry.name}" in My Puzzles`, 'success');
+  });
+
+  // Solve button — find the optimal line and set par/moves from it
+  document.getElementById('btn-solve-puzzle')?.addEventListener('click', () => {
+    const board = document.getElementById('editor-board-string')?.value?.trim();
+    if (!board) { showEditorStatus('❌ Capture a board first', 'error'); return; }
+
+    const cols      = parseInt(document.getElementById('editor-cols')?.value) || GRID_COLS;
+    const rows      = parseInt(document.getElementById('editor-rows')?.value) || GRID_ROWS;
+    const moveLimit = parseInt(document.getElementById('editor-moves')?.value) || 20;
+    const goal      = readEditorGoal();
+    if (!goal || !checkEditorBoard(board, cols, rows)) return;
+
+    showEditorStatus('🧮 Solving…');
+    // Let the toast paint before the search blocks the thread.
+    setTimeout(() => {
+      const result = solvePuzzle({ board, cols, rows, moveLimit, goal });
+      if (result.status === 'unknown') {
+        showEditorStatus('⚠️ Too many positions to search — par not changed', 'error');
+        return;
+      }
+      if (!result.solvable) {
+        showEditorStatus(`❌ No solution within ${moveLimit} moves`, 'error');
+        return;
+      }
+      const { par, moveLimit: limit } = parForOptimal(result.optimal);
+      document.getElementById('editor-par').value = par;
+      document.getElementById('editor-moves').value = limit;
+      showEditorStatus(`✅ Solvable in ${result.optimal} — par ${par}, ${limit} moves`, 'success');
+    }, 50);
+  });
+
+  // Goal type selectors — show/hide param fields. The second goal offers
+  // the same types as the first.
+  const goal2Type = document.getElementById('editor-goal2-type');
+  const goalType  = document.getElementById('editor-goal-type');
+  if (goal2Type && goalType) goal2Type.innerHTML = goalType.innerHTML;
+  goalType?.addEventListener('change', (e) => {
     updateGoalParamLabel(e.target.value);
   });
+  goal2Type?.addEventListener('change', (e) => {
+    updateGoalParamLabel(e.target.value, 'editor-goal2');
+  });
+  document.getElementById('editor-goal-join')?.addEventListener('change', updateGoalJoinRows);
+  // Touching any goal field means the fields are the goal now.
+  for (const id of ['editor-goal-type', 'editor-goal-param', 'editor-goal-join', 'editor-goal2-type', 'editor-goal2-param']) {
+    document.getElementById(id)?.addEventListener('change', () => { keptGoal = null; });
+  }
+
+  initPaintToolbar();
 
   // Close editor
   document.getElementById('btn-close-puzzle-editor')?.addEventListener('click', () => {
@@ -166,51 +278,404 @@ export function initPuzzleEditorUI() {
   });
 }
 
+// ─── Paint mode ─────────────────────────────────────────────────
+//
+// The editor modal steps aside and the game canvas shows the board being
+// painted. main.js owns the canvas: onShow(grid, cols, rows) after every
+// change puts the painted grid on screen in place of the live one, and
+// onEnd() hands the live board back. Undo and redo keep whole boards as
+// encoded strings — small, and exactly what the textarea holds anyway.
+
+let _onPaintShow = null;   // (grid, cols, rows) => void — injected by main.js
+let _onPaintEnd  = null;   // () => void
+
+let paint = null;  // { grid, cols, rows, brush, fill, undo, redo, stroke } while painting
+let paintPaletteBuilt = false;
+
+export function registerPaintCallbacks(onShow, onEnd) {
+  _onPaintShow = onShow;
+  _onPaintEnd  = onEnd;
+}
+
+function initPaintToolbar() {
+  document.getElementById('btn-paint-board')?.addEventListener('click', openPaintMode);
+  document.getElementById('btn-paint-done')?.addEventListener('click', closePaintMode);
+  document.getElementById('btn-paint-undo')?.addEventListener('click', undoPaint);
+  document.getElementById('btn-paint-redo')?.addEventListener('click', redoPaint);
+  document.getElementById('btn-paint-fill')?.addEventListener('click', (e) => {
+    if (!paint) return;
+    paint.fill = !paint.fill;
+    e.currentTarget.setAttribute('aria-pressed', String(paint.fill));
+  });
+  for (const id of ['paint-cols', 'paint-rows']) {
+    document.getElementById(id)?.addEventListener('change', resizePaintBoard);
+  }
+  document.getElementById('btn-paint-check')?.addEventListener('click', checkPaintedBoard);
+}
+
+/**
+ * Fill the palette and bind the undo / redo shortcuts — once, the first time
+ * paint mode opens.
+ */
+function buildPaintPalette() {
+  if (paintPaletteBuilt) return;
+  paintPaletteBuilt = true;
+  const palette = document.getElementById('paint-palette');
+  if (palette) {
+    for (const brush of PAINT_BRUSHES) {
+      const btn = document.createElement('button');
+      btn.className = 'paint-brush';
+      btn.dataset.brush = brush.id;
+      btn.title = brush.label;
+      btn.setAttribute('aria-label', brush.label);
+      if (brush.swatch) btn.style.background = brush.swatch;
+      else btn.textContent = brush.icon;
+      btn.addEventListener('click', () => selectBrush(brush.id));
+      palette.appendChild(btn);
+    }
+  }
+
+  window.addEventListener('keydown', (e) => {
+    if (!paint || !(e.ctrlKey || e.metaKey)) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) { e.preventDefault(); undoPaint(); }
+    else if (key === 'y' || (key === 'z' && e.shiftKey)) { e.preventDefault(); redoPaint(); }
+  });
+}
+
+/**
+ * Paint the board in the textarea, or the live board when the textarea is
+ * empty. A board string that doesn't read stays put, with the error shown.
+ */
+function openPaintMode() {
+  const text = document.getElementById('editor-board-string')?.value?.trim();
+  let grid, cols, rows;
+  if (text) {
+    cols = clampPaintSize(parseInt(document.getElementById('editor-cols')?.value) || GRID_COLS);
+    rows = clampPaintSize(parseInt(document.getElementById('editor-rows')?.value) || GRID_ROWS);
+    const read = readPuzzleBoard(text, cols, rows);
+    if (read.error) { showEditorStatus(`❌ ${read.error}`, 'error'); return; }
+    grid = read.grid;
+  } else {
+    const live = _getGrid?.();
+    if (!live) return;
+    cols = live.length;
+    rows = live[0]?.length ?? GRID_ROWS;
+    grid = resizeGrid(live, cols, rows);
+  }
+
+  buildPaintPalette();
+  paint = { grid, cols, rows, brush: PAINT_BRUSHES[0], fill: false, undo: [], redo: [], stroke: null };
+  document.getElementById('modal-puzzle-editor').classList.add('hidden');
+  document.getElementById('paint-toolbar')?.classList.remove('hidden');
+  document.getElementById('btn-paint-fill')?.setAttribute('aria-pressed', 'false');
+  const timer = document.getElementById('paint-bomb-timer');
+  if (timer && !timer.value) timer.value = BOMB_INITIAL_TIMER;
+  selectBrush(paint.brush.id);
+  setPaintHandler(onPaintStroke);
+  syncPaint();
+}
+
+function closePaintMode() {
+  if (!paint) return;
+  paint = null;
+  setPaintHandler(null);
+  setLintMarks([]);
+  document.getElementById('paint-toolbar')?.classList.add('hidden');
+  if (_onPaintEnd) _onPaintEnd();
+  document.getElementById('modal-puzzle-editor').classList.remove('hidden');
+}
+
+function selectBrush(id) {
+  if (!paint) return;
+  paint.brush = getPaintBrush(id);
+  document.querySelectorAll('#paint-palette .paint-brush').forEach(btn => {
+    const on = btn.dataset.brush === paint.brush.id;
+    btn.classList.toggle('active', on);
+    btn.setAttribute('aria-pressed', String(on));
+  });
+}
+
+/**
+ * One press-drag-release. The board before the press goes on the undo stack
+ * and comes off again if the stroke changed nothing. Each hex is painted
+ * once per stroke, so dragging back over an ice or chain cell doesn't toggle
+ * it again.
+ */
+function onPaintStroke(col, row, phase) {
+  if (!paint) return;
+  if (phase === 'start') {
+    paint.undo.push(paintSnapshot());
+    paint.redo = [];
+    paint.stroke = { touched: new Set(), changed: false };
+  }
+  const stroke = paint.stroke;
+  if (!stroke) return;
+
+  if (phase === 'end') {
+    if (!stroke.changed) paint.undo.pop();
+    paint.stroke = null;
+    updatePaintHistoryButtons();
+    return;
+  }
+
+  const key = `${col},${row}`;
+  if (stroke.touched.has(key)) return;
+  stroke.touched.add(key);
+  const opts = { bombTimer: parseInt(document.getElementById('paint-bomb-timer')?.value) || BOMB_INITIAL_TIMER };
+  let changed;
+  if (paint.fill) {
+    // A fill is the whole stroke; dragging on from it paints nothing more.
+    if (phase !== 'start') return;
+    changed = floodFill(paint.grid, col, row, paint.brush, opts) > 0;
+  } else {
+    changed = paintCell(paint.grid, col, row, paint.brush, opts);
+  }
+  if (changed) {
+    stroke.changed = true;
+    syncPaint();
+  }
+}
+
+function resizePaintBoard() {
+  if (!paint) return;
+  const cols = clampPaintSize(parseInt(document.getElementById('paint-cols')?.value) || paint.cols);
+  const rows = clampPaintSize(parseInt(document.getElementById('paint-rows')?.value) || paint.rows);
+  if (cols === paint.cols && rows === paint.rows) { syncPaint(); return; }
+  paint.undo.push(paintSnapshot());
+  paint.redo = [];
+  paint.grid = resizeGrid(paint.grid, cols, rows);
+  paint.cols = cols;
+  paint.rows = rows;
+  syncPaint();
+}
+
+function undoPaint() {
+  if (!paint || paint.stroke || !paint.undo.length) return;
+  paint.redo.push(paintSnapshot());
+  restorePaintSnapshot(paint.undo.pop());
+}
+
+function redoPaint() {
+  if (!paint || paint.stroke || !paint.redo.length) return;
+  paint.undo.push(paintSnapshot());
+  restorePaintSnapshot(paint.redo.pop());
+}
+
+function paintSnapshot() {
+  return { board: encodePuzzleBoard(paint.grid, paint.cols, paint.rows), cols: paint.cols, rows: paint.rows };
+}
+
+function restorePaintSnapshot({ board, cols, rows }) {
+  paint.grid  = readPuzzleBoard(board, cols, rows).grid;
+  paint.cols  = cols;
+  paint.rows  = rows;
+  syncPaint();
+}
+
+/** Push the painted board everywhere it shows: the editor fields, the toolbar and the canvas. */
+function syncPaint() {
+  const { grid, cols, rows } = paint;
+  const board = encodePuzzleBoard(grid, cols, rows);
+  const ta = document.getElementById('editor-board-string');
+  if (ta) ta.value = board;
+  const setValue = (id, value) => { const el = document.getElementById(id); if (el) el.value = value; };
+  setValue('editor-cols', cols);
+  setValue('editor-rows', rows);
+  setValue('paint-cols', cols);
+  setValue('paint-rows', rows);
+  const live = document.getElementById('paint-board-string');
+  if (live) live.textContent = board;
+  updatePaintHistoryButtons();
+  setLintMarks([]);  // they were for the board before this change
+  if (_onPaintShow) _onPaintShow(grid, cols, rows);
+}
+
+function updatePaintHistoryButtons() {
+  const undoBtn = document.getElementById('btn-paint-undo');
+  const redoBtn = document.getElementById('btn-paint-redo');
+  if (undoBtn) undoBtn.disabled = paint.undo.length === 0;
+  if (redoBtn) redoBtn.disabled = paint.redo.length === 0;
+}
+
+function clampPaintSize(n) {
+  return Math.max(MIN_PAINT_SIZE, Math.min(MAX_PAINT_SIZE, n));
+}
+
+// ─── Lint ───────────────────────────────────────────────────────
+
+/**
+ * Lint `puzzle` and show the report. True when it has no errors and may be
+ * shared or played; warnings are listed but don't stop it. The solver runs
+ * too when "Check it can be solved" is ticked.
+ */
+function lintEditorPuzzle(puzzle) {
+  const solve = !!document.getElementById('editor-lint-solve')?.checked;
+  const report = lintPuzzle(puzzle, { solve });
+  renderLintReport(report);
+  if (report.errors.length > 0) {
+    const n = report.errors.length;
+    showEditorStatus(`❌ ${n} problem${n > 1 ? 's' : ''} to fix first — see the report`, 'error');
+    return false;
+  }
+  return true;
+}
+
+/** List the report's errors then warnings; a problem with cells can show them. */
+function renderLintReport(report) {
+  const list = document.getElementById('editor-lint-report');
+  if (!list) return;
+  list.innerHTML = '';
+  const entries = [
+    ...report.errors.map(issue => ({ issue, kind: 'error', icon: '❌' })),
+    ...report.warnings.map(issue => ({ issue, kind: 'warning', icon: '⚠️' })),
+  ];
+  for (const { issue, kind, icon } of entries) {
+    const item = document.createElement('li');
+    item.className = `lint-${kind}`;
+    item.textContent = `${icon} ${issue.message}`;
+    if (issue.cells.length > 0) {
+      const show = document.createElement('button');
+      show.className = 'lint-show';
+      show.textContent = '📍 Show';
+      show.addEventListener('click', () => {
+        openPaintMode();
+        if (paint) setLintMarks(issue.cells);
+      });
+      item.appendChild(show);
+    }
+    list.appendChild(item);
+  }
+}
+
+/** The paint toolbar's check: lint the painted board and ring every problem cell. */
+function checkPaintedBoard() {
+  if (!paint) return;
+  const goal = readEditorGoal();
+  if (!goal) return;
+  const report = lintPuzzle({
+    board:     encodePuzzleBoard(paint.grid, paint.cols, paint.rows),
+    cols:      paint.cols,
+    rows:      paint.rows,
+    moveLimit: parseInt(document.getElementById('editor-moves')?.value) || 20,
+    par:       parseInt(document.getElementById('editor-par')?.value) || 12,
+    goal,
+  });
+  renderLintReport(report);
+  setLintMarks([...report.errors, ...report.warnings].flatMap(issue => issue.cells));
+  const { errors, warnings } = report;
+  if (errors.length > 0) showEditorStatus(`❌ ${errors[0].message}${errors.length > 1 ? ` (+${errors.length - 1} more)` : ''}`, 'error');
+  else if (warnings.length > 0) showEditorStatus(`⚠️ ${warnings[0].message}`);
+  else showEditorStatus('✅ No problems found', 'success');
+}
+
+/** True when the board string reads; otherwise says why not. */
+function checkEditorBoard(board, cols, rows) {
+  const { error } = readPuzzleBoard(board, cols, rows);
+  if (error) showEditorStatus(`❌ ${error}`, 'error');
+  return !error;
+}
+
+/**
+ * The goal the editor fields describe: the first goal alone, or joined with
+ * the second under AND ('all') / OR ('any'). An edited puzzle's goal the
+ * fields can't show is kept as it was until a goal field changes. Null, with
+ * an error shown, when a field can't make a playable goal (a marked-cells
+ * goal with no cells).
+ */
+function readEditorGoal() {
+  if (keptGoal) return keptGoal;
+  const goal = goalFromFields();
+  if (!isValidGoal(goal)) {
+    showEditorStatus('❌ List the marked cells as col:row', 'error');
+    return null;
+  }
+  return goal;
+}
+
+function goalFromFields() {
+  const field = id => document.getElementById(id)?.value;
+  const goal = buildGoalFromEditor(field('editor-goal-type') || 'clear_color', field('editor-goal-param'));
+  const join = field('editor-goal-join');
+  if (join !== 'all' && join !== 'any') return goal;
+  const second = buildGoalFromEditor(field('editor-goal2-type') || 'clear_color', field('editor-goal2-param'));
+  return { type: join, goals: [goal, second] };
+}
+
 function buildGoalFromEditor(goalType, paramValue) {
+  const count = fallback => parseInt(paramValue ?? String(fallback)) || fallback;
   switch (goalType) {
     case 'clear_color':
       return { type: 'clear_color', colorIndex: parseInt(paramValue ?? '0') || 0 };
     case 'defuse_bomb':
       return { type: 'defuse_bomb' };
     case 'make_starflower':
-      return { type: 'make_starflower', count: parseInt(paramValue ?? '1') || 1 };
+    case 'make_blackpearl':
+    case 'detonate_multiplier':
+      return { type: goalType, count: count(1) };
+    case 'chain':
+      return { type: 'chain', count: count(2) };
+    case 'survive_bombs':
+      return { type: 'survive_bombs', count: count(5) };
     case 'score':
       return { type: 'score', target: parseInt(paramValue ?? '100') || 100 };
     case 'clear_all':
       return { type: 'clear_all' };
+    case 'break_ice':
+      return { type: 'break_ice' };
+    case 'clear_targets': {
+      // "col:row col:row …", the board string's own coordinates
+      const cells = (paramValue ?? '').trim().split(/[\s,]+/)
+        .map(token => token.split(':').map(Number))
+        .filter(([col, row]) => Number.isInteger(col) && Number.isInteger(row))
+        .map(([col, row]) => ({ col, row }));
+      return { type: 'clear_targets', cells };
+    }
     default:
       return { type: 'clear_color', colorIndex: 0 };
   }
 }
 
-function updateGoalParamLabel(goalType) {
-  const row   = document.getElementById('editor-goal-param-row');
-  const label = document.getElementById('editor-goal-param-label');
-  const input = document.getElementById('editor-goal-param');
+/** Show the second goal's fields only when the goals are joined. */
+function updateGoalJoinRows() {
+  const joined = !!document.getElementById('editor-goal-join')?.value;
+  const typeRow = document.getElementById('editor-goal2-type-row');
+  if (typeRow) typeRow.style.display = joined ? 'flex' : 'none';
+  if (joined) {
+    updateGoalParamLabel(document.getElementById('editor-goal2-type')?.value ?? 'clear_color', 'editor-goal2');
+  } else {
+    const paramRow = document.getElementById('editor-goal2-param-row');
+    if (paramRow) paramRow.style.display = 'none';
+  }
+}
+
+const GOAL_PARAMS = {
+  clear_color:         { label: 'Color (0–5)', placeholder: '0=red 1=orange 2=blue 3=green 4=purple 5=teal', value: '0' },
+  make_starflower:     { label: 'Count',       placeholder: '1',   value: '1' },
+  make_blackpearl:     { label: 'Count',       placeholder: '1',   value: '1' },
+  detonate_multiplier: { label: 'Clusters',    placeholder: '1',   value: '1' },
+  chain:               { label: 'Chain depth', placeholder: '2',   value: '2' },
+  survive_bombs:       { label: 'Moves',       placeholder: '5',   value: '5' },
+  score:               { label: 'Target pts',  placeholder: '200', value: '200' },
+  clear_targets:       { label: 'Cells',       placeholder: 'col:row col:row — e.g. 2:3 4:4', value: '' },
+};
+
+/** `prefix` picks the goal: 'editor-goal' or 'editor-goal2'. */
+function updateGoalParamLabel(goalType, prefix = 'editor-goal') {
+  const row   = document.getElementById(`${prefix}-param-row`);
+  const label = document.getElementById(`${prefix}-param-label`);
+  const input = document.getElementById(`${prefix}-param`);
   if (!row || !label || !input) return;
 
-  switch (goalType) {
-    case 'clear_color':
-      row.style.display = 'flex';
-      label.textContent = 'Color (0–4)';
-      input.placeholder = '0=red 1=orange 2=blue 3=green 4=purple';
-      input.value = '0';
-      break;
-    case 'make_starflower':
-      row.style.display = 'flex';
-      label.textContent = 'Count';
-      input.placeholder = '1';
-      input.value = '1';
-      break;
-    case 'score':
-      row.style.display = 'flex';
-      label.textContent = 'Target pts';
-      input.placeholder = '200';
-      input.value = '200';
-      break;
-    default:
-      row.style.display = 'none';
+  const param = GOAL_PARAMS[goalType];
+  if (!param) {
+    row.style.display = 'none';
+    return;
   }
+  row.style.display = 'flex';
+  label.textContent = param.label;
+  input.placeholder = param.placeholder;
+  input.value = param.value;
 }
 
 // Editor status rides the platform toast (launcher-rendered when framed,
@@ -220,12 +685,85 @@ function showEditorStatus(msg, kind = 'info') {
   Arcade.ui.toast(msg, { kind });
 }
 
+/**
+ * Open the editor on a My Puzzles entry: every field filled in from it, and
+ * Save writes back to the same entry.
+ */
+export function editLibraryPuzzle(entry) {
+  const { puzzle } = entry;
+  const setValue = (id, value) => { const el = document.getElementById(id); if (el) el.value = value; };
+  setValue('editor-name', entry.name);
+  setValue('editor-desc', puzzle.description ?? '');
+  setValue('editor-tags', entry.tags.join(', '));
+  setValue('editor-author', entry.author);
+  setValue('editor-cols', puzzle.cols);
+  setValue('editor-rows', puzzle.rows);
+  setValue('editor-moves', puzzle.moveLimit);
+  setValue('editor-par', puzzle.par);
+  setValue('editor-board-string', puzzle.board);
+  fillGoalFields(puzzle.goal);
+  editingEntryId = entry.id;
+  openEditorModal();
+}
+
+/**
+ * Set the goal fields to `goal`. The editor joins at most two plain goals,
+ * so a goal nested deeper shows as its first plain goals — and is kept
+ * whole (keptGoal) unless the player changes a goal field.
+ */
+function fillGoalFields(goal) {
+  const plain = g => (g.type === 'all' || g.type === 'any' ? plain(g.goals[0]) : g);
+  const joined = goal.type === 'all' || goal.type === 'any';
+  const [first, second] = joined ? goal.goals.map(plain) : [goal];
+  const join = document.getElementById('editor-goal-join');
+  if (join) join.value = joined && second ? goal.type : '';
+  fillGoalField(first, 'editor-goal');
+  updateGoalJoinRows();
+  if (joined && second) fillGoalField(second, 'editor-goal2');
+
+  const fits = !joined || (goal.goals.length === 2 && !goal.goals.some(g => g.type === 'all' || g.type === 'any'));
+  keptGoal = fits ? null : goal;
+  if (keptGoal) showEditorStatus('⚠️ This goal has more parts than the editor shows — it is kept as it is unless you change the goal');
+}
+
+/** One goal's type select and parameter, under `prefix`. */
+function fillGoalField(goal, prefix) {
+  const typeEl = document.getElementById(`${prefix}-type`);
+  if (typeEl) typeEl.value = goal.type;
+  updateGoalParamLabel(goal.type, prefix);
+  const param = document.getElementById(`${prefix}-param`);
+  if (!param || !GOAL_PARAMS[goal.type]) return;
+  switch (goal.type) {
+    case 'clear_color':   param.value = goal.colorIndex; break;
+    case 'score':         param.value = goal.target; break;
+    case 'clear_targets': param.value = goal.cells.map(t => `${t.col}:${t.row}`).join(' '); break;
+    default:              param.value = goal.count ?? param.value;
+  }
+}
+
+function updateSaveButton() {
+  const btn = document.getElementById('btn-save-to-library');
+  if (btn) btn.textContent = editingEntryId ? '💾 Update in My Puzzles' : '💾 Save to My Puzzles';
+}
+
 export function showPuzzleEditor() {
+  editingEntryId = null;
+  keptGoal = null;
+  const author = document.getElementById('editor-author');
+  if (author && !author.value) author.value = getPlayerName() ?? '';
   // Reset defaults
   const colsEl = document.getElementById('editor-cols');
   const rowsEl = document.getElementById('editor-rows');
   if (colsEl) colsEl.value = GRID_COLS;
   if (rowsEl) rowsEl.value = GRID_ROWS;
   updateGoalParamLabel(document.getElementById('editor-goal-type')?.value ?? 'clear_color');
+  updateGoalJoinRows();
+  openEditorModal();
+}
+
+function openEditorModal() {
+  updateSaveButton();
+  const report = document.getElementById('editor-lint-report');
+  if (report) report.innerHTML = '';
   document.getElementById('modal-puzzle-editor').classList.remove('hidden');
 }
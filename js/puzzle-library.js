@@ -0,0 +1,205 @@
+/**
+ * puzzle-library.js — The player's own puzzles, kept across reloads.
+ *
+ * Every puzzle saved from the editor or loaded from a share code lands here,
+ * in one Arcade.state key ('library', newest first). An entry is the puzzle
+ * definition plus what the library lists it by:
+ *
+ *   { id, name, tags: string[], author, addedAt, plays,
+ *     puzzle: { description, cols, rows, moveLimit, par, goal, board } }
+ *
+ * The entry id doubles as the puzzle id when it is played, so its best stars
+ * are the ordinary per-puzzle progress (storage.js getPuzzleProgress) and
+ * need no copy of their own.
+ */
+
+const LIBRARY_KEY = 'library';
+
+/** The fields of a puzzle definition an entry keeps. */
+const PUZZLE_FIELDS = ['description', 'cols', 'rows', 'moveLimit', 'par', 'goal', 'board'];
+
+export const LIBRARY_SORTS = {
+  added: 'Newest',
+  name:  'Name',
+  stars: 'Best stars',
+  plays: 'Most played',
+};
+
+// ─── Storage ────────────────────────────────────────────────────
+
+export function getLibrary() {
+  const entries = Arcade.state.get(LIBRARY_KEY);
+  return Array.isArray(entries) ? entries : [];
+}
+
+function saveLibrary(entries) {
+  Arcade.state.set(LIBRARY_KEY, entries);
+}
+
+export function getLibraryEntry(id) {
+  return getLibrary().find(e => e.id === id) ?? null;
+}
+
+/** The entry holding the same board, size and goal as `puzzle`, or null. */
+export function findLibraryEntry(puzzle) {
+  const body = puzzleBody(puzzle);
+  return getLibrary().find(e => samePuzzle(e.puzzle, body)) ?? null;
+}
+
+/**
+ * Add a puzzle, or — when the library already holds the same board, size
+ * and goal — hand back that entry instead of a second copy.
+ * @param {object} puzzle — puzzles.js shape
+ * @param {object} [meta]
+ * @param {string} [meta.name] — defaults to the puzzle's own name
+ * @param {string[]} [meta.tags]
+ * @param {string} [meta.author]
+ * @returns {object} the entry
+ */
+export function addToLibrary(puzzle, { name, tags = [], author = '' } = {}) {
+  const same = findLibraryEntry(puzzle);
+  if (same) return same;
+
+  const entries = getLibrary();
+  const entry = {
+    id:      newEntryId(entries),
+    name:    (name ?? puzzle.name ?? '').trim() || 'Custom Puzzle',
+    tags:    cleanTags(tags),
+    author:  author.trim(),
+    addedAt: Date.now(),
+    plays:   0,
+    puzzle:  puzzleBody(puzzle),
+  };
+  saveLibrary([entry, ...entries]);
+  return entry;
+}
+
+/**
+ * Change an entry's listing (name, tags, author) and/or its puzzle. Returns
+ * the updated entry, or null when there is no such entry.
+ */
+export function updateLibraryEntry(id, { puzzle, name, tags, author } = {}) {
+  const entries = getLibrary();
+  const i = entries.findIndex(e => e.id === id);
+  if (i < 0) return null;
+  const entry = { ...entries[i] };
+  if (puzzle) entry.puzzle = puzzleBody(puzzle);
+  if (name !== undefined) entry.name = name.trim() || entry.name;
+  if (tags !== undefined) entry.tags = cleanTags(tags);
+  if (author !== undefined) entry.author = author.trim();
+  entries[i] = entry;
+  saveLibrary(entries);
+  return entry;
+}
+
+/** A copy of an entry, listed as new and unplayed. Null when there is no such entry. */
+export function duplicateLibraryEntry(id) {
+  const entries = getLibrary();
+  const source = entries.find(e => e.id === id);
+  if (!source) return null;
+  const copy = {
+    ...source,
+    id:      newEntryId(entries),
+    name:    `${source.name} (copy)`,
+    tags:    [...source.tags],
+    addedAt: Date.now(),
+    plays:   0,
+    puzzle:  structuredClone(source.puzzle),
+  };
+  saveLibrary([copy, ...entries]);
+  return copy;
+}
+
+export function removeFromLibrary(id) {
+  const entries = getLibrary();
+  const kept = entries.filter(e => e.id !== id);
+  if (kept.length === entries.length) return false;
+  saveLibrary(kept);
+  return true;
+}
+
+/** Count one more play of an entry. */
+export function recordLibraryPlay(id) {
+  const entries = getLibrary();
+  const entry = entries.find(e => e.id === id);
+  if (!entry) return;
+  entry.plays = (entry.plays ?? 0) + 1;
+  saveLibrary(entries);
+}
+
+/** The playable puzzle definition of an entry (puzzle-mode.js startPuzzle). */
+export function libraryPuzzle(entry) {
+  return {
+    ...structuredClone(entry.puzzle),
+    id:        entry.id,
+    name:      entry.name,
+    noRefill:  true,
+    isCustom:  true,
+    libraryId: entry.id,
+  };
+}
+
+// ─── Search and sort ────────────────────────────────────────────
+
+/**
+ * Entries matching `query`, in `sort` order. Every word of the query must
+ * turn up in the name, description, author or a tag; "#word" only matches
+ * a tag. Ties keep the newest first.
+ * @param {object[]} entries
+ * @param {object} [opts]
+ * @param {string} [opts.query]
+ * @param {keyof LIBRARY_SORTS} [opts.sort='added']
+ * @param {(id: string) => number} [opts.starsFor] — best stars of a puzzle id
+ */
+export function searchLibrary(entries, { query = '', sort = 'added', starsFor = () => 0 } = {}) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const found = entries.filter(entry => words.every(word => matchesWord(entry, word)));
+  const newest = (a, b) => b.addedAt - a.addedAt;
+  const order = {
+    added: newest,
+    name:  (a, b) => a.name.localeCompare(b.name) || newest(a, b),
+    stars: (a, b) => starsFor(b.id) - starsFor(a.id) || newest(a, b),
+    plays: (a, b) => (b.plays ?? 0) - (a.plays ?? 0) || newest(a, b),
+  }[sort] ?? newest;
+  return found.sort(order);
+}
+
+function matchesWord(entry, word) {
+  if (word.startsWith('#')) return entry.tags.includes(word.slice(1));
+  return [entry.name, entry.puzzle.description ?? '', entry.author, ...entry.tags]
+    .some(text => text.toLowerCase().includes(word));
+}
+
+/** "easy, Bombs  #ice" → ['easy', 'bombs', 'ice']: lower case, no '#', no repeats. */
+export function parseTags(text) {
+  return cleanTags(text.split(/[\s,]+/));
+}
+
+// ─── Helpers ────────────────────────────────────────────────────
+
+function cleanTags(tags) {
+  const clean = tags.map(t => t.trim().toLowerCase().replace(/^#+/, '')).filter(Boolean);
+  return [...new Set(clean)];
+}
+
+function puzzleBody(puzzle) {
+  const body = {};
+  for (const field of PUZZLE_FIELDS) {
+    if (puzzle[field] !== undefined) body[field] = structuredClone(puzzle[field]);
+  }
+  body.description ??= '';
+  return body;
+}
+
+function samePuzzle(a, b) {
+  return a.board === b.board && a.cols === b.cols && a.rows === b.rows
+    && JSON.stringify(a.goal) === JSON.stringify(b.goal);
+}
+
+/** "lib-<time>", with a suffix should two land in the same millisecond. */
+function newEntryId(entries) {
+  const base = `lib-${Date.now().toString(36)}`;
+  let id = base;
+  for (let n = 1; entries.some(e => e.id === id); n++) id = `${base}-${n}`;
+  return id;
+}
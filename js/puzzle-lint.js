@@ -0,0 +1,171 @@
+/**
+ * puzzle-lint.js — Checks a puzzle definition before it is shared or played.
+ *
+ * The editor will happily encode a puzzle nobody can enjoy: par above the
+ * move limit, a clear_color goal for a color the board doesn't have, a bomb
+ * goal with no bomb, a board that already holds a match. lintPuzzle() finds
+ * those and says where they are, so the editor can list them and mark the
+ * cells on the canvas.
+ *
+ * Errors make the puzzle broken — unwinnable, or won before the first move.
+ * Warnings are legal but probably not meant: par the best line can't reach,
+ * a search too big to finish.
+ */
+
+import {
+  readPuzzleBoard, evaluateGoal, freshGoalStats, describeGoal, goalTargets,
+} from './puzzles.js';
+import { TILE_COLORS } from './constants.js';
+import { isVoid } from './board-shapes.js';
+import { getGameMode, matchRuleFor } from './modes.js';
+import { solvePuzzle } from './solver.js';
+
+/**
+ * @typedef {object} LintIssue
+ * @property {string} message
+ * @property {Array<{col: number, row: number}>} cells — where on the board, if anywhere
+ */
+
+/**
+ * @typedef {object} LintReport
+ * @property {LintIssue[]} errors
+ * @property {LintIssue[]} warnings
+ * @property {import('./solver.js').SolveResult|null} solve — null unless asked for
+ */
+
+/**
+ * Lint a puzzle definition (puzzles.js shape: board, cols, rows, goal,
+ * moveLimit, par).
+ *
+ * @param {object} puzzle
+ * @param {object} [opts]
+ * @param {boolean} [opts.solve=false] — also run the solver, bounded by `maxNodes`
+ * @param {number} [opts.maxNodes] — search budget (solver.js default)
+ * @returns {LintReport}
+ */
+export function lintPuzzle(puzzle, { solve = false, maxNodes } = {}) {
+  const report = { errors: [], warnings: [], solve: null };
+  const { cols, rows, goal, moveLimit, par } = puzzle;
+
+  const { grid, error } = readPuzzleBoard(puzzle.board ?? '', cols, rows);
+  if (error) {
+    report.errors.push(issue(error));
+    return report;
+  }
+
+  if (!Number.isInteger(moveLimit) || moveLimit < 1) {
+    report.errors.push(issue('The move limit must be at least 1'));
+  } else if (par > moveLimit) {
+    report.errors.push(issue(`Par (${par}) is more than the move limit (${moveLimit})`));
+  }
+
+  const goalErrors = report.errors.length;
+  lintGoal(goal, grid, cols, rows, report.errors, report.warnings);
+  if (report.errors.length === goalErrors && evaluateGoal(goal, grid, freshGoalStats(), cols, rows).met) {
+    report.errors.push(issue('The goal is already met before the first move'));
+  }
+
+  const rule = matchRuleFor(getGameMode('puzzle'));
+  const matched = rule.findMatches(grid, cols, rows);
+  if (matched.size > 0) {
+    report.errors.push(issue(
+      `${matched.size} tiles already match — they would clear on the first move`,
+      [...matched].map(keyToCell),
+    ));
+  }
+
+  // Searching a broken puzzle only repeats what is already known.
+  if (solve && report.errors.length === 0) {
+    const result = solvePuzzle(puzzle, maxNodes ? { maxNodes } : undefined);
+    report.solve = result;
+    if (result.status === 'unsolvable') {
+      report.errors.push(issue(`No solution within ${moveLimit} moves`));
+    } else if (result.status === 'unknown') {
+      report.warnings.push(issue('Too many positions to search — solvability not checked'));
+    } else if (result.optimal > par) {
+      report.warnings.push(issue(`The best line takes ${result.optimal} moves, over par (${par}): three stars are out of reach`));
+    }
+  }
+  return report;
+}
+
+/**
+ * What one goal needs from the starting board. Sub-goals of an 'any' goal
+ * only warn while another of them is still reachable.
+ */
+function lintGoal(goal, grid, cols, rows, errors, warnings) {
+  const name = `"${describeGoal(goal)}"`;
+  const cells = test => cellsWhere(grid, cols, rows, test);
+
+  switch (goal.type) {
+    case 'clear_color': {
+      const color = TILE_COLORS[goal.colorIndex]?.name ?? `color ${goal.colorIndex}`;
+      if (cells(c => c.colorIndex === goal.colorIndex && !c.special).length === 0) {
+        errors.push(issue(`${name}: there are no plain ${color} tiles on the board`));
+      }
+      break;
+    }
+    case 'defuse_bomb':
+    case 'survive_bombs':
+      if (cells(c => c.special === 'bomb').length === 0) {
+        errors.push(issue(`${name}: there is no bomb on the board`));
+      }
+      break;
+    case 'break_ice':
+      if (cells(c => c.ice > 0).length === 0) {
+        errors.push(issue(`${name}: there is no ice on the board`));
+      }
+      break;
+    case 'detonate_multiplier': {
+      // A fixed board never spawns multipliers, and a cluster takes three.
+      const found = cells(c => c.special === 'multiplier');
+      if (found.length < 3) {
+        errors.push(issue(`${name}: a multiplier cluster takes 3 multipliers; the board has ${found.length}`, found));
+      }
+      break;
+    }
+    case 'clear_targets': {
+      const outside = goalTargets(goal).filter(t =>
+        t.col < 0 || t.col >= cols || t.row < 0 || t.row >= rows || isVoid(grid[t.col][t.row]));
+      if (outside.length > 0) {
+        const inside = outside.filter(t => t.col >= 0 && t.col < cols && t.row >= 0 && t.row < rows);
+        const list = outside.map(t => `${t.col}:${t.row}`).join(' ');
+        errors.push(issue(`${name}: ${list} ${outside.length === 1 ? 'is' : 'are'} not on the board`, inside));
+      }
+      break;
+    }
+    case 'all':
+      for (const g of goal.goals) lintGoal(g, grid, cols, rows, errors, warnings);
+      break;
+    case 'any': {
+      const partErrors = goal.goals.map(g => {
+        const found = [];
+        lintGoal(g, grid, cols, rows, found, warnings);
+        return found;
+      });
+      if (partErrors.every(found => found.length > 0)) errors.push(...partErrors.flat());
+      else warnings.push(...partErrors.flat());
+      break;
+    }
+  }
+}
+
+function cellsWhere(grid, cols, rows, test) {
+  const found = [];
+  for (let c = 0; c < cols; c++) {
+    for (let r = 0; r < rows; r++) {
+      const cell = grid[c][r];
+      if (cell && !isVoid(cell) && test(cell)) found.push({ col: c, row: r });
+    }
+  }
+  return found;
+}
+
+function issue(message, cells = []) {
+  return { message, cells };
+}
+
+function keyToCell(key) {
+  const [col, row] = key.split(',').map(Number);
+  return { col, row };
+}
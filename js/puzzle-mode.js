@@ -2,59 +2,91 @@
  * puzzle-mode.js — Puzzle mode controller.
  *
  * Owns:
- *   - Puzzle selector UI (modal-puzzle-select)
+ *   - Puzzle selector UI (modal-puzzle-select): My Puzzles, and the sectors
+ *     of whichever pack is chosen, with pack import/export
  *   - Active puzzle HUD overlay (goal, moves remaining)
  *   - Puzzle result/failed modals
+ *   - Undo/redo history for the active puzzle
  *   - Integration hooks called from main.js game loop
  */
 
 import {
-  PUZZLE_SECTORS,
-  ALL_PUZZLES,
   getPuzzleById,
   getNextPuzzle,
   decodePuzzleBoard,
   evaluateGoal,
   describeGoal,
+  freshGoalStats,
+  tallyTurn,
+  remainingTargets,
   computeStars,
+  HINT_STAR_CAP,
 } from './puzzles.js';
-import { getNeighbors } from './hex-math.js';
-import { findMatchesForMode } from './board.js';
-import { detectStarflowers, detectBlackPearls, detectGrandPoobahs } from './specials.js';
+import { hasValidMoves, cloneGrid } from './game-engine.js';
+import { getScore, getComboCount, getMaxCombo, restoreScore } from './score.js';
+import { setTargetMarks } from './renderer.js';
 
 import {
   getPuzzleProgress,
   savePuzzleProgress,
   isSectorUnlocked,
   recordPuzzleSolved,
+  getPlayerName,
 } from './storage.js';
-import { getTodaysPuzzle, getDailyDateString, getDailyProgress } from './daily-puzzle.js';
-import { showPuzzleEditor, registerEditorCallbacks, initPuzzleEditorUI } from './puzzle-editor.js';
+import {
+  getTodaysPuzzle, peekDailyPuzzle, getDailyDateString, getDailyProgress, getDailyPuzzle,
+  getDailyCalendar, recordDailySolve, getDailyStreak,
+} from './daily-puzzle.js';
+import { moveOutcome, dailyShareText, dailyLink } from './daily-share.js';
+import { noteProgress } from './achievements.js';
+import { showPuzzleEditor, registerEditorCallbacks, initPuzzleEditorUI, editLibraryPuzzle } from './puzzle-editor.js';
+import {
+  getLibrary, getLibraryEntry, libraryPuzzle, searchLibrary,
+  duplicateLibraryEntry, removeFromLibrary, recordLibraryPlay,
+} from './puzzle-library.js';
+import {
+  getAllPacks, getPack, readPack, exportPack, installPack, removePack, packFromLibrary,
+  packSectors, findPackPuzzle, getNextPackPuzzle, getPackProgress,
+} from './puzzle-packs.js';
 
 // ─── Active puzzle state ────────────────────────────────────────
 
 let activePuzzle   = null;  // current puzzle definition
 let movesUsed      = 0;
-let maxChain       = 0;     // highest chain level seen this run
-let stats          = { totalMoves: 0, starflowersMade: 0, score: 0 };
+let stats          = freshGoalStats(); // what the goal counts (puzzles.js tallyTurn)
+let moveOutcomes   = [];    // daily-share.js moveOutcome of each move, for the share strip
 let goalMet        = false;
 let puzzleDone     = false; // guard against double-fire from concurrent setTimeout branches
 let _onPuzzleLoad  = null;  // callback(grid, cols, rows, puzzle) — set by main.js
 let _onPuzzleEnd   = null;  // callback(reason) — 'complete' | 'failed'
+let _onPuzzleRestore = null; // callback(grid) — undo/redo replaced the board
+let _getGrid       = null;  // () => live grid — set by initPuzzleModeUI
+// Undo/redo: snapshots of everything a move changes (see takeSnapshot).
+// Fixed boards never refill, so a snapshot restores the position exactly.
+let undoStack      = [];
+let redoStack      = [];
+let undosUsed      = 0;     // undo presses this attempt; any at all makes a solve "assisted"
+let hintsUsed      = 0;     // hints shown this attempt; cap the stars (computeStars) and assist too
+let resultShareText = null;      // the solved daily's spoiler-free summary
+let selectedPackId = 'builtin';  // the pack the selector lists sectors from
+let archiveMonth   = null;       // { year, month } the archive calendar shows
 // Custom/daily puzzle cache — capped at 14 entries (LRU by insertion order via Map)
 let _customPuzzles = new Map();
 
 // ─── Public API ─────────────────────────────────────────────────
 
-export function registerPuzzleCallbacks(onLoad, onEnd) {
-  _onPuzzleLoad = onLoad;
-  _onPuzzleEnd  = onEnd;
+export function registerPuzzleCallbacks(onLoad, onEnd, onRestore) {
+  _onPuzzleLoad    = onLoad;
+  _onPuzzleEnd     = onEnd;
+  _onPuzzleRestore = onRestore;
 }
 
 export function getActivePuzzle()   { return activePuzzle; }
 export function getPuzzleMovesLeft(){ return activePuzzle ? activePuzzle.moveLimit - movesUsed : 0; }
 export function getPuzzleMovesUsed(){ return movesUsed; }
 export function getPuzzleStats()    { return stats; }
+export function getPuzzleUndosUsed(){ return undosUsed; }
+export function getPuzzleHintsUsed(){ return hintsUsed; }
 
 /**
  * Load and start a puzzle by id or by puzzle object directly (custom/daily).
@@ -67,76 +99,172 @@ export function startPuzzle(puzzleIdOrObject) {
     _customPuzzles.set(puzzle.id, puzzle);
     if (_customPuzzles.size > 14) _customPuzzles.delete(_customPuzzles.keys().next().value);
   } else {
-    puzzle = getPuzzleById(puzzleIdOrObject) ?? _customPuzzles.get(puzzleIdOrObject);
+    puzzle = getPuzzleById(puzzleIdOrObject) ?? _customPuzzles.get(puzzleIdOrObject)
+      ?? findPackPuzzle(puzzleIdOrObject);
+    const entry = puzzle ? null : getLibraryEntry(puzzleIdOrObject);
+    if (entry) puzzle = libraryPuzzle(entry);
   }
   if (!puzzle) { console.error('Unknown puzzle:', puzzleIdOrObject); return; }
+  const grid = decodePuzzleBoard(puzzle.board, puzzle.cols, puzzle.rows);
+  if (!grid) { console.error('Malformed puzzle board:', puzzle.id); return; }
 
   activePuzzle = puzzle;
   movesUsed    = 0;
-  maxChain     = 0;
   goalMet      = false;
   puzzleDone   = false;
-  stats        = { totalMoves: 0, starflowersMade: 0, score: 0 };
+  stats        = freshGoalStats();
+  moveOutcomes = [];
+  undoStack    = [];
+  redoStack    = [];
+  undosUsed    = 0;
+  hintsUsed    = 0;
 
   hidePuzzleModals();
 
-  const grid = decodePuzzleBoard(puzzle.board, puzzle.cols, puzzle.rows);
 
   if (_onPuzzleLoad) _onPuzzleLoad(grid, puzzle.cols, puzzle.rows, puzzle);
 
+  updateGoalProgress(evaluateGoal(puzzle.goal, grid, stats, puzzle.cols, puzzle.rows));
+  setTargetMarks(remainingTargets(puzzle.goal, stats));
   updatePuzzleHUD();
   showPuzzleHUD(true);
 }
 
+/**
+ * Called by main.js just before a player move resolves, with the board as it
+ * stands. This is the position an undo returns to; a new move also ends any
+ * redo line.
+ */
+export function onPuzzleMoveStart(grid) {
+  if (!activePuzzle || puzzleDone) return;
+  undoStack.push(takeSnapshot(grid));
+  redoStack = [];
+  updateHistoryButtons();
+}
+
 /**
  * Called by main.js after every player move (postRotationCheck).
- * Pass the current grid, score, and chain level.
+ * Pass the current grid, score, and the events the move resolved into.
  */
-export function onPuzzleMove(grid, score, chainLevel) {
+export function onPuzzleMove(grid, score, events = []) {
   if (!activePuzzle) return;
 
   movesUsed++;
-  stats.totalMoves = movesUsed;
-  stats.score      = score;
-  if (chainLevel > maxChain) maxChain = chainLevel;
+  stats = tallyTurn(stats, events, score, activePuzzle.goal);
+  moveOutcomes.push(moveOutcome(events));
+
+  checkPuzzleState(grid);
+}
 
+/** Goal, move limit and deadlock checks for the position on the board. */
+function checkPuzzleState(grid) {
   // Check goal
   const result = evaluateGoal(activePuzzle.goal, grid, stats, activePuzzle.cols, activePuzzle.rows);
-  updateGoalProgress(result.progress);
+  updateGoalProgress(result);
+  setTargetMarks(remainingTargets(activePuzzle.goal, stats));
 
   if (result.met && !goalMet && !puzzleDone) {
     goalMet = true;
     puzzleDone = true;
-    const stars = computeStars(activePuzzle, movesUsed, maxChain);
-    savePuzzleProgress(activePuzzle.id, { stars, movesUsed, score: stats.score ?? 0 });
-    recordPuzzleSolved(!!activePuzzle.isDaily);
+    const stars = computeStars(activePuzzle, movesUsed, stats.maxChain, hintsUsed);
+    savePuzzleProgress(activePuzzle.id, {
+      stars, movesUsed, score: stats.score ?? 0, assisted: undosUsed > 0 || hintsUsed > 0,
+      onTheDay: !!activePuzzle.isDaily && !activePuzzle.isArchive,
+    });
+    recordPuzzleSolved(!!activePuzzle.isDaily, !!activePuzzle.isArchive);
+    const streak = activePuzzle.isDaily && !activePuzzle.isArchive ? recordDailySolve(activePuzzle.dateStr) : null;
+    noteProgress({ puzzlesSolved: 1, threeStarSolves: stars === 3 ? 1 : 0, longestStreak: streak?.longest ?? 0 });
     setTimeout(() => showPuzzleResult(stars), 600);
     return;
   }
 
+  // The end-of-puzzle modals wait a beat; an undo in that beat calls them off.
   // Out of moves?
   if (movesUsed >= activePuzzle.moveLimit && !goalMet && !puzzleDone) {
     puzzleDone = true;
-    setTimeout(() => showPuzzleFailed(), 600);
+    setTimeout(() => { if (puzzleDone) showPuzzleFailed(); }, 600);
     return;
   }
 
   // No valid moves remaining? (deadlock)
   if (!goalMet && !puzzleDone && !hasValidMoves(grid, activePuzzle.cols, activePuzzle.rows)) {
     puzzleDone = true;
-    setTimeout(() => showPuzzleFailed('No more valid moves!'), 600);
+    setTimeout(() => { if (puzzleDone) showPuzzleFailed('No more valid moves!'); }, 600);
     return;
   }
 
   updatePuzzleHUD();
 }
 
+// ─── Undo / redo ────────────────────────────────────────────────
+
+/** Everything a move changes: board (bomb timers ride on the cells), move
+ *  count, stats and the score module's running totals. */
+function takeSnapshot(grid) {
+  return {
+    grid:      cloneGrid(grid),
+    movesUsed,
+    stats:     { ...stats },
+    outcomes:  [...moveOutcomes],
+    score:     { score: getScore(), displayScore: getScore(), comboCount: getComboCount(), maxCombo: getMaxCombo() },
+  };
+}
+
+function restoreSnapshot(snap) {
+  movesUsed  = snap.movesUsed;
+  stats      = { ...snap.stats };
+  moveOutcomes = [...snap.outcomes];
+  goalMet    = false;
+  puzzleDone = false;
+  restoreScore(snap.score);
+  const grid = cloneGrid(snap.grid);
+  if (_onPuzzleRestore) _onPuzzleRestore(grid);
+  document.getElementById('modal-puzzle-failed')?.classList.add('hidden');
+  showPuzzleHUD(true);
+  checkPuzzleState(grid);
+}
+
+/** A solved puzzle is final; a failed one can still be stepped back from. */
+function canStepHistory(stack) {
+  return !!activePuzzle && !goalMet && stack.length > 0 && !!_getGrid;
+}
+
+export function canUndoPuzzleMove() { return canStepHistory(undoStack); }
+export function canRedoPuzzleMove() { return canStepHistory(redoStack); }
+
+/** Take back the last move. Recorded: any undo marks the attempt as assisted. */
+export function undoPuzzleMove() {
+  if (!canUndoPuzzleMove()) return false;
+  redoStack.push(takeSnapshot(_getGrid()));
+  undosUsed++;
+  restoreSnapshot(undoStack.pop());
+  return true;
+}
+
+/** Replay a move that was taken back. */
+export function redoPuzzleMove() {
+  if (!canRedoPuzzleMove()) return false;
+  undoStack.push(takeSnapshot(_getGrid()));
+  restoreSnapshot(redoStack.pop());
+  return true;
+}
+
+function updateHistoryButtons() {
+  const undoBtn = document.getElementById('btn-puzzle-undo');
+  const redoBtn = document.getElementById('btn-puzzle-redo');
+  if (undoBtn) undoBtn.disabled = !canUndoPuzzleMove();
+  if (redoBtn) redoBtn.disabled = !canRedoPuzzleMove();
+}
+
 /**
- * Track starflowers created during puzzle (for make_starflower goal).
+ * Charge a hint to the running attempt. Undo doesn't refund it: the player
+ * has seen the move. Returns false when there is nothing to hint at.
  */
-export function onStarflowerCreated() {
-  if (!activePuzzle) return;
-  stats.starflowersMade++;
+export function recordPuzzleHint() {
+  if (!activePuzzle || puzzleDone) return false;
+  hintsUsed++;
+  updatePuzzleHUD();
+  return true;
 }
 
 /**
@@ -144,6 +272,7 @@ export function onStarflowerCreated() {
  */
 export function clearActivePuzzle() {
   activePuzzle = null;
+  setTargetMarks([]);
   // Restore standard HUD layout (score group visible, puzzle group hidden)
   const scoreGroup = document.getElementById('hud-score-group');
   const puzzleGroup = document.getElementById('hud-puzzle-group');
@@ -152,8 +281,10 @@ export function clearActivePuzzle() {
   // Restore icon buttons hidden by showPuzzleHUD
   const help = document.getElementById('btn-help');
   const scores = document.getElementById('scores-wrapper');
+  const hint = document.getElementById('btn-hint');
   if (help)   help.style.display = '';
   if (scores) scores.style.display = '';
+  if (hint)   hint.style.display = '';
   hidePuzzleModals();
 }
 
@@ -161,23 +292,158 @@ export function clearActivePuzzle() {
 
 export function showPuzzleSelector() {
   // Populate daily puzzle row
-  const daily = getTodaysPuzzle();
-  const dailyProgress = getDailyProgress(getDailyDateString());
+  const today = getDailyDateString();
+  const dailyProgress = getDailyProgress(today);
   const dailyStars = dailyProgress?.stars ?? 0;
-  const nameEl = document.getElementById('daily-puzzle-name');
-  const descEl = document.getElementById('daily-puzzle-desc');
+  const daily = peekDailyPuzzle(today);
+  showDailyRow(daily);
+  if (!daily) getTodaysPuzzle().then(showDailyRow);
   const starsEl = document.getElementById('daily-puzzle-stars');
-  if (nameEl) nameEl.textContent = daily.name;
-  if (descEl) descEl.textContent = daily.description;
   if (starsEl) starsEl.textContent = '⭐'.repeat(dailyStars) + '☆'.repeat(3 - dailyStars);
+  const streakEl = document.getElementById('daily-streak');
+  if (streakEl) {
+    const { current, longest } = getDailyStreak();
+    streakEl.textContent = longest === 0 ? ''
+      : current > 0 ? `🔥 ${current}-day streak · best ${longest}`
+      : `Streak broken · best ${longest}`;
+  }
+
+  renderLibrary();
+  renderPackSectors();
+  if (archiveMonth) renderDailyArchive();
+
+  document.getElementById('modal-puzzle-select').classList.remove('hidden');
+}
+
+/** Today's name and goal in the selector, or a wait while it is built. */
+function showDailyRow(daily) {
+  const nameEl = document.getElementById('daily-puzzle-name');
+  const descEl = document.getElementById('daily-puzzle-desc');
+  const playBtn = document.getElementById('btn-play-daily');
+  if (nameEl) nameEl.textContent = daily?.name ?? "Today's Puzzle";
+  if (descEl) descEl.textContent = daily?.description ?? 'Preparing…';
+  if (playBtn) playBtn.disabled = !daily;
+}
+
+/**
+ * Play the daily for `dateStr`. One that hasn't been built yet starts once
+ * it is (daily-puzzle.js builds it in a worker).
+ */
+export function playDaily(dateStr) {
+  if (!peekDailyPuzzle(dateStr)) Arcade.ui.toast('🧩 Preparing the daily…', { kind: 'info' });
+  return getDailyPuzzle(dateStr).then(startPuzzle);
+}
+
+// ─── Daily archive ──────────────────────────────────────────────
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'];
+
+function toggleDailyArchive() {
+  const panel = document.getElementById('daily-archive');
+  const open = !archiveMonth;
+  if (open) {
+    const today = new Date();
+    archiveMonth = { year: today.getFullYear(), month: today.getMonth() };
+    renderDailyArchive();
+  } else {
+    archiveMonth = null;
+  }
+  panel?.classList.toggle('hidden', !open);
+  document.getElementById('btn-daily-archive')?.setAttribute('aria-expanded', String(open));
+}
+
+function shiftArchiveMonth(delta) {
+  const d = new Date(archiveMonth.year, archiveMonth.month + delta, 1);
+  archiveMonth = { year: d.getFullYear(), month: d.getMonth() };
+  renderDailyArchive();
+}
+
+/**
+ * The calendar for `archiveMonth`: every day up to today is playable and
+ * shows its best stars, grey when they were only earned from the archive.
+ */
+function renderDailyArchive() {
+  const { year, month } = archiveMonth;
+  const label = document.getElementById('daily-archive-month');
+  if (label) label.textContent = `${MONTH_NAMES[month]} ${year}`;
+  const now = new Date();
+  const next = document.getElementById('btn-archive-next');
+  if (next) next.disabled = year > now.getFullYear() || (year === now.getFullYear() && month >= now.getMonth());
+
+  const container = document.getElementById('daily-calendar');
+  if (!container) return;
+  container.innerHTML = '';
+  for (const name of ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su']) {
+    const head = document.createElement('div');
+    head.className = 'cal-weekday';
+    head.textContent = name;
+    container.appendChild(head);
+  }
+  for (const day of getDailyCalendar(year, month).flat()) {
+    const cell = document.createElement(day ? 'button' : 'div');
+    container.appendChild(cell);
+    if (!day) continue;
+    cell.className = 'cal-day';
+    if (day.isToday) cell.classList.add('today');
+    if (day.solved && !day.solvedOnDay) cell.classList.add('archive-solve');
+    cell.disabled = day.isFuture;
+    cell.title = day.dateStr;
+    const num = document.createElement('span');
+    num.textContent = day.day;
+    const stars = document.createElement('span');
+    stars.className = 'cal-stars';
+    stars.textContent = '⭐'.repeat(day.stars);
+    cell.append(num, stars);
+    if (!day.isFuture) {
+      cell.addEventListener('click', () => {
+        document.getElementById('modal-puzzle-select').classList.add('hidden');
+        playDaily(day.dateStr);
+      });
+    }
+  }
+}
+
+/**
+ * The pack picker, then the chosen pack's sectors. Each pack unlocks its
+ * sectors in its own order, from its own progress.
+ */
+function renderPackSectors() {
+  const pack = getPack(selectedPackId) ?? getPack('builtin');
+  selectedPackId = pack.id;
+
+  const select = document.getElementById('pack-select');
+  if (select) {
+    select.innerHTML = '';
+    for (const p of getAllPacks()) {
+      const { solved, total } = getPackProgress(p);
+      const option = document.createElement('option');
+      option.value = p.id;
+      option.textContent = `${p.name} · ${solved}/${total}`;
+      select.appendChild(option);
+    }
+    select.value = pack.id;
+  }
+  const about = document.getElementById('pack-about');
+  if (about) {
+    const { stars, maxStars } = getPackProgress(pack);
+    about.textContent = [pack.author && `by ${pack.author}`, `v${pack.version}`, `⭐ ${stars}/${maxStars}`]
+      .filter(Boolean).join(' · ');
+  }
+  const removeBtn = document.getElementById('btn-pack-remove');
+  if (removeBtn) {
+    removeBtn.style.display = pack.id === 'builtin' ? 'none' : '';
+    delete removeBtn.dataset.armed;
+    removeBtn.textContent = '🗑';
+  }
 
-  // Populate sector list
   const container = document.getElementById('puzzle-sector-list');
   if (!container) return;
   container.innerHTML = '';
 
-  for (const sector of PUZZLE_SECTORS) {
-    const unlocked = isSectorUnlocked(sector.id, PUZZLE_SECTORS);
+  const sectors = packSectors(pack);
+  for (const sector of sectors) {
+    const unlocked = isSectorUnlocked(sector.id, sectors);
 
     const sectorEl = document.createElement('div');
     sectorEl.style.marginBottom = '20px';
@@ -230,8 +496,128 @@ export function showPuzzleSelector() {
 
     container.appendChild(sectorEl);
   }
+}
 
-  document.getElementById('modal-puzzle-select').classList.remove('hidden');
+/** Save `json` as a file called `filename` (the browser's download). */
+function downloadJson(json, filename) {
+  const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function packFilename(pack) {
+  return `${pack.id}-v${pack.version}.hecknsic-pack.json`;
+}
+
+/** Read a chosen pack file, install it and show it. */
+async function importPackFile(file) {
+  const { pack, error } = readPack(await file.text());
+  if (!pack) {
+    Arcade.ui.toast(`❌ ${error}`, { kind: 'error' });
+    return;
+  }
+  const replaced = installPack(pack);
+  selectedPackId = pack.id;
+  renderPackSectors();
+  Arcade.ui.toast(`📦 ${replaced ? 'Updated' : 'Added'} "${pack.name}" v${pack.version}`, { kind: 'success' });
+}
+
+// ─── My Puzzles ─────────────────────────────────────────────────
+
+/** The library list under the search box: play a row, or edit, copy or delete it. */
+function renderLibrary() {
+  const list = document.getElementById('library-list');
+  if (!list) return;
+  list.innerHTML = '';
+  const all = getLibrary();
+  const entries = searchLibrary(all, {
+    query:    document.getElementById('library-search')?.value ?? '',
+    sort:     document.getElementById('library-sort')?.value || 'added',
+    starsFor: id => getPuzzleProgress(id)?.stars ?? 0,
+  });
+  const empty = document.getElementById('library-empty');
+  if (empty) {
+    empty.textContent = all.length === 0
+      ? 'Puzzles you save in the editor or load from a code show up here.'
+      : 'No puzzles match.';
+    empty.style.display = entries.length === 0 ? '' : 'none';
+  }
+
+  for (const entry of entries) {
+    const { puzzle } = entry;
+    const stars = getPuzzleProgress(entry.id)?.stars ?? 0;
+    const row = document.createElement('div');
+    row.className = 'library-entry';
+
+    const btn = document.createElement('button');
+    btn.className = 'puzzle-select-btn';
+    const info = document.createElement('div');
+    const title = document.createElement('div');
+    title.className = 'puzzle-btn-name';
+    title.textContent = entry.name;
+    const meta = document.createElement('div');
+    meta.className = 'puzzle-btn-meta';
+    const added = new Date(entry.addedAt).toLocaleDateString();
+    meta.textContent = [
+      `${puzzle.moveLimit} moves · par ${puzzle.par}`,
+      entry.author && `by ${entry.author}`,
+      added,
+      `played ${entry.plays ?? 0}×`,
+    ].filter(Boolean).join(' · ');
+    info.appendChild(title);
+    info.appendChild(meta);
+    if (entry.tags.length > 0) {
+      const tags = document.createElement('div');
+      tags.className = 'library-tags';
+      tags.textContent = entry.tags.map(t => `#${t}`).join(' ');
+      info.appendChild(tags);
+    }
+    const starDisplay = document.createElement('div');
+    starDisplay.className = 'puzzle-btn-stars';
+    starDisplay.textContent = '⭐'.repeat(stars) + '☆'.repeat(3 - stars);
+    btn.appendChild(info);
+    btn.appendChild(starDisplay);
+    btn.addEventListener('click', () => {
+      document.getElementById('modal-puzzle-select').classList.add('hidden');
+      recordLibraryPlay(entry.id);
+      startPuzzle(libraryPuzzle(entry));
+    });
+    row.appendChild(btn);
+
+    const actions = document.createElement('div');
+    actions.className = 'library-actions';
+    const action = (label, onClick) => {
+      const a = document.createElement('button');
+      a.className = 'library-action';
+      a.textContent = label;
+      a.addEventListener('click', onClick);
+      actions.appendChild(a);
+      return a;
+    };
+    action('✏️ Edit', () => {
+      document.getElementById('modal-puzzle-select').classList.add('hidden');
+      editLibraryPuzzle(entry);
+    });
+    action('⧉ Duplicate', () => {
+      duplicateLibraryEntry(entry.id);
+      renderLibrary();
+    });
+    // Two taps to delete: the first only asks.
+    const del = action('🗑 Delete', () => {
+      if (del.dataset.armed) {
+        removeFromLibrary(entry.id);
+        renderLibrary();
+      } else {
+        del.dataset.armed = 'true';
+        del.textContent = '🗑 Tap again to delete';
+      }
+    });
+    row.appendChild(actions);
+    list.appendChild(row);
+  }
 }
 
 // ─── Puzzle HUD ─────────────────────────────────────────────────
@@ -255,8 +641,10 @@ function showPuzzleHUD(visible) {
   // Hide standalone icon buttons when puzzle HUD is showing (they overlap)
   const help = document.getElementById('btn-help');
   const scores = document.getElementById('scores-wrapper');
+  const hint = document.getElementById('btn-hint');  // the puzzle group has its own
   if (help)   help.style.display   = visible ? 'none' : '';
   if (scores) scores.style.display = visible ? 'none' : '';
+  if (hint)   hint.style.display   = visible ? 'none' : '';
 }
 
 function updatePuzzleHUD() {
@@ -274,26 +662,42 @@ function updatePuzzleHUD() {
                             : '#d0d0d8';
   }
   if (subtitleEl) subtitleEl.textContent = describeGoal(activePuzzle.goal);
-  if (parEl)      parEl.textContent      = `par ${activePuzzle.par}`;
+  if (parEl)      parEl.textContent      = `par ${activePuzzle.par}` + (hintsUsed > 0 ? ` · 💡${hintsUsed}` : '');
+  updateHistoryButtons();
 }
 
-function updateGoalProgress(progressText) {
+/** One line of progress, or one per sub-goal of a compound goal. */
+function updateGoalProgress(result) {
   const el = document.getElementById('puzzle-goal-progress');
-  if (el) el.textContent = progressText;
+  if (!el) return;
+  if (!result.parts) {
+    el.textContent = result.progress;
+    return;
+  }
+  el.textContent = '';
+  for (const part of result.parts) {
+    const line = document.createElement('span');
+    line.className = 'game-hud-progress-part' + (part.met ? ' met' : '');
+    line.textContent = `${part.met ? '✓' : '•'} ${part.progress}`;
+    line.title = part.description;
+    el.appendChild(line);
+  }
 }
 
 // ─── Result modals ──────────────────────────────────────────────
 
 function showPuzzleResult(stars) {
   showPuzzleHUD(false);
+  updateHistoryButtons();
 
   document.getElementById('puzzle-result-stars').textContent =
     '⭐'.repeat(stars) + '☆'.repeat(3 - stars);
 
   document.getElementById('puzzle-result-msg').textContent =
-    stars === 3 ? 'Perfect — solved under par!' :
-    stars === 2 ? 'Efficient solve — hit par!' :
-                  'Puzzle cleared! Try for par next time.';
+    (stars === 3 ? 'Perfect — solved under par!' :
+     stars === 2 ? 'Efficient solve — hit par!' :
+                   'Puzzle cleared! Try for par next time.') +
+    (undosUsed > 0 || hintsUsed > 0 ? ' (assisted — solve it without undo or hints for a clean clear)' : '');
 
   const statsEl = document.getElementById('puzzle-result-stats');
   statsEl.innerHTML = ''; // Clear securely
@@ -313,9 +717,11 @@ function showPuzzleResult(stars) {
 
   statsEl.appendChild(createRow('Moves used', `${movesUsed} / ${activePuzzle.moveLimit}`));
   statsEl.appendChild(createRow('Par', activePuzzle.par));
-  statsEl.appendChild(createRow('Best chain', maxChain));
+  statsEl.appendChild(createRow('Best chain', stats.maxChain));
+  statsEl.appendChild(createRow('Undos', undosUsed > 0 ? undosUsed : 'none — clean solve'));
+  if (hintsUsed > 0) statsEl.appendChild(createRow('Hints', `${hintsUsed} (max ${HINT_STAR_CAP}⭐)`));
 
-  const nextPuzzle = getNextPuzzle(activePuzzle.id);
+  const nextPuzzle = getNextPuzzle(activePuzzle.id) ?? getNextPackPuzzle(activePuzzle.id);
   const nextBtn    = document.getElementById('btn-puzzle-next');
   if (nextBtn) {
     nextBtn.disabled = !nextPuzzle;
@@ -323,6 +729,21 @@ function showPuzzleResult(stars) {
     nextBtn.dataset.nextId = nextPuzzle?.id ?? '';
   }
 
+  resultShareText = activePuzzle.isDaily ? dailyShareText({
+    dateStr:   activePuzzle.dateStr,
+    stars,
+    movesUsed,
+    par:       activePuzzle.par,
+    outcomes:  moveOutcomes,
+    isArchive: !!activePuzzle.isArchive,
+    assisted:  undosUsed > 0 || hintsUsed > 0,
+    link:      dailyLink(activePuzzle.dateStr, window.location.origin + window.location.pathname),
+  }) : null;
+  const shareBtn = document.getElementById('btn-puzzle-share');
+  if (shareBtn) shareBtn.style.display = resultShareText ? '' : 'none';
+  const shareBox = document.getElementById('puzzle-share-text');
+  if (shareBox) shareBox.textContent = '';
+
   document.getElementById('modal-puzzle-result').classList.remove('hidden');
 
   if (_onPuzzleEnd) _onPuzzleEnd('complete');
@@ -364,108 +785,6 @@ function showPuzzleFailed(reason) {
   if (_onPuzzleEnd) _onPuzzleEnd('failed');
 }
 
-/**
- * Check if any valid move (cluster rotation) would produce a match or special formation.
- * Simulates CW and CCW rotations of every selectable cluster, ring, and Y-shape,
- * then checks if any rotation produces matches, starflowers, black pearls, or grand poobahs.
- */
-function hasValidMoves(grid, cols, rows) {
-  function rotateCW3(cells) {
-    const s = { ci: cells[0].colorIndex, sp: cells[0].special, bt: cells[0].bombTimer };
-    cells[0].colorIndex = cells[2].colorIndex; cells[0].special = cells[2].special; cells[0].bombTimer = cells[2].bombTimer;
-    cells[2].colorIndex = cells[1].colorIndex; cells[2].special = cells[1].special; cells[2].bombTimer = cells[1].bombTimer;
-    cells[1].colorIndex = s.ci; cells[1].special = s.sp; cells[1].bombTimer = s.bt;
-  }
-  function rotateCCW3(cells) {
-    const s = { ci: cells[0].colorIndex, sp: cells[0].special, bt: cells[0].bombTimer };
-    cells[0].colorIndex = cells[1].colorIndex; cells[0].special = cells[1].special; cells[0].bombTimer = cells[1].bombTimer;
-    cells[1].colorIndex = cells[2].colorIndex; cells[1].special = cells[2].special; cells[1].bombTimer = cells[2].bombTimer;
-    cells[2].colorIndex = s.ci; cells[2].special = s.sp; cells[2].bombTimer = s.bt;
-  }
-  function rotateCW6(cells) {
-    const s = { ci: cells[5].colorIndex, sp: cells[5].special, bt: cells[5].bombTimer };
-    for (let i = 5; i > 0; i--) {
-      cells[i].colorIndex = cells[i-1].colorIndex; cells[i].special = cells[i-1].special; cells[i].bombTimer = cells[i-1].bombTimer;
-    }
-    cells[0].colorIndex = s.ci; cells[0].special = s.sp; cells[0].bombTimer = s.bt;
-  }
-  function rotateCCW6(cells) {
-    const s = { ci: cells[0].colorIndex, sp: cells[0].special, bt: cells[0].bombTimer };
-    for (let i = 0; i < 5; i++) {
-      cells[i].colorIndex = cells[i+1].colorIndex; cells[i].special = cells[i+1].special; cells[i].bombTimer = cells[i+1].bombTimer;
-    }
-    cells[5].colorIndex = s.ci; cells[5].special = s.sp; cells[5].bombTimer = s.bt;
-  }
-
-  // Try a rotation, check for matches AND special formations, then undo.
-  // try/finally guarantees undo runs even if a detection function throws,
-  // so the live grid is never left in a partially-rotated state.
-  function tryRotation(rotateFn, undoFn, cells) {
-    rotateFn(cells);
-    try {
-      return (
-        findMatchesForMode(grid, cols, rows).size > 0 ||
-        detectStarflowers(grid).length > 0 ||
-        detectBlackPearls(grid).length > 0 ||
-        detectGrandPoobahs(grid).length > 0
-      );
-    } finally {
-      undoFn(cells);
-    }
-  }
-
-  function inBounds(n) {
-    return n.col >= 0 && n.col < cols && n.row >= 0 && n.row < rows;
-  }
-
-  for (let c = 0; c < cols; c++) {
-    if (!grid[c]) continue;
-    for (let r = 0; r < rows; r++) {
-      const cell = grid[c][r];
-      if (!cell) continue;
-
-      const nbrs = getNeighbors(c, r);
-
-      // Starflower ring: try rotating the 6-neighbor ring
-      if (cell.special === 'starflower') {
-        if (nbrs.every(n => inBounds(n) && grid[n.col]?.[n.row])) {
-          const cells = nbrs.map(n => grid[n.col][n.row]);
-          if (tryRotation(rotateCW6, rotateCCW6, cells)) return true;
-          if (tryRotation(rotateCCW6, rotateCW6, cells)) return true;
-        }
-      }
-
-      // Black pearl Y-shape: try rotating the 3 alternating neighbors
-      if (cell.special === 'blackpearl') {
-        const yHexes = [nbrs[0], nbrs[2], nbrs[4]];
-        if (yHexes.every(n => inBounds(n) && grid[n.col]?.[n.row])) {
-          const cells = yHexes.map(n => grid[n.col][n.row]);
-          if (tryRotation(rotateCW3, rotateCCW3, cells)) return true;
-          if (tryRotation(rotateCCW3, rotateCW3, cells)) return true;
-        }
-      }
-
-      // Normal 3-hex cluster — each triangle (center, b, d) is shared by 3 cells.
-      // Only test when c is the canonical "lowest" cell in the cluster to avoid
-      // testing each triangle 3× (once per vertex).
-      for (let i = 0; i < 6; i++) {
-        const b = nbrs[i];
-        const d = nbrs[(i + 1) % 6];
-        if (!inBounds(b) || !inBounds(d)) continue;
-        if (!grid[b.col]?.[b.row] || !grid[d.col]?.[d.row]) continue;
-        // Canonical check: only process this triangle when c is the top-left-most vertex
-        if (b.col < c || (b.col === c && b.row < r)) continue;
-        if (d.col < c || (d.col === c && d.row < r)) continue;
-
-        const cells = [cell, grid[b.col][b.row], grid[d.col][d.row]];
-        if (tryRotation(rotateCW3, rotateCCW3, cells)) return true;
-        if (tryRotation(rotateCCW3, rotateCW3, cells)) return true;
-      }
-    }
-  }
-  return false;
-}
-
 function hidePuzzleModals() {
   ['modal-puzzle-select', 'modal-puzzle-result', 'modal-puzzle-failed'].forEach(id => {
     document.getElementById(id)?.classList.add('hidden');
@@ -475,6 +794,8 @@ function hidePuzzleModals() {
 // ─── Modal button wiring ────────────────────────────────────────
 
 export function initPuzzleModeUI(getGridFn, isProcessingFn = () => false) {
+  _getGrid = getGridFn;
+
   // Init puzzle editor (pass grid capture + start callbacks)
   initPuzzleEditorUI();
   registerEditorCallbacks(getGridFn, startPuzzle);
@@ -482,9 +803,57 @@ export function initPuzzleModeUI(getGridFn, isProcessingFn = () => false) {
   // Daily puzzle play button
   document.getElementById('btn-play-daily')?.addEventListener('click', () => {
     document.getElementById('modal-puzzle-select').classList.add('hidden');
-    startPuzzle(getTodaysPuzzle());
+    playDaily(getDailyDateString());
   });
 
+  // Daily archive calendar
+  document.getElementById('btn-daily-archive')?.addEventListener('click', toggleDailyArchive);
+  document.getElementById('btn-archive-prev')?.addEventListener('click', () => shiftArchiveMonth(-1));
+  document.getElementById('btn-archive-next')?.addEventListener('click', () => shiftArchiveMonth(1));
+
+  // Packs: pick one, import a file, export the one shown or My Puzzles
+  document.getElementById('pack-select')?.addEventListener('change', (e) => {
+    selectedPackId = e.target.value;
+    renderPackSectors();
+  });
+  const packFile = document.getElementById('pack-file-input');
+  document.getElementById('btn-pack-import')?.addEventListener('click', () => packFile?.click());
+  packFile?.addEventListener('change', () => {
+    const file = packFile.files?.[0];
+    packFile.value = '';
+    if (file) importPackFile(file);
+  });
+  document.getElementById('btn-pack-export')?.addEventListener('click', () => {
+    const pack = getPack(selectedPackId);
+    if (pack) downloadJson(exportPack(pack), packFilename(pack));
+  });
+  document.getElementById('btn-library-export')?.addEventListener('click', () => {
+    const entries = getLibrary();
+    if (entries.length === 0) {
+      Arcade.ui.toast('Save a puzzle to My Puzzles first', { kind: 'info' });
+      return;
+    }
+    const pack = packFromLibrary(entries, { author: getPlayerName() ?? '' });
+    downloadJson(exportPack(pack), packFilename(pack));
+  });
+  // Two taps to remove a pack, like deleting a saved puzzle.
+  const removeBtn = document.getElementById('btn-pack-remove');
+  removeBtn?.addEventListener('click', () => {
+    if (selectedPackId === 'builtin') return;
+    if (!removeBtn.dataset.armed) {
+      removeBtn.dataset.armed = 'true';
+      removeBtn.textContent = '🗑 Remove pack?';
+      return;
+    }
+    removePack(selectedPackId);
+    selectedPackId = 'builtin';
+    renderPackSectors();
+  });
+
+  // My Puzzles search and sort
+  document.getElementById('library-search')?.addEventListener('input', renderLibrary);
+  document.getElementById('library-sort')?.addEventListener('change', renderLibrary);
+
   // Open puzzle editor from selector
   document.getElementById('btn-open-puzzle-editor')?.addEventListener('click', () => {
     document.getElementById('modal-puzzle-select').classList.add('hidden');
@@ -496,11 +865,35 @@ export function initPuzzleModeUI(getGridFn, isProcessingFn = () => false) {
     if (activePuzzle && !isProcessingFn()) startPuzzle(activePuzzle.id);
   });
 
+  // Undo / redo (HUD buttons). Not mid-move: the board is still animating.
+  document.getElementById('btn-puzzle-undo')?.addEventListener('click', () => {
+    if (!isProcessingFn()) undoPuzzleMove();
+  });
+  document.getElementById('btn-puzzle-redo')?.addEventListener('click', () => {
+    if (!isProcessingFn()) redoPuzzleMove();
+  });
+
   // Close puzzle selector
   document.getElementById('btn-close-puzzle-select')?.addEventListener('click', () => {
     document.getElementById('modal-puzzle-select').classList.add('hidden');
   });
 
+  // Result modal: share a solved daily. The text is shown as well, in case
+  // the clipboard is blocked.
+  document.getElementById('btn-puzzle-share')?.addEventListener('click', () => {
+    if (!resultShareText) return;
+    if (typeof Arcade.share?.sheet === 'function') {
+      Arcade.share.sheet({ text: resultShareText });
+      return;
+    }
+    const box = document.getElementById('puzzle-share-text');
+    if (box) box.textContent = resultShareText;
+    navigator.clipboard?.writeText(resultShareText).then(
+      () => Arcade.ui.toast('📋 Result copied', { kind: 'success' }),
+      () => {}
+    );
+  });
+
   // Result modal: retry
   document.getElementById('btn-puzzle-retry')?.addEventListener('click', () => {
     document.getElementById('modal-puzzle-result').classList.add('hidden');
@@ -0,0 +1,260 @@
+/**
+ * puzzle-packs.js — Puzzle packs: curated sets of sectors shared as JSON.
+ *
+ * A pack file is
+ *
+ *   { format: 'hecknsic-pack', formatVersion: 1,
+ *     id, name, author, version,
+ *     sectors: [{ id, name, description, puzzles: [{ id, name, description,
+ *                 cols, rows, moveLimit, par, goal, board }] }] }
+ *
+ * The built-in puzzles are a pack too (puzzles.js BUILTIN_PACK). Imported
+ * packs are kept in Arcade.state ('packs'); importing a pack with an id
+ * already installed replaces it, so a new version of a pack is just a
+ * re-import.
+ *
+ * Progress is per pack: an imported pack's puzzles play under ids of the
+ * form "pack:<packId>:<puzzleId>" (packSectors), so their stars live apart
+ * from the built-in ones and from other packs, and storage.js
+ * isSectorUnlocked runs each pack's unlock chain unchanged.
+ */
+
+import { BUILTIN_PACK, readPuzzleBoard, isValidGoal } from './puzzles.js';
+import { getPuzzleProgress } from './storage.js';
+
+/** The newest pack file layout this build reads (and the one it writes). */
+export const PACK_FORMAT = 1;
+const PACK_MAGIC = 'hecknsic-pack';
+const PACKS_KEY = 'packs';
+
+/** The puzzle fields a pack file carries. */
+const PUZZLE_FIELDS = ['id', 'name', 'description', 'cols', 'rows', 'moveLimit', 'par', 'goal', 'board'];
+
+// ─── Reading and writing pack files ─────────────────────────────
+
+/**
+ * Parse and check a pack file. Every puzzle must read and have a goal this
+ * build can play; the first one that doesn't is the error.
+ * @param {string} text — the file's contents
+ * @returns {{pack: object|null, error: string|null}}
+ */
+export function readPack(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    return fail('Not a JSON file');
+  }
+  if (raw?.format !== PACK_MAGIC) return fail('Not a puzzle pack');
+  if (!Number.isInteger(raw.formatVersion) || raw.formatVersion > PACK_FORMAT) {
+    return fail('This pack needs a newer version of the game');
+  }
+  const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+  if (!name) return fail('The pack has no name');
+  const id = slug(typeof raw.id === 'string' && raw.id ? raw.id : name);
+  if (!id || id === BUILTIN_PACK.id) return fail(`A pack can't be called "${raw.id ?? name}"`);
+  if (!Array.isArray(raw.sectors) || raw.sectors.length === 0) return fail('The pack has no sectors');
+
+  const sectors = [];
+  const puzzleIds = new Set();
+  for (const [i, rawSector] of raw.sectors.entries()) {
+    const sectorName = String(rawSector?.name ?? '').trim() || `Sector ${i + 1}`;
+    if (!Array.isArray(rawSector?.puzzles) || rawSector.puzzles.length === 0) {
+      return fail(`"${sectorName}" has no puzzles`);
+    }
+    const sector = {
+      id:          String(rawSector.id ?? `sector-${i + 1}`),
+      name:        sectorName,
+      description: String(rawSector.description ?? ''),
+      puzzles:     [],
+    };
+    if (sectors.some(s => s.id === sector.id)) return fail(`Two sectors are called "${sector.id}"`);
+    for (const [j, rawPuzzle] of rawSector.puzzles.entries()) {
+      const { puzzle, error } = readPackPuzzle(rawPuzzle, `${sector.id}-${j + 1}`);
+      const where = `"${sectorName}", puzzle ${j + 1}`;
+      if (error) return fail(`${where}: ${error}`);
+      if (puzzleIds.has(puzzle.id)) return fail(`${where}: the id "${puzzle.id}" is used twice`);
+      puzzleIds.add(puzzle.id);
+      sector.puzzles.push(puzzle);
+    }
+    sectors.push(sector);
+  }
+
+  return {
+    pack: {
+      id, name,
+      author:  String(raw.author ?? '').trim(),
+      version: String(raw.version ?? '1'),
+      sectors,
+    },
+    error: null,
+  };
+}
+
+function readPackPuzzle(raw, fallbackId) {
+  if (!raw || typeof raw !== 'object') return { puzzle: null, error: 'not a puzzle' };
+  const puzzle = {
+    id:          String(raw.id ?? fallbackId),
+    name:        String(raw.name ?? '').trim() || 'Untitled',
+    description: String(raw.description ?? ''),
+    cols:        raw.cols,
+    rows:        raw.rows,
+    moveLimit:   raw.moveLimit,
+    par:         raw.par,
+    goal:        raw.goal,
+    board:       raw.board,
+  };
+  const positive = n => Number.isInteger(n) && n > 0;
+  if (!positive(puzzle.cols) || !positive(puzzle.rows)) return { puzzle: null, error: 'cols and rows must be whole numbers' };
+  if (!positive(puzzle.moveLimit) || !positive(puzzle.par)) return { puzzle: null, error: 'moveLimit and par must be whole numbers' };
+  if (!isValidGoal(puzzle.goal)) return { puzzle: null, error: 'a goal this version can\'t play' };
+  if (typeof puzzle.board !== 'string') return { puzzle: null, error: 'no board' };
+  const { error } = readPuzzleBoard(puzzle.board, puzzle.cols, puzzle.rows);
+  return error ? { puzzle: null, error } : { puzzle, error: null };
+}
+
+/** A pack as the JSON a pack file holds. */
+export function exportPack(pack) {
+  const file = {
+    format:        PACK_MAGIC,
+    formatVersion: PACK_FORMAT,
+    id:            pack.id,
+    name:          pack.name,
+    author:        pack.author ?? '',
+    version:       pack.version ?? '1',
+    sectors: pack.sectors.map(sector => ({
+      id:          sector.id,
+      name:        sector.name,
+      description: sector.description ?? '',
+      puzzles: sector.puzzles.map(puzzle => {
+        const out = {};
+        for (const f of PUZZLE_FIELDS) if (puzzle[f] !== undefined) out[f] = puzzle[f];
+        return out;
+      }),
+    })),
+  };
+  return JSON.stringify(file, null, 2);
+}
+
+/**
+ * My Puzzles (puzzle-library.js entries) as a one-sector pack, ready to
+ * export and hand round.
+ */
+export function packFromLibrary(entries, { name = 'My Puzzles', author = '' } = {}) {
+  return {
+    id:      slug(`${author} ${name}`) || 'my-puzzles',
+    name,
+    author,
+    version: '1',
+    sectors: [{
+      id:          'sector-1',
+      name,
+      description: '',
+      puzzles: entries.map(entry => ({ ...entry.puzzle, id: entry.id, name: entry.name })),
+    }],
+  };
+}
+
+/** "Bomb Squad v2!" → "bomb-squad-v2" */
+function slug(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function fail(error) {
+  return { pack: null, error };
+}
+
+// ─── Installed packs ────────────────────────────────────────────
+
+export function getInstalledPacks() {
+  const packs = Arcade.state.get(PACKS_KEY);
+  return Array.isArray(packs) ? packs : [];
+}
+
+/** The built-in pack first, then the imported ones in the order they came. */
+export function getAllPacks() {
+  return [BUILTIN_PACK, ...getInstalledPacks()];
+}
+
+export function getPack(id) {
+  return getAllPacks().find(p => p.id === id) ?? null;
+}
+
+/**
+ * Keep an imported pack (as readPack returned it). A pack with the same id
+ * is replaced in place; its progress stays, since puzzle ids don't change.
+ * @returns {boolean} true when it replaced an installed pack
+ */
+export function installPack(pack) {
+  const packs = getInstalledPacks();
+  const i = packs.findIndex(p => p.id === pack.id);
+  if (i >= 0) packs[i] = pack;
+  else packs.push(pack);
+  Arcade.state.set(PACKS_KEY, packs);
+  return i >= 0;
+}
+
+export function removePack(id) {
+  const packs = getInstalledPacks();
+  const kept = packs.filter(p => p.id !== id);
+  if (kept.length === packs.length) return false;
+  Arcade.state.set(PACKS_KEY, kept);
+  return true;
+}
+
+// ─── Playing packs ──────────────────────────────────────────────
+
+/** The id an imported pack's puzzle plays (and saves progress) under. */
+export function packPuzzleId(packId, puzzleId) {
+  return `pack:${packId}:${puzzleId}`;
+}
+
+/**
+ * A pack's sectors as the selector and isSectorUnlocked take them. The
+ * built-in pack's are PUZZLE_SECTORS as they are; an imported pack's carry
+ * the namespaced puzzle ids, and `packId` on every puzzle.
+ */
+export function packSectors(pack) {
+  if (pack.id === BUILTIN_PACK.id) return pack.sectors;
+  return pack.sectors.map(sector => ({
+    ...sector,
+    id: `${pack.id}:${sector.id}`,
+    puzzles: sector.puzzles.map(puzzle => ({
+      ...puzzle,
+      id:       packPuzzleId(pack.id, puzzle.id),
+      packId:   pack.id,
+      noRefill: true,
+    })),
+  }));
+}
+
+/** An imported pack's puzzle by its played id ("pack:<packId>:<puzzleId>"), or null. */
+export function findPackPuzzle(id) {
+  return packPuzzlesOf(id)?.find(p => p.id === id) ?? null;
+}
+
+/** The puzzle after `id` in its imported pack, or null at the end. */
+export function getNextPackPuzzle(id) {
+  const puzzles = packPuzzlesOf(id);
+  if (!puzzles) return null;
+  const i = puzzles.findIndex(p => p.id === id);
+  return i >= 0 && i + 1 < puzzles.length ? puzzles[i + 1] : null;
+}
+
+function packPuzzlesOf(id) {
+  const match = /^pack:([^:]+):/.exec(String(id));
+  const pack = match && getInstalledPacks().find(p => p.id === match[1]);
+  return pack ? packSectors(pack).flatMap(s => s.puzzles) : null;
+}
+
+/** How far the player is through a pack: puzzles solved and stars earned. */
+export function getPackProgress(pack) {
+  const puzzles = packSectors(pack).flatMap(s => s.puzzles);
+  let solved = 0, stars = 0;
+  for (const puzzle of puzzles) {
+    const progress = getPuzzleProgress(puzzle.id);
+    if (progress?.solved) solved++;
+    stars += progress?.stars ?? 0;
+  }
+  return { solved, total: puzzles.length, stars, maxStars: puzzles.length * 3 };
+}
@@ -10,6 +10,16 @@
  *   make_starflower — form at least N starflowers
  *   score        — reach a target score
  *   clear_all    — clear every tile from the board
+ *   break_ice    — break the ice on every iced piece
+ *   make_blackpearl — form at least N black pearls
+ *   chain        — set off a cascade N chain steps deep
+ *   detonate_multiplier — detonate N multiplier clusters
+ *   clear_targets — clear a match through every marked cell ({col, row} list)
+ *   survive_bombs — play N moves with a bomb still live on the board
+ *
+ * Compound goals hold sub-goals (which may be compound themselves):
+ *   all          — every one of `goals` met
+ *   any          — at least one of `goals` met
  *
  * Star ratings (per puzzle):
  *   ⭐    — solved but over par
@@ -17,94 +27,276 @@
  *   ⭐⭐⭐ — solved under par (fewer moves than par)
  */
 
-import { PIECE_COLORS } from './constants.js';
+import { TILE_COLORS, BOMB_INITIAL_TIMER } from './constants.js';
+import { voidCell, isVoid } from './board-shapes.js';
+import { stoneCell, isStone, countIce } from './obstacles.js';
+
+// ─── Board encoding ─────────────────────────────────────────────
+//
+// A board string is space-separated "col:row:piece" tokens; empty cells are
+// not listed. Version 2 strings start with a "v2" token; strings without a
+// version token are version 1, the format the built-in and daily puzzles and
+// older share codes use.
+//
+// v2 pieces:
+//   N        a tile of colorIndex N (0–5: the five base colors, then teal)
+//   NbT      a bomb of color N with T moves on its fuse
+//   Nm       a multiplier of color N
+//   S / P / G  a starflower, black pearl or Grand Poobah (they carry no color)
+//   x        a void — a cell cut out of the board (see board-shapes.js)
+//   o        a stone (see obstacles.js)
+// then any modifiers, in CELL_MODIFIERS order: 'c' chained, 'i' iced
+// ('iN' for N layers).
+//
+// v1 pieces are N, NbT, Ns (starflower), Np (black pearl), x, o and, since
+// the multiplier goal, Nm, with the same modifiers. A v1 string captured
+// from a live board wrote the specials' own negative colorIndex (-1s, -2p,
+// -3), which decodes to the special it was.
+//
+// Example (v2): "v2 0:0:0 1:0:3b8 2:0:x 2:1:o 3:0:1ci 3:1:G" — red, an orange
+// bomb on an 8-move fuse, a void, a stone, a chained iced orange and a Grand
+// Poobah.
+
+export const BOARD_FORMAT_VERSION = 2;
 
-// ─── Board encoding helpers ─────────────────────────────────────
+/** Specials that replace a tile's color, by their v2 letter. */
+const WHOLE_SPECIALS = {
+  S: { colorIndex: -1, special: 'starflower' },
+  P: { colorIndex: -2, special: 'blackpearl' },
+  G: { colorIndex: -3, special: 'grandpoobah' },
+};
+
+/** Specials a colored tile can be, by their suffix. */
+const COLORED_SPECIALS = { b: 'bomb', m: 'multiplier' };
 
 /**
- * Decode a compact board string into a grid array.
- *
- * Format: "col:row:colorIndex[:special] ..." space-separated tokens.
- * Special values: 's' = starflower, 'b{N}' = bomb with timer N, 'p' = blackpearl.
- * Empty cells are null (not listed).
- *
- * Example: "0:0:0 0:1:2 1:0:3b8"  — col 0 row 0 = red, col 0 row 1 = blue, col 1 row 0 = orange with bomb timer 8
+ * Flags a piece can carry on top of what it is. A new obstacle that rides
+ * on a cell is one more entry here.
+ */
+const CELL_MODIFIERS = [
+  { code: 'c', field: 'chained' },
+  { code: 'i', field: 'ice', layers: true },
+];
+
+const FIXED_CELLS = { x: voidCell, o: stoneCell };
+
+const emptyGrid = (cols, rows) => Array.from({ length: cols }, () => Array(rows).fill(null));
+
+/**
+ * Read a board string of either version.
+ * @returns {{grid: Cell[][]|null, error: string|null}} — `error` says which
+ *   token is wrong and why; `grid` is null whenever there is one.
+ */
+export function readPuzzleBoard(encoded, cols, rows) {
+  const grid = emptyGrid(cols, rows);
+  const tokens = (encoded ?? '').trim().split(/\s+/).filter(Boolean);
+  let version = 1;
+  if (/^v\d+$/.test(tokens[0] ?? '')) {
+    version = Number(tokens.shift().slice(1));
+    if (version !== BOARD_FORMAT_VERSION) {
+      return { grid: null, error: `Unknown board format v${version} (this version reads v1 and v2)` };
+    }
+  }
+
+  for (const token of tokens) {
+    const fail = why => ({ grid: null, error: `Cell "${token}": ${why}` });
+    const match = token.match(/^(\d+):(\d+):(.+)$/);
+    if (!match) return fail('expected col:row:piece');
+    const c = Number(match[1]);
+    const r = Number(match[2]);
+    if (c >= cols || r >= rows) return fail(`off the ${cols}×${rows} board`);
+    if (grid[c][r]) return fail(`cell ${c}:${r} is listed twice`);
+
+    const cell = version === 1 ? readPieceV1(match[3]) : readPieceV2(match[3]);
+    if (typeof cell === 'string') return fail(cell);
+    grid[c][r] = cell;
+  }
+  return { grid, error: null };
+}
+
+/**
+ * Decode a board string (either version) into a grid.
+ * Returns null when the string is malformed; readPuzzleBoard says why.
  */
 export function decodePuzzleBoard(encoded, cols, rows) {
-  const grid = [];
-  for (let c = 0; c < cols; c++) {
-    grid[c] = [];
-    for (let r = 0; r < rows; r++) grid[c][r] = null;
+  return readPuzzleBoard(encoded, cols, rows).grid;
+}
+
+/** A v2 piece, or a string saying what is wrong with it. */
+function readPieceV2(text) {
+  if (FIXED_CELLS[text]) return FIXED_CELLS[text]();
+  const match = text.match(/^(?:([SPG])|(\d+)(?:(b)(\d+)|(m))?)(.*)$/);
+  if (!match) return `can't read piece "${text}"`;
+  const [, whole, color, bomb, timer, multiplier, rest] = match;
+  if (whole) return withModifiers({ ...WHOLE_SPECIALS[whole] }, rest);
+  return coloredPiece(Number(color), COLORED_SPECIALS[bomb ?? multiplier] ?? null, timer, rest);
+}
+
+/** A v1 piece, or a string saying what is wrong with it. */
+function readPieceV1(text) {
+  if (FIXED_CELLS[text]) return FIXED_CELLS[text]();
+  const match = text.match(/^(-?\d+)(?:(b)(\d+)|([spm]))?(.*)$/);
+  if (!match) return `can't read piece "${text}"`;
+  const [, color, bomb, timer, suffix, rest] = match;
+  const colorIndex = Number(color);
+  if (colorIndex < 0) {
+    const whole = Object.values(WHOLE_SPECIALS).find(w => w.colorIndex === colorIndex);
+    if (!whole || bomb) return `no piece has colorIndex ${colorIndex}`;
+    return withModifiers({ ...whole }, rest);
   }
+  const special = bomb ? 'bomb'
+    : { s: 'starflower', p: 'blackpearl', m: 'multiplier' }[suffix] ?? null;
+  return coloredPiece(colorIndex, special, timer, rest);
+}
 
-  if (!encoded) return grid;
-
-  for (const token of encoded.trim().split(/\s+/)) {
-    const parts = token.split(':');
-    if (parts.length < 3) continue;
-    const c = parseInt(parts[0]);
-    const r = parseInt(parts[1]);
-    const raw = parts[2];
-
-    // parse colorIndex and optional special suffix
-    let colorIndex = -1;
-    let special = null;
-    let bombTimer = null;
-
-    const bombMatch = raw.match(/^(\d+)b(\d+)$/);
-    const sfMatch   = raw.match(/^(\d+)s$/);
-    const bpMatch   = raw.match(/^(\d+)p$/);
-
-    if (bombMatch) {
-      colorIndex = parseInt(bombMatch[1]);
-      special    = 'bomb';
-      bombTimer  = parseInt(bombMatch[2]);
-    } else if (sfMatch) {
-      colorIndex = parseInt(sfMatch[1]);
-      special    = 'starflower';
-    } else if (bpMatch) {
-      colorIndex = parseInt(bpMatch[1]);
-      special    = 'blackpearl';
-    } else {
-      colorIndex = parseInt(raw);
-    }
+function coloredPiece(colorIndex, special, timer, modifiers) {
+  if (colorIndex >= TILE_COLORS.length) return `color ${colorIndex} is out of range (0–${TILE_COLORS.length - 1})`;
+  const cell = { colorIndex, special };
+  if (special === 'bomb') {
+    cell.bombTimer = Number(timer);
+    if (cell.bombTimer < 1) return 'a bomb needs a fuse of at least 1';
+  }
+  return withModifiers(cell, modifiers);
+}
 
-    if (c >= 0 && c < cols && r >= 0 && r < rows) {
-      // Clamp colorIndex to valid range to guard against crafted share codes.
-      // Special pieces (starflower/blackpearl) use colorIndex -1/-2 — those are fine.
-      const MAX_COLOR = 5; // PIECE_COLORS.length + EXTRA_COLORS.length
-      if (colorIndex >= 0) colorIndex = Math.min(colorIndex, MAX_COLOR - 1);
-      grid[c][r] = { colorIndex, special };
-      if (bombTimer !== null) grid[c][r].bombTimer = bombTimer;
+/** Apply trailing modifier codes to `cell`; a string names a bad one. */
+function withModifiers(cell, text) {
+  let rest = text;
+  for (const mod of CELL_MODIFIERS) {
+    const match = rest.match(mod.layers ? new RegExp(`^${mod.code}(\\d*)`) : new RegExp(`^${mod.code}`));
+    if (!match) continue;
+    if (mod.layers) {
+      const layers = match[1] === '' ? 1 : Number(match[1]);
+      if (layers < 1) return `"${match[0]}" needs at least one layer`;
+      cell[mod.field] = layers;
+    } else {
+      cell[mod.field] = true;
     }
+    rest = rest.slice(match[0].length);
   }
-  return grid;
+  return rest === '' ? cell : `can't read "${rest}"`;
 }
 
 /**
- * Encode a live grid back to compact string (for the puzzle editor).
+ * Encode a grid as a v2 board string (the puzzle editor's capture). Every
+ * attribute a cell can carry survives readPuzzleBoard.
  */
 export function encodePuzzleBoard(grid, cols, rows) {
-  const tokens = [];
+  const tokens = [`v${BOARD_FORMAT_VERSION}`];
   for (let c = 0; c < cols; c++) {
     for (let r = 0; r < rows; r++) {
       const cell = grid[c][r];
       if (!cell) continue;
-      let token = `${c}:${r}:${cell.colorIndex}`;
-      if (cell.special === 'bomb')       token += `b${cell.bombTimer ?? 15}`;
-      else if (cell.special === 'starflower') token += 's';
-      else if (cell.special === 'blackpearl') token += 'p';
-      tokens.push(token);
+      tokens.push(`${c}:${r}:${encodePiece(cell)}`);
     }
   }
   return tokens.join(' ');
 }
 
+function encodePiece(cell) {
+  if (isVoid(cell)) return 'x';
+  if (isStone(cell)) return 'o';
+  const whole = Object.keys(WHOLE_SPECIALS).find(k => WHOLE_SPECIALS[k].special === cell.special);
+  let piece = whole ?? String(cell.colorIndex);
+  if (cell.special === 'bomb')       piece += `b${cell.bombTimer ?? BOMB_INITIAL_TIMER}`;
+  if (cell.special === 'multiplier') piece += 'm';
+  for (const mod of CELL_MODIFIERS) {
+    const value = cell[mod.field];
+    if (!value) continue;
+    piece += mod.code + (mod.layers && value > 1 ? value : '');
+  }
+  return piece;
+}
+
 // ─── Goal helpers ───────────────────────────────────────────────
 
+/** Goal types that hold sub-goals. */
+const COMPOUND_GOALS = { all: ' and ', any: ' or ' };
+
+/** What a fresh attempt has counted toward its goal. */
+export function freshGoalStats() {
+  return {
+    totalMoves: 0, score: 0,
+    starflowersMade: 0, blackpearlsMade: 0, maxChain: 0, detonations: 0,
+    targetsCleared: [],
+  };
+}
+
+/**
+ * Fold one resolved move into goal stats. `events` are the move's engine
+ * events (game-engine.js resolveMove) and `score` the score after it; only
+ * the goal's own target cells are remembered. Returns a new stats object.
+ */
+export function tallyTurn(stats, events, score, goal) {
+  const next = {
+    ...freshGoalStats(), ...stats,
+    totalMoves: (stats.totalMoves ?? 0) + 1,
+    score,
+  };
+  const targets = new Set(goalTargets(goal).map(t => `${t.col},${t.row}`));
+  const cleared = new Set(next.targetsCleared);
+  for (const e of events) {
+    if (e.type === 'formed' && e.special === 'starflower') next.starflowersMade += e.formations.length;
+    if (e.type === 'formed' && e.special === 'blackpearl') next.blackpearlsMade += e.formations.length;
+    if (e.type === 'chain') next.maxChain = Math.max(next.maxChain, e.level);
+    if (e.type !== 'matched') continue;
+    next.detonations += e.detonated ?? 0;
+    for (const cell of e.cells) {
+      const key = `${cell.col},${cell.row}`;
+      if (targets.has(key)) cleared.add(key);
+    }
+  }
+  next.targetsCleared = [...cleared];
+  return next;
+}
+
+/** Every marked cell a goal (or any of its sub-goals) asks to clear. */
+export function goalTargets(goal) {
+  if (COMPOUND_GOALS[goal.type]) return goal.goals.flatMap(goalTargets);
+  return goal.type === 'clear_targets' ? goal.cells : [];
+}
+
+/** Marked cells still waiting for a match. */
+export function remainingTargets(goal, stats) {
+  const cleared = new Set(stats.targetsCleared ?? []);
+  return goalTargets(goal).filter(t => !cleared.has(`${t.col},${t.row}`));
+}
+
+/** Bombs on the board; `liveOnly` leaves out one whose fuse has run out
+ *  (the engine leaves it in place for the game-over). */
+function countBombs(grid, cols, rows, liveOnly = false) {
+  let bombs = 0;
+  for (let c = 0; c < cols; c++)
+    for (let r = 0; r < rows; r++) {
+      const cell = grid[c]?.[r];
+      if (cell?.special === 'bomb' && (!liveOnly || cell.bombTimer > 0)) bombs++;
+    }
+  return bombs;
+}
+
+/** "N thing" / "N things". */
+function plural(n, noun) {
+  return `${n} ${noun}${n === 1 ? '' : 's'}`;
+}
+
+/** Progress toward a counted target: "2 / 3 black pearls". */
+function countGoal(made, needed, noun) {
+  return {
+    met: made >= needed,
+    progress: `${Math.min(made, needed)} / ${needed} ${noun}${needed > 1 ? 's' : ''}`,
+    remaining: Math.max(0, needed - made),
+  };
+}
+
 /**
  * Evaluate whether the puzzle goal has been met.
- * Returns { met: bool, progress: string } so the UI can show progress.
+ * Returns { met: bool, progress: string, remaining: number } so the UI can
+ * show progress; `remaining` is how far off the goal still is, in its own
+ * unit (tiles, bombs, starflowers, points), for ranking positions.
+ *
+ * A compound goal also returns `parts`: one { description, progress, met }
+ * per sub-goal, for the HUD. Its `remaining` adds up what the sub-goals have
+ * left ('all') or takes the closest one ('any').
  */
 export function evaluateGoal(goal, grid, stats, cols, rows) {
   switch (goal.type) {
@@ -118,27 +310,36 @@ export function evaluateGoal(goal, grid, stats, cols, rows) {
             remaining++;
       return {
         met: remaining === 0,
-        progress: remaining === 0 ? 'Done!' : `${remaining} ${PIECE_COLORS[goal.colorIndex]?.name ?? 'color'} left`,
+        progress: remaining === 0 ? 'Done!' : `${remaining} ${TILE_COLORS[goal.colorIndex]?.name ?? 'color'} left`,
+        remaining,
       };
     }
 
     case 'defuse_bomb': {
-      let bombs = 0;
-      for (let c = 0; c < cols; c++)
-        for (let r = 0; r < rows; r++)
-          if (grid[c][r]?.special === 'bomb') bombs++;
+      const bombs = countBombs(grid, cols, rows);
       return {
         met: bombs === 0 && stats.totalMoves > 0,
         progress: bombs === 0 ? 'Defused!' : `${bombs} bomb${bombs > 1 ? 's' : ''} active`,
+        remaining: bombs,
       };
     }
 
-    case 'make_starflower': {
-      const needed = goal.count ?? 1;
-      const made   = stats.starflowersMade ?? 0;
+    case 'make_starflower':
+      return countGoal(stats.starflowersMade ?? 0, goal.count ?? 1, 'starflower');
+
+    case 'make_blackpearl':
+      return countGoal(stats.blackpearlsMade ?? 0, goal.count ?? 1, 'black pearl');
+
+    case 'detonate_multiplier':
+      return countGoal(stats.detonations ?? 0, goal.count ?? 1, 'detonation');
+
+    case 'chain': {
+      const target = goal.count ?? 2;
+      const best = stats.maxChain ?? 0;
       return {
-        met: made >= needed,
-        progress: `${Math.min(made, needed)} / ${needed} starflower${needed > 1 ? 's' : ''}`,
+        met: best >= target,
+        progress: `chain ${Math.min(best, target)} / ${target}`,
+        remaining: Math.max(0, target - best),
       };
     }
 
@@ -148,6 +349,7 @@ export function evaluateGoal(goal, grid, stats, cols, rows) {
       return {
         met: current >= target,
         progress: `${current} / ${target} pts`,
+        remaining: Math.max(0, target - current),
       };
     }
 
@@ -155,15 +357,63 @@ export function evaluateGoal(goal, grid, stats, cols, rows) {
       let remaining = 0;
       for (let c = 0; c < cols; c++)
         for (let r = 0; r < rows; r++)
-          if (grid[c][r]) remaining++;
+          if (grid[c][r] && !isVoid(grid[c][r])) remaining++;
       return {
         met: remaining === 0,
         progress: remaining === 0 ? 'Board cleared!' : `${remaining} tiles left`,
+        remaining,
+      };
+    }
+
+    case 'break_ice': {
+      const remaining = countIce(grid);
+      return {
+        met: remaining === 0 && stats.totalMoves > 0,
+        progress: remaining === 0 ? 'Ice broken!' : `${remaining} iced tile${remaining > 1 ? 's' : ''} left`,
+        remaining,
+      };
+    }
+
+    case 'clear_targets': {
+      const remaining = remainingTargets(goal, stats).length;
+      return {
+        met: remaining === 0,
+        progress: remaining === 0 ? 'Targets cleared!' : `${plural(remaining, 'target')} left`,
+        remaining,
+      };
+    }
+
+    // Bombs never come back on a fixed board: once the last one is defused,
+    // the goal is out of reach.
+    case 'survive_bombs': {
+      const needed = goal.count ?? 5;
+      const moves = stats.totalMoves ?? 0;
+      const live = countBombs(grid, cols, rows, true) > 0;
+      return {
+        met: live && moves >= needed,
+        progress: live ? `${Math.min(moves, needed)} / ${needed} moves survived` : 'No live bombs',
+        remaining: live ? Math.max(0, needed - moves) : Infinity,
+      };
+    }
+
+    case 'all':
+    case 'any': {
+      const results = goal.goals.map(g => evaluateGoal(g, grid, stats, cols, rows));
+      const parts = goal.goals.map((g, i) => ({
+        description: describeGoal(g), progress: results[i].progress, met: results[i].met,
+      }));
+      const met = goal.type === 'all' ? results.every(r => r.met) : results.some(r => r.met);
+      const left = results.map(r => (r.met ? 0 : r.remaining));
+      return {
+        met,
+        progress: parts.map(p => (p.met ? `✓ ${p.progress}` : p.progress)).join(' · '),
+        remaining: goal.type === 'all' ? left.reduce((a, b) => a + b, 0) : Math.min(...left),
+        parts,
       };
     }
 
     default:
-      return { met: false, progress: '?' };
+      return { met: false, progress: '?', remaining: Infinity };
   }
 }
 
@@ -172,35 +422,75 @@ export function evaluateGoal(goal, grid, stats, cols, rows) {
  */
 export function describeGoal(goal) {
   switch (goal.type) {
-    case 'clear_color':   return `Clear all ${PIECE_COLORS[goal.colorIndex]?.name ?? 'colored'} tiles`;
+    case 'clear_color':   return `Clear all ${TILE_COLORS[goal.colorIndex]?.name ?? 'colored'} tiles`;
     case 'defuse_bomb':   return 'Defuse the bomb';
     case 'make_starflower': return `Form ${goal.count ?? 1} starflower${(goal.count ?? 1) > 1 ? 's' : ''}`;
     case 'score':         return `Reach ${goal.target} points`;
     case 'clear_all':     return 'Clear the board';
+    case 'break_ice':     return 'Break all the ice';
+    case 'make_blackpearl': return `Form ${plural(goal.count ?? 1, 'black pearl')}`;
+    case 'chain':         return `Set off a chain ${goal.count ?? 2} deep`;
+    case 'detonate_multiplier': return `Detonate ${plural(goal.count ?? 1, 'multiplier cluster')}`;
+    case 'clear_targets': return `Clear the ${plural(goal.cells.length, 'marked cell')}`;
+    case 'survive_bombs': return `Survive ${plural(goal.count ?? 5, 'move')} with the bombs live`;
+    case 'all':
+    case 'any':
+      return goal.goals
+        .map(g => (COMPOUND_GOALS[g.type] ? `(${describeGoal(g)})` : describeGoal(g)))
+        .join(COMPOUND_GOALS[goal.type]);
     default:              return 'Complete the goal';
   }
 }
 
+const COUNTED_GOALS = ['make_starflower', 'make_blackpearl', 'chain', 'detonate_multiplier', 'survive_bombs'];
+const PLAIN_GOALS   = ['defuse_bomb', 'clear_all', 'break_ice'];
+
+/**
+ * Whether `goal` is one this build can play: a known type with the fields
+ * it needs. Share codes and pasted puzzles come from outside, so they are
+ * checked before a puzzle starts.
+ */
+export function isValidGoal(goal) {
+  if (!goal || typeof goal !== 'object') return false;
+  const count = n => n === undefined || (Number.isInteger(n) && n > 0);
+  switch (goal.type) {
+    case 'clear_color':
+      return Number.isInteger(goal.colorIndex) && goal.colorIndex >= 0 && goal.colorIndex < TILE_COLORS.length;
+    case 'score':         return Number.isFinite(goal.target) && goal.target > 0;
+    case 'clear_targets':
+      return Array.isArray(goal.cells) && goal.cells.length > 0
+        && goal.cells.every(t => Number.isInteger(t?.col) && Number.isInteger(t?.row));
+    case 'all':
+    case 'any':
+      return Array.isArray(goal.goals) && goal.goals.length > 0 && goal.goals.every(isValidGoal);
+    default:
+      return PLAIN_GOALS.includes(goal.type) || (COUNTED_GOALS.includes(goal.type) && count(goal.count));
+  }
+}
+
 // ─── Star rating ────────────────────────────────────────────────
 
+/** Best rating a solve can get once a hint has been used. */
+export const HINT_STAR_CAP = 2;
+
 /**
  * Compute star rating 0–3.
  *   3 stars — solved under par
  *   2 stars — solved at par
  *   1 star  — solved but over par
  *   0 stars — exceeded move limit (shouldn't happen, but guarded)
+ * Any hint caps the rating at HINT_STAR_CAP.
  */
-export function computeStars(puzzle, movesUsed, _maxChain) {
+export function computeStars(puzzle, movesUsed, _maxChain, hintsUsed = 0) {
   if (movesUsed > puzzle.moveLimit) return 0; // shouldn't happen but guard it
-  if (movesUsed > puzzle.par) return 1;
-  if (movesUsed === puzzle.par) return 2;
-  return 3;
+  const stars = movesUsed > puzzle.par ? 1 : movesUsed === puzzle.par ? 2 : 3;
+  return hintsUsed > 0 ? Math.min(stars, HINT_STAR_CAP) : stars;
 }
 
 // ─── Puzzle registry ────────────────────────────────────────────
 // Sectors unlock in order. Each puzzle is hand-crafted.
 // Board strings use the compact encoding above.
-// colorIndex: 0=red 1=orange 2=blue 3=green 4=purple
+// colorIndex: 0=red 1=orange 2=blue 3=green 4=purple 5=teal
 
 export const PUZZLE_SECTORS = [
   {
@@ -408,6 +698,19 @@ export const PUZZLE_SECTORS = [
   },
 ];
 
+/**
+ * The puzzles the game ships with, as a pack like any imported one
+ * (puzzle-packs.js). Its puzzle ids are the plain ones above, so progress
+ * saved before packs existed still counts.
+ */
+export const BUILTIN_PACK = {
+  id:      'builtin',
+  name:    'Hecknsic',
+  author:  'Hecknsic',
+  version: '1',
+  sectors: PUZZLE_SECTORS,
+};
+
 // ─── Flat puzzle lookup ─────────────────────────────────────────
 
 export const ALL_PUZZLES = PUZZLE_SECTORS.flatMap(s => s.puzzles.map(p => ({ ...p, sectorId: s.id })));
@@ -7,11 +7,14 @@
  */
 
 import {
-  GRID_COLS, GRID_ROWS, HEX_SIZE, PIECE_COLORS, STARFLOWER_COLOR, BLACK_PEARL_COLOR, GRAND_POOBAH_COLOR,
+  GRID_COLS, GRID_ROWS, HEX_SIZE, TILE_COLORS, STARFLOWER_COLOR, BLACK_PEARL_COLOR, GRAND_POOBAH_COLOR,
+  STONE_TILE_COLOR,
   FRAME_COLOR, BOARD_BG_COLOR,
-  HIGHLIGHT_COLOR, CLUSTER_HIGHLIGHT,
+  HIGHLIGHT_COLOR, CLUSTER_HIGHLIGHT, COMBO_THRESHOLDS, COMBO_LABELS,
 } from './constants.js';
 import { hexToPixel, hexCorners } from './hex-math.js';
+import { isVoid } from './board-shapes.js';
+import { STONE_COLOR } from './obstacles.js';
 import { getComboCount, getChainLevel } from './score.js';
 import { isPowerSaving, onPowerSaverChange } from './power.js';
 import { wakeFrameLoop } from './frame.js';
@@ -22,6 +25,7 @@ let originX, originY;   // hex grid origin in logical (design) space
 let boardScale = 1;     // scale applied to fit the board on small screens
 let activeGridCols = GRID_COLS;  // current grid dimensions (may differ for puzzles)
 let activeGridRows = GRID_ROWS;
+let voidKeys = new Set();        // "col,row" of the active board's void cells (shaped boards)
 
 let isDirty = true;
 // The dirty flag and the loop's wake-up are one gesture: a board that is
@@ -42,7 +46,8 @@ export function hasActiveRendererAnimations() {
          floatingPieces.length > 0 ||
          comboFadeStart > 0 ||
          shockwaves.length > 0 ||
-         screenOverlay !== null;
+         screenOverlay !== null ||
+         hintPulse !== null;
 }
 
 // Per-cell animation overrides: "col,row" → { scale?, alpha?, offsetX?, offsetY?, hidden? }
@@ -60,6 +65,23 @@ let shockwaves = [];  // { x, y, r, maxR, life, maxLife, r, g, b }
 // Full-screen color wash overlay
 let screenOverlay = null;  // { r, g, b, alpha, life, maxLife } or null
 
+// Hint pulse: the cells the hint button points at, for HINT_PULSE_MS
+let hintPulse = null;  // { cells, start } or null
+const HINT_PULSE_MS = 3000;
+const HINT_COLOR = '#FFD740';
+
+// Target marks: cells a clear_targets puzzle goal still wants a match through
+let targetMarks = [];  // [{ col, row }]
+const TARGET_COLOR = '#4FC3F7';
+
+// Lint marks: cells the puzzle editor's checks found a problem with
+let lintMarks = [];  // [{ col, row }]
+const LINT_COLOR = '#FF5252';
+
+// Paint guides: the puzzle editor's paint mode outlines empty cells
+let paintGuides = false;
+const PAINT_GUIDE_COLOR = 'rgba(255, 255, 255, 0.18)';
+
 // ─── Combo overlay state ─────────────────────────────────────────
 let comboDispCount   = 0;   // peak combo count seen this cascade
 let comboDispChain   = 0;   // peak chain level seen this cascade
@@ -77,9 +99,7 @@ let scorePopups = [];  // { x, y, vy, text, life, maxLife, fontSize, color }
 // expensive per-frame shadowBlur computation that kills iOS Safari perf.
 let bgCache = null;  // { canvas, x, y, w, h, cols, rows, canvasW, canvasH, boardScale }
 
-// Label tier thresholds (by combo count)
-const COMBO_THRESHOLDS = [2,  5,   7,  10,  12,  15];
-const COMBO_LABELS     = ['COMBO', 'NICE!', 'SWEET!', 'AMAZING!', 'SICK!', 'HECKN SIC!'];
+// One color per combo tier (COMBO_THRESHOLDS / COMBO_LABELS, constants.js)
 const COMBO_COLORS     = ['#FFD740', '#FF9800', '#FF5722', '#E040FB', '#7C4DFF', '#4FC3F7'];
 const COMBO_FADE_MS    = 1200;
 
@@ -109,9 +129,35 @@ export function resize(canvas) {
   requestRedraw();
 }
 
+/**
+ * Pixel box around the active board's real cells, relative to the grid
+ * origin. For a full rectangle that is the whole cols × rows box; a shaped
+ * board leaves its void rim out, so the shape is what gets centred and scaled.
+ */
+function boardExtent() {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (let c = 0; c < activeGridCols; c++) {
+    for (let r = 0; r < activeGridRows; r++) {
+      if (voidKeys.has(`${c},${r}`)) continue;
+      const { x, y } = hexToPixel(c, r, 0, 0);
+      minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+    }
+  }
+  if (minX === Infinity) minX = maxX = minY = maxY = 0;
+  const halfH = Math.sqrt(3) / 2 * HEX_SIZE;
+  return {
+    left: minX - HEX_SIZE,
+    top: minY - halfH,
+    width: maxX - minX + HEX_SIZE * 2,
+    height: maxY - minY + halfH * 2,
+  };
+}
+
 function recalcOrigin() {
-  const gridPixelW = (activeGridCols - 1) * HEX_SIZE * 1.5 + HEX_SIZE * 2;
-  const gridPixelH = activeGridRows * Math.sqrt(3) * HEX_SIZE + Math.sqrt(3) / 2 * HEX_SIZE;
+  const extent = boardExtent();
+  const gridPixelW = extent.width;
+  const gridPixelH = extent.height;
 
   // Space reserved for HUD (top) and rotation controls (bottom).
   // Measure the actual rendered HUD height so the board sits flush beneath it.
@@ -147,12 +193,12 @@ function recalcOrigin() {
   const logicalH = canvasH / boardScale;
 
   // Centre the grid horizontally. Vertically, place it in the space
-  // between the HUD and the controls, then shift down by the half-hex
-  // offset so col-0 row-0 isn't right at the edge.
-  originX = (logicalW - gridPixelW) / 2 + HEX_SIZE;
+  // between the HUD and the controls, then shift by the extent's offset
+  // (half a hex for a full board) so its first real cell isn't at the edge.
+  originX = (logicalW - gridPixelW) / 2 - extent.left;
   originY = HUD_H / boardScale
           + ((logicalH - (HUD_H / boardScale) - (CTRL_H / boardScale)) - gridPixelH) / 2
-          + Math.sqrt(3) / 2 * HEX_SIZE;
+          - extent.top;
 }
 
 export function getOrigin() {
@@ -162,10 +208,20 @@ export function getOrigin() {
 /** Scale factor for converting physical CSS pixel coords → logical coords. */
 export function getBoardScale() { return boardScale; }
 
-/** Set the active grid dimensions (called when loading puzzles or new games). */
-export function setActiveGridSize(cols, rows) {
+/**
+ * Set the active grid dimensions (called when loading puzzles or new games).
+ * Pass the grid too when it may be shaped: its voids never move, so they are
+ * read once here for the layout, the background and hit-testing.
+ */
+export function setActiveGridSize(cols, rows, grid = null) {
   activeGridCols = cols;
   activeGridRows = rows;
+  voidKeys = new Set();
+  for (let c = 0; c < cols; c++) {
+    for (let r = 0; r < rows; r++) {
+      if (isVoid(grid?.[c]?.[r])) voidKeys.add(`${c},${r}`);
+    }
+  }
   recalcOrigin();
   // Update the canvas transform to match the new boardScale so the clear
   // rect covers the full canvas and no stale pixels from a larger grid remain.
@@ -193,6 +249,47 @@ export function clearAllOverrides() {
   floatingPieces = [];
 }
 
+// ─── Hint pulse ─────────────────────────────────────────────────
+
+/** Pulse `cells` for a few seconds (the hint button). */
+export function showHintPulse(cells) {
+  hintPulse = { cells, start: Date.now() };
+  requestRedraw();
+}
+
+export function clearHintPulse() {
+  if (!hintPulse) return;
+  hintPulse = null;
+  requestRedraw();
+}
+
+// ─── Paint guides ───────────────────────────────────────────────
+
+/**
+ * While the editor paints a board, outline its empty cells so there is
+ * something to aim at, and leave the live puzzle's target marks off.
+ */
+export function setPaintGuides(on) {
+  paintGuides = on;
+  requestRedraw();
+}
+
+// ─── Lint marks ─────────────────────────────────────────────────
+
+/** Ring `cells` in red as editor lint problems until the next call. */
+export function setLintMarks(cells) {
+  lintMarks = cells;
+  requestRedraw();
+}
+
+// ─── Target marks ───────────────────────────────────────────────
+
+/** Mark `cells` as puzzle targets until the next call (empty clears them). */
+export function setTargetMarks(cells) {
+  targetMarks = cells;
+  requestRedraw();
+}
+
 export function addFloatingPiece(piece) {
   floatingPieces.push(piece);
   return piece;
@@ -247,14 +344,13 @@ export function clearCreationParticles() {
  * Burst of colored particles matching a tile color — used for Color Nuke.
  * @param {number} cx - center x in logical pixels
  * @param {number} cy - center y in logical pixels
- * @param {number} colorIndex - PIECE_COLORS index
+ * @param {number} colorIndex - TILE_COLORS index
  * @param {number} count
  */
 export function spawnColorNukeParticles(cx, cy, colorIndex, count = 40) {
   if (isPowerSaving()) return;
-  const color = PIECE_COLORS[colorIndex];
   // Convert hex color to approximate hue for particle system
-  const hueMap = [0, 30, 210, 130, 280]; // red, orange, blue, green, purple
+  const hueMap = [0, 30, 210, 130, 280, 180]; // red, orange, blue, green, purple, teal
   const hue = colorIndex >= 0 && colorIndex < hueMap.length ? hueMap[colorIndex] : 0;
   for (let i = 0; i < count; i++) {
     const angle = (Math.PI * 2 / count) * i + (Math.random() - 0.5) * 0.6;
@@ -348,12 +444,23 @@ export function drawFrame(grid, hoverCluster, selectedCluster) {
     if (!grid[c]) continue;
     for (let r = 0; r < activeGridRows; r++) {
       const cell = grid[c]?.[r];
-      if (!cell) continue;
+      if (!cell) {
+        if (paintGuides) {
+          const { x, y } = hexToPixel(c, r, originX, originY);
+          drawHexOutline(x, y, HEX_SIZE - 2, PAINT_GUIDE_COLOR, 1);
+        }
+        continue;
+      }
+
+      const { x, y } = hexToPixel(c, r, originX, originY);
+      if (isVoid(cell)) {
+        drawVoid(x, y);
+        continue;
+      }
 
       const override = cellOverrides[`${c},${r}`];
       if (override && override.hidden) continue;
 
-      const { x, y } = hexToPixel(c, r, originX, originY);
       const isHighlighted = isInCluster(c, r, hoverCluster);
       const isSelected = isInCluster(c, r, selectedCluster);
 
@@ -374,6 +481,7 @@ export function drawFrame(grid, hoverCluster, selectedCluster) {
       } else if (cell.special) {
         drawSpecialIndicator(x + oOffX, y + oOffY, drawSize * 0.75, cell.special, oAlpha, cell.bombTimer, cell.colorIndex);
       }
+      drawObstacleOverlay(x + oOffX, y + oOffY, drawSize, cell, oAlpha);
 
       // Shadow under scaled-up pieces
       if (oScale > 1.05) {
@@ -397,6 +505,38 @@ export function drawFrame(grid, hoverCluster, selectedCluster) {
     }
   }
 
+  // Target marks: a dashed ring that stays put while pieces fall through it
+  if (targetMarks.length > 0 && !paintGuides) {
+    ctx.save();
+    ctx.setLineDash([5, 4]);
+    for (const t of targetMarks) {
+      const { x, y } = hexToPixel(t.col, t.row, originX, originY);
+      drawHexOutline(x, y, HEX_SIZE - 4, TARGET_COLOR, 2.5);
+    }
+    ctx.restore();
+  }
+
+  for (const m of lintMarks) {
+    const { x, y } = hexToPixel(m.col, m.row, originX, originY);
+    drawHexOutline(x, y, HEX_SIZE - 2, LINT_COLOR, 3);
+  }
+
+  // Hint pulse (over the pieces, under the selection dot)
+  if (hintPulse) {
+    const t = Date.now() - hintPulse.start;
+    if (t > HINT_PULSE_MS) {
+      hintPulse = null;
+    } else {
+      ctx.save();
+      ctx.globalAlpha = 0.55 + 0.45 * Math.sin(t / 120);
+      for (const h of hintPulse.cells) {
+        const { x, y } = hexToPixel(h.col, h.row, originX, originY);
+        drawHexOutline(x, y, HEX_SIZE + 1, HINT_COLOR, 3);
+      }
+      ctx.restore();
+    }
+  }
+
   // Selection centroid indicator
   const indicatorCluster = selectedCluster || (hoverCluster && !selectedCluster ? hoverCluster : null);
   if (indicatorCluster && indicatorCluster.length > 0) {
@@ -438,6 +578,7 @@ export function drawFrame(grid, hoverCluster, selectedCluster) {
     } else if (fp.special) {
       drawSpecialIndicator(fp.x, fp.y, fpSize * 0.75, fp.special, fp.alpha ?? 1, fp.bombTimer, fp.colorIndex);
     }
+    drawObstacleOverlay(fp.x, fp.y, fpSize, fp, fp.alpha ?? 1);
   }
 
   // Creation celebration particles
@@ -477,8 +618,12 @@ function drawHex(cx, cy, size, colorIndex, alpha = 1) {
     drawGrandPoobahHex(cx, cy, size, alpha);
     return;
   }
+  if (colorIndex === STONE_COLOR) {
+    drawStoneHex(cx, cy, size, alpha);
+    return;
+  }
 
-  const color = PIECE_COLORS[colorIndex];
+  const color = TILE_COLORS[colorIndex];
   if (!color) return;
 
   const corners = hexCorners(cx, cy, size);
@@ -527,6 +672,95 @@ function drawHex(cx, cy, size, colorIndex, alpha = 1) {
   ctx.restore();
 }
 
+// ─── Obstacles ──────────────────────────────────────────────────
+
+/** Matte granite with a few hairline cracks — no gloss, so it reads as dead weight. */
+function drawStoneHex(cx, cy, size, alpha = 1) {
+  const corners = hexCorners(cx, cy, size);
+  ctx.save();
+  ctx.globalAlpha = alpha;
+
+  ctx.beginPath();
+  ctx.moveTo(corners[0].x, corners[0].y);
+  for (let i = 1; i < 6; i++) ctx.lineTo(corners[i].x, corners[i].y);
+  ctx.closePath();
+  const grad = ctx.createLinearGradient(cx - size, cy - size, cx + size, cy + size);
+  grad.addColorStop(0, STONE_TILE_COLOR.light);
+  grad.addColorStop(0.5, STONE_TILE_COLOR.base);
+  grad.addColorStop(1, STONE_TILE_COLOR.dark);
+  ctx.fillStyle = grad;
+  ctx.fill();
+  ctx.strokeStyle = STONE_TILE_COLOR.dark;
+  ctx.lineWidth = 1.5;
+  ctx.stroke();
+
+  ctx.beginPath();
+  ctx.moveTo(cx - size * 0.55, cy - size * 0.25);
+  ctx.lineTo(cx - size * 0.1, cy - size * 0.05);
+  ctx.lineTo(cx + size * 0.05, cy + size * 0.45);
+  ctx.moveTo(cx - size * 0.1, cy - size * 0.05);
+  ctx.lineTo(cx + size * 0.45, cy - size * 0.35);
+  ctx.strokeStyle = 'rgba(30, 28, 26, 0.7)';
+  ctx.lineWidth = 1.2;
+  ctx.stroke();
+
+  ctx.restore();
+}
+
+/** Ice and chains drawn over a piece (grid cell or floating piece). */
+function drawObstacleOverlay(cx, cy, size, piece, alpha = 1) {
+  if (piece.ice > 0) drawIce(cx, cy, size, alpha);
+  if (piece.chained) drawChains(cx, cy, size, alpha);
+}
+
+function drawIce(cx, cy, size, alpha) {
+  const corners = hexCorners(cx, cy, size);
+  ctx.save();
+  ctx.globalAlpha = alpha;
+
+  ctx.beginPath();
+  ctx.moveTo(corners[0].x, corners[0].y);
+  for (let i = 1; i < 6; i++) ctx.lineTo(corners[i].x, corners[i].y);
+  ctx.closePath();
+  ctx.fillStyle = 'rgba(200, 235, 255, 0.45)';
+  ctx.fill();
+  ctx.strokeStyle = 'rgba(235, 250, 255, 0.9)';
+  ctx.lineWidth = 2;
+  ctx.stroke();
+
+  // Frost glints
+  ctx.beginPath();
+  ctx.moveTo(cx - size * 0.5, cy - size * 0.1);
+  ctx.lineTo(cx - size * 0.15, cy - size * 0.45);
+  ctx.moveTo(cx - size * 0.35, cy + size * 0.15);
+  ctx.lineTo(cx + size * 0.1, cy - size * 0.3);
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+  ctx.lineWidth = 1.5;
+  ctx.lineCap = 'round';
+  ctx.stroke();
+
+  ctx.restore();
+}
+
+function drawChains(cx, cy, size, alpha) {
+  ctx.save();
+  ctx.globalAlpha = alpha;
+  ctx.lineWidth = 2.5;
+  ctx.strokeStyle = '#B8BCC4';
+  ctx.shadowColor = 'rgba(0,0,0,0.6)';
+  ctx.shadowBlur = 2;
+  // Two diagonal runs of links crossing in the middle
+  for (const dir of [1, -1]) {
+    for (let i = -2; i <= 2; i++) {
+      const t = i * size * 0.3;
+      ctx.beginPath();
+      ctx.ellipse(cx + t, cy + t * dir, size * 0.18, size * 0.1, dir * Math.PI / 4, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  }
+  ctx.restore();
+}
+
 // ─── Metallic star hex ──────────────────────────────────────────
 
 function drawStarHex(cx, cy, size, alpha = 1) {
@@ -821,8 +1055,8 @@ function drawGrandPoobahHex(cx, cy, size, alpha = 1) {
 }
 
 function drawSpecialIndicator(cx, cy, radius, type, alpha = 1, bombTimer, colorIndex) {
-  // Starflower/blackpearl indicators are built into their hex renderers
-  if (type === 'starflower' || type === 'blackpearl') return;
+  // Starflower/blackpearl/stone indicators are built into their hex renderers
+  if (type === 'starflower' || type === 'blackpearl' || type === 'stone') return;
 
   ctx.save();
   ctx.globalAlpha = alpha * 0.9;
@@ -830,7 +1064,7 @@ function drawSpecialIndicator(cx, cy, radius, type, alpha = 1, bombTimer, colorI
   switch (type) {
     case 'bomb': {
       const isLow = bombTimer <= 5;
-      const colorData = PIECE_COLORS[colorIndex] || { light: '#FFF', base: '#888' };
+      const colorData = TILE_COLORS[colorIndex] || { light: '#FFF', base: '#888' };
 
       // Spherical body inside the hex, keeping tile color visible
       ctx.beginPath();
@@ -1010,17 +1244,17 @@ function drawHexOutline(cx, cy, size, strokeColor, lineWidth) {
 
 function drawBoardBackground() {
   const padding = HEX_SIZE * 1.2;
-  const gridPixelW = (activeGridCols - 1) * HEX_SIZE * 1.5 + HEX_SIZE * 2;
-  const gridPixelH = activeGridRows * Math.sqrt(3) * HEX_SIZE + Math.sqrt(3) / 2 * HEX_SIZE;
-  const x = originX - HEX_SIZE - padding / 2;
-  const y = originY - Math.sqrt(3) / 2 * HEX_SIZE - padding / 2;
-  const w = gridPixelW + padding;
-  const h = gridPixelH + padding;
+  const extent = boardExtent();
+  const x = originX + extent.left - padding / 2;
+  const y = originY + extent.top - padding / 2;
+  const w = extent.width + padding;
+  const h = extent.height + padding;
 
   // Cache the board background (expensive shadowBlur) to an offscreen canvas.
   // Only regenerate when grid dimensions, canvas size, or scale change.
   const needsRegen = !bgCache
     || bgCache.cols !== activeGridCols || bgCache.rows !== activeGridRows
+    || bgCache.w !== w || bgCache.h !== h
     || bgCache.canvasW !== canvasW || bgCache.canvasH !== canvasH
     || bgCache.boardScale !== boardScale;
 
@@ -1060,6 +1294,21 @@ function drawBoardBackground() {
     x - bgCache.margin, y - bgCache.margin, bgCache.offW, bgCache.offH);
 }
 
+/**
+ * A void cell of a shaped board: a hole punched through the board background
+ * in the frame color. Slightly oversized so neighbouring holes merge into one
+ * edge instead of leaving background slivers between them.
+ */
+function drawVoid(cx, cy) {
+  const corners = hexCorners(cx, cy, HEX_SIZE + 1);
+  ctx.beginPath();
+  ctx.moveTo(corners[0].x, corners[0].y);
+  for (let i = 1; i < 6; i++) ctx.lineTo(corners[i].x, corners[i].y);
+  ctx.closePath();
+  ctx.fillStyle = FRAME_COLOR;
+  ctx.fill();
+}
+
 function roundRect(ctx, x, y, w, h, r) {
   ctx.beginPath();
   ctx.moveTo(x + r, y);
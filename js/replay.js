@@ -0,0 +1,147 @@
+/**
+ * replay.js — Move logs for seeded runs, and the codes they travel as.
+ *
+ * An arcade or chill run is fully determined by its seed and the moves the
+ * player made: the seed fixes the opening board and every refill (one
+ * makeRng stream, see main.js seedRun), and game-engine.js resolves each move
+ * the same way every time. So a log is just { seed, mode, shape, rule, moves }, and a
+ * replay is that log fed back through resolveMove — headless here for tests
+ * and verification, animated in main.js for the viewer.
+ *
+ * Each move is stored as a short token:
+ *   c<col>,<row>,<col>,<row>,<col>,<row><dir>   cluster (cells in rotation order)
+ *   r<col>,<row><dir>                           starflower ring around the center
+ *   y<col>,<row><dir>                           black pearl Y around the center
+ * where <dir> is '+' for clockwise and '-' for counter-clockwise.
+ */
+
+import { GRID_COLS, GRID_ROWS, PIECE_COLORS } from './constants.js';
+import { createGrid } from './board.js';
+import { resolveMove, clusterMove, ringMove, yMove, ensurePlayable } from './game-engine.js';
+import { makeRng, shareEncode, shareDecode } from './arcade-rng.js';
+import { getGameMode, getMatchMode, getAllMatchModes } from './modes.js';
+import { BOARD_SHAPES, shapeMask } from './board-shapes.js';
+
+/** Share-code envelope version for replays. */
+export const REPLAY_CODE_VERSION = 1;
+
+/** Modes a replay can be recorded in — the seeded, refilling ones. Blitz's
+ *  clock never touches the board, so its moves replay like any other. */
+export const REPLAYABLE_MODES = ['arcade', 'chill', 'blitz'];
+
+const MOVE_RE = /^([cry])(\d+(?:,\d+)*)([+-])$/;
+const COORDS_PER_KIND = { c: 6, r: 2, y: 2 };
+
+// ─── Move tokens ────────────────────────────────────────────────
+
+/** Compact token for an engine move. */
+export function encodeMove(move) {
+  const dir = move.clockwise ? '+' : '-';
+  if (move.kind === 'ring') return `r${move.center.col},${move.center.row}${dir}`;
+  if (move.kind === 'y') return `y${move.center.col},${move.center.row}${dir}`;
+  return `c${move.cells.map(p => `${p.col},${p.row}`).join(',')}${dir}`;
+}
+
+/**
+ * Engine move for a token, or null if the token is malformed.
+ * @returns {import('./game-engine.js').Move|null}
+ */
+export function decodeMove(token) {
+  const m = typeof token === 'string' ? MOVE_RE.exec(token) : null;
+  if (!m) return null;
+  const [, kind, coordStr, dir] = m;
+  const n = coordStr.split(',').map(Number);
+  if (n.length !== COORDS_PER_KIND[kind]) return null;
+  const clockwise = dir === '+';
+  if (kind === 'r') return ringMove({ col: n[0], row: n[1] }, clockwise);
+  if (kind === 'y') return yMove({ col: n[0], row: n[1] }, clockwise);
+  const cells = [0, 2, 4].map(i => ({ col: n[i], row: n[i + 1] }));
+  return clusterMove(cells, clockwise);
+}
+
+// ─── Share codes ────────────────────────────────────────────────
+
+/**
+ * Encode a move log as a URL-safe code. A rectangle board leaves the shape
+ * out, and the classic match rule the rule, so those codes read the same as
+ * they did before either existed.
+ * @param {{seed: string, mode: string, shape?: string, rule?: string, moves: string[]}} log
+ */
+export function encodeReplay(log) {
+  const data = { s: log.seed, m: log.mode, l: log.moves.join(' ') };
+  if (log.shape && log.shape !== 'rectangle') data.b = log.shape;
+  if (log.rule && log.rule !== 'classic') data.r = log.rule;
+  return shareEncode(data, { v: REPLAY_CODE_VERSION });
+}
+
+/**
+ * Decode a replay code. Returns null for anything that is not a replay this
+ * build can play: garbage, a newer envelope, an unknown mode, board shape or
+ * match rule, or a bad move. `shape` is only set for a shaped board, `rule`
+ * only for a rule other than classic.
+ * @returns {{seed: string, mode: string, shape?: string, rule?: string, moves: string[]}|null}
+ */
+export function decodeReplay(code) {
+  const env = shareDecode(code);
+  if (!env || env.v !== REPLAY_CODE_VERSION) return null;
+  const d = env.data;
+  if (!d || typeof d.s !== 'string' || !d.s || typeof d.l !== 'string') return null;
+  if (!REPLAYABLE_MODES.includes(d.m)) return null;
+  if (d.b !== undefined && !Object.hasOwn(BOARD_SHAPES, d.b)) return null;
+  if (d.r !== undefined && !getAllMatchModes().some(rule => rule.id === d.r)) return null;
+  const moves = d.l ? d.l.split(' ') : [];
+  if (!moves.every(t => decodeMove(t) !== null)) return null;
+  const log = { seed: d.s, mode: d.m };
+  if (d.b) log.shape = d.b;
+  if (d.r) log.rule = d.r;
+  log.moves = moves;
+  return log;
+}
+
+// ─── Headless playback ──────────────────────────────────────────
+
+/**
+ * The opening board of a seeded run and the stream its refills continue on.
+ * main.js and runReplay() both start here, so a replay begins on exactly the
+ * board the player saw.
+ */
+export function startSeededRun(seed, cols = GRID_COLS, rows = GRID_ROWS, shape = 'rectangle', rule = 'classic') {
+  const rng = makeRng(seed);
+  return { grid: dealBoard(rng, cols, rows, shape, rule), rng };
+}
+
+/**
+ * Deal an opening board from `rng` — reshuffled, from the same stream, in
+ * the rare case it has no move to make. main.js deals live runs here too.
+ */
+export function dealBoard(rng, cols, rows, shape, rule) {
+  const matchRule = getMatchMode(rule);
+  const grid = createGrid(cols, rows, PIECE_COLORS.length, rng, shapeMask(shape, cols, rows), matchRule);
+  return ensurePlayable(grid, { cols, rows, rng, matchRule }).grid;
+}
+
+/**
+ * Play a whole log without animation.
+ * @returns {{grid, score: number, moveCount: number, level: number, outcome: string|null, played: number}}
+ *   `played` is how many moves ran before the game ended (or all of them).
+ */
+export function runReplay(log, cols = GRID_COLS, rows = GRID_ROWS) {
+  let { grid, rng } = startSeededRun(log.seed, cols, rows, log.shape, log.rule);
+  const mode = getGameMode(log.mode);
+  const matchRule = getMatchMode(log.rule ?? 'classic');
+  let score = 0;
+  let moveCount = 0;
+  let bombQueued = false;
+  let level = 1;
+  let outcome = null;
+  let played = 0;
+
+  for (const token of log.moves) {
+    if (outcome === 'gameOver' || outcome === 'overAchiever') break;
+    const turn = resolveMove(grid, decodeMove(token), { cols, rows, mode, matchRule, moveCount, score, bombQueued, level, rng });
+    ({ grid, score, moveCount, bombQueued, level } = turn);
+    if (turn.outcome) outcome = turn.outcome;
+    played++;
+  }
+  return { grid, score, moveCount, level, outcome, played };
+}
@@ -0,0 +1,99 @@
+/**
+ * save-schema.js — Schema versions for the blobs storage.js persists, and
+ * the migrations that bring old ones up to date.
+ *
+ * Every saved game state, the settings and each puzzle's progress carry
+ * `schemaVersion`. A blob saved before versioning has none and reads as
+ * version 0. On load, upgradeSave runs the kind's migrations in order —
+ * migrations[n] turns version n into n + 1 — then checks the result is
+ * something this build can use. To change a blob's shape, append a
+ * migration; the version is the length of the list.
+ *
+ * What can't be upgraded — not an object, a version from a newer build, a
+ * migration that throws, a result that fails the check — comes back as an
+ * error, and storage.js quarantines it instead of handing it to the game.
+ */
+
+import { GRID_COLS, GRID_ROWS, TILE_COLORS } from './constants.js';
+
+const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+export const SAVE_SCHEMAS = {
+  gameState: {
+    migrations: [
+      // v1: bombs displaced from a special could be saved with a colorIndex
+      // outside the palette, so nothing ever matched them. Give each a
+      // random plain color (teal, TILE_COLORS' last, stays valid).
+      (state) => !Array.isArray(state.grid) ? state : ({
+        ...state,
+        grid: state.grid.map(col => col?.map(cell =>
+          cell?.special === 'bomb' && !(cell.colorIndex >= 0 && cell.colorIndex < TILE_COLORS.length)
+            ? { ...cell, colorIndex: Math.floor(Math.random() * 5) }
+            : cell)),
+      }),
+    ],
+    valid: state => Array.isArray(state.grid)
+      && state.grid.length === GRID_COLS
+      && state.grid.every(col => Array.isArray(col) && col.length === GRID_ROWS
+        && col.every(cell => cell === null || isObject(cell))),
+  },
+
+  settings: {
+    migrations: [
+      // v1: keyBindings is always an object, so bindings can be read and set
+      // without checking for it.
+      (settings) => ({ ...settings, keyBindings: isObject(settings.keyBindings) ? settings.keyBindings : {} }),
+    ],
+    valid: settings => isObject(settings.keyBindings),
+  },
+
+  puzzleProgress: {
+    migrations: [
+      // v1: bestScore and cleanSolve came after the first progress saves.
+      // An old solve counts as assisted: there's no knowing it wasn't.
+      (progress) => ({ ...progress, bestScore: progress.bestScore ?? 0, cleanSolve: !!progress.cleanSolve }),
+    ],
+    valid: progress => Number.isInteger(progress.stars) && typeof progress.solved === 'boolean',
+  },
+};
+
+/** The version a `kind` of blob is saved at by this build. */
+export function schemaVersion(kind) {
+  return SAVE_SCHEMAS[kind].migrations.length;
+}
+
+/** `data` stamped with the current version, ready to persist. */
+export function stampSave(kind, data) {
+  return { ...data, schemaVersion: schemaVersion(kind) };
+}
+
+/**
+ * Bring a loaded blob up to the current version.
+ * @param {keyof SAVE_SCHEMAS} kind
+ * @param {*} raw — what was stored
+ * @returns {{data: object|null, migrated: boolean, error: string|null}}
+ *   `migrated` is true when `data` differs from what was stored and should
+ *   be written back
+ */
+export function upgradeSave(kind, raw) {
+  const schema = SAVE_SCHEMAS[kind];
+  const current = schema.migrations.length;
+  if (!isObject(raw)) return fail('not a saved object');
+  const from = raw.schemaVersion ?? 0;
+  if (!Number.isInteger(from) || from < 0) return fail(`unreadable schema version ${JSON.stringify(from)}`);
+  if (from > current) return fail(`saved by a newer version (schema ${from}, this build reads ${current})`);
+
+  let data = raw;
+  let v = from;
+  try {
+    for (; v < current; v++) data = schema.migrations[v](data);
+  } catch (err) {
+    return fail(`migration to schema ${v + 1} failed: ${err.message}`);
+  }
+  if (!isObject(data) || !schema.valid(data)) return fail('does not match the save layout');
+  return { data: { ...data, schemaVersion: current }, migrated: from < current, error: null };
+}
+
+function fail(error) {
+  return { data: null, migrated: false, error };
+}
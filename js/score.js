@@ -35,19 +35,36 @@ export function restoreScore(saved) {
 }
 
 /**
- * Award points for a set of matched cells.
+ * Points a match is worth, without awarding them. Pure — the game engine
+ * uses it to score a turn ahead of the replay.
  * @param {number} matchSize — how many cells in this match group
+ * @param {number} level — chain level (0 = first match of the cascade)
  */
-export function awardMatch(matchSize, bonusMultiplier = 1) {
+export function matchPoints(matchSize, level, bonusMultiplier = 1) {
   // Look up base or extrapolate for larger matches
   const base = SCORE_BASE[matchSize] ?? matchSize * 10;
-  const multiplier = Math.pow(CHAIN_MULTIPLIER_BASE, chainLevel) * bonusMultiplier;
-  const points = Math.round(base * multiplier);
+  const multiplier = Math.pow(CHAIN_MULTIPLIER_BASE, level) * bonusMultiplier;
+  return Math.round(base * multiplier);
+}
+
+/**
+ * Award points for a set of matched cells.
+ * @param {number} matchSize — how many cells in this match group
+ * @param {number} [points] — what the engine scored the match at (its match
+ *   rule's score hook); computed from the size when left out
+ */
+export function awardMatch(matchSize, bonusMultiplier = 1, points = matchPoints(matchSize, chainLevel, bonusMultiplier)) {
   score += points;
   comboCount++;
   return points;
 }
 
+/** Take points away (a reshuffle's cost). The counter drops straight to it. */
+export function deductPoints(points) {
+  score = Math.max(0, score - points);
+  displayScore = Math.min(displayScore, score);
+}
+
 /** Call when a cascade step starts (after gravity). */
 export function advanceChain() {
   chainLevel++;
@@ -0,0 +1,173 @@
+/**
+ * solver.js — Shortest solutions for fixed puzzle boards.
+ *
+ * Puzzle boards never refill, so a move always leads to the same position and
+ * the whole game is a finite graph. solvePuzzle() walks it breadth-first with
+ * game-engine.js resolving every move — the same rules the player is held to
+ * — so the first position that meets the goal is reached in the fewest moves
+ * possible, and the parent chain back to the start is the line that gets
+ * there.
+ *
+ * The puzzle's own failure rules prune the search: a move that lets a bomb
+ * expire is dead, and so is a position with no productive move left (puzzle
+ * mode fails the player there). Only clusters whose first step acts are
+ * tried: one that acts on its second step lands where the opposite direction
+ * lands in one, and one that never acts just ticks the bombs.
+ */
+
+import { decodePuzzleBoard, evaluateGoal, freshGoalStats, tallyTurn } from './puzzles.js';
+import { resolveMove, enumerateMoves, isProductiveStep, cloneGrid } from './game-engine.js';
+import { getGameMode, matchRuleFor } from './modes.js';
+
+/** Positions a search may expand before it gives up and reports 'unknown'. */
+export const DEFAULT_MAX_NODES = 2000;
+
+/**
+ * @typedef {object} SolveResult
+ * @property {'solved'|'unsolvable'|'unknown'} status — 'unknown' means the
+ *   node budget ran out before the search could decide
+ * @property {boolean|null} solvable — null when unknown
+ * @property {number|null} optimal — fewest moves that meet the goal
+ * @property {import('./game-engine.js').Move[]} line — one optimal sequence
+ * @property {number} nodes — positions expanded
+ */
+
+/**
+ * Find the shortest solution of a puzzle definition (puzzles.js shape).
+ *
+ * @param {object} puzzle — { board, cols, rows, goal, moveLimit }
+ * @param {object} [opts]
+ * @param {number} [opts.maxDepth] — longest line to consider (default: the move limit)
+ * @param {number} [opts.maxNodes=DEFAULT_MAX_NODES] — search budget
+ * @returns {SolveResult}
+ */
+export function solvePuzzle(puzzle, opts) {
+  return solvePosition(decodePuzzleBoard(puzzle.board, puzzle.cols, puzzle.rows), puzzle, opts);
+}
+
+/**
+ * The same search from a position part-way through a puzzle — what a hint
+ * asks. `stats` is what evaluateGoal has counted so far; `maxDepth` counts
+ * moves from here.
+ *
+ * @param {Cell[][]} grid — not mutated
+ * @param {object} puzzle — { cols, rows, goal, moveLimit }
+ * @param {object} [opts] — as solvePuzzle, plus
+ * @param {object} [opts.stats] — as puzzles.js freshGoalStats()
+ * @returns {SolveResult}
+ */
+export function solvePosition(grid, puzzle, {
+  stats = freshGoalStats(),
+  maxDepth = puzzle.moveLimit - stats.totalMoves,
+  maxNodes = DEFAULT_MAX_NODES,
+} = {}) {
+  const { cols, rows, goal } = puzzle;
+  const mode = getGameMode('puzzle');
+  const rule = matchRuleFor(mode);
+  const start = { grid: cloneGrid(grid), stats: { ...stats }, depth: 0, move: null, parent: null };
+
+  const seen = new Set([positionKey(start, goal)]);
+  let frontier = [start];
+  let nodes = 0;
+
+  while (frontier.length > 0) {
+    const next = [];
+    for (const node of frontier) {
+      if (nodes >= maxNodes) return { status: 'unknown', solvable: null, optimal: null, line: [], nodes };
+      nodes++;
+
+      const moves = enumerateMoves(node.grid, cols, rows);
+      const productive = moves.map(m => isProductiveStep(node.grid, m, cols, rows, rule));
+      // No productive move: the player would be stopped here.
+      if (!productive.includes(true)) { node.grid = null; continue; }
+
+      for (let i = 0; i < moves.length; i++) {
+        const move = moves[i];
+        if (move.kind === 'cluster' && !productive[i]) continue;
+
+        const turn = resolveMove(node.grid, move, {
+          cols, rows, mode, moveCount: node.stats.totalMoves, score: node.stats.score,
+        });
+        if (turn.outcome === 'gameOver' || turn.outcome === 'overAchiever') continue;
+
+        const child = {
+          grid: turn.grid,
+          stats: tallyTurn(node.stats, turn.events, turn.score, goal),
+          depth: node.depth + 1,
+          move,
+          parent: node,
+        };
+
+        if (evaluateGoal(goal, child.grid, child.stats, cols, rows).met) {
+          const line = lineTo(child);
+          return { status: 'solved', solvable: true, optimal: line.length, line, nodes };
+        }
+        if (child.depth >= maxDepth) continue;
+
+        const key = positionKey(child, goal);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        next.push(child);
+      }
+      // Expanded: only the parent chain is needed from here on.
+      node.grid = null;
+    }
+    frontier = next;
+  }
+  return { status: 'unsolvable', solvable: false, optimal: null, line: [], nodes };
+}
+
+/**
+ * Par and move limit for a puzzle whose optimal solution is `optimal` moves.
+ * computeStars gives three stars only *under* par, so par sits one above the
+ * optimum: the perfect line earns three stars, matching it exactly is what
+ * par-level play looks like. The move limit keeps the ratio the hand-made
+ * puzzles use (par ≈ 65% of the limit) with at least two spare moves.
+ * @returns {{par: number, moveLimit: number}}
+ */
+export function parForOptimal(optimal) {
+  const par = optimal + 1;
+  return { par, moveLimit: Math.max(par + 2, Math.ceil(par / 0.65)) };
+}
+
+// ─── Helpers ────────────────────────────────────────────────────
+
+/**
+ * Two positions are the same if the board matches and so does whatever the
+ * goal counts beyond the board. Counters are capped at the goal's target:
+ * past it, more makes no difference.
+ */
+function positionKey(node, goal) {
+  let key = '';
+  for (const col of node.grid) {
+    for (const cell of col) {
+      key += cell ? `${cell.colorIndex}${cell.special?.[0] ?? ''}${cell.bombTimer ?? ''}${cell.ice ?? ''}${cell.chained ? 'c' : ''},` : '.,';
+    }
+    key += '|';
+  }
+  return key + statsKey(goal, node.stats);
+}
+
+/** The part of the stats a goal (and each of its sub-goals) counts. */
+function statsKey(goal, stats) {
+  const capped = (n, target) => `#${Math.min(n, target)}`;
+  switch (goal.type) {
+    case 'score':               return capped(stats.score, goal.target);
+    case 'make_starflower':     return capped(stats.starflowersMade, goal.count ?? 1);
+    case 'make_blackpearl':     return capped(stats.blackpearlsMade, goal.count ?? 1);
+    case 'detonate_multiplier': return capped(stats.detonations, goal.count ?? 1);
+    case 'chain':               return capped(stats.maxChain, goal.count ?? 2);
+    // Reaching the same board later means more moves survived.
+    case 'survive_bombs':       return capped(stats.totalMoves, goal.count ?? 5);
+    case 'clear_targets':       return `#${[...stats.targetsCleared].sort().join(';')}`;
+    case 'all':
+    case 'any':                 return goal.goals.map(g => statsKey(g, stats)).join('');
+    default:                    return '';
+  }
+}
+
+function lineTo(node) {
+  const line = [];
+  for (let n = node; n.parent; n = n.parent) line.unshift(n.move);
+  return line;
+}
@@ -12,6 +12,8 @@
 
 import { GRID_COLS, GRID_ROWS } from './constants.js';
 import { getNeighbors } from './hex-math.js';
+import { isVoid } from './board-shapes.js';
+import { isInert } from './obstacles.js';
 
 /** Derive actual grid bounds — puzzle grids may be smaller than GRID_COLS/GRID_ROWS. */
 function cols(grid) { return grid.length; }
@@ -86,12 +88,13 @@ export function detectStarflowers(grid) {
   for (let c = 0; c < cols(grid); c++) {
     for (let r = 0; r < rows(grid); r++) {
       const cell = grid[c][r];
-      if (!cell) continue;
+      if (!cell || isVoid(cell) || isInert(cell)) continue;
       const centerAlreadySpecial = (cell.special === 'starflower' || cell.special === 'blackpearl' || cell.special === 'grandpoobah');
 
       const nbrs = getNeighbors(c, r);
       const valid = nbrs.filter(n =>
-        gridInBounds(grid, n) && grid[n.col][n.row] && grid[n.col][n.row].special !== 'starflower' && grid[n.col][n.row].special !== 'blackpearl'
+        gridInBounds(grid, n) && grid[n.col][n.row] && grid[n.col][n.row].special !== 'starflower' && grid[n.col][n.row].special !== 'blackpearl' &&
+        !isVoid(grid[n.col][n.row]) && !isInert(grid[n.col][n.row])
       );
       if (valid.length !== 6) continue;
 
@@ -131,7 +134,7 @@ export function detectBlackPearls(grid) {
   for (let c = 0; c < cols(grid); c++) {
     for (let r = 0; r < rows(grid); r++) {
       const cell = grid[c][r];
-      if (!cell) continue;
+      if (!cell || isVoid(cell) || isInert(cell)) continue;
       const centerAlreadySpecial = (cell.special === 'starflower' || cell.special === 'blackpearl' || cell.special === 'grandpoobah');
 
       const nbrs = getNeighbors(c, r);
@@ -158,7 +161,7 @@ export function detectGrandPoobahs(grid) {
   for (let c = 0; c < cols(grid); c++) {
     for (let r = 0; r < rows(grid); r++) {
       const cell = grid[c][r];
-      if (!cell) continue;
+      if (!cell || isVoid(cell) || isInert(cell)) continue;
       const centerAlreadySpecial = (cell.special === 'starflower' || cell.special === 'blackpearl' || cell.special === 'grandpoobah');
 
       const nbrs = getNeighbors(c, r);
@@ -195,6 +198,8 @@ export function detectStarflowersAtCleared(grid, clearedKeys) {
       gridInBounds(grid, n) &&
       grid[n.col][n.row] !== null &&
       grid[n.col][n.row].special !== 'starflower' &&
+      !isVoid(grid[n.col][n.row]) &&
+      !isInert(grid[n.col][n.row]) &&
       !clearedKeys.has(`${n.col},${n.row}`)
     );
     if (valid.length !== 6) continue;
@@ -232,7 +237,7 @@ export function detectGrandPoobahRing(grid) {
   for (let c = 0; c < cols(grid); c++) {
     for (let r = 0; r < rows(grid); r++) {
       const cell = grid[c][r];
-      if (!cell) continue;
+      if (!cell || isVoid(cell) || isInert(cell)) continue;
 
       const nbrs = getNeighbors(c, r);
       const validGPs = nbrs.filter(n =>
@@ -255,9 +260,10 @@ export function detectGrandPoobahRing(grid) {
  * Spawn a bomb on a random non-special cell.
  * The bomb keeps its color — player must match it with same-color tiles.
  * @param {number} timer - countdown in moves
+ * @param {() => number} [rng] - random source; seeded games pass their session stream
  * @returns {{col, row}|null}
  */
-export function spawnBomb(grid, timer = 15) {
+export function spawnBomb(grid, timer = 15, rng = Math.random) {
   // Collect eligible cells
   const candidates = [];
   for (let c = 0; c < cols(grid); c++) {
@@ -269,7 +275,7 @@ export function spawnBomb(grid, timer = 15) {
   }
   if (candidates.length === 0) return null;
 
-  const pick = candidates[Math.floor(Math.random() * candidates.length)];
+  const pick = candidates[Math.floor(rng() * candidates.length)];
   grid[pick.col][pick.row].special = 'bomb';
   grid[pick.col][pick.row].bombTimer = timer;
   return pick;
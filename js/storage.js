@@ -6,9 +6,23 @@
  *   gameState.<combinedId>       – per-mode game state
  *   settings                     – key bindings, theme, etc.
  *   puzzle.<puzzleId>            – per-puzzle progress
- *   scores.<modeId>              – per-mode leaderboard (managed by SDK)
+ *   library                      – My Puzzles (puzzle-library.js)
+ *   dailyStreak                  – daily streak (daily-puzzle.js)
+ *   dailyPuzzle.<date>           – a built daily, kept so it is built once (daily-puzzle.js)
+ *   achievements                 – achievement progress (achievements.js)
+ *   packs                        – imported puzzle packs (puzzle-packs.js)
+ *   quarantine.<key>             – a save that couldn't be loaded, set aside
+ *   scores.<leaderboardId>       – per-mode leaderboard (managed by SDK);
+ *                                  modes.js getLeaderboardId
+ *
+ * Game states, settings and puzzle progress are versioned (save-schema.js):
+ * they are stamped on save and upgraded on load. One that can't be upgraded
+ * is moved to quarantine.<key> and the game carries on as if it were never
+ * saved.
  */
 
+import { stampSave, upgradeSave } from './save-schema.js';
+
 const DEFAULT_SETTINGS = {
   keyBindings: {
     rotateCW: 'q',
@@ -16,31 +30,58 @@ const DEFAULT_SETTINGS = {
   },
 };
 
+// ─── Versioned saves ────────────────────────────────────────────
+
+let quarantinedKeys = [];  // set aside since takeQuarantinedKeys() last asked
+
+/**
+ * Load a versioned blob, upgraded to the current schema (and written back
+ * if that changed it). Null when nothing is saved, or when what is saved
+ * had to be quarantined.
+ * @param {string} key
+ * @param {keyof import('./save-schema.js').SAVE_SCHEMAS} kind
+ */
+function loadVersioned(key, kind) {
+  let raw;
+  try {
+    raw = Arcade.state.get(key);
+  } catch (err) {
+    quarantine(key, undefined, `unreadable: ${err.message}`);
+    return null;
+  }
+  if (raw == null) return null;
+  const { data, migrated, error } = upgradeSave(kind, raw);
+  if (error) {
+    quarantine(key, raw, error);
+    return null;
+  }
+  if (migrated) Arcade.state.set(key, data);
+  return data;
+}
+
+/** Move a save out of the game's way, keeping it (and why) for inspection. */
+function quarantine(key, raw, reason) {
+  Arcade.state.set(`quarantine.${key}`, { reason, quarantinedAt: Date.now(), data: raw });
+  Arcade.state.remove(key);
+  quarantinedKeys.push(key);
+  console.warn(`Save "${key}" quarantined: ${reason}`);
+}
+
+/** The keys quarantined since the last call, for main.js to tell the player. */
+export function takeQuarantinedKeys() {
+  const keys = quarantinedKeys;
+  quarantinedKeys = [];
+  return keys;
+}
+
 // ─── Game state (per-mode) ───────────────────────────────────────
 
 export function saveGameState(modeId, state) {
-  Arcade.state.set(`gameState.${modeId}`, state);
+  Arcade.state.set(`gameState.${modeId}`, stampSave('gameState', state));
 }
 
 export function loadGameState(modeId) {
-  const state = Arcade.state.get(`gameState.${modeId}`);
-  if (!state) return null;
-
-  // Patch: fix bombs that have an invalid colorIndex (e.g. negative from a
-  // displaced special piece). Assign them a random valid color so they can
-  // be matched. Persisted on the next saveGame().
-  if (state.grid) {
-    for (const col of state.grid) {
-      if (!col) continue;
-      for (const cell of col) {
-        if (cell && cell.special === 'bomb' && (cell.colorIndex < 0 || cell.colorIndex >= 5)) {
-          cell.colorIndex = Math.floor(Math.random() * 5);
-        }
-      }
-    }
-  }
-
-  return state;
+  return loadVersioned(`gameState.${modeId}`, 'gameState');
 }
 
 export function clearGameState(modeId) {
@@ -50,31 +91,46 @@ export function clearGameState(modeId) {
 // ─── Settings (per-game) ────────────────────────────────────────
 
 export function saveSettings(settings) {
-  Arcade.state.set('settings', settings);
+  Arcade.state.set('settings', stampSave('settings', settings));
 }
 
 export function loadSettings() {
-  return Arcade.state.getOrInit('settings', DEFAULT_SETTINGS);
+  const saved = loadVersioned('settings', 'settings');
+  if (!saved) {
+    saveSettings(DEFAULT_SETTINGS);
+    return structuredClone(DEFAULT_SETTINGS);
+  }
+  // A binding the save doesn't have (or a new one) falls back to its default.
+  return { ...saved, keyBindings: { ...DEFAULT_SETTINGS.keyBindings, ...saved.keyBindings } };
 }
 
 // ─── Puzzle progress ────────────────────────────────────────────
 
 export function getPuzzleProgress(puzzleId) {
-  return Arcade.state.get(`puzzle.${puzzleId}`);
+  return loadVersioned(`puzzle.${puzzleId}`, 'puzzleProgress') ?? undefined;
 }
 
+/**
+ * Merge one attempt into a puzzle's stored progress. `result.assisted` marks a
+ * solve that used undo or a hint: it still counts as solved (stars, best moves), but
+ * only an unassisted one sets `cleanSolve`. `result.onTheDay` marks a daily
+ * solved on its own date rather than from the archive; it sets `solvedOnDay`.
+ */
 export function savePuzzleProgress(puzzleId, result) {
-  const existing = getPuzzleProgress(puzzleId) ?? { stars: 0, bestMoves: null, bestScore: 0, solved: false };
+  const existing = getPuzzleProgress(puzzleId) ?? { stars: 0, bestMoves: null, bestScore: 0, solved: false, cleanSolve: false };
+  const solvedNow = result.stars != null && result.stars > 0;
   const updated = {
     stars:     Math.max(existing.stars, result.stars ?? 0),
     bestMoves: result.movesUsed != null
       ? (existing.bestMoves === null ? result.movesUsed : Math.min(existing.bestMoves, result.movesUsed))
       : existing.bestMoves,
-    bestScore: Math.max(existing.bestScore ?? 0, result.score ?? 0),
-    solved:    existing.solved || (result.stars != null && result.stars > 0),
+    bestScore: Math.max(existing.bestScore, result.score ?? 0),
+    solved:    existing.solved || solvedNow,
+    cleanSolve: existing.cleanSolve || (solvedNow && !result.assisted),
     lastPlayedAt: Date.now(),
   };
-  Arcade.state.set(`puzzle.${puzzleId}`, updated);
+  if (existing.solvedOnDay || (solvedNow && result.onTheDay)) updated.solvedOnDay = true;
+  Arcade.state.set(`puzzle.${puzzleId}`, stampSave('puzzleProgress', updated));
 }
 
 /**
@@ -115,23 +171,40 @@ export function getHighScores(modeId) {
 }
 
 // ─── Lifetime stats (Arcade.stats, category 'lifetime') ─────────
-// Read by the launcher's records surfaces; nothing in-game renders these yet.
+// Read by the launcher's records surfaces and the Stats modal
+// (lifetime-stats.js, which also adds the per-move counters).
 // A "game" is an arcade/chill run that ended (bomb or session end); a puzzle
-// or daily only counts when actually solved — there is no lose-credit.
+// or daily only counts when actually solved — there is no lose-credit. A daily
+// played from the archive counts as an archive solve, never as a daily.
 
-export function recordGameEnd(maxCombo) {
-  Arcade.stats.update('lifetime', (s) => ({
-    ...s,
-    gamesPlayed: (s.gamesPlayed || 0) + 1,
-    bestCombo:   Math.max(s.bestCombo || 0, maxCombo || 0),
-  }));
+export function recordGameEnd(maxCombo, modeId = null) {
+  Arcade.stats.update('lifetime', (s) => {
+    const next = {
+      ...s,
+      gamesPlayed: (s.gamesPlayed || 0) + 1,
+      bestCombo:   Math.max(s.bestCombo || 0, maxCombo || 0),
+    };
+    if (modeId) {
+      const mode = s.modes?.[modeId] ?? {};
+      next.modes = {
+        ...s.modes,
+        [modeId]: {
+          ...mode,
+          gamesPlayed: (mode.gamesPlayed || 0) + 1,
+          bestCombo:   Math.max(mode.bestCombo || 0, maxCombo || 0),
+        },
+      };
+    }
+    return next;
+  });
 }
 
-export function recordPuzzleSolved(isDaily) {
+export function recordPuzzleSolved(isDaily, isArchive = false) {
   Arcade.stats.update('lifetime', (s) => ({
     ...s,
     puzzlesSolved: (s.puzzlesSolved || 0) + 1,
-    dailiesSolved: (s.dailiesSolved || 0) + (isDaily ? 1 : 0),
+    dailiesSolved: (s.dailiesSolved || 0) + (isDaily && !isArchive ? 1 : 0),
+    archiveDailiesSolved: (s.archiveDailiesSolved || 0) + (isDaily && isArchive ? 1 : 0),
   }));
 }
 
@@ -141,26 +214,43 @@ export function recordPuzzleSolved(isDaily) {
 // per-mode Arcade.scores leaderboards (R4) — the boards stay a ranked top-N with
 // names; the record is the single "best ever" framing.
 //
-// Only arcade + chill accumulate a mode-wide score (finalised via
+// Only arcade, chill and blitz accumulate a mode-wide score (finalised via
 // commitScoreFromInput → addHighScore). Puzzle mode tracks bests per-puzzle
 // (savePuzzleProgress), not one mode aggregate, so it gets no record category
 // here — that would be a per-puzzle category explosion (capped at 50 by R4).
-const RECORD_SCORE_MODES = { arcade: 'Arcade', chill: 'Chill' };
+const RECORD_SCORE_MODES = { arcade: 'Arcade', chill: 'Chill', blitz: 'Blitz' };
 
 /**
  * Promote a finalised mode score to its single-best record. Idempotent (best()
  * never regresses; ties don't write). Feature-detected (R5) so a stale SDK is a
- * no-op. Category slug is permanent schema: `best_score_<mode>`.
+ * no-op. Category slug is permanent schema: `best_score_<mode>`, or
+ * `best_score_<mode>_<rule>` for a match rule other than classic.
  */
-export function recordModeScore(modeId, score) {
+export function recordModeScore(modeId, score, matchRule = null) {
   if (!(window.Arcade && Arcade.records)) return;
   const modeLabel = RECORD_SCORE_MODES[modeId];
   if (!modeLabel || !Number.isFinite(score)) return;
-  Arcade.records.best(`best_score_${modeId}`, {
+  const classic = !matchRule || matchRule.id === 'classic';
+  Arcade.records.best(classic ? `best_score_${modeId}` : `best_score_${modeId}_${matchRule.id}`, {
     value: score,
     direction: 'higher',
     format: 'integer',
-    label: `Best score — ${modeLabel}`,
+    label: classic ? `Best score — ${modeLabel}` : `Best score — ${modeLabel} · ${matchRule.label}`,
+  });
+}
+
+/**
+ * Publish the longest daily streak (daily-puzzle.js recordDailySolve) as its
+ * own record, next to the best_score_<mode> ones. Slug is permanent schema.
+ */
+export function recordLongestStreak(days) {
+  if (!(window.Arcade && Arcade.records)) return;
+  if (!Number.isInteger(days) || days < 1) return;
+  Arcade.records.best('longest_daily_streak', {
+    value: days,
+    direction: 'higher',
+    format: 'integer',
+    label: 'Longest daily streak',
   });
 }
 
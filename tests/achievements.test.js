@@ -0,0 +1,74 @@
+/**
+ * Unit tests for achievements.js — counting progress, unlocking once, and
+ * what the gallery lists.
+ *
+ * Progress lives in Arcade.state, faked here as a Map; toasts are collected.
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const store = new Map();
+const toasts = [];
+globalThis.Arcade = {
+  state: {
+    get: k => (store.has(k) ? structuredClone(store.get(k)) : undefined),
+    set: (k, v) => { store.set(k, structuredClone(v)); },
+  },
+  ui: { toast: msg => toasts.push(msg) },
+};
+
+const { ACHIEVEMENTS, noteProgress, turnProgress, getAchievementList } = await import('../js/achievements.js');
+
+const ids = list => list.map(a => a.id);
+
+beforeEach(() => { store.clear(); toasts.length = 0; });
+
+test('every achievement has a unique id and a goal above zero', () => {
+  assert.equal(new Set(ids(ACHIEVEMENTS)).size, ACHIEVEMENTS.length);
+  assert.ok(ACHIEVEMENTS.every(a => a.goal > 0 && a.counter && a.name && a.description));
+});
+
+test('counters add up across calls and unlock once, with a toast', () => {
+  assert.deepEqual(ids(noteProgress({ starflowers: 1 })), ['first-starflower']);
+  assert.equal(toasts.length, 1);
+  assert.match(toasts[0], /Flower Power/);
+
+  assert.deepEqual(ids(noteProgress({ starflowers: 48 })), []);
+  assert.deepEqual(ids(noteProgress({ starflowers: 1 })), ['starflowers-50']);
+  assert.deepEqual(ids(noteProgress({ starflowers: 5 })), [], 'an unlocked achievement stays unlocked, silently');
+  assert.equal(toasts.length, 2);
+});
+
+test('peak counters keep their best value instead of adding', () => {
+  noteProgress({ bestCombo: 9 });
+  noteProgress({ bestCombo: 9 });
+  assert.equal(getAchievementList().find(a => a.id === 'heckn-sic').value, 9);
+  assert.deepEqual(ids(noteProgress({ bestCombo: 15 })), ['heckn-sic']);
+  assert.match(toasts[0], /HECKN SIC!/);
+});
+
+test('a move counts specials, defused bombs, cleared tiles and the best combo', () => {
+  const events = [
+    { type: 'matched', detonated: 0, cells: [
+      { colorIndex: 0, special: null }, { colorIndex: 0, special: null }, { colorIndex: 2, special: 'bomb' },
+    ] },
+    { type: 'formed', special: 'grandpoobah', formations: [{}] },
+  ];
+  assert.deepEqual(turnProgress(events, 6), {
+    starflowers: 0, blackpearls: 0, grandpoobahs: 1, bombsDefused: 1, tilesCleared: 3, bestCombo: 6,
+  });
+  assert.deepEqual(ids(noteProgress(turnProgress(events, 6))), ['first-poobah']);
+});
+
+test('the gallery lists locked and unlocked badges with their progress', () => {
+  noteProgress({ puzzlesSolved: 4, threeStarSolves: 1 });
+  const list = getAchievementList();
+  assert.equal(list.length, ACHIEVEMENTS.length);
+  const puzzler = list.find(a => a.id === 'puzzles-10');
+  assert.equal(puzzler.unlockedAt, null);
+  assert.equal(puzzler.progress, 0.4);
+  const threeStars = list.find(a => a.id === 'three-stars');
+  assert.equal(typeof threeStars.unlockedAt, 'number');
+  assert.equal(threeStars.progress, 1);
+});
@@ -0,0 +1,70 @@
+/**
+ * Unit tests for blitz.js — time bonuses and a clock that only runs while
+ * the game does.
+ */
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { getGameMode } from '../js/modes.js';
+import {
+  BLITZ_DURATION_MS, BLITZ_TICK_MS,
+  blitzTimeBonus, formatBlitzClock, getBlitzRemaining, resetBlitzClock, addBlitzTime,
+  runBlitzClock, stopBlitzClock,
+} from '../js/blitz.js';
+
+test('blitz mode: no bombs, on the clock', () => {
+  const blitz = getGameMode('blitz');
+  assert.equal(blitz.id, 'blitz');
+  assert.equal(blitz.hasBombs, false);
+  assert.equal(blitz.ticksBombs, false);
+  assert.equal(blitz.isTimed, true);
+});
+
+test('blitzTimeBonus: a second per chain step, more for rarer specials', () => {
+  const formed = (special, n) => ({ type: 'formed', special, formations: Array(n).fill({}) });
+  assert.equal(blitzTimeBonus([{ type: 'rotated' }, { type: 'matched' }]), 0);
+  assert.equal(blitzTimeBonus([
+    { type: 'matched' }, { type: 'chain', level: 1 }, { type: 'matched' }, { type: 'chain', level: 2 },
+  ]), 2000);
+  assert.equal(blitzTimeBonus([formed('starflower', 2), formed('blackpearl', 1)]), 7000);
+});
+
+test('formatBlitzClock: rounds up, never negative', () => {
+  assert.equal(formatBlitzClock(BLITZ_DURATION_MS), '2:00');
+  assert.equal(formatBlitzClock(59_001), '1:00');
+  assert.equal(formatBlitzClock(9_000), '0:09');
+  assert.equal(formatBlitzClock(1), '0:01');
+  assert.equal(formatBlitzClock(-40), '0:00');
+});
+
+test('runBlitzClock: counts down while running, charges nothing while held, expires once', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  let held = false;
+  const ticks = [];
+  const onExpire = mock.fn();
+  const hooks = { isHeld: () => held, onTick: ms => ticks.push(ms), onExpire };
+  // One step at a time, as a browser would run the chain.
+  const advance = ms => { for (let i = 0; i < ms; i += BLITZ_TICK_MS) t.mock.timers.tick(BLITZ_TICK_MS); };
+
+  resetBlitzClock(2000);
+  runBlitzClock(hooks);
+  runBlitzClock(hooks); // idempotent: still one chain of steps
+  advance(1000);
+  assert.equal(getBlitzRemaining(), 1000);
+  assert.equal(ticks.length, 1000 / BLITZ_TICK_MS);
+
+  // Held (a modal is open): the next step stops the chain; the pause is free.
+  held = true;
+  advance(60_000);
+  held = false;
+  runBlitzClock(hooks);
+  assert.equal(getBlitzRemaining(), 1000);
+
+  addBlitzTime(500);
+  advance(1500);
+  assert.equal(getBlitzRemaining(), 0);
+  assert.equal(onExpire.mock.callCount(), 1);
+  advance(5000);
+  assert.equal(onExpire.mock.callCount(), 1);
+  stopBlitzClock();
+});
@@ -0,0 +1,119 @@
+/**
+ * Unit tests for board-painter.js — what each paint brush does to a cell,
+ * flood fill, resizing, and that a painted board survives the board string.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PAINT_BRUSHES, MAX_ICE, getPaintBrush, paintedCell, paintCell, floodFill, resizeGrid,
+} from '../js/board-painter.js';
+import { decodePuzzleBoard, encodePuzzleBoard } from '../js/puzzles.js';
+import { TILE_COLORS, BOMB_INITIAL_TIMER } from '../js/constants.js';
+
+const board = encoded => decodePuzzleBoard(encoded, 3, 3);
+const brush = id => getPaintBrush(id);
+const red = TILE_COLORS[0].name;
+const blue = TILE_COLORS[2].name;
+
+// ─── Brushes ────────────────────────────────────────────────────
+
+test('the palette has a brush for every tile color, then the specials and obstacles', () => {
+  const colors = PAINT_BRUSHES.filter(b => b.kind === 'color');
+  assert.deepEqual(colors.map(b => b.colorIndex), TILE_COLORS.map((_, i) => i));
+  for (const id of ['bomb', 'multiplier', 'starflower', 'blackpearl', 'grandpoobah', 'stone', 'void', 'ice', 'chain', 'erase']) {
+    assert.equal(getPaintBrush(id).id, id);
+  }
+  assert.equal(getPaintBrush('nope'), PAINT_BRUSHES[0]);
+});
+
+test('a color recolors a bomb or multiplier but replaces anything else', () => {
+  assert.deepEqual(paintedCell({ colorIndex: 1, special: 'bomb', bombTimer: 4 }, brush(blue)),
+    { colorIndex: 2, special: 'bomb', bombTimer: 4 });
+  assert.deepEqual(paintedCell({ colorIndex: -1, special: 'starflower' }, brush(blue)),
+    { colorIndex: 2, special: null });
+  assert.deepEqual(paintedCell(null, brush(red)), { colorIndex: 0, special: null });
+});
+
+test('the bomb brush keeps the tile color and sets the fuse', () => {
+  assert.deepEqual(paintedCell({ colorIndex: 3, special: null }, brush('bomb'), { bombTimer: 7 }),
+    { colorIndex: 3, special: 'bomb', bombTimer: 7 });
+  assert.deepEqual(paintedCell(null, brush('bomb')),
+    { colorIndex: 0, special: 'bomb', bombTimer: BOMB_INITIAL_TIMER });
+  assert.equal(paintedCell(null, brush('bomb'), { bombTimer: 0 }).bombTimer, 1);
+});
+
+test('ice cycles up to MAX_ICE and back off; chains toggle; both stay under a repaint', () => {
+  let cell = { colorIndex: 1, special: null };
+  for (let layers = 1; layers <= MAX_ICE; layers++) {
+    cell = paintedCell(cell, brush('ice'));
+    assert.equal(cell.ice, layers);
+  }
+  assert.equal(paintedCell(cell, brush('ice')).ice, undefined);
+
+  cell = paintedCell(cell, brush('chain'));
+  assert.equal(cell.chained, true);
+  const repainted = paintedCell(cell, brush(blue));
+  assert.deepEqual(repainted, { colorIndex: 2, special: null, ice: MAX_ICE, chained: true });
+  assert.equal(paintedCell(repainted, brush('chain')).chained, undefined);
+
+  // Nothing to freeze or chain on an empty cell or a stone
+  assert.equal(paintedCell(null, brush('ice')), null);
+  assert.deepEqual(paintedCell({ colorIndex: -5, special: 'stone' }, brush('chain')), { colorIndex: -5, special: 'stone' });
+});
+
+test('paintCell reports whether anything changed', () => {
+  const grid = board('0:0:0 1:1:2');
+  assert.equal(paintCell(grid, 0, 0, brush(red)), false);
+  assert.equal(paintCell(grid, 0, 0, brush('erase')), true);
+  assert.equal(grid[0][0], null);
+  assert.equal(paintCell(grid, 5, 0, brush(red)), false);
+  assert.equal(paintCell(grid, 0, -1, brush(red)), false);
+});
+
+// ─── Fill and resize ────────────────────────────────────────────
+
+test('floodFill repaints the connected region that looks like the start cell', () => {
+  // Column 0 is all red and joined; the red at 2:2 is cut off by blues.
+  const grid = board('0:0:0 0:1:0 0:2:0 1:0:2 1:1:2 1:2:2 2:0:2 2:1:2 2:2:0');
+  assert.equal(floodFill(grid, 0, 1, brush('stone')), 3);
+  assert.ok([0, 1, 2].every(r => grid[0][r].special === 'stone'));
+  assert.equal(grid[2][2].colorIndex, 0);
+
+  // From an empty cell the fill spreads through empty cells only.
+  const sparse = board('1:1:3');
+  assert.equal(floodFill(sparse, 0, 0, brush(blue)), 8);
+  assert.equal(sparse[1][1].colorIndex, 3);
+
+  assert.equal(floodFill(sparse, 0, 0, brush(blue)), 0);
+});
+
+test('resizeGrid keeps the overlap and leaves new cells empty', () => {
+  const grid = board('0:0:0 2:2:1');
+  const bigger = resizeGrid(grid, 4, 5);
+  assert.equal(bigger.length, 4);
+  assert.ok(bigger.every(col => col.length === 5));
+  assert.deepEqual(bigger[2][2], grid[2][2]);
+  assert.notEqual(bigger[2][2], grid[2][2]);
+  assert.equal(bigger[3][4], null);
+
+  const smaller = resizeGrid(grid, 2, 2);
+  assert.deepEqual(smaller, [[{ colorIndex: 0, special: null }, null], [null, null]]);
+});
+
+test('a painted board round-trips through the board string', () => {
+  const grid = resizeGrid([], 4, 4);
+  paintCell(grid, 0, 0, brush('bomb'), { bombTimer: 3 });
+  paintCell(grid, 1, 0, brush('grandpoobah'));
+  paintCell(grid, 2, 0, brush('void'));
+  paintCell(grid, 3, 0, brush('stone'));
+  paintCell(grid, 0, 1, brush(TILE_COLORS[5].name));
+  paintCell(grid, 0, 1, brush('ice'));
+  paintCell(grid, 0, 1, brush('chain'));
+  paintCell(grid, 1, 1, brush('multiplier'));
+  paintCell(grid, 2, 1, brush('blackpearl'));
+  paintCell(grid, 3, 1, brush('starflower'));
+
+  const encoded = encodePuzzleBoard(grid, 4, 4);
+  assert.deepEqual(decodePuzzleBoard(encoded, 4, 4), grid);
+});
@@ -0,0 +1,110 @@
+/**
+ * Unit tests for board-shapes.js — masks, void cells, and the rules that
+ * have to step around them (gravity, matching, rotation, hit-testing).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GRID_COLS, GRID_ROWS, PIECE_COLORS } from '../js/constants.js';
+import {
+  shapeMask, voidCell, isVoid, isOpenCell, detectBoardShape, getAllBoardShapes,
+} from '../js/board-shapes.js';
+import { createGrid, applyGravity, findTriangleMatches, rotateCluster } from '../js/board.js';
+import { computeFalls, enumerateMoves, resolveMove } from '../js/game-engine.js';
+import { getGameMode } from '../js/modes.js';
+import { findClusterAtPixel, getNeighbors, hexToPixel } from '../js/hex-math.js';
+import { makeRng } from '../js/arcade-rng.js';
+
+const count = mask => mask.flat().filter(Boolean).length;
+
+/** Every real cell is a corner of at least one all-real triangle. */
+function everyCellTurns(mask) {
+  const open = p => mask[p.col]?.[p.row] === true;
+  for (let c = 0; c < mask.length; c++) {
+    for (let r = 0; r < mask[c].length; r++) {
+      if (!mask[c][r]) continue;
+      const nbrs = getNeighbors(c, r);
+      if (!nbrs.some((n, i) => open(n) && open(nbrs[(i + 1) % 6]))) return false;
+    }
+  }
+  return true;
+}
+
+/** One column of `rows` cells from a compact spec: '.' empty, 'x' void, digit a tile. */
+function column(spec) {
+  return [...spec].map(ch => (ch === '.' ? null : ch === 'x' ? voidCell() : { colorIndex: Number(ch), special: null }));
+}
+
+// ─── Masks ──────────────────────────────────────────────────────
+
+test('shapeMask: the rectangle has no mask; the others cut playable shapes', () => {
+  assert.equal(shapeMask('rectangle', GRID_COLS, GRID_ROWS), null);
+  const hexagon = shapeMask('hexagon', GRID_COLS, GRID_ROWS);
+  const donut = shapeMask('donut', GRID_COLS, GRID_ROWS);
+  const diamond = shapeMask('diamond', GRID_COLS, GRID_ROWS);
+  assert.equal(count(hexagon), 61);          // a radius-4 hexagon
+  assert.equal(count(donut), 61 - 7);        // with its middle seven cut out
+  assert.equal(donut[4][4], false);
+  assert.ok(count(diamond) > 20 && count(diamond) < 61);
+  for (const mask of [hexagon, donut, diamond]) assert.ok(everyCellTurns(mask));
+});
+
+test('createGrid: masked cells are voids, and a shape reads back from its grid', () => {
+  for (const { id } of getAllBoardShapes()) {
+    const mask = shapeMask(id, GRID_COLS, GRID_ROWS);
+    const grid = createGrid(GRID_COLS, GRID_ROWS, PIECE_COLORS.length, makeRng(id), mask);
+    for (let c = 0; c < GRID_COLS; c++) {
+      for (let r = 0; r < GRID_ROWS; r++) assert.equal(isVoid(grid[c][r]), mask ? !mask[c][r] : false);
+    }
+    assert.equal(detectBoardShape(grid), id);
+  }
+  const odd = createGrid(GRID_COLS, GRID_ROWS);
+  odd[0][0] = voidCell();
+  assert.equal(detectBoardShape(odd), null);
+});
+
+// ─── Rules around voids ─────────────────────────────────────────
+
+test('applyGravity: pieces fall past a void, or stack on it when the cells below are full', () => {
+  const grid = [column('1x.2'), column('3x45')];
+  const falls = computeFalls(grid, 2, 4);
+  applyGravity(grid, 2, 4);
+  assert.deepEqual(grid[0].map(c => (c ? (isVoid(c) ? 'x' : c.colorIndex) : '.')), ['.', 'x', 1, 2]);
+  assert.deepEqual(grid[1].map(c => (c ? (isVoid(c) ? 'x' : c.colorIndex) : '.')), [3, 'x', 4, 5]);
+  assert.deepEqual(falls.map(f => [f.col, f.fromRow, f.toRow, f.dist]), [[0, 0, 2, 2]]);
+});
+
+test('voids never match, turn or get picked', () => {
+  // Column 1 is all void; the same color everywhere else.
+  const grid = [column('000'), column('xxx'), column('000')];
+  assert.equal(findTriangleMatches(grid, 3, 3).size, 0);
+
+  const cluster = [{ col: 0, row: 0 }, { col: 1, row: 0 }, { col: 0, row: 1 }];
+  grid[0][0].colorIndex = 2;
+  rotateCluster(grid, cluster, true);
+  assert.equal(grid[0][0].colorIndex, 2);
+  assert.ok(isVoid(grid[1][0]));
+  assert.equal(enumerateMoves(grid).length, 0);
+
+  const { x, y } = hexToPixel(0, 1, 0, 0);
+  assert.ok(findClusterAtPixel(x + 20, y, 0, 0, 3, 3));
+  assert.equal(findClusterAtPixel(x + 20, y, 0, 0, 3, 3, (c, r) => isOpenCell(grid, c, r)), null);
+});
+
+test('resolveMove: a donut cascade refills around the hole and leaves it empty', () => {
+  const mask = shapeMask('donut', GRID_COLS, GRID_ROWS);
+  let grid = createGrid(GRID_COLS, GRID_ROWS, PIECE_COLORS.length, makeRng('donut'), mask);
+  const rng = makeRng('donut-refills');
+  const mode = getGameMode('chill');
+  let acted = 0;
+  for (let i = 0; i < 20; i++) {
+    const move = enumerateMoves(grid).find(m => resolveMove(grid, m, { mode: getGameMode('puzzle') }).acted);
+    if (!move) break;
+    const turn = resolveMove(grid, move, { mode, rng });
+    grid = turn.grid;
+    acted++;
+  }
+  assert.ok(acted > 0);
+  assert.equal(detectBoardShape(grid), 'donut');
+  assert.ok(grid.flat().every(cell => cell !== null));
+});
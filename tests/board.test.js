@@ -15,7 +15,8 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
 import { GRID_COLS, GRID_ROWS } from '../js/constants.js';
-import { findMatches, findTriangleMatches } from '../js/board.js';
+import { findMatches, findTriangleMatches, createGrid, fillEmpty } from '../js/board.js';
+import { makeRng } from '../js/arcade-rng.js';
 
 // ─── Helpers ────────────────────────────────────────────────────
 
@@ -168,3 +169,18 @@ test('findMatches: starflowers in a row do NOT produce a match', () => {
       `starflower at (${pos.col},${pos.row}) should not be matched`);
   }
 });
+
+// ─── Seeded generation ───────────────────────────────────────────
+
+test('createGrid + fillEmpty: the same seed builds and refills the same board', () => {
+  const build = seed => {
+    const rng = makeRng(seed);
+    const grid = createGrid(GRID_COLS, GRID_ROWS, 5, rng);
+    for (let c = 0; c < GRID_COLS; c++) grid[c][0] = grid[c][1] = null;
+    fillEmpty(grid, GRID_COLS, GRID_ROWS, 5, true, undefined, false, rng);
+    return grid;
+  };
+
+  assert.deepEqual(build('abc123'), build('abc123'));
+  assert.notDeepEqual(build('abc123'), build('abc124'));
+});
@@ -5,18 +5,29 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
 
+import { generateDailyPuzzle, DAILY_MIN_OPTIMAL } from '../js/daily-generator.js';
 import {
-  generateDailyPuzzle,
+  loadDailyPuzzle,
+  peekDailyPuzzle,
   getDailyPuzzleId,
   getDailyDateString,
+  isDailyDateString,
+  getDailyPuzzle,
+  getDailyCalendar,
+  isArchiveDate,
+  recordDailySolve,
+  getDailyStreak,
 } from '../js/daily-puzzle.js';
+import { savePuzzleProgress, recordPuzzleSolved } from '../js/storage.js';
 
 import {
   encodePuzzleShareCode,
   decodePuzzleShareCode,
+  readPuzzleShareCode,
 } from '../js/puzzle-editor.js';
 
 import { decodePuzzleBoard } from '../js/puzzles.js';
+import { solvePuzzle } from '../js/solver.js';
 
 // ─── generateDailyPuzzle ────────────────────────────────────────
 
@@ -33,15 +44,14 @@ test('generateDailyPuzzle: produces valid puzzle shape', () => {
 });
 
 test('generateDailyPuzzle: matches the pinned known-answer board', () => {
-  // Pins the ALGORITHM across refactors: the rng now rides the vendored fleet
-  // companion (js/arcade-rng.js) and hashString is deliberately local (see
-  // its comment) — this exact prefix is what the pre-migration inline
-  // mulberry32 generated for this date. If either drifts, players on
-  // different versions get different dailies for the same date; this fails
-  // instead.
+  // Pins the ALGORITHM across refactors: the rng rides the vendored fleet
+  // companion (js/arcade-rng.js), hashString is deliberately local (see its
+  // comment), and the planting and the search budget are counted in moves
+  // and positions, never time. If any of it drifts, players on different
+  // versions get different dailies for the same date; this fails instead.
   const p = generateDailyPuzzle('2026-04-01');
-  assert.ok(p.board.startsWith('0:0:1 0:1:2 0:2:0 0:3:1 0:4:2 0:5:0 0:6:2 1:0:0 1:1:1 1:2:2'),
-    `board drifted: ${p.board.slice(0, 60)}`);
+  assert.equal(p.board, 'v2 0:2:1 0:3:1 0:4:0 1:1:1 1:2:3 1:3:2 1:4:0 2:2:1 2:3:1 2:4:0 '
+    + '3:1:3 3:2:0 3:3:3 3:4:2 4:1:0 4:2:1 4:3:3 4:4:0', 'board drifted');
 });
 
 test('generateDailyPuzzle: same date always produces same board', () => {
@@ -79,9 +89,9 @@ test('generateDailyPuzzle: all cells have valid colorIndex', () => {
 });
 
 test('generateDailyPuzzle: defuse_bomb goal places exactly one bomb', () => {
-  // Find a date that generates defuse_bomb (Tuesday in the weekly cycle)
-  // 2026-04-07 is a Tuesday
-  const p = generateDailyPuzzle('2026-04-07');
+  // Find a date that generates defuse_bomb (Monday in the weekly cycle)
+  // 2026-04-06 is a Monday
+  const p = generateDailyPuzzle('2026-04-06');
   if (p.goal.type === 'defuse_bomb') {
     const grid = decodePuzzleBoard(p.board, p.cols, p.rows);
     let bombs = 0;
@@ -93,6 +103,34 @@ test('generateDailyPuzzle: defuse_bomb goal places exactly one bomb', () => {
   // If not a Tuesday-generated defuse_bomb, pass (goal cycle may differ)
 });
 
+test('generateDailyPuzzle: every goal of the week is beaten, and par sits on the optimum', () => {
+  // 2026-04-12 is a Sunday: one daily of each day of the weekly cycle.
+  const goals = [];
+  for (let day = 12; day <= 18; day++) {
+    const p = generateDailyPuzzle(`2026-04-${day}`);
+    const result = solvePuzzle(p);
+    goals.push(p.goal.type);
+    assert.equal(result.solvable, true, `${p.dateStr} should be solvable`);
+    assert.equal(result.optimal, p.optimal, `${p.dateStr} optimum`);
+    assert.ok(p.optimal >= DAILY_MIN_OPTIMAL, `${p.dateStr} is solved in ${p.optimal}`);
+    assert.equal(p.par, p.optimal + 1, `${p.dateStr} par`);
+    assert.equal(p.solution.length, p.optimal);
+    assert.ok(p.par < p.moveLimit);
+  }
+  assert.deepEqual(goals, ['clear_color', 'defuse_bomb', 'make_starflower', 'score',
+    'clear_color', 'clear_all', 'score']);
+});
+
+test('generateDailyPuzzle: boards grow over the month', () => {
+  const early = generateDailyPuzzle('2026-04-02');
+  assert.deepEqual([early.cols, early.rows], [5, 5]);
+  const late = generateDailyPuzzle('2026-04-25');
+  assert.deepEqual([late.cols, late.rows], [6, 6]);
+  const clearAll = generateDailyPuzzle('2026-04-24');
+  assert.equal(clearAll.goal.type, 'clear_all');
+  assert.match(clearAll.description, /Clear the board/);
+});
+
 test('getDailyPuzzleId: format is daily:YYYY-MM-DD', () => {
   assert.equal(getDailyPuzzleId('2026-04-02'), 'daily:2026-04-02');
 });
@@ -102,12 +140,114 @@ test('getDailyDateString: returns YYYY-MM-DD format', () => {
   assert.match(d, /^\d{4}-\d{2}-\d{2}$/);
 });
 
+test('isDailyDateString: only real dates in YYYY-MM-DD form', () => {
+  assert.equal(isDailyDateString('2026-04-02'), true);
+  assert.equal(isDailyDateString('2026-02-30'), false);
+  assert.equal(isDailyDateString('2026-4-2'), false);
+  assert.equal(isDailyDateString(null), false);
+});
+
 test('getDailyDateString: offset works', () => {
   const today    = getDailyDateString(0);
   const tomorrow = getDailyDateString(1);
   assert.notEqual(today, tomorrow);
 });
 
+// ─── Archive ────────────────────────────────────────────────────
+// Progress and stats live in Arcade.state / Arcade.stats, faked here.
+
+const store = new Map();
+const lifetime = {};
+const records = {};
+globalThis.Arcade = {
+  state: {
+    get: k => (store.has(k) ? structuredClone(store.get(k)) : undefined),
+    set: (k, v) => { store.set(k, structuredClone(v)); },
+  },
+  stats: { update: (k, fn) => Object.assign(lifetime, fn({ ...lifetime })) },
+  records: { best: (slug, r) => { records[slug] = r.value; } },
+};
+globalThis.window = globalThis;
+
+test('getDailyPuzzle: only past dates are archive puzzles', async () => {
+  const today = getDailyDateString();
+  const yesterday = getDailyDateString(-1);
+  assert.equal(isArchiveDate(yesterday), true);
+  assert.equal(isArchiveDate(today), false);
+  assert.equal((await getDailyPuzzle(yesterday)).isArchive, true);
+  assert.equal((await getDailyPuzzle(today)).isArchive, undefined);
+  assert.equal((await getDailyPuzzle(yesterday)).board, generateDailyPuzzle(yesterday).board);
+});
+
+test('loadDailyPuzzle: a date is built once and then read back from Arcade.state', async () => {
+  store.clear();
+  assert.equal(peekDailyPuzzle('2026-04-22'), null);
+  const p = await loadDailyPuzzle('2026-04-22');
+  assert.deepEqual(store.get('dailyPuzzle.2026-04-22'), p);
+  assert.deepEqual(peekDailyPuzzle('2026-04-22'), p);
+
+  const kept = { ...generateDailyPuzzle('2026-05-07'), par: 99 };
+  store.set('dailyPuzzle.2031-01-01', kept);
+  assert.equal((await loadDailyPuzzle('2031-01-01')).par, 99);
+});
+
+test('loadDailyPuzzle: repeat calls hand out independent copies', async () => {
+  const a = await loadDailyPuzzle('2026-04-01');
+  a.goal.target = -1;
+  assert.notEqual((await loadDailyPuzzle('2026-04-01')).goal.target, -1);
+});
+
+test('getDailyCalendar: Monday-first weeks with stars, and archive solves kept apart', () => {
+  store.clear();
+  savePuzzleProgress(getDailyPuzzleId('2026-04-01'), { stars: 3, onTheDay: true });
+  savePuzzleProgress(getDailyPuzzleId('2026-04-02'), { stars: 2 });
+  savePuzzleProgress(getDailyPuzzleId('2026-04-02'), { stars: 1, onTheDay: false });
+
+  const weeks = getDailyCalendar(2026, 3);  // April 2026 starts on a Wednesday
+  assert.ok(weeks.every(w => w.length === 7));
+  assert.deepEqual(weeks[0].slice(0, 2), [null, null]);
+  const days = weeks.flat().filter(Boolean);
+  assert.equal(days.length, 30);
+  assert.deepEqual(days[0], {
+    dateStr: '2026-04-01', day: 1, stars: 3, solved: true, solvedOnDay: true,
+    isToday: false, isFuture: days[0].dateStr > getDailyDateString(),
+  });
+  assert.equal(days[1].stars, 2);
+  assert.equal(days[1].solvedOnDay, false);
+  assert.equal(days[2].solved, false);
+});
+
+test('recordPuzzleSolved: archive dailies are counted apart from dailies', () => {
+  recordPuzzleSolved(true);
+  recordPuzzleSolved(true, true);
+  recordPuzzleSolved(false);
+  assert.deepEqual(lifetime, { puzzlesSolved: 3, dailiesSolved: 1, archiveDailiesSolved: 1 });
+});
+
+test('daily streak: consecutive same-day solves count up, a gap starts over', () => {
+  store.clear();
+  const day = n => getDailyDateString(n);
+  assert.deepEqual(getDailyStreak(), { current: 0, longest: 0 });
+
+  recordDailySolve(day(-6));
+  recordDailySolve(day(-5));
+  assert.deepEqual(recordDailySolve(day(-4)), { current: 3, longest: 3 });
+  assert.deepEqual(recordDailySolve(day(-4)), { current: 0, longest: 3 }, 'a repeat solve changes nothing');
+  assert.equal(records.longest_daily_streak, 3);
+
+  assert.deepEqual(recordDailySolve(day(-1)), { current: 1, longest: 3 });
+  assert.deepEqual(getDailyStreak(), { current: 1, longest: 3 }, 'yesterday still counts');
+  recordDailySolve(day(0));
+  assert.deepEqual(getDailyStreak(), { current: 2, longest: 3 });
+});
+
+test('daily streak: a missed day reads as broken without the app being opened', () => {
+  store.clear();
+  recordDailySolve(getDailyDateString(-3));
+  recordDailySolve(getDailyDateString(-2));
+  assert.deepEqual(getDailyStreak(), { current: 0, longest: 2 });
+});
+
 // ─── Share code encode/decode ───────────────────────────────────
 
 test('encodePuzzleShareCode: produces non-empty string', () => {
@@ -175,3 +315,13 @@ test('decodePuzzleShareCode: decoded puzzle board is playable', () => {
   assert.equal(grid[0][0].colorIndex, 0);
   assert.equal(grid[2][2].colorIndex, 3);
 });
+
+test('readPuzzleShareCode: a bad board or unknown goal is refused with a reason', () => {
+  const base = { id: 'x', name: 'X', cols: 3, rows: 3, moveLimit: 10, par: 6, goal: { type: 'clear_all' } };
+  const offBoard = readPuzzleShareCode(encodePuzzleShareCode({ ...base, board: 'v2 0:0:S 5:0:1' }));
+  assert.deepEqual(offBoard, { puzzle: null, error: 'Cell "5:0:1": off the 3×3 board' });
+  const goal = readPuzzleShareCode(encodePuzzleShareCode({ ...base, board: '0:0:1', goal: { type: 'teleport' } }));
+  assert.equal(goal.puzzle, null);
+  assert.match(goal.error, /goal/);
+  assert.equal(readPuzzleShareCode(encodePuzzleShareCode({ ...base, board: 'v2 0:0:G' })).error, null);
+});
@@ -0,0 +1,42 @@
+/**
+ * Unit tests for daily-share.js — the spoiler-free text a solved daily is
+ * shared as.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { moveOutcome, dailyShareText, dailyLink } from '../js/daily-share.js';
+
+test('a move is classed by the best thing it did', () => {
+  const matched = { type: 'matched', cells: [], detonated: 0 };
+  assert.equal(moveOutcome([]), 'none');
+  assert.equal(moveOutcome([matched]), 'match');
+  assert.equal(moveOutcome([matched, { type: 'chain', level: 1 }, matched]), 'chain');
+  assert.equal(moveOutcome([{ type: 'formed', special: 'starflower', formations: [] }, { type: 'chain', level: 1 }]), 'special');
+  assert.equal(moveOutcome([{ ...matched, detonated: 1 }]), 'special');
+});
+
+test('the share text has the date, stars, moves against par, the strip and the link', () => {
+  const link = dailyLink('2026-04-02', 'https://example.com/hecknsic/');
+  assert.equal(link, 'https://example.com/hecknsic/?daily=2026-04-02');
+  const text = dailyShareText({
+    dateStr: '2026-04-02', stars: 3, movesUsed: 4, par: 5,
+    outcomes: ['match', 'none', 'chain', 'special'], link,
+  });
+  assert.equal(text, [
+    'Hecknsic Daily 2026-04-02',
+    '⭐⭐⭐ 4 moves · 1 under par',
+    '🟦⬛🟪🌟',
+    'https://example.com/hecknsic/?daily=2026-04-02',
+  ].join('\n'));
+});
+
+test('archive and assisted solves say so; the board never appears', () => {
+  const text = dailyShareText({
+    dateStr: '2026-04-02', stars: 1, movesUsed: 7, par: 5, outcomes: ['match'],
+    isArchive: true, assisted: true, link: 'x',
+  });
+  assert.match(text, /^Hecknsic Daily 2026-04-02 \(archive, assisted\)\n⭐☆☆ 7 moves · 2 over par\n/);
+  assert.doesNotMatch(text, /\d:\d/);
+  assert.match(dailyShareText({ dateStr: 'd', stars: 2, movesUsed: 5, par: 5, outcomes: [], link: 'x' }), /5 moves · par$/m);
+});
@@ -0,0 +1,312 @@
+/**
+ * Unit tests for game-engine.js — whole turns without a canvas.
+ *
+ * Most boards start quiet (helpers/quiet-board.mjs): no matches, no
+ * starflowers and — as the deadlock test pins — no productive move either.
+ * Tests repaint a cell or two to set up exactly the situation they need.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getNeighbors } from '../js/hex-math.js';
+import { makeRng } from '../js/arcade-rng.js';
+import {
+  resolveMove, resolveBoard, clusterMove, enumerateMoves,
+  hasValidMoves, computeFalls, cloneGrid, reshuffleBoard, isProductive, ensurePlayable,
+} from '../js/game-engine.js';
+import { getGameMode } from '../js/modes.js';
+import { quietGrid, oneMoveGrid, ONE_MOVE_CLUSTER } from './helpers/quiet-board.mjs';
+
+// ─── Helpers ────────────────────────────────────────────────────
+
+const ARCADE = getGameMode('arcade');
+const CHILL  = getGameMode('chill');
+const PUZZLE = getGameMode('puzzle');
+
+const types = result => result.events.map(e => e.type);
+const colors = g => g.map(col => col.map(cell => cell?.colorIndex ?? null));
+
+// ─── Moves ──────────────────────────────────────────────────────
+
+test('resolveMove: a cluster turns until it matches, then clears and scores', () => {
+  const grid = oneMoveGrid();
+  const before = cloneGrid(grid);
+
+  const turn = resolveMove(grid, clusterMove(ONE_MOVE_CLUSTER, true), { mode: PUZZLE });
+
+  assert.deepEqual(grid, before, 'input grid must not be mutated');
+  assert.equal(turn.events[0].type, 'rotated');
+  assert.equal(turn.events[0].steps, 2);
+
+  const matched = turn.events.find(e => e.type === 'matched');
+  assert.equal(matched.size, 3);
+  assert.equal(matched.points, 5);
+  assert.equal(matched.chainLevel, 0);
+  assert.equal(turn.score, 5);
+  assert.equal(turn.acted, true);
+  assert.equal(turn.moveCount, 1);
+});
+
+test('resolveMove: a move that never matches turns all the way round and still counts', () => {
+  const grid = quietGrid();
+  // Puzzle mode: an endless mode would reshuffle the board this leaves dead.
+  const turn = resolveMove(grid, clusterMove(ONE_MOVE_CLUSTER, true), { mode: PUZZLE, moveCount: 7 });
+
+  assert.deepEqual(types(turn), ['rotated']);
+  assert.equal(turn.events[0].steps, 3);
+  assert.equal(turn.acted, false);
+  assert.equal(turn.moveCount, 8);
+  assert.deepEqual(colors(turn.grid), colors(grid));
+});
+
+test('resolveMove: puzzle boards do not refill, endless boards do', () => {
+  const move = clusterMove(ONE_MOVE_CLUSTER, true);
+
+  const puzzle = resolveMove(oneMoveGrid(), move, { mode: PUZZLE });
+  assert.equal(types(puzzle).includes('refilled'), false);
+  assert.equal(puzzle.grid.flat().filter(c => c === null).length, 3);
+
+  const chill = resolveMove(oneMoveGrid(), move, { mode: CHILL });
+  assert.equal(types(chill).includes('refilled'), true);
+  assert.equal(chill.grid.flat().every(c => c !== null), true);
+});
+
+test('resolveMove: every board-changing event carries a snapshot the replay can adopt', () => {
+  const turn = resolveMove(oneMoveGrid(), clusterMove(ONE_MOVE_CLUSTER, true), { mode: CHILL });
+  for (const e of turn.events) {
+    if (['rotated', 'matched', 'gravity', 'refilled', 'formed', 'bombsTicked'].includes(e.type)) {
+      assert.ok(Array.isArray(e.grid), `${e.type} should carry grid`);
+    }
+  }
+  const last = turn.events.filter(e => e.grid).at(-1);
+  assert.deepEqual(last.grid, turn.grid);
+});
+
+test('resolveMove: a seeded stream makes refills reproducible, and resuming its state continues it', () => {
+  const move = clusterMove(ONE_MOVE_CLUSTER, true);
+  const a = resolveMove(oneMoveGrid(), move, { mode: CHILL, rng: makeRng('run-7') });
+  const b = resolveMove(oneMoveGrid(), move, { mode: CHILL, rng: makeRng('run-7') });
+  assert.deepEqual(a.grid, b.grid);
+
+  // A save stores the stream's state; a reload picks up the identical draws.
+  const live = makeRng('run-7');
+  resolveMove(oneMoveGrid(), move, { mode: CHILL, rng: live });
+  const resumed = makeRng('run-7');
+  resumed.setState(live.getState());
+  const next = resolveMove(oneMoveGrid(), move, { mode: CHILL, rng: live });
+  const again = resolveMove(oneMoveGrid(), move, { mode: CHILL, rng: resumed });
+  assert.deepEqual(next.grid, again.grid);
+});
+
+// ─── Cascades ───────────────────────────────────────────────────
+
+test('resolveBoard: a match that falls into another is a chain, scored at 1.5x', () => {
+  const cell = k => ({ colorIndex: k, special: null });
+  // Clearing the bottom triangle drops the two 1s in column 0 next to the 1
+  // that slides down column 1.
+  const grid = [[1, 1, 0, 0].map(cell), [2, 1, 0, 2].map(cell)];
+
+  const result = resolveBoard(grid, { mode: PUZZLE });
+
+  assert.deepEqual(types(result), ['matched', 'gravity', 'chain', 'matched', 'gravity']);
+  const [first, second] = result.events.filter(e => e.type === 'matched');
+  assert.equal(first.points, 5);
+  assert.equal(second.chainLevel, 1);
+  assert.equal(second.points, 8);
+  assert.equal(result.score, 13);
+});
+
+test('resolveBoard: a ring of one color forms a starflower before anything matches', () => {
+  const grid = quietGrid(5, 5);
+  grid[2][2] = { colorIndex: 1, special: null };
+  for (const n of getNeighbors(2, 2)) grid[n.col][n.row] = { colorIndex: 0, special: null };
+
+  const result = resolveBoard(grid, { mode: PUZZLE });
+
+  const formed = result.events[0];
+  assert.equal(formed.type, 'formed');
+  assert.equal(formed.special, 'starflower');
+  assert.deepEqual(formed.formations[0].center, { col: 2, row: 2 });
+  assert.equal(formed.incidental, false);
+  assert.equal(formed.grid[2][2].special, 'starflower');
+  for (const n of getNeighbors(2, 2)) assert.equal(formed.grid[n.col][n.row], null);
+});
+
+test('resolveBoard: a ring of Grand Poobahs is the Over-Achiever and stops resolution', () => {
+  const grid = quietGrid(5, 5);
+  for (const n of getNeighbors(2, 2)) grid[n.col][n.row] = { colorIndex: -3, special: 'grandpoobah' };
+
+  const result = resolveBoard(grid, { mode: ARCADE });
+
+  assert.deepEqual(types(result), ['overAchiever']);
+  assert.equal(result.outcome, 'overAchiever');
+});
+
+// ─── Bombs ──────────────────────────────────────────────────────
+
+test('resolveMove: bombs tick once per move and an expired one ends the game', () => {
+  const grid = quietGrid();
+  grid[4][4].special = 'bomb';
+  grid[4][4].bombTimer = 1;
+
+  const turn = resolveMove(grid, clusterMove(ONE_MOVE_CLUSTER, true), { mode: PUZZLE });
+
+  const ticked = turn.events.find(e => e.type === 'bombsTicked');
+  assert.deepEqual(ticked.bombs, [{ col: 4, row: 4, bombTimer: 0 }]);
+  assert.equal(turn.events.at(-1).type, 'bombExpired');
+  assert.equal(turn.outcome, 'gameOver');
+});
+
+test('resolveMove: chill never ticks bombs', () => {
+  const grid = quietGrid();
+  grid[4][4].special = 'bomb';
+  grid[4][4].bombTimer = 1;
+
+  const turn = resolveMove(grid, clusterMove(ONE_MOVE_CLUSTER, true), { mode: CHILL });
+
+  assert.equal(types(turn).includes('bombsTicked'), false);
+  assert.equal(turn.grid[4][4].bombTimer, 1);
+  assert.equal(turn.outcome, null);
+});
+
+test('resolveMove: arcade queues a bomb on the interval and drops it with the next refill', () => {
+  const move = clusterMove(ONE_MOVE_CLUSTER, true);
+
+  const quiet = resolveMove(quietGrid(), move, { mode: ARCADE, moveCount: 14 });
+  assert.ok(types(quiet).includes('bombQueued'));
+  assert.equal(quiet.bombQueued, true, 'nothing refilled, so the bomb waits');
+
+  const matching = resolveMove(oneMoveGrid(), move, { mode: ARCADE, moveCount: 14 });
+  assert.equal(matching.bombQueued, false);
+  // The refill right after the match is where it lands (later random
+  // cascades may clear it again).
+  const refill = matching.events.find(e => e.type === 'refilled');
+  const bombs = refill.grid.flat().filter(c => c?.special === 'bomb');
+  assert.equal(bombs.length, 1);
+  assert.ok(refill.cells.some(p => refill.grid[p.col][p.row].special === 'bomb'));
+});
+
+test('resolveMove: a levelled mode climbs when the score passes a threshold, before the refill', () => {
+  const move = clusterMove(ONE_MOVE_CLUSTER, true);
+
+  const turn = resolveMove(oneMoveGrid(), move, { mode: ARCADE, score: 998, level: 1 });
+  const kinds = types(turn);
+  assert.ok(kinds.includes('levelUp'));
+  assert.ok(kinds.indexOf('levelUp') < kinds.indexOf('refilled'));
+  assert.equal(turn.events.find(e => e.type === 'levelUp').level, 2);
+  assert.equal(turn.level, 2);
+
+  // Without `levels` the level is carried through untouched.
+  assert.equal(resolveMove(oneMoveGrid(), move, { mode: CHILL, score: 998 }).level, 1);
+});
+
+test('resolveMove: bombs dropped at a higher level get a shorter fuse', () => {
+  const turn = resolveMove(oneMoveGrid(), clusterMove(ONE_MOVE_CLUSTER, true), {
+    mode: ARCADE, level: 5, score: 7000, bombQueued: true,
+  });
+  const refill = turn.events.find(e => e.type === 'refilled');
+  const bomb = refill.cells.map(p => refill.grid[p.col][p.row]).find(c => c.special === 'bomb');
+  assert.equal(bomb.bombTimer, 11);
+});
+
+// ─── Move enumeration ───────────────────────────────────────────
+
+test('hasValidMoves: a properly 3-colored board is dead', () => {
+  const grid = quietGrid();
+  const before = cloneGrid(grid);
+  assert.equal(hasValidMoves(grid, 6, 6), false);
+  assert.deepEqual(colors(grid), colors(before), 'probing must leave the grid as it was');
+});
+
+test('hasValidMoves: finds the one productive move', () => {
+  assert.equal(hasValidMoves(oneMoveGrid(), 6, 6), true);
+});
+
+// ─── Deadlock ───────────────────────────────────────────────────
+
+/** quietGrid with a live bomb and a multiplier that a reshuffle must leave alone */
+function deadGridWithSpecials() {
+  const g = quietGrid();
+  g[2][3] = { colorIndex: g[2][3].colorIndex, special: 'bomb', bombTimer: 7 };
+  g[4][1] = { colorIndex: g[4][1].colorIndex, special: 'multiplier' };
+  return g;
+}
+const plainColors = g => g.flat().filter(c => !c.special).map(c => c.colorIndex).sort();
+
+test('reshuffleBoard: a dead board becomes playable, with no match waiting and specials untouched', () => {
+  const grid = deadGridWithSpecials();
+  const before = cloneGrid(grid);
+  const shuffled = reshuffleBoard(grid, { rng: makeRng('dead-1') });
+
+  assert.deepEqual(grid, before, 'input grid must not be mutated');
+  assert.equal(hasValidMoves(shuffled.grid), true);
+  assert.equal(isProductive(shuffled.grid), false, 'nothing may resolve before the player moves');
+  assert.deepEqual(shuffled.grid[2][3], before[2][3]);
+  assert.deepEqual(shuffled.grid[4][1], before[4][1]);
+  assert.deepEqual(plainColors(shuffled.grid), plainColors(before), 'a shuffle keeps the tiles it had');
+  for (const { from, to } of shuffled.moves) {
+    assert.equal(shuffled.grid[to.col][to.row].colorIndex, before[from.col][from.row].colorIndex);
+  }
+
+  const again = reshuffleBoard(deadGridWithSpecials(), { rng: makeRng('dead-1') });
+  assert.deepEqual(again.grid, shuffled.grid, 'the same stream reshuffles the same way');
+});
+
+test('ensurePlayable: a dealt or resumed dead board is reshuffled before any move; a live one is left alone', () => {
+  const dead = quietGrid();
+  const fixed = ensurePlayable(dead, { rng: makeRng('dead-3') });
+  assert.equal(fixed.reshuffled, true);
+  assert.equal(hasValidMoves(fixed.grid), true);
+  assert.equal(hasValidMoves(dead), false, 'input grid must not be mutated');
+
+  // A full-size board rarely shuffles free of matches outright.
+  for (const seed of ['big-1', 'big-2', 'big-3', 'big-4']) {
+    const big = ensurePlayable(quietGrid(9, 9), { rng: makeRng(seed) });
+    assert.equal(big.reshuffled, true, seed);
+    assert.equal(hasValidMoves(big.grid), true, seed);
+    assert.equal(isProductive(big.grid), false, seed);
+  }
+
+  const live = oneMoveGrid();
+  const kept = ensurePlayable(live);
+  assert.equal(kept.reshuffled, false);
+  assert.equal(kept.grid, live);
+});
+
+test('resolveMove: an endless mode reshuffles a board the turn left dead, and charges for it', () => {
+  const mode = ARCADE;  // reshuffles for 50 points
+  const move = clusterMove(ONE_MOVE_CLUSTER, true);
+
+  const turn = resolveMove(quietGrid(), move, { mode, score: 80, rng: makeRng('dead-2') });
+  const last = turn.events.at(-1);
+  assert.equal(last.type, 'reshuffled');
+  assert.equal(last.penalty, 50);
+  assert.equal(turn.score, 30);
+  assert.equal(turn.acted, true);
+  assert.deepEqual(last.grid, turn.grid);
+  assert.equal(hasValidMoves(turn.grid), true);
+
+  // The penalty never takes the score below zero.
+  const broke = resolveMove(quietGrid(), move, { mode, score: 20, rng: makeRng('dead-2') });
+  assert.equal(broke.events.at(-1).penalty, 20);
+  assert.equal(broke.score, 0);
+});
+
+test('enumerateMoves: lists starflower rings and each triangle once per direction', () => {
+  const grid = quietGrid(3, 3);
+  const plain = enumerateMoves(grid, 3, 3);
+  assert.equal(plain.every(m => m.kind === 'cluster'), true);
+  const keys = plain.map(m => `${m.clockwise}|${m.cells.map(p => `${p.col},${p.row}`).sort().join(' ')}`);
+  assert.equal(new Set(keys).size, keys.length, 'no triangle should be listed twice');
+
+  grid[1][1] = { colorIndex: -1, special: 'starflower' };
+  const withRing = enumerateMoves(grid, 3, 3);
+  assert.equal(withRing.filter(m => m.kind === 'ring').length, 2);
+});
+
+test('computeFalls: reports each piece that will move and how far', () => {
+  const cell = k => ({ colorIndex: k, special: null });
+  const grid = [[cell(0), null, cell(1), null]];
+  const falls = computeFalls(grid, 1, 4);
+  assert.deepEqual(falls.map(f => [f.fromRow, f.toRow, f.dist]), [[2, 3, 1], [0, 2, 2]]);
+});
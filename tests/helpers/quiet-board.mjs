@@ -0,0 +1,32 @@
+/**
+ * quiet-board.mjs — boards with nothing on them to match.
+ *
+ * In axial coordinates color = (q + 2r) mod 3 is a proper 3-coloring of the
+ * hex lattice: no two neighbors share a color, so the board has no matches,
+ * no starflowers and no productive move. Tests repaint a cell or two to set
+ * up exactly the situation they need.
+ */
+
+/** The 3-coloring's color at (c, r). */
+function threeColor(c, r) {
+  const ar = r - (c - (c & 1)) / 2;
+  return ((c + 2 * ar) % 3 + 3) % 3;
+}
+
+/** cols×rows board with no two neighbors the same color. */
+export function quietGrid(cols = 6, rows = 6) {
+  const g = [];
+  for (let c = 0; c < cols; c++) {
+    g[c] = [];
+    for (let r = 0; r < rows; r++) g[c][r] = { colorIndex: threeColor(c, r), special: null };
+  }
+  return g;
+}
+
+/** quietGrid with (1,1) repainted: the top-left cluster (ONE_MOVE_CLUSTER) matches after two clockwise steps. */
+export function oneMoveGrid() {
+  const g = quietGrid();
+  g[1][1].colorIndex = 1;
+  return g;
+}
+export const ONE_MOVE_CLUSTER = [{ col: 0, row: 0 }, { col: 0, row: 1 }, { col: 1, row: 0 }];
@@ -0,0 +1,85 @@
+/**
+ * Unit tests for hints.js — which move the hint button points at.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPuzzleById, decodePuzzleBoard, evaluateGoal } from '../js/puzzles.js';
+import { resolveMove, isProductiveStep, clusterMove } from '../js/game-engine.js';
+import { getGameMode } from '../js/modes.js';
+import { findHint, describeHint, hintCells } from '../js/hints.js';
+import { quietGrid, oneMoveGrid } from './helpers/quiet-board.mjs';
+import { linesRule } from '../js/match-lines.js';
+import { groupsRule } from '../js/match-groups.js';
+
+const PUZZLE = getGameMode('puzzle');
+const ZERO_STATS = { totalMoves: 0, starflowersMade: 0, score: 0 };
+
+test('findHint: points at a move that acts on its first step', () => {
+  const grid = oneMoveGrid();
+  const hint = findHint(grid);
+  assert.ok(hint);
+  assert.equal(hint.reason, 'score');
+  assert.ok(hint.points > 0);
+  assert.equal(isProductiveStep(grid, hint.move), true);
+  assert.equal(resolveMove(grid, hint.move, { mode: PUZZLE }).acted, true);
+});
+
+test('findHint: nothing to suggest on a dead board', () => {
+  assert.equal(findHint(quietGrid()), null);
+});
+
+test('findHint: never suggests a move that lets a bomb go off', () => {
+  const grid = oneMoveGrid();
+  // Far from the only match, and one tick from expiring.
+  grid[5][5] = { colorIndex: grid[5][5].colorIndex, special: 'bomb', bombTimer: 1 };
+  assert.equal(findHint(grid), null);
+});
+
+test('findHint: a special beats a plain match', () => {
+  const puzzle = getPuzzleById('p1-3');
+  const grid = decodePuzzleBoard(puzzle.board, puzzle.cols, puzzle.rows);
+  const hint = findHint(grid);
+  assert.equal(hint.reason, 'special');
+  assert.equal(hint.special, 'starflower');
+});
+
+test('findHint: in a puzzle, the first move of the shortest solution', () => {
+  const puzzle = getPuzzleById('p1-3');
+  const grid = decodePuzzleBoard(puzzle.board, puzzle.cols, puzzle.rows);
+  const hint = findHint(grid, { puzzle, stats: ZERO_STATS });
+  assert.equal(hint.reason, 'solution');
+  assert.equal(hint.movesToGoal, 1);
+
+  const turn = resolveMove(grid, hint.move, { mode: PUZZLE });
+  const formed = turn.events.filter(e => e.type === 'formed' && e.special === 'starflower').length;
+  const stats = { totalMoves: 1, starflowersMade: formed, score: turn.score };
+  assert.equal(evaluateGoal(puzzle.goal, turn.grid, stats, puzzle.cols, puzzle.rows).met, true);
+});
+
+test('findHint: ranks and scores moves by the rule the player matches by', () => {
+  for (const [rule, repaint] of [[linesRule, { col: 0, row: 0, colorIndex: 1 }], [groupsRule, { col: 1, row: 0, colorIndex: 0 }]]) {
+    const grid = quietGrid();
+    grid[repaint.col][repaint.row].colorIndex = repaint.colorIndex;
+    const hint = findHint(grid, { matchRule: rule });
+    assert.ok(hint, rule.id);
+    assert.equal(isProductiveStep(grid, hint.move, 6, 6, rule), true);
+    const turn = resolveMove(grid, hint.move, { mode: PUZZLE, matchRule: rule });
+    assert.ok(turn.score > 0, rule.id);
+    assert.equal(hint.points, turn.score, rule.id);
+    // Scored by classic triangles, the same move would be worth nothing.
+    assert.equal(resolveMove(grid, hint.move, { mode: PUZZLE }).score, 0, rule.id);
+  }
+});
+
+test('describeHint / hintCells: direction in words, ring centers pulse too', () => {
+  const cells = [{ col: 0, row: 0 }, { col: 0, row: 1 }, { col: 1, row: 0 }];
+  const hint = { move: clusterMove(cells, false), reason: 'score', points: 5 };
+  assert.equal(describeHint(hint), '💡 Turn it counter-clockwise for 5 points');
+  assert.equal(describeHint({ ...hint, reason: 'solution', movesToGoal: 3 }),
+    '💡 Turn it counter-clockwise — 3 moves from the goal');
+  assert.deepEqual(hintCells(hint.move), cells);
+
+  const ring = { kind: 'ring', center: { col: 2, row: 2 }, cells, clockwise: true };
+  assert.equal(hintCells(ring).length, 4);
+});
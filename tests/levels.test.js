@@ -0,0 +1,35 @@
+/**
+ * Unit tests for levels.js — thresholds, teal and bomb fuses.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PIECE_COLORS, BOMB_INITIAL_TIMER, BOMB_MIN_TIMER } from '../js/constants.js';
+import {
+  TEAL_LEVEL, levelThreshold, levelForScore, colorsForLevel, bombTimerForLevel,
+} from '../js/levels.js';
+
+test('levelThreshold: each level takes 500 points more than the last', () => {
+  assert.deepEqual([1, 2, 3, 4, 5].map(levelThreshold), [0, 1000, 2500, 4500, 7000]);
+});
+
+test('levelForScore: the highest threshold the score has reached', () => {
+  assert.equal(levelForScore(0), 1);
+  assert.equal(levelForScore(999), 1);
+  assert.equal(levelForScore(1000), 2);
+  assert.equal(levelForScore(4499), 3);
+  assert.equal(levelForScore(4500), 4);
+});
+
+test('colorsForLevel: teal joins at TEAL_LEVEL', () => {
+  assert.equal(colorsForLevel(1), PIECE_COLORS.length);
+  assert.equal(colorsForLevel(TEAL_LEVEL - 1), 5);
+  assert.equal(colorsForLevel(TEAL_LEVEL), 6);
+  assert.equal(colorsForLevel(20), 6);
+});
+
+test('bombTimerForLevel: a move shorter per level, never under BOMB_MIN_TIMER', () => {
+  assert.equal(bombTimerForLevel(1), BOMB_INITIAL_TIMER);
+  assert.equal(bombTimerForLevel(3), BOMB_INITIAL_TIMER - 2);
+  assert.equal(bombTimerForLevel(50), BOMB_MIN_TIMER);
+});
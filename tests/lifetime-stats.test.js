@@ -0,0 +1,86 @@
+/**
+ * Unit tests for lifetime-stats.js — what each move adds to the lifetime
+ * stats, per mode and in total, and how the Stats modal reads them.
+ *
+ * Arcade.stats is faked here as one object per category.
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const categories = {};
+globalThis.Arcade = {
+  stats: {
+    update: (k, fn) => { categories[k] = fn(structuredClone(categories[k] ?? {})); },
+    get: k => categories[k],
+  },
+};
+
+const {
+  tallyEvents, addCounters, recordTurnStats, statsView, formatPlayTime, emptyCounters, IDLE_CAP_MS,
+} = await import('../js/lifetime-stats.js');
+const { recordGameEnd, recordPuzzleSolved } = await import('../js/storage.js');
+
+const matched = cells => ({ type: 'matched', cells, detonated: 0 });
+const tile = (colorIndex, special = null) => ({ col: 0, row: 0, colorIndex, special });
+
+beforeEach(() => { for (const k of Object.keys(categories)) delete categories[k]; });
+
+test('a move counts specials formed, bombs and plain tiles by color', () => {
+  const counted = tallyEvents([
+    matched([tile(0), tile(0), tile(2), tile(1, 'bomb'), tile(-1, 'starflower')]),
+    { type: 'formed', special: 'blackpearl', formations: [{}, {}] },
+    { type: 'chain', level: 1 },
+    matched([tile(5)]),
+    { type: 'bombExpired', cells: [{ col: 1, row: 1 }] },
+  ]);
+  assert.deepEqual(counted.specialsFormed, { starflower: 0, blackpearl: 2, grandpoobah: 0 });
+  assert.equal(counted.bombsDefused, 1);
+  assert.equal(counted.bombsDetonated, 1);
+  assert.deepEqual(counted.tilesCleared, [2, 1, 1, 0, 0, 1]);
+});
+
+test('counters add field by field, missing ones counting as zero', () => {
+  const sum = addCounters({ bombsDefused: 2, gamesPlayed: 4, tilesCleared: [1] }, {
+    bombsDefused: 1, tilesCleared: [1, 2], specialsFormed: { starflower: 1 },
+  });
+  assert.deepEqual(sum, { bombsDefused: 3, gamesPlayed: 4, tilesCleared: [2, 2], specialsFormed: { starflower: 1 } });
+});
+
+test('moves add to the total and to their mode; idle time is capped', () => {
+  recordTurnStats('arcade', [matched([tile(0), tile(0), tile(0)])], 1_000);
+  recordTurnStats('arcade', [matched([tile(3)])], 6_000);
+  recordTurnStats('chill', [], 6_000 + IDLE_CAP_MS * 10);
+
+  const lifetime = categories.lifetime;
+  assert.equal(lifetime.playTimeMs, 5_000 + IDLE_CAP_MS);
+  assert.deepEqual(lifetime.tilesCleared, [3, 0, 0, 1, 0, 0]);
+  assert.equal(lifetime.modes.arcade.playTimeMs, 5_000);
+  assert.equal(lifetime.modes.chill.playTimeMs, IDLE_CAP_MS);
+  assert.deepEqual(lifetime.modes.chill.tilesCleared, [0, 0, 0, 0, 0, 0]);
+});
+
+test('games and solves land where the modal reads them, per mode too', () => {
+  recordGameEnd(4, 'arcade');
+  recordGameEnd(7, 'blitz');
+  recordGameEnd(2, 'arcade');
+  recordPuzzleSolved(true);
+
+  const all = statsView(categories.lifetime);
+  assert.equal(all.gamesPlayed, 3);
+  assert.equal(all.bestCombo, 7);
+  assert.equal(all.dailiesSolved, 1);
+  assert.deepEqual(all.tilesCleared, emptyCounters().tilesCleared);
+
+  const arcade = statsView(categories.lifetime, 'arcade');
+  assert.equal(arcade.gamesPlayed, 2);
+  assert.equal(arcade.bestCombo, 4);
+  assert.equal(arcade.puzzlesSolved, null, 'solves are not an arcade stat');
+  assert.equal(statsView(categories.lifetime, 'puzzle').puzzlesSolved, 1);
+});
+
+test('play time reads as hours, minutes or seconds', () => {
+  assert.equal(formatPlayTime(3_725_000), '1h 02m');
+  assert.equal(formatPlayTime(65_000), '1m 05s');
+  assert.equal(formatPlayTime(9_400), '9s');
+});
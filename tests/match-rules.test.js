@@ -0,0 +1,76 @@
+/**
+ * Unit tests for the match rules (match-classic.js, match-lines.js,
+ * match-groups.js) and how the engine plays by them.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classicRule } from '../js/match-classic.js';
+import { linesRule } from '../js/match-lines.js';
+import { groupsRule, findGroupMatches, GROUP_MIN_SIZE } from '../js/match-groups.js';
+import { getAllMatchModes, getMatchMode, matchRuleFor, getGameMode } from '../js/modes.js';
+import { decodePuzzleBoard } from '../js/puzzles.js';
+import { resolveBoard } from '../js/game-engine.js';
+import { startSeededRun } from '../js/replay.js';
+import { matchPoints } from '../js/score.js';
+
+const board = encoded => decodePuzzleBoard(encoded, 5, 5);
+const keys = set => [...set].sort();
+
+// Three 1s in a triangle; three 2s straight down column 3; six 4s bent
+// along the bottom-left corner.
+const TRIANGLE = '0:0:1 1:0:1 0:1:1';
+const LINE = '3:0:2 3:1:2 3:2:2';
+const BENT = '0:3:4 0:4:4 1:3:4 1:4:4 2:4:4 3:4:4';
+
+test('registry: every rule has an id, label, help, detector and score hook', () => {
+  assert.deepEqual(getAllMatchModes().map(r => r.id), ['classic', 'lines', 'groups']);
+  for (const rule of getAllMatchModes()) {
+    assert.equal(getMatchMode(rule.id), rule);
+    assert.ok(rule.label && rule.help && rule.icon);
+    assert.equal(typeof rule.findMatches, 'function');
+    assert.equal(typeof rule.score, 'function');
+  }
+  assert.equal(getMatchMode('nope'), classicRule);
+});
+
+test('classic clears triangles only', () => {
+  assert.deepEqual(keys(classicRule.findMatches(board(`${TRIANGLE} ${LINE}`), 5, 5)), ['0,0', '0,1', '1,0']);
+});
+
+test('lines clears straight runs of three or more only', () => {
+  assert.deepEqual(keys(linesRule.findMatches(board(`${TRIANGLE} ${LINE}`), 5, 5)), ['3,0', '3,1', '3,2']);
+  assert.equal(linesRule.findMatches(board('3:0:2 3:1:2 3:2:2 3:3:2'), 5, 5).size, 4);
+});
+
+test('groups clears connected groups of GROUP_MIN_SIZE or more, any shape', () => {
+  const grid = board(`${TRIANGLE} ${LINE} ${BENT}`);
+  assert.deepEqual(keys(groupsRule.findMatches(grid, 5, 5)), ['0,3', '0,4', '1,3', '1,4', '2,4', '3,4']);
+  assert.equal(findGroupMatches(grid, 5, 5, 3).size, 12);
+  assert.equal(findGroupMatches(grid, 5, 5, GROUP_MIN_SIZE + 1).size, 0);
+  // A stone splits the group below the minimum.
+  assert.equal(groupsRule.findMatches(board(BENT.replace('1:4:4', '1:4:o')), 5, 5).size, 0);
+});
+
+test('score hooks: lines pay more than classic, groups less', () => {
+  assert.equal(classicRule.score(3, 0, 1), matchPoints(3, 0, 1));
+  assert.ok(linesRule.score(4, 1, 1) > classicRule.score(4, 1, 1));
+  assert.ok(groupsRule.score(6, 1, 1) < classicRule.score(6, 1, 1));
+});
+
+test('the engine matches and scores by the rule it is given; puzzles stay classic', () => {
+  const grid = board(LINE);
+  const mode = getGameMode('puzzle');
+  assert.equal(resolveBoard(grid, { mode }).acted, false);
+  const turn = resolveBoard(grid, { mode, matchRule: linesRule });
+  assert.equal(turn.acted, true);
+  assert.equal(turn.score, linesRule.score(3, 0, 1));
+  assert.equal(matchRuleFor(mode), classicRule);
+});
+
+test('a run dealt for lines or groups starts with nothing to clear', () => {
+  for (const id of ['lines', 'groups']) {
+    const { grid } = startSeededRun(`quiet-${id}`, undefined, undefined, 'rectangle', id);
+    assert.equal(getMatchMode(id).findMatches(grid, grid.length, grid[0].length).size, 0);
+  }
+});
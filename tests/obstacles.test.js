@@ -0,0 +1,90 @@
+/**
+ * Unit tests for obstacles.js — stones, ice and chains, and the engine rules
+ * that break, thaw and hold them.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isStone, isPinned, countIce } from '../js/obstacles.js';
+import { decodePuzzleBoard } from '../js/puzzles.js';
+import { findTriangleMatches, rotateCluster } from '../js/board.js';
+import { enumerateMoves, resolveBoard, reshuffleBoard } from '../js/game-engine.js';
+import { getGameMode } from '../js/modes.js';
+import { makeRng } from '../js/arcade-rng.js';
+
+const puzzle = getGameMode('puzzle');
+const board = encoded => decodePuzzleBoard(encoded, 3, 3);
+const matched = turn => turn.events.find(e => e.type === 'matched');
+
+// ─── Rotation ───────────────────────────────────────────────────
+
+test('stones and chained pieces never turn, and no move is offered through them', () => {
+  const cluster = [{ col: 0, row: 0 }, { col: 1, row: 0 }, { col: 0, row: 1 }];
+  for (const pinned of ['o', '1c']) {
+    const grid = board(`0:0:${pinned} 1:0:2 0:1:3`);
+    const before = JSON.stringify(grid);
+    rotateCluster(grid, cluster, true);
+    assert.equal(JSON.stringify(grid), before);
+    assert.ok(isPinned(grid[0][0]));
+  }
+  const grid = board('0:0:0 1:0:1 0:1:2 1:1:3 2:0:4 2:1:0 0:2:o 1:2:1c 2:2:2');
+  for (const move of enumerateMoves(grid)) {
+    for (const p of move.cells) assert.ok(!isPinned(grid[p.col][p.row]));
+  }
+  assert.ok(enumerateMoves(grid).length > 0);
+});
+
+test('a chained piece still matches', () => {
+  const grid = board('0:0:1c 1:0:1 0:1:1');
+  assert.equal(findTriangleMatches(grid, 3, 3).size, 3);
+});
+
+// ─── Stone ──────────────────────────────────────────────────────
+
+test('stones never match, and break when a match clears a cell next to them', () => {
+  assert.equal(findTriangleMatches(board('0:0:o 1:0:o 0:1:o'), 3, 3).size, 0);
+
+  const turn = resolveBoard(board('0:1:2 0:2:2 1:1:2 2:2:o'), { mode: puzzle });
+  const event = matched(turn);
+  assert.equal(event.size, 3);
+  assert.deepEqual(event.cells.filter(c => c.special === 'stone').map(c => [c.col, c.row]), [[2, 2]]);
+  assert.ok(!turn.grid.flat().some(isStone));
+});
+
+// ─── Ice ────────────────────────────────────────────────────────
+
+test('ice keeps a piece out of matches until a clear next to it cracks it', () => {
+  assert.equal(findTriangleMatches(board('0:0:1i 1:0:1 0:1:1'), 3, 3).size, 0);
+
+  // The 2s clear; the iced 4 beside them thaws and stays.
+  const turn = resolveBoard(board('0:1:2 0:2:2 1:1:2 1:2:4i 2:0:4i2'), { mode: puzzle });
+  const event = matched(turn);
+  assert.equal(event.size, 3);
+  assert.deepEqual(event.thawed, [{ col: 1, row: 2 }]);
+  assert.deepEqual(turn.grid[1][2], { colorIndex: 4, special: null });
+  assert.equal(countIce(turn.grid), 1);
+});
+
+test('ice takes two clears: one for the ice, one for the piece', () => {
+  const first = resolveBoard(board('0:1:2 0:2:2 1:1:2 1:2:4i'), { mode: puzzle });
+  assert.deepEqual(matched(first).thawed, [{ col: 1, row: 2 }]);
+
+  // Line two more 4s up beside the thawed one and it clears.
+  const grid = first.grid;
+  grid[0][2] = { colorIndex: 4, special: null };
+  grid[1][1] = { colorIndex: 4, special: null };
+  const second = resolveBoard(grid, { mode: puzzle });
+  assert.ok(matched(second).cells.some(c => c.col === 1 && c.row === 2));
+  assert.deepEqual(matched(second).thawed, []);
+});
+
+test('reshuffleBoard leaves iced and chained pieces where they are', () => {
+  const grid = board('0:0:0i 1:0:1c 2:0:2 0:1:3 1:1:4 2:1:0 0:2:1 1:2:2 2:2:3');
+  const shuffled = reshuffleBoard(grid, { rng: makeRng('obstacles') });
+  assert.ok(shuffled);
+  assert.deepEqual(shuffled.grid[0][0], grid[0][0]);
+  assert.deepEqual(shuffled.grid[1][0], grid[1][0]);
+  for (const { from, to } of shuffled.moves) {
+    assert.ok(!grid[from.col][from.row].ice && !grid[to.col][to.row].chained);
+  }
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for puzzle-library.js — My Puzzles: saving, editing, copying
+ * and deleting entries, and searching and sorting them.
+ *
+ * The library lives in Arcade.state, faked here as a Map.
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const store = new Map();
+globalThis.Arcade = {
+  state: {
+    get: k => (store.has(k) ? structuredClone(store.get(k)) : undefined),
+    set: (k, v) => { store.set(k, structuredClone(v)); },
+  },
+};
+
+const {
+  getLibrary, getLibraryEntry, findLibraryEntry, addToLibrary, updateLibraryEntry, duplicateLibraryEntry,
+  removeFromLibrary, recordLibraryPlay, libraryPuzzle, searchLibrary, parseTags,
+} = await import('../js/puzzle-library.js');
+const { encodePuzzleShareCode, decodePuzzleShareCode } = await import('../js/puzzle-editor.js');
+
+const puzzle = (board, fields = {}) => ({
+  name: 'Three Reds', description: 'Line them up', cols: 3, rows: 3, moveLimit: 5, par: 2,
+  goal: { type: 'clear_color', colorIndex: 0 }, board, noRefill: true, ...fields,
+});
+
+beforeEach(() => store.clear());
+
+test('an added puzzle is kept with its listing and plays under its own id', () => {
+  const entry = addToLibrary(puzzle('v2 0:0:0'), { tags: ['Easy', '#reds', 'easy'], author: ' Ada ' });
+  assert.equal(entry.name, 'Three Reds');
+  assert.deepEqual(entry.tags, ['easy', 'reds']);
+  assert.equal(entry.author, 'Ada');
+  assert.equal(entry.plays, 0);
+  assert.deepEqual(getLibrary(), [entry]);
+
+  const playable = libraryPuzzle(entry);
+  assert.equal(playable.id, entry.id);
+  assert.equal(playable.board, 'v2 0:0:0');
+  assert.equal(playable.noRefill, true);
+});
+
+test('adding the same puzzle twice keeps one entry', () => {
+  const first = addToLibrary(puzzle('v2 0:0:0'));
+  const again = addToLibrary(puzzle('v2 0:0:0', { name: 'Renamed' }));
+  assert.equal(again.id, first.id);
+  assert.equal(getLibrary().length, 1);
+  addToLibrary(puzzle('v2 0:0:1'));
+  assert.equal(getLibrary().length, 2);
+
+  // Same board and goal, other limits: found, so a save can update it.
+  assert.equal(findLibraryEntry(puzzle('v2 0:0:0', { moveLimit: 9, par: 4 })).id, first.id);
+  assert.equal(findLibraryEntry(puzzle('v2 0:0:2')), null);
+});
+
+test('update, duplicate, play count and delete', () => {
+  const entry = addToLibrary(puzzle('v2 0:0:0'));
+  const updated = updateLibraryEntry(entry.id, { name: 'Reds', tags: ['a'], puzzle: puzzle('v2 1:1:1', { par: 3 }) });
+  assert.equal(updated.name, 'Reds');
+  assert.equal(getLibraryEntry(entry.id).puzzle.board, 'v2 1:1:1');
+  assert.equal(getLibraryEntry(entry.id).puzzle.par, 3);
+  assert.equal(updateLibraryEntry('nope', { name: 'x' }), null);
+
+  recordLibraryPlay(entry.id);
+  recordLibraryPlay(entry.id);
+  assert.equal(getLibraryEntry(entry.id).plays, 2);
+
+  const copy = duplicateLibraryEntry(entry.id);
+  assert.notEqual(copy.id, entry.id);
+  assert.equal(copy.name, 'Reds (copy)');
+  assert.equal(copy.plays, 0);
+  assert.equal(getLibrary()[0].id, copy.id);
+
+  assert.equal(removeFromLibrary(entry.id), true);
+  assert.equal(removeFromLibrary(entry.id), false);
+  assert.deepEqual(getLibrary().map(e => e.id), [copy.id]);
+});
+
+test('search matches every word across name, description, author and tags; #word only tags', () => {
+  const entries = [
+    { id: 'a', name: 'Bomb Alley', tags: ['hard'], author: 'Ada', addedAt: 1, plays: 5, puzzle: { description: '' } },
+    { id: 'b', name: 'Ice Field', tags: ['bombs', 'easy'], author: 'Bo', addedAt: 2, plays: 1, puzzle: { description: 'slippery' } },
+    { id: 'c', name: 'Zen', tags: [], author: 'Ada', addedAt: 3, plays: 0, puzzle: { description: 'no bombs here' } },
+  ];
+  const ids = opts => searchLibrary(entries, opts).map(e => e.id);
+  assert.deepEqual(ids({ query: 'bomb' }), ['c', 'b', 'a']);
+  assert.deepEqual(ids({ query: '#bombs' }), ['b']);
+  assert.deepEqual(ids({ query: 'ada bomb' }), ['c', 'a']);
+  assert.deepEqual(ids({ query: 'SLIPPERY' }), ['b']);
+
+  assert.deepEqual(ids({ sort: 'name' }), ['a', 'b', 'c']);
+  assert.deepEqual(ids({ sort: 'plays' }), ['a', 'b', 'c']);
+  const stars = { a: 1, b: 3, c: 1 };
+  assert.deepEqual(ids({ sort: 'stars', starsFor: id => stars[id] }), ['b', 'c', 'a']);
+});
+
+test('parseTags splits on commas and spaces', () => {
+  assert.deepEqual(parseTags('easy, Bombs  #ice,,easy'), ['easy', 'bombs', 'ice']);
+  assert.deepEqual(parseTags('   '), []);
+});
+
+test('a share code carries the author', () => {
+  const code = encodePuzzleShareCode(puzzle('v2 0:0:0', { author: 'Ada' }));
+  assert.equal(decodePuzzleShareCode(code).author, 'Ada');
+  assert.equal(decodePuzzleShareCode(encodePuzzleShareCode(puzzle('v2 0:0:0'))).author, '');
+});
@@ -0,0 +1,95 @@
+/**
+ * Unit tests for puzzle-lint.js — the checks the editor runs before a puzzle
+ * is shared or played.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lintPuzzle } from '../js/puzzle-lint.js';
+import { getPuzzleById } from '../js/puzzles.js';
+
+// No three neighbors share a color; a red bomb sits at 2:2.
+const BOARD = 'v2 0:0:0 1:0:1 2:0:0 0:1:2 1:1:3 2:1:2 0:2:4 1:2:0 2:2:1b3';
+const puzzle = (fields = {}) => ({
+  board: BOARD, cols: 3, rows: 3, moveLimit: 10, par: 5,
+  goal: { type: 'clear_color', colorIndex: 0 }, ...fields,
+});
+const messages = issues => issues.map(i => i.message);
+
+test('a sound puzzle lints clean', () => {
+  const report = lintPuzzle(puzzle());
+  assert.deepEqual(report.errors, []);
+  assert.deepEqual(report.warnings, []);
+  assert.equal(report.solve, null);
+});
+
+test('par above the move limit is an error', () => {
+  const { errors } = lintPuzzle(puzzle({ par: 12 }));
+  assert.deepEqual(messages(errors), ['Par (12) is more than the move limit (10)']);
+});
+
+test('a board that does not read is the only error', () => {
+  const { errors } = lintPuzzle(puzzle({ board: 'v2 0:0:zz', par: 99 }));
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].message, /can't read/);
+});
+
+test('clear_color for a color with no plain tiles on the board', () => {
+  const { errors } = lintPuzzle(puzzle({ goal: { type: 'clear_color', colorIndex: 5 } }));
+  assert.deepEqual(messages(errors), ['"Clear all teal tiles": there are no plain teal tiles on the board']);
+});
+
+test('bomb goals need a bomb', () => {
+  const noBomb = BOARD.replace('2:2:1b3', '2:2:1');
+  for (const goal of [{ type: 'defuse_bomb' }, { type: 'survive_bombs', count: 3 }]) {
+    assert.deepEqual(lintPuzzle(puzzle({ goal })).errors, []);
+    const { errors } = lintPuzzle(puzzle({ board: noBomb, goal }));
+    assert.equal(errors.length, 1);
+    assert.match(errors[0].message, /no bomb on the board/);
+  }
+});
+
+test('a board that already matches is an error that points at the tiles', () => {
+  const { errors } = lintPuzzle(puzzle({ board: 'v2 0:0:1 1:0:1 0:1:1 2:2:0' }));
+  assert.equal(errors.length, 1);
+  assert.match(errors[0].message, /3 tiles already match/);
+  assert.deepEqual(
+    errors[0].cells.map(c => `${c.col}:${c.row}`).sort(),
+    ['0:0', '0:1', '1:0'],
+  );
+});
+
+test('marked cells off the board, and a multiplier goal with too few multipliers', () => {
+  const targets = lintPuzzle(puzzle({ goal: { type: 'clear_targets', cells: [{ col: 1, row: 1 }, { col: 4, row: 0 }] } }));
+  assert.deepEqual(messages(targets.errors), ['"Clear the 2 marked cells": 4:0 is not on the board']);
+
+  const multipliers = lintPuzzle(puzzle({ goal: { type: 'detonate_multiplier' } }));
+  assert.match(multipliers.errors[0].message, /the board has 0/);
+});
+
+test('an OR goal only warns while one side can still be met', () => {
+  const either = { type: 'any', goals: [{ type: 'break_ice' }, { type: 'clear_color', colorIndex: 0 }] };
+  const some = lintPuzzle(puzzle({ goal: either }));
+  assert.deepEqual(some.errors, []);
+  assert.match(some.warnings[0].message, /no ice on the board/);
+
+  const neither = { type: 'any', goals: [{ type: 'break_ice' }, { type: 'clear_color', colorIndex: 5 }] };
+  assert.equal(lintPuzzle(puzzle({ goal: neither })).errors.length, 2);
+
+  const both = { type: 'all', goals: [{ type: 'break_ice' }, { type: 'clear_color', colorIndex: 0 }] };
+  assert.equal(lintPuzzle(puzzle({ goal: both })).errors.length, 1);
+});
+
+test('the bounded solver flags an unsolvable puzzle and par it cannot reach', () => {
+  const p11 = getPuzzleById('p1-1');
+  const solved = lintPuzzle(p11, { solve: true });
+  assert.equal(solved.solve.status, 'solved');
+  assert.deepEqual(solved.errors, []);
+
+  const tight = lintPuzzle({ ...p11, par: solved.solve.optimal - 1 }, { solve: true });
+  assert.match(tight.warnings[0].message, /over par/);
+
+  const short = lintPuzzle({ ...p11, moveLimit: solved.solve.optimal - 1, par: 1 }, { solve: true });
+  assert.equal(short.solve.status, 'unsolvable');
+  assert.match(short.errors[0].message, /No solution within/);
+});
@@ -0,0 +1,123 @@
+/**
+ * Unit tests for puzzle-packs.js — reading and writing pack files, keeping
+ * imported packs, and playing them with their own progress and unlocks.
+ *
+ * Packs and progress live in Arcade.state, faked here as a Map.
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const store = new Map();
+globalThis.Arcade = {
+  state: {
+    get: k => (store.has(k) ? structuredClone(store.get(k)) : undefined),
+    set: (k, v) => { store.set(k, structuredClone(v)); },
+  },
+};
+
+const {
+  readPack, exportPack, packFromLibrary, getAllPacks, getPack, installPack, removePack,
+  packSectors, findPackPuzzle, getNextPackPuzzle, getPackProgress,
+} = await import('../js/puzzle-packs.js');
+const { BUILTIN_PACK, ALL_PUZZLES } = await import('../js/puzzles.js');
+const { isSectorUnlocked, savePuzzleProgress } = await import('../js/storage.js');
+
+const puzzle = (id, fields = {}) => ({
+  id, name: `Puzzle ${id}`, cols: 3, rows: 3, moveLimit: 5, par: 2,
+  goal: { type: 'clear_color', colorIndex: 0 }, board: 'v2 0:0:0 1:1:1', ...fields,
+});
+const packFile = (fields = {}) => JSON.stringify({
+  format: 'hecknsic-pack', formatVersion: 1,
+  id: 'bomb-squad', name: 'Bomb Squad', author: 'Ada', version: '2',
+  sectors: [
+    { id: 's1', name: 'Fuses', puzzles: [puzzle('a'), puzzle('b')] },
+    { id: 's2', name: 'Blasts', puzzles: [puzzle('c')] },
+  ],
+  ...fields,
+});
+
+beforeEach(() => store.clear());
+
+test('a pack file reads back to its name, author, version and sectors', () => {
+  const { pack, error } = readPack(packFile());
+  assert.equal(error, null);
+  assert.equal(pack.id, 'bomb-squad');
+  assert.equal(pack.author, 'Ada');
+  assert.equal(pack.version, '2');
+  assert.deepEqual(pack.sectors.map(s => s.puzzles.map(p => p.id)), [['a', 'b'], ['c']]);
+
+  const again = readPack(exportPack(pack));
+  assert.deepEqual(again.pack, pack);
+});
+
+test('the built-in puzzles export as a pack', () => {
+  const { pack, error } = readPack(exportPack({ ...BUILTIN_PACK, id: 'copy' }));
+  assert.equal(error, null);
+  assert.equal(pack.sectors.flatMap(s => s.puzzles).length, ALL_PUZZLES.length);
+});
+
+test('broken pack files are refused with a reason', () => {
+  const reason = text => readPack(text).error;
+  assert.equal(reason('{'), 'Not a JSON file');
+  assert.equal(reason('{"format":"other"}'), 'Not a puzzle pack');
+  assert.match(reason(packFile({ formatVersion: 9 })), /newer version/);
+  assert.equal(reason(packFile({ name: ' ' })), 'The pack has no name');
+  assert.match(reason(packFile({ id: 'builtin' })), /can't be called/);
+  assert.equal(reason(packFile({ sectors: [] })), 'The pack has no sectors');
+  assert.match(reason(packFile({ sectors: [{ name: 'S', puzzles: [puzzle('a', { par: 0 })] }] })), /"S", puzzle 1: moveLimit and par/);
+  assert.match(reason(packFile({ sectors: [{ name: 'S', puzzles: [puzzle('a', { goal: { type: 'nope' } })] }] })), /goal/);
+  assert.match(reason(packFile({ sectors: [{ name: 'S', puzzles: [puzzle('a'), puzzle('a')] }] })), /used twice/);
+});
+
+test('installing the same pack id again replaces it; removing leaves the built-in one', () => {
+  const { pack } = readPack(packFile());
+  assert.equal(installPack(pack), false);
+  assert.equal(installPack({ ...pack, version: '3' }), true);
+  assert.deepEqual(getAllPacks().map(p => p.id), ['builtin', 'bomb-squad']);
+  assert.equal(getPack('bomb-squad').version, '3');
+
+  assert.equal(removePack('bomb-squad'), true);
+  assert.equal(removePack('bomb-squad'), false);
+  assert.deepEqual(getAllPacks().map(p => p.id), ['builtin']);
+});
+
+test('an imported pack plays under its own ids and unlocks its own sectors', () => {
+  const { pack } = readPack(packFile());
+  installPack(pack);
+  const sectors = packSectors(pack);
+  assert.deepEqual(sectors.map(s => s.id), ['bomb-squad:s1', 'bomb-squad:s2']);
+  assert.equal(sectors[0].puzzles[0].id, 'pack:bomb-squad:a');
+  assert.equal(packSectors(BUILTIN_PACK), BUILTIN_PACK.sectors);
+
+  assert.equal(isSectorUnlocked('bomb-squad:s1', sectors), true);
+  assert.equal(isSectorUnlocked('bomb-squad:s2', sectors), false);
+  savePuzzleProgress('pack:bomb-squad:a', { solved: true, stars: 3 });
+  assert.equal(isSectorUnlocked('bomb-squad:s2', sectors), false);
+  savePuzzleProgress('pack:bomb-squad:b', { solved: true, stars: 1 });
+  assert.equal(isSectorUnlocked('bomb-squad:s2', sectors), true);
+
+  assert.deepEqual(getPackProgress(pack), { solved: 2, total: 3, stars: 4, maxStars: 9 });
+  assert.equal(getPackProgress(BUILTIN_PACK).solved, 0);
+});
+
+test('pack puzzles are found by id and lead on to the next one', () => {
+  installPack(readPack(packFile()).pack);
+  assert.equal(findPackPuzzle('pack:bomb-squad:c').name, 'Puzzle c');
+  assert.equal(findPackPuzzle('pack:bomb-squad:zz'), null);
+  assert.equal(findPackPuzzle('p1-1'), null);
+  assert.equal(getNextPackPuzzle('pack:bomb-squad:b').id, 'pack:bomb-squad:c');
+  assert.equal(getNextPackPuzzle('pack:bomb-squad:c'), null);
+});
+
+test('My Puzzles export as a one-sector pack', () => {
+  const entries = [
+    { id: 'lib-1', name: 'First', puzzle: { description: '', ...puzzle(undefined) } },
+    { id: 'lib-2', name: 'Second', puzzle: { description: '', ...puzzle(undefined) } },
+  ];
+  const made = packFromLibrary(entries, { author: 'Ada' });
+  const { pack, error } = readPack(exportPack(made));
+  assert.equal(error, null);
+  assert.equal(pack.id, 'ada-my-puzzles');
+  assert.deepEqual(pack.sectors[0].puzzles.map(p => [p.id, p.name]), [['lib-1', 'First'], ['lib-2', 'Second']]);
+});
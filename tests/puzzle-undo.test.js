@@ -0,0 +1,123 @@
+/**
+ * puzzle-undo.test.js — undo/redo in puzzle mode, and that an undo is
+ * remembered when the puzzle is finally solved.
+ *
+ * puzzle-mode.js drives real DOM elements and Arcade.state, so both are faked
+ * here before it is imported: every element is a permissive stand-in and
+ * state is a Map.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const store = new Map();
+globalThis.Arcade = {
+  settings: { reducedMotion: () => true },
+  state: {
+    get: k => store.get(k),
+    set: (k, v) => { store.set(k, structuredClone(v)); },
+  },
+  stats: { update() {} },
+  ui: { toast() {} },
+};
+const elements = new Map();
+function fakeElement() {
+  const classes = new Set();
+  return {
+    style: {}, dataset: {}, textContent: '', innerHTML: '', disabled: false,
+    classList: { add: c => classes.add(c), remove: c => classes.delete(c), contains: c => classes.has(c) },
+    addEventListener() {}, appendChild() {},
+  };
+}
+globalThis.document = {
+  getElementById: id => {
+    if (!elements.has(id)) elements.set(id, fakeElement());
+    return elements.get(id);
+  },
+  createElement: () => fakeElement(),
+};
+
+const puzzleMode = await import('../js/puzzle-mode.js');
+const { resetScore, awardMatch, getScore } = await import('../js/score.js');
+
+// Column 0 holds the only red (0) tiles; clearing them meets the goal.
+const PUZZLE = {
+  id: 'undo-test', name: 'Undo', description: '', cols: 3, rows: 3,
+  moveLimit: 5, par: 3, noRefill: true,
+  goal: { type: 'clear_color', colorIndex: 0 },
+  board: '0:0:0 0:1:0 0:2:0 1:0:1 1:1:2 1:2:1 2:0:2 2:1:1 2:2:2',
+};
+
+let grid = null;
+const restored = [];
+puzzleMode.registerPuzzleCallbacks(
+  g => { grid = g; resetScore(); },
+  () => {},
+  g => { grid = g; restored.push(g); },
+);
+puzzleMode.initPuzzleModeUI(() => grid);
+
+/** What main.js does around a move: snapshot, resolve (here: a stand-in), report. */
+function playMove(mutate, points = 0) {
+  puzzleMode.onPuzzleMoveStart(grid);
+  mutate(grid);
+  if (points) awardMatch(points);
+  puzzleMode.onPuzzleMove(grid, getScore(), []);
+}
+
+const colors = g => g.map(col => col.map(cell => cell?.colorIndex ?? null));
+
+test('undo restores board, moves and score; redo puts them back', () => {
+  puzzleMode.startPuzzle({ ...PUZZLE });
+  const start = colors(grid);
+  assert.equal(puzzleMode.canUndoPuzzleMove(), false);
+
+  playMove(g => { g[1][1].colorIndex = 1; g[2][2].special = 'bomb'; g[2][2].bombTimer = 4; }, 3);
+  const afterMove = colors(grid);
+  const scoreAfterMove = getScore();
+  assert.equal(puzzleMode.getPuzzleMovesUsed(), 1);
+  assert.ok(scoreAfterMove > 0);
+
+  assert.equal(puzzleMode.undoPuzzleMove(), true);
+  assert.deepEqual(colors(grid), start);
+  assert.equal(grid[2][2].special, null, 'the bomb placed by the move is gone again');
+  assert.equal(puzzleMode.getPuzzleMovesUsed(), 0);
+  assert.equal(puzzleMode.getPuzzleStats().score, 0);
+  assert.equal(getScore(), 0);
+  assert.equal(puzzleMode.canRedoPuzzleMove(), true);
+
+  assert.equal(puzzleMode.redoPuzzleMove(), true);
+  assert.deepEqual(colors(grid), afterMove);
+  assert.equal(grid[2][2].bombTimer, 4);
+  assert.equal(puzzleMode.getPuzzleMovesUsed(), 1);
+  assert.equal(getScore(), scoreAfterMove);
+  assert.equal(puzzleMode.getPuzzleUndosUsed(), 1);
+});
+
+test('a new move drops the redo line', () => {
+  puzzleMode.startPuzzle({ ...PUZZLE });
+  playMove(g => { g[1][1].colorIndex = 1; });
+  puzzleMode.undoPuzzleMove();
+  playMove(g => { g[2][1].colorIndex = 2; });
+  assert.equal(puzzleMode.canRedoPuzzleMove(), false);
+  assert.equal(puzzleMode.redoPuzzleMove(), false);
+});
+
+test('a solve after an undo is saved as assisted, a solve without one as clean', () => {
+  const clearRed = g => { for (let r = 0; r < 3; r++) g[0][r] = null; };
+
+  store.clear();
+  puzzleMode.startPuzzle({ ...PUZZLE });
+  playMove(g => { g[1][1].colorIndex = 1; });
+  puzzleMode.undoPuzzleMove();
+  playMove(clearRed, 3);
+  let saved = store.get('puzzle.undo-test');
+  assert.equal(saved.solved, true);
+  assert.equal(saved.cleanSolve, false);
+  assert.equal(puzzleMode.canUndoPuzzleMove(), false, 'a solved puzzle is final');
+
+  puzzleMode.startPuzzle({ ...PUZZLE });
+  playMove(clearRed, 3);
+  saved = store.get('puzzle.undo-test');
+  assert.equal(saved.cleanSolve, true);
+});
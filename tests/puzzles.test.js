@@ -8,14 +8,23 @@ import assert from 'node:assert/strict';
 import {
   decodePuzzleBoard,
   encodePuzzleBoard,
+  readPuzzleBoard,
   evaluateGoal,
   describeGoal,
+  isValidGoal,
+  freshGoalStats,
+  tallyTurn,
+  remainingTargets,
   computeStars,
   PUZZLE_SECTORS,
   ALL_PUZZLES,
   getPuzzleById,
   getNextPuzzle,
 } from '../js/puzzles.js';
+import { voidCell } from '../js/board-shapes.js';
+import { stoneCell } from '../js/obstacles.js';
+import { resolveMove, enumerateMoves } from '../js/game-engine.js';
+import { getGameMode } from '../js/modes.js';
 
 // ─── decodePuzzleBoard ──────────────────────────────────────────
 
@@ -53,6 +62,12 @@ test('decodePuzzleBoard: blackpearl token', () => {
   assert.equal(grid[0][0].special, 'blackpearl');
 });
 
+test('decodePuzzleBoard/encodePuzzleBoard: multiplier token round-trips', () => {
+  const grid = decodePuzzleBoard('1:2:3m', 3, 3);
+  assert.deepEqual(grid[1][2], { colorIndex: 3, special: 'multiplier' });
+  assert.equal(encodePuzzleBoard(grid, 3, 3), 'v2 1:2:3m');
+});
+
 // ─── encodePuzzleBoard ──────────────────────────────────────────
 
 test('encodePuzzleBoard: round-trips basic grid', () => {
@@ -72,6 +87,68 @@ test('encodePuzzleBoard: round-trips bomb', () => {
   assert.ok(encoded.includes('2:2:1b8'));
 });
 
+test('decodePuzzleBoard/encodePuzzleBoard: void cells round-trip as x', () => {
+  const encoded = '0:0:1 1:0:x 1:1:2';
+  const grid = decodePuzzleBoard(encoded, 2, 2);
+  assert.equal(grid[1][0].special, 'void');
+  assert.equal(grid[0][1], null);
+  assert.equal(encodePuzzleBoard(grid, 2, 2), `v2 ${encoded}`);
+});
+
+test('decodePuzzleBoard/encodePuzzleBoard: stones, chains and ice round-trip', () => {
+  const encoded = '0:0:o 0:1:1c 1:0:2i 1:1:3b8ci2';
+  const grid = decodePuzzleBoard(encoded, 2, 2);
+  assert.equal(grid[0][0].special, 'stone');
+  assert.deepEqual(grid[0][1], { colorIndex: 1, special: null, chained: true });
+  assert.deepEqual(grid[1][0], { colorIndex: 2, special: null, ice: 1 });
+  assert.deepEqual(grid[1][1], { colorIndex: 3, special: 'bomb', bombTimer: 8, chained: true, ice: 2 });
+  assert.equal(encodePuzzleBoard(grid, 2, 2), `v2 ${encoded}`);
+});
+
+// ─── Board format v2 ────────────────────────────────────────────
+
+test('encodePuzzleBoard: every special, fuse, teal and obstacle survives a round trip', () => {
+  const grid = [
+    [
+      { colorIndex: -1, special: 'starflower' },
+      { colorIndex: -2, special: 'blackpearl', chained: true },
+      { colorIndex: -3, special: 'grandpoobah' },
+    ],
+    [
+      { colorIndex: 5, special: null, ice: 3 },
+      { colorIndex: 4, special: 'multiplier' },
+      { colorIndex: 5, special: 'bomb', bombTimer: 12, ice: 1 },
+    ],
+    [voidCell(), stoneCell(), null],
+  ];
+  const encoded = encodePuzzleBoard(grid, 3, 3);
+  assert.equal(encoded, 'v2 0:0:S 0:1:Pc 0:2:G 1:0:5i3 1:1:4m 1:2:5b12i 2:0:x 2:1:o');
+  assert.deepEqual(decodePuzzleBoard(encoded, 3, 3), grid);
+});
+
+test('decodePuzzleBoard: v1 strings captured from a live board get their specials back', () => {
+  const grid = decodePuzzleBoard('0:0:-1s 0:1:-2p 1:0:-3 1:1:5', 2, 2);
+  assert.deepEqual(grid[0][0], { colorIndex: -1, special: 'starflower' });
+  assert.deepEqual(grid[0][1], { colorIndex: -2, special: 'blackpearl' });
+  assert.deepEqual(grid[1][0], { colorIndex: -3, special: 'grandpoobah' });
+  assert.deepEqual(grid[1][1], { colorIndex: 5, special: null });  // teal, no longer clamped to purple
+});
+
+test('readPuzzleBoard: malformed boards are rejected with the token at fault', () => {
+  const error = encoded => readPuzzleBoard(encoded, 3, 3).error;
+  assert.equal(readPuzzleBoard('v2 0:0:1 2:2:G', 3, 3).error, null);
+  assert.equal(error('0:0:1 banana'), 'Cell "banana": expected col:row:piece');
+  assert.equal(error('0:0:1 3:0:1'), 'Cell "3:0:1": off the 3×3 board');
+  assert.equal(error('0:0:1 0:0:2'), 'Cell "0:0:2": cell 0:0 is listed twice');
+  assert.equal(error('0:0:6'), 'Cell "0:0:6": color 6 is out of range (0–5)');
+  assert.equal(error('0:0:1b0'), 'Cell "0:0:1b0": a bomb needs a fuse of at least 1');
+  assert.equal(error('0:0:1q'), 'Cell "0:0:1q": can\'t read "q"');
+  assert.equal(error('0:0:-7'), 'Cell "0:0:-7": no piece has colorIndex -7');
+  assert.equal(error('v2 0:0:1s'), 'Cell "0:0:1s": can\'t read "s"');  // v2 starflowers are S
+  assert.equal(error('v3 0:0:1'), 'Unknown board format v3 (this version reads v1 and v2)');
+  assert.equal(decodePuzzleBoard('0:0:1 banana', 3, 3), null);
+});
+
 // ─── evaluateGoal ───────────────────────────────────────────────
 
 test('evaluateGoal: clear_color met when no tiles of that color remain', () => {
@@ -132,6 +209,7 @@ test('evaluateGoal: score not met', () => {
   const grid = decodePuzzleBoard('', 3, 3);
   const result = evaluateGoal({ type: 'score', target: 100 }, grid, { score: 50 }, 3, 3);
   assert.equal(result.met, false);
+  assert.equal(result.remaining, 50);
 });
 
 test('evaluateGoal: clear_all met when board empty', () => {
@@ -146,6 +224,22 @@ test('evaluateGoal: clear_all not met when tiles remain', () => {
   assert.equal(result.met, false);
 });
 
+test('evaluateGoal: clear_all ignores the voids of a shaped board', () => {
+  const grid = decodePuzzleBoard('0:0:x 2:2:x', 3, 3);
+  const result = evaluateGoal({ type: 'clear_all' }, grid, {}, 3, 3);
+  assert.equal(result.met, true);
+});
+
+test('evaluateGoal: break_ice counts iced tiles and needs a move', () => {
+  const grid = decodePuzzleBoard('0:0:0i 1:0:1i2 2:0:2', 3, 3);
+  const result = evaluateGoal({ type: 'break_ice' }, grid, { totalMoves: 1 }, 3, 3);
+  assert.equal(result.met, false);
+  assert.equal(result.remaining, 2);
+  const thawed = decodePuzzleBoard('0:0:0 2:0:2', 3, 3);
+  assert.equal(evaluateGoal({ type: 'break_ice' }, thawed, { totalMoves: 0 }, 3, 3).met, false);
+  assert.equal(evaluateGoal({ type: 'break_ice' }, thawed, { totalMoves: 3 }, 3, 3).met, true);
+});
+
 // ─── computeStars ───────────────────────────────────────────────
 
 test('computeStars: 1 star when solved over par', () => {
@@ -178,6 +272,97 @@ test('computeStars: 1 star even at par when chain < 2', () => {
   assert.equal(computeStars(puzzle, 6, 1), 2); // par met, no chain bonus → 2 stars
 });
 
+test('computeStars: a hint caps an under-par solve at 2 stars', () => {
+  const puzzle = { moveLimit: 10, par: 6 };
+  assert.equal(computeStars(puzzle, 4, 0, 1), 2);
+  assert.equal(computeStars(puzzle, 9, 0, 1), 1);
+});
+
+// ─── Goal stats and compound goals ──────────────────────────────
+
+const TARGET = { type: 'clear_targets', cells: [{ col: 1, row: 1 }, { col: 0, row: 0 }] };
+
+test('tallyTurn: counts pearls, chain depth, detonations and the marked cells cleared', () => {
+  const events = [
+    { type: 'matched', cells: [{ col: 1, row: 1 }, { col: 2, row: 2 }], detonated: 1 },
+    { type: 'formed', special: 'blackpearl', formations: [{}, {}] },
+    { type: 'chain', level: 1 },
+    { type: 'chain', level: 2 },
+  ];
+  const stats = tallyTurn(freshGoalStats(), events, 120, TARGET);
+  assert.deepEqual(stats, {
+    totalMoves: 1, score: 120,
+    starflowersMade: 0, blackpearlsMade: 2, maxChain: 2, detonations: 1,
+    targetsCleared: ['1,1'],
+  });
+  assert.deepEqual(remainingTargets(TARGET, stats), [{ col: 0, row: 0 }]);
+  // A shallower chain later doesn't lower the best.
+  assert.equal(tallyTurn(stats, [{ type: 'chain', level: 1 }], 120, TARGET).maxChain, 2);
+});
+
+test('evaluateGoal: the new counted goals', () => {
+  const grid = decodePuzzleBoard('0:0:1', 3, 3);
+  const stats = { ...freshGoalStats(), blackpearlsMade: 1, maxChain: 3, detonations: 1 };
+  assert.equal(evaluateGoal({ type: 'make_blackpearl', count: 2 }, grid, stats, 3, 3).progress, '1 / 2 black pearls');
+  assert.equal(evaluateGoal({ type: 'chain', count: 3 }, grid, stats, 3, 3).met, true);
+  assert.equal(evaluateGoal({ type: 'detonate_multiplier' }, grid, stats, 3, 3).met, true);
+  assert.equal(evaluateGoal(TARGET, grid, stats, 3, 3).progress, '2 targets left');
+});
+
+test('evaluateGoal: survive_bombs needs the moves played and a bomb still live', () => {
+  const goal = { type: 'survive_bombs', count: 3 };
+  const live = decodePuzzleBoard('1:1:2b4', 3, 3);
+  assert.equal(evaluateGoal(goal, live, { totalMoves: 2 }, 3, 3).met, false);
+  assert.equal(evaluateGoal(goal, live, { totalMoves: 3 }, 3, 3).met, true);
+  const defused = evaluateGoal(goal, decodePuzzleBoard('1:1:2', 3, 3), { totalMoves: 3 }, 3, 3);
+  assert.equal(defused.met, false);
+  assert.equal(defused.progress, 'No live bombs');
+});
+
+test('evaluateGoal: survive_bombs is not met by the move that lets the bomb go off', () => {
+  const goal = { type: 'survive_bombs', count: 1 };
+  const grid = decodePuzzleBoard('0:0:0 1:0:1 2:0:2 0:1:3 1:1:4 2:1:0 0:2:1 1:2:2 2:2:3b1', 3, 3);
+  const turn = resolveMove(grid, enumerateMoves(grid, 3, 3)[0], { cols: 3, rows: 3, mode: getGameMode('puzzle') });
+  assert.equal(turn.outcome, 'gameOver');
+  const result = evaluateGoal(goal, turn.grid, tallyTurn(freshGoalStats(), turn.events, turn.score, goal), 3, 3);
+  assert.equal(result.met, false);
+  assert.equal(result.progress, 'No live bombs');
+});
+
+test('evaluateGoal: all / any report every sub-goal', () => {
+  const grid = decodePuzzleBoard('0:0:1', 3, 3);
+  const stats = { ...freshGoalStats(), maxChain: 2, targetsCleared: ['1,1'] };
+  const goals = [TARGET, { type: 'chain', count: 2 }];
+
+  const all = evaluateGoal({ type: 'all', goals }, grid, stats, 3, 3);
+  assert.equal(all.met, false);
+  assert.equal(all.remaining, 1);
+  assert.deepEqual(all.parts.map(p => p.met), [false, true]);
+  assert.equal(all.parts[0].description, 'Clear the 2 marked cells');
+  assert.equal(all.progress, '1 target left · ✓ chain 2 / 2');
+
+  assert.equal(evaluateGoal({ type: 'any', goals }, grid, stats, 3, 3).met, true);
+});
+
+test('isValidGoal: known types with their fields, nested compounds included', () => {
+  for (const goal of [
+    { type: 'clear_color', colorIndex: 2 },
+    { type: 'break_ice' },
+    { type: 'chain', count: 3 },
+    TARGET,
+    { type: 'any', goals: [{ type: 'clear_all' }, { type: 'all', goals: [TARGET, { type: 'score', target: 50 }] }] },
+  ]) assert.equal(isValidGoal(goal), true, JSON.stringify(goal));
+
+  for (const goal of [
+    null,
+    { type: 'teleport' },
+    { type: 'chain', count: 0 },
+    { type: 'clear_targets', cells: [] },
+    { type: 'all', goals: [] },
+    { type: 'any', goals: [{ type: 'clear_all' }, { type: 'teleport' }] },
+  ]) assert.equal(isValidGoal(goal), false, JSON.stringify(goal));
+});
+
 // ─── describeGoal ───────────────────────────────────────────────
 
 test('describeGoal: returns string for all types', () => {
@@ -187,6 +372,13 @@ test('describeGoal: returns string for all types', () => {
     { type: 'make_starflower', count: 1 },
     { type: 'score', target: 500 },
     { type: 'clear_all' },
+    { type: 'break_ice' },
+    { type: 'make_blackpearl', count: 2 },
+    { type: 'chain', count: 3 },
+    { type: 'detonate_multiplier', count: 1 },
+    { type: 'clear_targets', cells: [{ col: 0, row: 0 }] },
+    { type: 'survive_bombs', count: 5 },
+    { type: 'all', goals: [{ type: 'clear_all' }, { type: 'break_ice' }] },
   ];
   for (const goal of goals) {
     const desc = describeGoal(goal);
@@ -195,6 +387,14 @@ test('describeGoal: returns string for all types', () => {
   }
 });
 
+test('describeGoal: compound goals join their parts, bracketing nested ones', () => {
+  const goal = {
+    type: 'any',
+    goals: [{ type: 'clear_all' }, { type: 'all', goals: [{ type: 'break_ice' }, { type: 'chain', count: 2 }] }],
+  };
+  assert.equal(describeGoal(goal), 'Clear the board or (Break all the ice and Set off a chain 2 deep)');
+});
+
 // ─── Puzzle registry ────────────────────────────────────────────
 
 test('PUZZLE_SECTORS: at least 2 sectors defined', () => {
@@ -0,0 +1,113 @@
+/**
+ * Unit tests for replay.js — move tokens, replay codes and headless playback.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { shareEncode } from '../js/arcade-rng.js';
+import { enumerateMoves, resolveMove, clusterMove, ringMove, yMove } from '../js/game-engine.js';
+import { getGameMode } from '../js/modes.js';
+import {
+  encodeMove, decodeMove, encodeReplay, decodeReplay,
+  startSeededRun, runReplay,
+} from '../js/replay.js';
+
+/** Play `n` moves of a seeded chill run, always taking the first productive one. */
+function recordRun(seed, n) {
+  let { grid, rng } = startSeededRun(seed);
+  const mode = getGameMode('chill');
+  const moves = [];
+  let score = 0;
+  let moveCount = 0;
+  for (let i = 0; i < n; i++) {
+    // Probe as a no-refill board: only the chosen move may draw from the run's stream.
+    const move = enumerateMoves(grid).find(m => resolveMove(grid, m, { mode: getGameMode('puzzle') }).acted);
+    if (!move) break;
+    moves.push(encodeMove(move));
+    ({ grid, score, moveCount } = resolveMove(grid, move, { mode, moveCount, score, rng }));
+  }
+  return { log: { seed, mode: 'chill', moves }, grid, score };
+}
+
+// ─── Move tokens ────────────────────────────────────────────────
+
+test('encodeMove/decodeMove: every move kind round-trips', () => {
+  const moves = [
+    clusterMove([{ col: 0, row: 0 }, { col: 0, row: 1 }, { col: 1, row: 0 }], true),
+    ringMove({ col: 4, row: 4 }, false),
+    yMove({ col: 3, row: 5 }, true),
+  ];
+  assert.deepEqual(moves.map(encodeMove), ['c0,0,0,1,1,0+', 'r4,4-', 'y3,5+']);
+  for (const move of moves) assert.deepEqual(decodeMove(encodeMove(move)), move);
+});
+
+test('decodeMove: malformed tokens are rejected', () => {
+  for (const bad of ['', 'c0,0+', 'r1,2,3+', 'x1,1+', 'r1,1', 'c0,0,0,1,1,0*', 42, null]) {
+    assert.equal(decodeMove(bad), null, `${bad} should not decode`);
+  }
+});
+
+// ─── Codes ──────────────────────────────────────────────────────
+
+test('encodeReplay/decodeReplay: a log survives the round trip', () => {
+  const { log } = recordRun('share-me', 5);
+  assert.deepEqual(decodeReplay(encodeReplay(log)), log);
+  assert.deepEqual(decodeReplay(encodeReplay({ seed: 'empty', mode: 'arcade', moves: [] })),
+    { seed: 'empty', mode: 'arcade', moves: [] });
+});
+
+test('encodeReplay/decodeReplay: a shaped board travels with the log', () => {
+  const log = { seed: 'ring', mode: 'arcade', shape: 'donut', moves: [] };
+  assert.deepEqual(decodeReplay(encodeReplay(log)), log);
+  assert.deepEqual(decodeReplay(encodeReplay({ ...log, shape: 'rectangle' })),
+    { seed: 'ring', mode: 'arcade', moves: [] });
+  assert.equal(decodeReplay(shareEncode({ s: 'x', m: 'chill', l: '', b: 'blob' })), null);
+});
+
+test('encodeReplay/decodeReplay: a match rule other than classic travels with the log', () => {
+  const log = { seed: 'lined', mode: 'chill', shape: 'hexagon', rule: 'lines', moves: [] };
+  assert.deepEqual(decodeReplay(encodeReplay(log)), log);
+  assert.deepEqual(decodeReplay(encodeReplay({ ...log, shape: undefined, rule: 'classic' })),
+    { seed: 'lined', mode: 'chill', moves: [] });
+  assert.equal(decodeReplay(shareEncode({ s: 'x', m: 'chill', l: '', r: 'tetris' })), null);
+});
+
+test('decodeReplay: garbage, puzzle runs, newer codes and bad moves are rejected', () => {
+  assert.equal(decodeReplay('not a code!'), null);
+  assert.equal(decodeReplay(shareEncode({ s: 'x', m: 'puzzle', l: '' })), null);
+  assert.equal(decodeReplay(shareEncode({ s: 'x', m: 'chill', l: '' }, { v: 2 })), null);
+  assert.equal(decodeReplay(shareEncode({ s: 'x', m: 'chill', l: 'r1,1+ oops' })), null);
+  assert.equal(decodeReplay(shareEncode({ s: '', m: 'chill', l: '' })), null);
+});
+
+// ─── Playback ───────────────────────────────────────────────────
+
+test('runReplay: a log reproduces the run it was recorded from', () => {
+  const { log, grid, score } = recordRun('run-42', 8);
+  assert.equal(log.moves.length, 8);
+
+  const replayed = runReplay(log);
+  assert.equal(replayed.played, 8);
+  assert.equal(replayed.score, score);
+  assert.ok(score > 0);
+  assert.deepEqual(replayed.grid, grid);
+});
+
+test('runReplay: a shaped log replays on its shape', () => {
+  const { grid } = startSeededRun('hexa', undefined, undefined, 'hexagon');
+  const replayed = runReplay({ seed: 'hexa', mode: 'chill', shape: 'hexagon', moves: [] });
+  assert.deepEqual(replayed.grid, grid);
+  assert.equal(grid[0][0].special, 'void');
+});
+
+test('runReplay: a log plays by its own match rule', () => {
+  const { log } = recordRun('run-42', 3);
+  // Recorded under classic; read as a lines log, the same moves score differently.
+  assert.notEqual(runReplay({ ...log, rule: 'lines' }).score, runReplay(log).score);
+});
+
+test('runReplay: a different seed is a different game', () => {
+  const { log, grid } = recordRun('run-42', 4);
+  const other = runReplay({ ...log, seed: 'run-43' });
+  assert.notDeepEqual(other.grid, grid);
+});
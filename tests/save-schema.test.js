@@ -0,0 +1,117 @@
+/**
+ * Unit tests for save-schema.js — versioned saves and their migrations —
+ * and for how storage.js loads them: upgraded and written back, or
+ * quarantined when they can't be.
+ *
+ * Arcade.state is faked here as a Map.
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const store = new Map();
+globalThis.Arcade = {
+  state: {
+    get: k => (store.has(k) ? structuredClone(store.get(k)) : undefined),
+    set: (k, v) => { store.set(k, structuredClone(v)); },
+    remove: k => { store.delete(k); },
+  },
+};
+const warn = console.warn;
+
+const { SAVE_SCHEMAS, schemaVersion, upgradeSave } = await import('../js/save-schema.js');
+const {
+  saveGameState, loadGameState, loadSettings, saveSettings,
+  getPuzzleProgress, savePuzzleProgress, takeQuarantinedKeys,
+} = await import('../js/storage.js');
+const { GRID_COLS, GRID_ROWS, TILE_COLORS } = await import('../js/constants.js');
+
+const grid = () => Array.from({ length: GRID_COLS }, () =>
+  Array.from({ length: GRID_ROWS }, () => ({ colorIndex: 0, special: null })));
+
+beforeEach(() => {
+  store.clear();
+  takeQuarantinedKeys();
+  console.warn = () => {};
+});
+test.after(() => { console.warn = warn; });
+
+test('every kind is at the version its migration list reaches', () => {
+  for (const kind of Object.keys(SAVE_SCHEMAS)) {
+    assert.equal(schemaVersion(kind), SAVE_SCHEMAS[kind].migrations.length);
+    assert.ok(schemaVersion(kind) >= 1, kind);
+  }
+});
+
+test('an unversioned game state is migrated: off-palette bombs get a plain color', () => {
+  const g = grid();
+  g[2][3] = { colorIndex: -1, special: 'bomb', bombTimer: 5 };
+  g[4][4] = { colorIndex: TILE_COLORS.length, special: 'bomb', bombTimer: 2 };
+  const { data, migrated, error } = upgradeSave('gameState', { grid: g, score: 10 });
+  assert.equal(error, null);
+  assert.equal(migrated, true);
+  assert.equal(data.schemaVersion, schemaVersion('gameState'));
+  assert.equal(data.score, 10);
+  for (const cell of [data.grid[2][3], data.grid[4][4]]) {
+    assert.ok(cell.colorIndex >= 0 && cell.colorIndex < 5);
+    assert.equal(cell.special, 'bomb');
+  }
+
+  const again = upgradeSave('gameState', data);
+  assert.equal(again.migrated, false);
+  assert.deepEqual(again.data, data);
+});
+
+test('corrupt or newer blobs are refused with a reason', () => {
+  const reason = (kind, raw) => upgradeSave(kind, raw).error;
+  assert.equal(reason('gameState', 'grid'), 'not a saved object');
+  assert.equal(reason('gameState', [grid()]), 'not a saved object');
+  assert.match(reason('gameState', { grid: grid(), schemaVersion: 'two' }), /unreadable schema version/);
+  assert.match(reason('gameState', { grid: grid(), schemaVersion: 99 }), /newer version/);
+  assert.equal(reason('gameState', { grid: grid().slice(1) }), 'does not match the save layout');
+  assert.equal(reason('gameState', { score: 5 }), 'does not match the save layout');
+  assert.equal(reason('puzzleProgress', { stars: 'three', solved: true }), 'does not match the save layout');
+});
+
+test('storage stamps what it saves and loads it back unchanged', () => {
+  saveGameState('arcade', { grid: grid(), score: 42 });
+  assert.equal(store.get('gameState.arcade').schemaVersion, schemaVersion('gameState'));
+  assert.equal(loadGameState('arcade').score, 42);
+
+  savePuzzleProgress('p1-1', { stars: 2, movesUsed: 4 });
+  assert.equal(getPuzzleProgress('p1-1').schemaVersion, schemaVersion('puzzleProgress'));
+  assert.equal(getPuzzleProgress('p1-1').stars, 2);
+  assert.deepEqual(takeQuarantinedKeys(), []);
+});
+
+test('old saves are upgraded on load and written back', () => {
+  store.set('puzzle.p1-2', { stars: 3, bestMoves: 5, solved: true });
+  store.set('settings', { keyBindings: null, theme: 'dark' });
+  const progress = getPuzzleProgress('p1-2');
+  assert.equal(progress.bestScore, 0);
+  assert.equal(progress.cleanSolve, false);
+  assert.deepEqual(store.get('puzzle.p1-2'), progress);
+  assert.deepEqual(loadSettings(), {
+    keyBindings: { rotateCW: 'q', rotateCCW: 'e' }, theme: 'dark', schemaVersion: schemaVersion('settings'),
+  });
+  assert.deepEqual(store.get('settings').keyBindings, {});
+});
+
+test('a save that can\'t be loaded is quarantined, and the game starts fresh', () => {
+  store.set('gameState.arcade', { grid: grid(), schemaVersion: 99 });
+  assert.equal(loadGameState('arcade'), null);
+  assert.equal(store.has('gameState.arcade'), false);
+  const held = store.get('quarantine.gameState.arcade');
+  assert.match(held.reason, /newer version/);
+  assert.equal(held.data.schemaVersion, 99);
+
+  store.set('settings', 'garbage');
+  assert.deepEqual(loadSettings().keyBindings, { rotateCW: 'q', rotateCCW: 'e' });
+  assert.equal(store.get('quarantine.settings').data, 'garbage');
+
+  assert.deepEqual(takeQuarantinedKeys(), ['gameState.arcade', 'settings']);
+  assert.deepEqual(takeQuarantinedKeys(), []);
+
+  saveSettings(loadSettings());
+  assert.deepEqual(takeQuarantinedKeys(), []);
+});
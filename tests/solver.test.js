@@ -0,0 +1,80 @@
+/**
+ * Unit tests for solver.js — optimal lines, dead boards and the search budget.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getPuzzleById, decodePuzzleBoard, encodePuzzleBoard, evaluateGoal, freshGoalStats, tallyTurn,
+} from '../js/puzzles.js';
+import { resolveMove } from '../js/game-engine.js';
+import { getGameMode } from '../js/modes.js';
+import { solvePuzzle, parForOptimal } from '../js/solver.js';
+import { quietGrid } from './helpers/quiet-board.mjs';
+
+/** Play a line from the puzzle's opening board; returns the final grid and stats. */
+function playLine(puzzle, line) {
+  let grid = decodePuzzleBoard(puzzle.board, puzzle.cols, puzzle.rows);
+  let stats = freshGoalStats();
+  for (const move of line) {
+    const turn = resolveMove(grid, move, {
+      cols: puzzle.cols, rows: puzzle.rows, mode: getGameMode('puzzle'), moveCount: stats.totalMoves, score: stats.score,
+    });
+    grid = turn.grid;
+    stats = tallyTurn(stats, turn.events, turn.score, puzzle.goal);
+  }
+  return { grid, stats };
+}
+
+test('solvePuzzle: finds the one-move starflower in Flower Child', () => {
+  const puzzle = getPuzzleById('p1-3');
+  const result = solvePuzzle(puzzle);
+  assert.equal(result.status, 'solved');
+  assert.equal(result.solvable, true);
+  assert.equal(result.optimal, 1);
+  assert.equal(result.line.length, 1);
+});
+
+test('solvePuzzle: the returned line really meets the goal', () => {
+  const puzzle = getPuzzleById('p2-3');
+  const result = solvePuzzle(puzzle);
+  assert.equal(result.optimal, 2);
+  const { grid, stats } = playLine(puzzle, result.line);
+  assert.equal(evaluateGoal(puzzle.goal, grid, stats, puzzle.cols, puzzle.rows).met, true);
+  // …and nothing shorter does: one move is not enough.
+  assert.equal(solvePuzzle(puzzle, { maxDepth: 1 }).status, 'unsolvable');
+});
+
+test('solvePuzzle: compound goals and marked cells', () => {
+  const puzzle = {
+    ...getPuzzleById('p2-3'),
+    goal: { type: 'all', goals: [{ type: 'chain', count: 1 }, { type: 'clear_targets', cells: [{ col: 6, row: 6 }] }] },
+  };
+  const result = solvePuzzle(puzzle);
+  assert.equal(result.optimal, 2);
+  const { grid, stats } = playLine(puzzle, result.line);
+  assert.equal(evaluateGoal(puzzle.goal, grid, stats, puzzle.cols, puzzle.rows).met, true);
+  assert.deepEqual(stats.targetsCleared, ['6,6']);
+});
+
+test('solvePuzzle: a board with no productive move is unsolvable', () => {
+  const puzzle = { cols: 4, rows: 4, moveLimit: 10, goal: { type: 'clear_all' }, board: encodePuzzleBoard(quietGrid(4, 4), 4, 4) };
+  const result = solvePuzzle(puzzle);
+  assert.equal(result.status, 'unsolvable');
+  assert.equal(result.solvable, false);
+  assert.equal(result.optimal, null);
+  assert.deepEqual(result.line, []);
+});
+
+test('solvePuzzle: running out of budget is unknown, not unsolvable', () => {
+  const result = solvePuzzle(getPuzzleById('p2-3'), { maxNodes: 1 });
+  assert.equal(result.status, 'unknown');
+  assert.equal(result.solvable, null);
+  assert.equal(result.nodes, 1);
+});
+
+test('parForOptimal: a perfect solve beats par, and the limit leaves room', () => {
+  assert.deepEqual(parForOptimal(1), { par: 2, moveLimit: 4 });
+  // The same numbers Red Alert was tuned to by hand (optimal 5).
+  assert.deepEqual(parForOptimal(5), { par: 6, moveLimit: 10 });
+});